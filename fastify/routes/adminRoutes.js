@@ -15,11 +15,66 @@ import {
 } from "../../shared/farcasterNotificationService.js";
 import { historicalOddsService } from "../../shared/historicalOddsService.js";
 import { createRequireAdmin } from "../../shared/adminGuard.js";
+import { deadLetterService } from "../../src/services/deadLetterService.js";
+import { getLogEngines } from "../../src/services/logIngestionService.js";
+import { getLeaderStatus } from "../../src/services/leaderElectionService.js";
+import { listenerControlService } from "../../src/services/listenerControlService.js";
+import {
+  seasonAutomationService,
+  SEASON_ADMIN_ACTIONS,
+} from "../../src/services/seasonAutomationService.js";
 
 const erc20BalanceOfAbi = parseAbi([
   "function balanceOf(address) view returns (uint256)",
 ]);
 
+/**
+ * JSON-safe view of a log subscription (bigints as strings)
+ */
+function serializeListener(engineName, listener) {
+  const toString = (value) =>
+    value === null || value === undefined ? null : value.toString();
+
+  return {
+    engine: engineName,
+    key: listener.key,
+    address: listener.address,
+    eventName: listener.eventName,
+    paused: listener.paused,
+    confirmations: toString(listener.confirmations),
+    cursorBlock: toString(listener.cursorBlock),
+    headBlock: toString(listener.headBlock),
+    lagBlocks: toString(listener.lagBlocks),
+    processedLogs: listener.processedLogs,
+    lastError: listener.lastError,
+    lastErrorAt: listener.lastErrorAt,
+    lastProcessedAt: listener.lastProcessedAt,
+  };
+}
+
+/**
+ * Find the engine running a listener key
+ * @returns {{ engineName: string, engine: any }|null}
+ */
+function findListenerEngine(key) {
+  for (const [engineName, engine] of getLogEngines().entries()) {
+    if (engine.getSubscriptions().some((listener) => listener.key === key)) {
+      return { engineName, engine };
+    }
+  }
+  return null;
+}
+
+/**
+ * Admin identity recorded in the season automation audit log and listener controls
+ */
+function getActor(request) {
+  return {
+    fid: request.user?.fid ?? null,
+    wallet: request.user?.wallet_address || request.user?.wallet || null,
+  };
+}
+
 /**
  * Admin API routes
  */
@@ -837,4 +892,477 @@ export default async function adminRoutes(fastify) {
       });
     }
   });
+
+  /**
+   * GET /api/admin/dead-letters
+   * Lists contract event logs whose listener handler failed.
+   * Query: { status?: pending|resolved|discarded|exhausted, listenerKey?, limit?, offset? }
+   * Shape: { entries: [...], total, limit, offset }
+   */
+  fastify.get("/dead-letters", { preHandler: requireAdmin }, async (request, reply) => {
+    try {
+      if (!hasSupabase) {
+        return reply.code(503).send({
+          error: "Supabase not configured",
+        });
+      }
+
+      const { status, listenerKey } = request.query || {};
+      const limit = Math.min(parseInt(request.query?.limit) || 50, 200);
+      const offset = Math.max(parseInt(request.query?.offset) || 0, 0);
+
+      const { entries, total } = await deadLetterService.list({
+        status,
+        listenerKey,
+        limit,
+        offset,
+      });
+
+      return reply.send({ entries, total, limit, offset });
+    } catch (error) {
+      fastify.log.error({ error }, "Failed to fetch dead letters");
+      return reply.code(500).send({
+        error: "Failed to fetch dead letters",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/dead-letters/:id/retry
+   * Reprocess a dead-lettered log immediately (also revives exhausted entries).
+   * Shape: { success, error? }
+   */
+  fastify.post("/dead-letters/:id/retry", { preHandler: requireAdmin }, async (request, reply) => {
+    try {
+      const result = await deadLetterService.retry(request.params.id);
+      if (!result) {
+        return reply.code(404).send({ error: "Dead letter not found" });
+      }
+      return reply.code(result.success ? 200 : 409).send(result);
+    } catch (error) {
+      fastify.log.error({ error }, "Failed to retry dead letter");
+      return reply.code(500).send({
+        error: "Failed to retry dead letter",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/dead-letters/:id/discard
+   * Stop retrying a dead-lettered log.
+   * Shape: { entry }
+   */
+  fastify.post("/dead-letters/:id/discard", { preHandler: requireAdmin }, async (request, reply) => {
+    try {
+      const entry = await deadLetterService.discard(request.params.id);
+      if (!entry) {
+        return reply.code(404).send({ error: "Dead letter not found" });
+      }
+      return reply.send({ entry });
+    } catch (error) {
+      fastify.log.error({ error }, "Failed to discard dead letter");
+      return reply.code(500).send({
+        error: "Failed to discard dead letter",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/listeners
+   * Lists active contract event listeners on this instance and the stored
+   * admin controls. Listeners only run on the leader replica; followers
+   * return an empty list but the same controls.
+   * Shape: { leader, listeners: [{ engine, key, address, eventName, paused, cursorBlock, headBlock, lagBlocks, processedLogs, lastError, ... }], controls: [{ listener_key, paused, reason, restart_requested, rewind_to, updated_by, updated_at, applied_at }] }
+   */
+  fastify.get("/listeners", { preHandler: requireAdmin }, async (_request, reply) => {
+    try {
+      const listeners = [];
+      for (const [engineName, engine] of getLogEngines().entries()) {
+        for (const listener of engine.getSubscriptions()) {
+          listeners.push(serializeListener(engineName, listener));
+        }
+      }
+
+      return reply.send({
+        leader: getLeaderStatus(),
+        listeners,
+        controls: await listenerControlService.list(),
+      });
+    } catch (error) {
+      fastify.log.error({ error }, "Failed to list listeners");
+      return reply.code(500).send({
+        error: "Failed to list listeners",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * Shared handler for listener control actions. The control is stored so
+   * the leader applies it (and a pause outlives restarts); when the listener
+   * runs on this instance it is applied before responding.
+   * @param {string} action - Label used in logs and errors
+   * @param {(key: string, request: any) => Promise<object>} store - Writes the control row
+   */
+  const controlListener = (action, store) => async (request, reply) => {
+    const { key } = request.params;
+    if (!hasSupabase) {
+      return reply.code(503).send({ error: "Supabase not configured" });
+    }
+
+    try {
+      const control = await store(key, request);
+      fastify.log.info(`[ADMIN] Listener ${key} ${action} requested`);
+
+      if (!findListenerEngine(key)) {
+        return reply.code(202).send({ control, listener: null });
+      }
+
+      await listenerControlService.apply();
+      const found = findListenerEngine(key);
+      const listener = found?.engine
+        .getSubscriptions()
+        .find((candidate) => candidate.key === key);
+      return reply.send({
+        control,
+        listener: listener ? serializeListener(found.engineName, listener) : null,
+      });
+    } catch (error) {
+      fastify.log.error({ error }, `Failed to ${action} listener`);
+      return reply.code(500).send({
+        error: `Failed to ${action} listener`,
+        details: error.message,
+      });
+    }
+  };
+
+  /**
+   * POST /api/admin/listeners/:key/pause
+   * Stop delivering logs to a listener; its cursor stays where it is. The
+   * pause is stored and holds across restarts until resumed.
+   * The key contains ":" and should be URL-encoded.
+   * Body: { reason?: string }
+   * Shape: { control, listener } - 202 with listener null when the listener
+   * is not running on this instance (the leader applies it within seconds)
+   */
+  fastify.post(
+    "/listeners/:key/pause",
+    { preHandler: requireAdmin },
+    controlListener("pause", (key, request) =>
+      listenerControlService.setPaused(key, true, {
+        reason: typeof request.body?.reason === "string" ? request.body.reason : null,
+        actor: getActor(request),
+      }),
+    ),
+  );
+
+  /**
+   * POST /api/admin/listeners/:key/resume
+   * Shape: { control, listener }
+   */
+  fastify.post(
+    "/listeners/:key/resume",
+    { preHandler: requireAdmin },
+    controlListener("resume", (key, request) =>
+      listenerControlService.setPaused(key, false, { actor: getActor(request) }),
+    ),
+  );
+
+  /**
+   * POST /api/admin/listeners/:key/restart
+   * Clear a listener's error state, unpause it and resume from its persisted cursor.
+   * Shape: { control, listener }
+   */
+  fastify.post(
+    "/listeners/:key/restart",
+    { preHandler: requireAdmin },
+    controlListener("restart", (key, request) =>
+      listenerControlService.requestRestart(key, { actor: getActor(request) }),
+    ),
+  );
+
+  /**
+   * POST /api/admin/listeners/:key/rewind
+   * Re-process a listener from a given block (handlers must be idempotent).
+   * Body: { block: number|string } - First block to re-process
+   * Shape: { control, listener }
+   */
+  fastify.post("/listeners/:key/rewind", { preHandler: requireAdmin }, async (request, reply) => {
+    const block = request.body?.block;
+    if (!/^[0-9]+$/.test(String(block ?? ""))) {
+      return reply
+        .code(400)
+        .send({ error: "block must be a non-negative integer" });
+    }
+
+    return controlListener("rewind", (key) =>
+      listenerControlService.requestRewind(key, BigInt(block), {
+        actor: getActor(request),
+      }),
+    )(request, reply);
+  });
+
+  /**
+   * Append to the season automation audit log (never throws)
+   */
+  const audit = async (request, entry) => {
+    try {
+      await seasonAutomationService.recordAction({
+        actor: getActor(request),
+        ...entry,
+      });
+    } catch (error) {
+      fastify.log.error(
+        { error },
+        `Failed to audit-log season action ${entry.action}`,
+      );
+    }
+  };
+
+  const parseSeasonId = (request, reply) => {
+    const { seasonId } = request.params;
+    if (!/^[1-9][0-9]*$/.test(seasonId)) {
+      reply.code(400).send({ error: "seasonId must be a positive integer" });
+      return null;
+    }
+    return Number(seasonId);
+  };
+
+  /**
+   * GET /api/admin/seasons/schedule
+   * Each season's on-chain start/end times, status, automation override and
+   * the next action the lifecycle service will take, as stored by the leader
+   * after its last check (served by any replica; overrides are current).
+   * Shape: { now, checkInProgress, lastCheckAt, nextCheckAt, storedAt, storedBy, seasons: [{ seasonId, name, startTime, endTime, status, automation: { paused, reason, updatedAt }, inFlight, watchdog, nextAction: { action, due, at, reason } }] }
+   */
+  fastify.get("/seasons/schedule", { preHandler: requireAdmin }, async (_request, reply) => {
+    if (!hasSupabase) {
+      return reply.code(503).send({ error: "Supabase not configured" });
+    }
+
+    try {
+      const schedule = await seasonAutomationService.getSchedule();
+      if (!schedule) {
+        return reply.code(404).send({
+          error: "No season schedule stored yet",
+          details: "The leader stores the schedule after each lifecycle check",
+        });
+      }
+      return reply.send(schedule);
+    } catch (error) {
+      fastify.log.error({ error }, "Failed to fetch season schedule");
+      return reply.code(500).send({
+        error: "Failed to fetch season schedule",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/seasons/actions
+   * Audit log of admin actions on season automation, newest first.
+   * Query: { seasonId?, limit? }
+   * Shape: { actions: [...] }
+   */
+  fastify.get("/seasons/actions", { preHandler: requireAdmin }, async (request, reply) => {
+    if (!hasSupabase) {
+      return reply.code(503).send({ error: "Supabase not configured" });
+    }
+
+    const { seasonId } = request.query || {};
+    if (seasonId !== undefined && !/^[0-9]+$/.test(String(seasonId))) {
+      return reply.code(400).send({ error: "seasonId must be a non-negative integer" });
+    }
+
+    try {
+      const actions = await seasonAutomationService.listActions({
+        seasonId: seasonId === undefined ? undefined : Number(seasonId),
+        limit: Math.min(parseInt(request.query?.limit) || 50, 200),
+      });
+      return reply.send({ actions });
+    } catch (error) {
+      fastify.log.error({ error }, "Failed to fetch season admin actions");
+      return reply.code(500).send({
+        error: "Failed to fetch season admin actions",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/seasons/actions/:id
+   * One audit log entry; poll it for the outcome of a queued action.
+   * Shape: { action: { id, action, season_id, status, success, result, error_message, ... } }
+   */
+  fastify.get("/seasons/actions/:id", { preHandler: requireAdmin }, async (request, reply) => {
+    if (!hasSupabase) {
+      return reply.code(503).send({ error: "Supabase not configured" });
+    }
+
+    const { id } = request.params;
+    if (!/^[1-9][0-9]*$/.test(id)) {
+      return reply.code(400).send({ error: "id must be a positive integer" });
+    }
+
+    try {
+      const action = await seasonAutomationService.getAction(Number(id));
+      if (!action) {
+        return reply.code(404).send({ error: "Season admin action not found" });
+      }
+      return reply.send({ action });
+    } catch (error) {
+      fastify.log.error({ error }, "Failed to fetch season admin action");
+      return reply.code(500).send({
+        error: "Failed to fetch season admin action",
+        details: error.message,
+      });
+    }
+  });
+
+  /**
+   * Shared handler for actions the leader's lifecycle service runs: queue the
+   * action from whichever replica got the request and return its audit id
+   * @param {string} action - SEASON_ADMIN_ACTIONS value
+   * @param {{ perSeason?: boolean }} [options]
+   */
+  const queueSeasonAction = (action, { perSeason = true } = {}) => async (request, reply) => {
+    let seasonId = null;
+    if (perSeason) {
+      seasonId = parseSeasonId(request, reply);
+      if (seasonId === null) return reply;
+    }
+
+    if (!hasSupabase) {
+      return reply.code(503).send({ error: "Supabase not configured" });
+    }
+
+    try {
+      const entry = await seasonAutomationService.enqueueAction({
+        action,
+        seasonId,
+        actor: getActor(request),
+      });
+      fastify.log.info(
+        `[ADMIN] Queued season action ${entry.id} (${action}${seasonId ? ` season ${seasonId}` : ""})`,
+      );
+      return reply.code(202).send({ actionId: entry.id, status: entry.status });
+    } catch (error) {
+      fastify.log.error({ error }, `Failed to queue season action ${action}`);
+      return reply.code(500).send({
+        error: `Failed to queue season action ${action}`,
+        details: error.message,
+      });
+    }
+  };
+
+  /**
+   * POST /api/admin/seasons/check
+   * Queue a lifecycle check instead of waiting for the next interval.
+   * Shape (202): { actionId, status: "queued" } - see GET /seasons/actions/:id
+   */
+  fastify.post(
+    "/seasons/check",
+    { preHandler: requireAdmin },
+    queueSeasonAction(SEASON_ADMIN_ACTIONS.CHECK, { perSeason: false }),
+  );
+
+  /**
+   * POST /api/admin/seasons/:seasonId/start
+   * Queue startSeason (season must be NotStarted when the leader runs it).
+   * Shape (202): { actionId, status: "queued" } - the outcome and tx hash are
+   * recorded on the action
+   */
+  fastify.post(
+    "/seasons/:seasonId/start",
+    { preHandler: requireAdmin },
+    queueSeasonAction(SEASON_ADMIN_ACTIONS.FORCE_START),
+  );
+
+  /**
+   * POST /api/admin/seasons/:seasonId/end
+   * Queue requestSeasonEnd (season must be Active when the leader runs it).
+   * Shape (202): { actionId, status: "queued" }
+   */
+  fastify.post(
+    "/seasons/:seasonId/end",
+    { preHandler: requireAdmin },
+    queueSeasonAction(SEASON_ADMIN_ACTIONS.FORCE_END),
+  );
+
+  /**
+   * Shared handler for pausing and resuming season automation. Stored in the
+   * database, so it works from any replica and survives restarts.
+   * @param {boolean} paused
+   */
+  const setAutomationPaused = (paused) => async (request, reply) => {
+    const seasonId = parseSeasonId(request, reply);
+    if (seasonId === null) return reply;
+
+    if (!hasSupabase) {
+      return reply.code(503).send({ error: "Supabase not configured" });
+    }
+
+    const action = paused ? SEASON_ADMIN_ACTIONS.PAUSE : SEASON_ADMIN_ACTIONS.RESUME;
+    const reason = request.body?.reason ?? null;
+    if (reason !== null && typeof reason !== "string") {
+      return reply.code(400).send({ error: "reason must be a string" });
+    }
+
+    try {
+      const override = await seasonAutomationService.setPaused(seasonId, paused, {
+        reason,
+        actor: getActor(request),
+      });
+      await audit(request, {
+        action,
+        seasonId,
+        params: { reason },
+        success: true,
+      });
+      fastify.log.info(
+        `[ADMIN] Season ${seasonId} automation ${paused ? "paused" : "resumed"}`,
+      );
+      return reply.send({ override });
+    } catch (error) {
+      await audit(request, {
+        action,
+        seasonId,
+        params: { reason },
+        success: false,
+        error: error.message,
+      });
+      fastify.log.error({ error }, `Failed to ${action} season automation`);
+      return reply.code(500).send({
+        error: `Failed to ${action} season automation`,
+        details: error.message,
+      });
+    }
+  };
+
+  /**
+   * POST /api/admin/seasons/:seasonId/pause
+   * Stop automatic start, end and finalization retries for a season (the
+   * watchdog still alerts).
+   * Body: { reason?: string }
+   * Shape: { override }
+   */
+  fastify.post(
+    "/seasons/:seasonId/pause",
+    { preHandler: requireAdmin },
+    setAutomationPaused(true),
+  );
+
+  /**
+   * POST /api/admin/seasons/:seasonId/resume
+   * Body: { reason?: string }
+   * Shape: { override }
+   */
+  fastify.post(
+    "/seasons/:seasonId/resume",
+    { preHandler: requireAdmin },
+    setAutomationPaused(false),
+  );
 }
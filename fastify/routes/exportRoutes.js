@@ -0,0 +1,95 @@
+// backend/fastify/routes/exportRoutes.js
+// Admin data exports: streams raffle and InfoFi tables as CSV or NDJSON
+
+import { createRequireAdmin } from "../../shared/adminGuard.js";
+import {
+  dataExportService,
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+} from "../../src/services/dataExportService.js";
+
+/**
+ * Parse ISO dates or unix ms; undefined when absent, null when invalid
+ * @param {string|undefined} value
+ */
+function parseTime(value) {
+  if (value === undefined) return undefined;
+  const date = new Date(/^[0-9]+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export default async function exportRoutes(fastify) {
+  const requireAdmin = createRequireAdmin();
+
+  /**
+   * GET /api/admin/exports/:dataset
+   * Stream a dataset (raffle-transactions, infofi-positions,
+   * infofi-odds-history, infofi-winnings)
+   *
+   * Query params:
+   * - format: csv | ndjson (default csv)
+   * - season, market: Numeric filters
+   * - user: Wallet address
+   * - from, to: Time bounds (ISO date or unix ms)
+   */
+  fastify.get("/:dataset", { preHandler: requireAdmin }, async (request, reply) => {
+    const { dataset } = request.params;
+    const { format = "csv", season, market, user, from, to } = request.query;
+
+    const definition = EXPORT_DATASETS[dataset];
+    if (!definition) {
+      return reply.code(404).send({
+        error: "Unknown dataset",
+        details: `Supported datasets: ${Object.keys(EXPORT_DATASETS).join(", ")}`,
+      });
+    }
+
+    if (!EXPORT_FORMATS[format]) {
+      return reply.code(400).send({ error: "format must be csv or ndjson" });
+    }
+
+    const requested = { season, market, user };
+    const unsupported = Object.keys(requested).filter(
+      (filter) => requested[filter] !== undefined && !definition.filters[filter],
+    );
+    if (unsupported.length > 0) {
+      return reply.code(400).send({
+        error: `Unsupported filter for ${dataset}: ${unsupported.join(", ")}`,
+      });
+    }
+
+    for (const [name, value] of [["season", season], ["market", market]]) {
+      if (value !== undefined && !/^[0-9]+$/.test(value)) {
+        return reply.code(400).send({ error: `${name} must be a non-negative integer` });
+      }
+    }
+
+    if (user !== undefined && !/^0x[a-fA-F0-9]{40}$/.test(user)) {
+      return reply.code(400).send({ error: "Invalid Ethereum address format" });
+    }
+
+    const fromDate = parseTime(from);
+    const toDate = parseTime(to);
+    if (fromDate === null || toDate === null) {
+      return reply.code(400).send({ error: "Invalid from/to time" });
+    }
+
+    const stream = dataExportService.createExportStream(dataset, format, {
+      season: season === undefined ? undefined : Number(season),
+      market: market === undefined ? undefined : Number(market),
+      user,
+      from: fromDate,
+      to: toDate,
+    });
+
+    stream.on("error", (error) => {
+      fastify.log.error({ error, dataset }, "Export stream failed");
+    });
+
+    const filename = `${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    return reply
+      .header("Content-Type", EXPORT_FORMATS[format])
+      .header("Content-Disposition", `attachment; filename="${filename}"`)
+      .send(stream);
+  });
+}
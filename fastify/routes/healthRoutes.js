@@ -1,5 +1,8 @@
 import process from "node:process";
 import { hasSupabase, db } from "../../shared/supabaseClient.js";
+import { getRpcPoolStatus } from "../../src/lib/viemClient.js";
+import { getBlockCursorHealth } from "../../src/lib/blockCursor.js";
+import { getLeaderStatus } from "../../src/services/leaderElectionService.js";
 
 /**
  * Health check routes
@@ -94,8 +97,30 @@ async function healthRoutes(fastify) {
           : "RPC_URL_LOCAL not configured in this environment";
     }
 
+    // RPC pool: per-endpoint latency/error scores and circuit breaker state
+    // for every network the clients have used so far
+    const pools = getRpcPoolStatus();
+    checks.rpcPool = {
+      ok: Object.values(pools).every((endpoints) =>
+        endpoints.some((endpoint) => endpoint.healthy),
+      ),
+      networks: pools,
+    };
+
+    // Block cursors: listeners whose last cursor write failed would replay
+    // or skip blocks after a restart
+    checks.blockCursors = getBlockCursorHealth();
+
+    // Leader election: informational, followers are healthy by design
+    checks.leader = getLeaderStatus() || { isLeader: false, mode: "pending" };
+
     const overallStatus =
-      checks.supabase.ok && checks.rpc.ok ? "OK" : "DEGRADED";
+      checks.supabase.ok &&
+      checks.rpc.ok &&
+      checks.rpcPool.ok &&
+      checks.blockCursors.ok
+        ? "OK"
+        : "DEGRADED";
 
     const payload = {
       status: overallStatus,
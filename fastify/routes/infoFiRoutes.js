@@ -2,6 +2,13 @@
 import { supabase, db } from "../../shared/supabaseClient.js";
 import { publicClient } from "../../src/lib/viemClient.js";
 import { infoFiPositionService } from "../../src/services/infoFiPositionService.js";
+import { infoFiPayoutService } from "../../src/services/infoFiPayoutService.js";
+import { seasonSettlementService } from "../../src/services/seasonSettlementService.js";
+import {
+  seasonAutomationService,
+  SEASON_ADMIN_ACTIONS,
+} from "../../src/services/seasonAutomationService.js";
+import { createRequireAdmin } from "../../shared/adminGuard.js";
 import {
   historicalOddsService,
   historicalOddsRanges,
@@ -12,6 +19,8 @@ import {
  * Provides endpoints for fetching prediction market data from Supabase
  */
 export default async function infoFiRoutes(fastify) {
+  const requireAdmin = createRequireAdmin();
+
   /**
    * GET /api/infofi/markets
    * Get all markets, optionally filtered by season, status, or type
@@ -1103,214 +1112,191 @@ export default async function infoFiRoutes(fastify) {
 
   /**
    * POST /api/infofi/admin/settle-season
-   * Manually settle all InfoFi markets for a completed season
+   * Queue a settlement (or resumption) of all InfoFi markets for a completed
+   * season: pending → onchain_resolved → db_settled → winnings_computed. The
+   * leader runs it, sending resolveSeasonMarkets() through its transaction
+   * manager; re-queueing continues from the last completed step.
+   * winnerAddress must match the Raffle's onchain winner.
    * Body: { seasonId: number, winnerAddress: string, resolveOnchain?: boolean }
+   * Shape (202): { actionId, status: "queued" } - poll
+   *   GET /api/admin/seasons/actions/:id; its result holds the settlement
    */
-  fastify.post("/admin/settle-season", async (request, reply) => {
-    try {
-      const {
-        seasonId,
-        winnerAddress,
-        resolveOnchain = true,
-      } = request.body || {};
-
-      if (!seasonId || !winnerAddress) {
-        return reply.code(400).send({
-          error: "seasonId and winnerAddress are required",
-        });
-      }
-
-      const normalizedWinner = winnerAddress.toLowerCase();
-      let onchainResult = null;
-
-      // Step 1: Resolve markets onchain if requested
-      if (resolveOnchain) {
-        const { getWalletClient, publicClient } =
-          await import("../../src/lib/viemClient.js");
-        const { getChainByKey } = await import("../../src/config/chain.js");
-        const InfoFiMarketFactoryAbi = (
-          await import("../../src/abis/InfoFiMarketFactoryAbi.js")
-        ).default;
-
-        const network = process.env.DEFAULT_NETWORK || "TESTNET";
-        const chain = getChainByKey(network);
-        const infoFiFactoryAddress = chain.infofiFactory;
-        if (!infoFiFactoryAddress) {
-          onchainResult = {
-            success: false,
-            error: `INFOFI_FACTORY_ADDRESS_${network} not configured`,
-          };
-        } else {
-          try {
-            const wallet = getWalletClient(network);
-
-            fastify.log.info(
-              `📡 Calling resolveSeasonMarkets(${seasonId}, ${winnerAddress})`,
-            );
+  fastify.post(
+    "/admin/settle-season",
+    { preHandler: requireAdmin },
+    async (request, reply) => {
+      try {
+        const {
+          seasonId,
+          winnerAddress,
+          resolveOnchain = true,
+        } = request.body || {};
+
+        if (!seasonId || !winnerAddress) {
+          return reply.code(400).send({
+            error: "seasonId and winnerAddress are required",
+          });
+        }
 
-            const hash = await wallet.writeContract({
-              address: infoFiFactoryAddress,
-              abi: InfoFiMarketFactoryAbi,
-              functionName: "resolveSeasonMarkets",
-              args: [BigInt(seasonId), winnerAddress],
-            });
+        const onchainWinner = await seasonSettlementService.getOnchainWinner(
+          Number(seasonId),
+        );
+        if (!onchainWinner) {
+          return reply.code(409).send({
+            error: `Season ${seasonId} has no winner onchain yet`,
+          });
+        }
+        if (onchainWinner.toLowerCase() !== String(winnerAddress).toLowerCase()) {
+          return reply.code(400).send({
+            error: "winnerAddress does not match the season's onchain winner",
+            details: `Onchain winner: ${onchainWinner}`,
+          });
+        }
 
-            fastify.log.info(`⏳ Transaction submitted: ${hash}`);
+        const entry = await seasonAutomationService.enqueueAction({
+          action: SEASON_ADMIN_ACTIONS.SETTLE,
+          seasonId: Number(seasonId),
+          actor: {
+            fid: request.user?.fid ?? null,
+            wallet: request.user?.wallet_address || request.user?.wallet || null,
+          },
+          params: { winnerAddress, resolveOnchain: Boolean(resolveOnchain) },
+        });
 
-            const receipt = await publicClient.waitForTransactionReceipt({
-              hash,
-              confirmations: 1,
-            });
+        fastify.log.info(
+          { seasonId, winnerAddress, actionId: entry.id },
+          "InfoFi season settlement queued",
+        );
 
-            onchainResult = {
-              success: receipt.status === "success",
-              hash,
-              blockNumber: Number(receipt.blockNumber),
-            };
+        return reply.code(202).send({ actionId: entry.id, status: entry.status });
+      } catch (error) {
+        fastify.log.error({ error }, "Error queueing InfoFi settlement");
+        return reply.code(500).send({
+          error: "Failed to queue settlement",
+          details: error.message,
+        });
+      }
+    },
+  );
 
-            fastify.log.info(
-              `✅ Onchain resolution complete: ${receipt.status}`,
-            );
-          } catch (onchainError) {
-            onchainResult = {
-              success: false,
-              error: onchainError.message,
-              shortMessage: onchainError.shortMessage,
-            };
-            fastify.log.error(
-              { error: onchainError },
-              "Onchain resolution failed",
-            );
-          }
-        }
+  /**
+   * POST /api/infofi/admin/seasons/:seasonId/settlement/reset
+   * Discard a settlement that has not been resolved onchain (e.g. one pinned
+   * to the wrong winner) so the next settle-season run starts over.
+   * Shape: { success, seasonId, previous }
+   */
+  fastify.post(
+    "/admin/seasons/:seasonId/settlement/reset",
+    { preHandler: requireAdmin },
+    async (request, reply) => {
+      const { seasonId } = request.params;
+      if (!/^[0-9]+$/.test(seasonId)) {
+        return reply.code(400).send({ error: "Invalid seasonId" });
       }
 
-      // Step 2: Update database records
-      const { data: markets, error: fetchError } = await supabase
-        .from("infofi_markets")
-        .select("*")
-        .eq("season_id", seasonId);
+      try {
+        const result = await seasonSettlementService.resetSettlement(
+          Number(seasonId),
+        );
 
-      if (fetchError) {
-        throw new Error(fetchError.message);
-      }
+        if (!result.reset) {
+          const errors = {
+            not_found: [404, `No settlement started for season ${seasonId}`],
+            in_progress: [409, "Settlement is running; retry once it stops"],
+            resolved_onchain: [
+              409,
+              "Markets were already resolved onchain; the settlement cannot be reset",
+            ],
+          };
+          const [code, error] = errors[result.reason];
+          return reply.code(code).send({ error });
+        }
 
-      if (!markets || markets.length === 0) {
+        fastify.log.warn(
+          {
+            seasonId,
+            previousWinner: result.previous.winnerAddress,
+            previousStatus: result.previous.status,
+            user: request.user?.wallet_address || request.user?.fid,
+          },
+          "InfoFi season settlement reset",
+        );
         return reply.send({
           success: true,
-          message: `No InfoFi markets found for season ${seasonId}`,
-          settled: 0,
-          onchainResult,
+          seasonId: Number(seasonId),
+          previous: result.previous,
+        });
+      } catch (error) {
+        fastify.log.error({ error }, "Error resetting season settlement");
+        return reply.code(500).send({
+          error: "Failed to reset settlement",
+          details: error.message,
         });
       }
+    },
+  );
 
-      let settled = 0;
-      const results = [];
-
-      // Update each market and create winnings entries
-      for (const market of markets) {
-        const isWinner =
-          market.player_address?.toLowerCase() === normalizedWinner;
-
-        const { error: updateError } = await supabase
-          .from("infofi_markets")
-          .update({
-            is_active: false,
-            is_settled: true,
-            settlement_time: new Date().toISOString(),
-            winning_outcome: isWinner,
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", market.id);
-
-        if (updateError) {
-          results.push({
-            marketId: market.id,
-            player: market.player_address,
-            error: updateError.message,
-          });
-          continue;
-        }
+  /**
+   * GET /api/infofi/admin/seasons/:seasonId/settlement
+   * Settlement progress for a season.
+   * Shape: { seasonId, winnerAddress, status, completed, nextStep, onchain, marketsSettled, winnings, attempts, lastError, ... }
+   */
+  fastify.get(
+    "/admin/seasons/:seasonId/settlement",
+    { preHandler: requireAdmin },
+    async (request, reply) => {
+      const { seasonId } = request.params;
+      if (!/^[0-9]+$/.test(seasonId)) {
+        return reply.code(400).send({ error: "Invalid seasonId" });
+      }
 
-        // Step 3: Calculate winnings for users who bet on the winning outcome
-        // Get all positions for this market
-        const { data: positions, error: posError } = await supabase
-          .from("infofi_positions")
-          .select("*")
-          .eq("market_id", market.id);
-
-        if (posError) {
-          fastify.log.error(
-            { error: posError, marketId: market.id },
-            "Failed to fetch positions for market",
-          );
-        } else if (positions && positions.length > 0) {
-          // Determine winning outcome: YES if player won, NO if player lost
-          const winningOutcome = isWinner ? "YES" : "NO";
-
-          // Calculate winnings for each user who bet on the winning outcome
-          for (const pos of positions) {
-            if (pos.outcome === winningOutcome) {
-              // Check if winning already exists
-              const { data: existingWinning } = await supabase
-                .from("infofi_winnings")
-                .select("id")
-                .eq("user_address", pos.user_address)
-                .eq("market_id", market.id)
-                .single();
-
-              if (!existingWinning) {
-                // Create winning entry (amount = position amount for now, can be adjusted)
-                const { error: winError } = await supabase
-                  .from("infofi_winnings")
-                  .insert({
-                    user_address: pos.user_address,
-                    market_id: market.id,
-                    amount: pos.amount, // Payout amount
-                    is_claimed: false,
-                    created_at: new Date().toISOString(),
-                  });
-
-                if (winError) {
-                  fastify.log.error(
-                    { error: winError, position: pos },
-                    "Failed to create winning entry",
-                  );
-                }
-              }
-            }
-          }
+      try {
+        const settlement = await seasonSettlementService.getStatus(
+          Number(seasonId),
+        );
+        if (!settlement) {
+          return reply
+            .code(404)
+            .send({ error: `No settlement started for season ${seasonId}` });
         }
-
-        settled++;
-        results.push({
-          marketId: market.id,
-          player: market.player_address,
-          isWinner,
-          settled: true,
+        return reply.send(settlement);
+      } catch (error) {
+        fastify.log.error({ error }, "Error fetching season settlement");
+        return reply.code(500).send({
+          error: "Failed to fetch settlement status",
+          details: error.message,
         });
       }
+    },
+  );
 
-      fastify.log.info(
-        { seasonId, winnerAddress, settled, total: markets.length },
-        "InfoFi markets settled",
-      );
+  /**
+   * GET /api/infofi/admin/seasons/:seasonId/payout-reconciliation
+   * Compare each user's outcome shares derived from Trade events with their
+   * on-chain outcome token balances, per market of the season.
+   * Shape: { seasonId, mismatches, markets: [{ marketId, fpmm, winningOutcome, users: [{ user, computed, onchain, matches, payoutShares, claimed }], unresolvedPositions, mismatches }] }
+   */
+  fastify.get(
+    "/admin/seasons/:seasonId/payout-reconciliation",
+    { preHandler: requireAdmin },
+    async (request, reply) => {
+      const { seasonId } = request.params;
+      if (!/^[0-9]+$/.test(seasonId)) {
+        return reply.code(400).send({ error: "Invalid seasonId" });
+      }
 
-      return reply.send({
-        success: true,
-        seasonId,
-        winnerAddress,
-        settled,
-        total: markets.length,
-        results,
-        onchainResult,
-      });
-    } catch (error) {
-      fastify.log.error({ error }, "Error settling InfoFi markets");
-      return reply.code(500).send({
-        error: "Failed to settle markets",
-        details: error.message,
-      });
-    }
-  });
+      try {
+        const report = await infoFiPayoutService.getSeasonReconciliation(
+          Number(seasonId),
+        );
+        return reply.send(report);
+      } catch (error) {
+        fastify.log.error({ error }, "Error reconciling InfoFi payouts");
+        return reply.code(500).send({
+          error: "Failed to reconcile payouts",
+          details: error.message,
+        });
+      }
+    },
+  );
 }
@@ -1,10 +1,22 @@
+import { createRequireAdmin } from "../../shared/adminGuard.js";
 import { raffleTransactionService } from "../../src/services/raffleTransactionService.js";
+import { positionRefreshService } from "../../src/services/positionRefreshService.js";
+import {
+  bondingCurvePriceService,
+  CANDLE_RESOLUTIONS,
+} from "../../src/services/bondingCurvePriceService.js";
+import {
+  leaderboardService,
+  LEADERBOARD_SORTS,
+} from "../../src/services/leaderboardService.js";
 
 /**
  * Raffle transaction history API routes
  * Provides endpoints for querying user transaction history and positions
  */
 export default async function raffleTransactionRoutes(fastify) {
+  const requireAdmin = createRequireAdmin();
+
   // Get all transactions for a season (paginated)
   fastify.get(
     "/transactions/season/:seasonId",
@@ -49,6 +61,113 @@ export default async function raffleTransactionRoutes(fastify) {
     }
   );
 
+  /**
+   * GET /api/raffle/seasons/:seasonId/price-history
+   * Ticket price OHLC candles from the season's bonding curve trades
+   *
+   * Query params:
+   * - resolution: Candle size (1m, 1h, 1d; default 1h)
+   * - from, to: Optional time bounds (ISO date or unix ms)
+   *
+   * Returns: { seasonId, resolution, candles, count, truncated }
+   */
+  fastify.get("/seasons/:seasonId/price-history", async (request, reply) => {
+    const seasonId = Number(request.params.seasonId);
+    const { resolution = "1h", from, to } = request.query;
+
+    if (!Number.isInteger(seasonId) || seasonId < 1) {
+      return reply.code(400).send({ error: "Invalid seasonId" });
+    }
+
+    if (!CANDLE_RESOLUTIONS[resolution]) {
+      return reply.code(400).send({
+        error: `Invalid resolution. Supported resolutions: ${Object.keys(
+          CANDLE_RESOLUTIONS,
+        ).join(", ")}`,
+      });
+    }
+
+    const parseTime = (value) => {
+      if (value === undefined) return undefined;
+      return new Date(/^[0-9]+$/.test(value) ? Number(value) : value);
+    };
+    const fromDate = parseTime(from);
+    const toDate = parseTime(to);
+
+    if (
+      (fromDate && Number.isNaN(fromDate.getTime())) ||
+      (toDate && Number.isNaN(toDate.getTime()))
+    ) {
+      return reply.code(400).send({ error: "Invalid from/to time" });
+    }
+
+    try {
+      return await bondingCurvePriceService.getPriceHistory(seasonId, {
+        resolution,
+        from: fromDate,
+        to: toDate,
+      });
+    } catch (error) {
+      fastify.log.error("Failed to fetch price history:", error);
+      return reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/raffle/seasons/:seasonId/leaderboard
+   * Ranked players with win probability, SOF spent and rank movement
+   *
+   * Query params:
+   * - sort: rank, tickets, sofSpent, rankChange, transactions (default rank)
+   * - order: asc | desc (default depends on sort)
+   * - limit: Page size, 1-200 (default 50)
+   * - offset: Page offset (default 0)
+   */
+  fastify.get("/seasons/:seasonId/leaderboard", async (request, reply) => {
+    const seasonId = Number(request.params.seasonId);
+    const { sort = "rank", order } = request.query;
+    const limit =
+      request.query.limit === undefined ? 50 : Number(request.query.limit);
+    const offset =
+      request.query.offset === undefined ? 0 : Number(request.query.offset);
+
+    if (!Number.isInteger(seasonId) || seasonId < 1) {
+      return reply.code(400).send({ error: "Invalid seasonId" });
+    }
+
+    if (!(sort in LEADERBOARD_SORTS)) {
+      return reply.code(400).send({
+        error: `Invalid sort. Supported sorts: ${Object.keys(
+          LEADERBOARD_SORTS,
+        ).join(", ")}`,
+      });
+    }
+
+    if (order !== undefined && order !== "asc" && order !== "desc") {
+      return reply.code(400).send({ error: "order must be asc or desc" });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return reply.code(400).send({ error: "limit must be between 1 and 200" });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return reply.code(400).send({ error: "offset must be a non-negative integer" });
+    }
+
+    try {
+      return await leaderboardService.getLeaderboard(seasonId, {
+        sort,
+        order,
+        limit,
+        offset,
+      });
+    } catch (error) {
+      fastify.log.error("Failed to fetch leaderboard:", error);
+      return reply.code(500).send({ error: error.message });
+    }
+  });
+
   // Get user's transaction history for a season
   fastify.get(
     "/transactions/:userAddress/:seasonId",
@@ -161,6 +280,7 @@ export default async function raffleTransactionRoutes(fastify) {
         partitions: partitions || "unavailable",
         activeSeasons: seasons?.map((s) => s.season_id) || [],
         partitionCreation: partitionResults,
+        positionRefresh: positionRefreshService.getStatus(),
       };
     } catch (error) {
       return reply.code(500).send({ error: error.message });
@@ -189,13 +309,46 @@ export default async function raffleTransactionRoutes(fastify) {
     }
   });
 
+  /**
+   * POST /api/raffle/admin/price-history/:seasonId/sync
+   * Backfill a season's price history from chain (admin only)
+   */
+  fastify.post(
+    "/admin/price-history/:seasonId/sync",
+    { preHandler: requireAdmin },
+    async (request, reply) => {
+      const seasonId = Number(request.params.seasonId);
+
+      if (!Number.isInteger(seasonId) || seasonId < 1) {
+        return reply.code(400).send({ error: "Invalid seasonId" });
+      }
+
+      try {
+        return await bondingCurvePriceService.syncSeason(seasonId);
+      } catch (error) {
+        fastify.log.error("Failed to sync price history:", error);
+        return reply.code(500).send({ error: error.message });
+      }
+    },
+  );
+
   // Admin: Refresh materialized view
   fastify.post("/admin/refresh-positions", async (request, reply) => {
     const { seasonId } = request.body;
 
     try {
-      await raffleTransactionService.refreshUserPositions(seasonId || null);
-      return { success: true, message: "Positions refreshed" };
+      const result = await positionRefreshService.refresh({
+        seasonId: seasonId || null,
+        trigger: "manual",
+      });
+      if (!result.success) {
+        return reply.code(500).send({ error: result.error });
+      }
+      return {
+        success: true,
+        message: "Positions refreshed",
+        durationMs: result.durationMs,
+      };
     } catch (error) {
       fastify.log.error("Failed to refresh positions:", error);
       return reply.code(500).send({ error: error.message });
@@ -1,5 +1,7 @@
 // Season routes for exposing season_contracts data
 import { db } from "../../shared/supabaseClient.js";
+import { seasonAnalyticsService } from "../../src/services/seasonAnalyticsService.js";
+import { seasonTimelineService } from "../../src/services/seasonTimelineService.js";
 
 export default async function seasonRoutes(fastify) {
   // Get season contract info including created_block
@@ -18,6 +20,42 @@ export default async function seasonRoutes(fastify) {
     }
   });
 
+  // Get season performance summary (final once the season completes)
+  fastify.get("/:seasonId/analytics", async (request, reply) => {
+    const seasonId = Number(request.params.seasonId);
+
+    if (!Number.isInteger(seasonId) || seasonId < 1) {
+      return reply.status(400).send({ error: "Invalid seasonId" });
+    }
+
+    try {
+      const analytics = await seasonAnalyticsService.getAnalytics(seasonId);
+      if (!analytics) {
+        return reply.status(404).send({ error: "Season not found" });
+      }
+      return analytics;
+    } catch (error) {
+      fastify.log.error(error, "Failed to get season analytics");
+      return reply.status(500).send({ error: error.message });
+    }
+  });
+
+  // Get season lifecycle events and the stage the season has reached
+  fastify.get("/:seasonId/timeline", async (request, reply) => {
+    const seasonId = Number(request.params.seasonId);
+
+    if (!Number.isInteger(seasonId) || seasonId < 1) {
+      return reply.status(400).send({ error: "Invalid seasonId" });
+    }
+
+    try {
+      return await seasonTimelineService.getTimeline(seasonId);
+    } catch (error) {
+      fastify.log.error(error, "Failed to get season timeline");
+      return reply.status(500).send({ error: error.message });
+    }
+  });
+
   // Get all active seasons
   fastify.get("/", async (request, reply) => {
     try {
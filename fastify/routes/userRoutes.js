@@ -1,5 +1,6 @@
 import { db } from "../../shared/supabaseClient.js";
 import { usernameService } from "../../shared/usernameService.js";
+import { portfolioService } from "../../src/services/portfolioService.js";
 
 /**
  * User routes for fetching user-specific data
@@ -170,6 +171,33 @@ export async function userRoutes(fastify, options) {
       });
     }
   });
+
+  /**
+   * GET /api/users/:address/portfolio
+   * Raffle holdings, InfoFi shares, PnL and claimable winnings in one response
+   */
+  fastify.get("/:address/portfolio", async (request, reply) => {
+    try {
+      const { address } = request.params;
+
+      if (!address.match(/^0x[a-fA-F0-9]{40}$/i)) {
+        return reply
+          .code(400)
+          .send({ error: "Invalid Ethereum address format" });
+      }
+
+      return reply.send(await portfolioService.getPortfolio(address));
+    } catch (error) {
+      fastify.log.error(
+        { error, stack: error.stack },
+        "Unexpected error fetching portfolio"
+      );
+      return reply.status(500).send({
+        error: "Failed to fetch portfolio",
+        details: error.message,
+      });
+    }
+  });
 }
 
 export default userRoutes;
@@ -6,12 +6,30 @@ import process from "node:process";
 import { hasSupabase, db } from "../shared/supabaseClient.js";
 import { startSeasonStartedListener } from "../src/listeners/seasonStartedListener.js";
 import { startSeasonCompletedListener } from "../src/listeners/seasonCompletedListener.js";
+import { startSeasonTimelineListener } from "../src/listeners/seasonTimelineListener.js";
 import { startSeasonLifecycleService, getSeasonLifecycleService } from "../src/services/seasonLifecycleService.js";
 import { startPositionUpdateListener } from "../src/listeners/positionUpdateListener.js";
 import { startMarketCreatedListener } from "../src/listeners/marketCreatedListener.js";
+import { startInfoFiFactoryEventsListener } from "../src/listeners/infoFiFactoryEventsListener.js";
 import { startTradeListener } from "../src/listeners/tradeListener.js";
-import { startSponsorHatListener } from "../src/listeners/sponsorHatListener.js";
+import {
+  startSponsorHatListener,
+  stopSponsorHatListener,
+} from "../src/listeners/sponsorHatListener.js";
+import {
+  stopLogIngestionEngine,
+  getLogEngines,
+} from "../src/services/logIngestionService.js";
+import { listenerControlService } from "../src/services/listenerControlService.js";
+import { deadLetterService } from "../src/services/deadLetterService.js";
+import { positionRefreshService } from "../src/services/positionRefreshService.js";
+import {
+  startLeaderElection,
+  stopLeaderElection,
+} from "../src/services/leaderElectionService.js";
 import { infoFiPositionService } from "../src/services/infoFiPositionService.js";
+import { bondingCurvePriceService } from "../src/services/bondingCurvePriceService.js";
+import { seasonAnalyticsService } from "../src/services/seasonAnalyticsService.js";
 import { historicalOddsService } from "../shared/historicalOddsService.js";
 import raffleAbi from "../src/abis/RaffleAbi.js";
 import sofBondingCurveAbi from "../src/abis/SOFBondingCurveAbi.js";
@@ -157,6 +175,15 @@ try {
   app.log.error({ err }, "Failed to mount /api/admin");
 }
 
+try {
+  await app.register((await import("./routes/exportRoutes.js")).default, {
+    prefix: "/api/admin/exports",
+  });
+  app.log.info("Mounted /api/admin/exports");
+} catch (err) {
+  app.log.error({ err }, "Failed to mount /api/admin/exports");
+}
+
 try {
   await app.register(
     (await import("./routes/raffleTransactionRoutes.js")).default,
@@ -285,11 +312,16 @@ app.setNotFoundHandler((_request, reply) => {
 let unwatchSeasonStarted;
 let unwatchSeasonCompleted;
 let unwatchMarketCreated;
+let unwatchInfoFiFactoryEvents;
+let unwatchSeasonTimeline;
 const positionUpdateListeners = new Map(); // Map of seasonId -> unwatch function
 const tradeListeners = new Map(); // Map of fpmmAddress -> unwatch function
 
 async function startListeners() {
   try {
+    // Load admin listener pauses first so paused listeners subscribe paused
+    await listenerControlService.start(app.log, { getEngines: getLogEngines });
+
     const isTestnet = NETWORK === "TESTNET";
 
     const raffleAddress = isTestnet
@@ -311,6 +343,14 @@ async function startListeners() {
     const onSeasonCreated = async (seasonData) => {
       const { seasonId, bondingCurveAddress, raffleTokenAddress } = seasonData;
 
+      // A SeasonStarted log replayed after a reorg must not start a second listener
+      if (positionUpdateListeners.has(seasonId)) {
+        app.log.debug(
+          `PositionUpdate listener already running for season ${seasonId}`,
+        );
+        return;
+      }
+
       try {
         app.log.info(
           `🎧 Starting PositionUpdate listener for season ${seasonId}`,
@@ -415,6 +455,19 @@ async function startListeners() {
       onSeasonCompleted,
     );
 
+    // Record every season lifecycle event on the season timeline
+    try {
+      unwatchSeasonTimeline = await startSeasonTimelineListener(
+        raffleAddress,
+        raffleAbi,
+        app.log,
+      );
+    } catch (error) {
+      app.log.error(
+        `❌ Failed to start season timeline listener: ${error.message}`,
+      );
+    }
+
     // Resolve InfoFi factory address based on NETWORK (already computed above)
     if (infoFiFactoryAddress) {
       try {
@@ -430,12 +483,25 @@ async function startListeners() {
           `❌ Failed to start MarketCreated listener: ${error.message}`,
         );
       }
+
+      // Market status, probability, failures, resolution and treasury alerts
+      try {
+        unwatchInfoFiFactoryEvents = await startInfoFiFactoryEventsListener(
+          infoFiFactoryAddress,
+          infoFiMarketFactoryAbi,
+          app.log,
+        );
+      } catch (error) {
+        app.log.error(
+          `❌ Failed to start InfoFi factory events listener: ${error.message}`,
+        );
+      }
     } else {
       // No InfoFi factory configured for this environment; skip listener entirely
       app.log.error(
         "No INFOFI_MARKET_FACTORY contract configured (INFOFI_FACTORY_ADDRESS_" +
           (NETWORK === "TESTNET" ? "TESTNET" : "LOCAL") +
-          ") - MarketCreated listener will not start",
+          ") - InfoFi factory listeners will not start",
       );
     }
 
@@ -504,12 +570,137 @@ async function startListeners() {
         `❌ Failed to start SponsorHatListener: ${error.message}`
       );
     }
+
+    // Refresh user_raffle_positions after trades and on a fallback cadence
+    positionRefreshService.start(app.log, {
+      debounceMs: process.env.POSITION_REFRESH_DEBOUNCE_MS
+        ? parseInt(process.env.POSITION_REFRESH_DEBOUNCE_MS)
+        : undefined,
+      intervalMs: process.env.POSITION_REFRESH_INTERVAL_MS
+        ? parseInt(process.env.POSITION_REFRESH_INTERVAL_MS)
+        : undefined,
+    });
+
+    // Reprocess event logs whose handlers failed (see deadLetterService)
+    deadLetterService.start(
+      app.log,
+      process.env.DEAD_LETTER_RETRY_INTERVAL_MS
+        ? parseInt(process.env.DEAD_LETTER_RETRY_INTERVAL_MS)
+        : undefined
+    );
   } catch (error) {
     app.log.error("Failed to start listeners:", error);
     // Don't crash server, but log the error
   }
 }
 
+/**
+ * Stop every listener and leader-only background service started by
+ * startListeners(). Used on shutdown and when this replica loses leadership.
+ */
+function stopListeners() {
+  if (unwatchSeasonStarted) {
+    unwatchSeasonStarted();
+    unwatchSeasonStarted = null;
+    app.log.info("🛑 Stopped SeasonStarted listener");
+  }
+
+  if (unwatchSeasonCompleted) {
+    unwatchSeasonCompleted();
+    unwatchSeasonCompleted = null;
+    app.log.info("🛑 Stopped SeasonCompleted listener");
+  }
+
+  if (unwatchMarketCreated) {
+    unwatchMarketCreated();
+    unwatchMarketCreated = null;
+    app.log.info("🛑 Stopped MarketCreated listener");
+  }
+
+  if (unwatchInfoFiFactoryEvents) {
+    unwatchInfoFiFactoryEvents();
+    unwatchInfoFiFactoryEvents = null;
+    app.log.info("🛑 Stopped InfoFi factory events listener");
+  }
+
+  if (unwatchSeasonTimeline) {
+    unwatchSeasonTimeline();
+    unwatchSeasonTimeline = null;
+    app.log.info("🛑 Stopped season timeline listener");
+  }
+
+  // Stop all PositionUpdate listeners
+  for (const [seasonId, unwatch] of positionUpdateListeners.entries()) {
+    unwatch();
+    app.log.info(`🛑 Stopped PositionUpdate listener for season ${seasonId}`);
+  }
+  positionUpdateListeners.clear();
+
+  // Stop all Trade listeners
+  for (const [fpmmAddress, unwatch] of tradeListeners.entries()) {
+    unwatch();
+    app.log.info(`🛑 Stopped Trade listener for FPMM ${fpmmAddress}`);
+  }
+  tradeListeners.clear();
+
+  // Stop the shared log ingestion loop
+  stopLogIngestionEngine();
+  stopSponsorHatListener();
+  listenerControlService.stop();
+  deadLetterService.stop();
+  positionRefreshService.stop();
+
+  // Stop Season Lifecycle Service
+  try {
+    const lifecycleService = getSeasonLifecycleService(app.log);
+    lifecycleService.stop();
+  } catch {
+    // Service may not have been started
+  }
+}
+
+// Resolves once the current leader term's listeners finished starting
+let listenersStarting = null;
+
+/**
+ * Leader-only work: chain listeners and their admin controls, lifecycle
+ * automation, sponsor hat minting, dead-letter retries and the startup
+ * sync/seed jobs.
+ */
+function startLeaderTasks() {
+  // Start listeners in background (non-blocking)
+  // This prevents slow listener initialization from blocking server readiness
+  listenersStarting = startListeners().catch((err) => {
+    app.log.error({ err }, "Failed to start listeners");
+  });
+
+  // Sync historical positions in background (non-blocking)
+  syncHistoricalPositions().catch((err) => {
+    app.log.error({ err }, "Failed to sync historical positions");
+  });
+
+  // Seed initial odds history for charts (non-blocking)
+  seedInitialOddsHistory().catch((err) => {
+    app.log.error({ err }, "Failed to seed initial odds history");
+  });
+
+  // Backfill price history for seasons never synced (non-blocking)
+  syncPriceHistory().catch((err) => {
+    app.log.error({ err }, "Failed to sync price history");
+  });
+}
+
+async function stopLeaderTasks() {
+  // Let an in-flight startup finish so nothing starts after we stop
+  if (listenersStarting) {
+    await listenersStarting;
+    listenersStarting = null;
+  }
+  stopListeners();
+  // Reorg resets stop reaching this replica's cached analytics
+  seasonAnalyticsService.reset();
+}
+
 /**
  * Sync historical positions for all active markets
  * Runs on server startup to catch any missed trades
@@ -597,6 +788,19 @@ async function seedInitialOddsHistory() {
   }
 }
 
+/**
+ * Backfill ticket price history for seasons that were never synced from chain
+ * Keeps GET /price-history read-only
+ */
+async function syncPriceHistory() {
+  app.log.info("📈 Backfilling price history for unsynced seasons...");
+  const { synced, failed } =
+    await bondingCurvePriceService.syncUnsyncedSeasons(app.log);
+  app.log.info(
+    `✅ Price history backfill: ${synced} season(s) synced, ${failed} failed`,
+  );
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
 
@@ -605,23 +809,15 @@ try {
   await app.listen({ port: Number(PORT), host: "0.0.0.0" });
   app.log.info(`🚀 Server listening on port ${PORT}`);
 
-  // Start listeners in background (non-blocking)
-  // This prevents slow listener initialization from blocking server readiness
-  startListeners().catch((err) => {
-    app.log.error({ err }, "Failed to start listeners");
-  });
-
-  // Sync historical positions in background (non-blocking)
-  syncHistoricalPositions().catch((err) => {
-    app.log.error({ err }, "Failed to sync historical positions");
-  });
-
-  // Seed initial odds history for charts (non-blocking)
-  seedInitialOddsHistory().catch((err) => {
-    app.log.error({ err }, "Failed to seed initial odds history");
+  // Listeners, lifecycle automation and on-chain writers run on the leader
+  // replica only; API routes serve on every replica
+  await startLeaderElection({
+    logger: app.log,
+    onElected: startLeaderTasks,
+    onDemoted: stopLeaderTasks,
   });
 
-  app.log.info("✅ Server ready - listeners and sync starting in background");
+  app.log.info("✅ Server ready - listeners and sync start once this replica leads");
 } catch (err) {
   app.log.error(err);
   process.exit(1);
@@ -641,41 +837,8 @@ process.on("SIGINT", async () => {
   app.log.info("Shutting down server...");
 
   try {
-    // Stop all listeners
-    if (unwatchSeasonStarted) {
-      unwatchSeasonStarted();
-      app.log.info("🛑 Stopped SeasonStarted listener");
-    }
-
-    if (unwatchSeasonCompleted) {
-      unwatchSeasonCompleted();
-      app.log.info("🛑 Stopped SeasonCompleted listener");
-    }
-
-    if (unwatchMarketCreated) {
-      unwatchMarketCreated();
-      app.log.info("🛑 Stopped MarketCreated listener");
-    }
-
-    // Stop all PositionUpdate listeners
-    for (const [seasonId, unwatch] of positionUpdateListeners.entries()) {
-      unwatch();
-      app.log.info(`🛑 Stopped PositionUpdate listener for season ${seasonId}`);
-    }
-
-    // Stop all Trade listeners
-    for (const [fpmmAddress, unwatch] of tradeListeners.entries()) {
-      unwatch();
-      app.log.info(`🛑 Stopped Trade listener for FPMM ${fpmmAddress}`);
-    }
-
-    // Stop Season Lifecycle Service
-    try {
-      const lifecycleService = getSeasonLifecycleService(app.log);
-      lifecycleService.stop();
-    } catch {
-      // Service may not have been started
-    }
+    // Release leadership (stops listeners) so a follower takes over at once
+    await stopLeaderElection();
 
     await app.close();
     app.log.info("✅ Server shut down gracefully");
@@ -0,0 +1,14 @@
+-- Migration 015: Support rolling back rows produced by reorged-out blocks.
+-- Odds points are tagged with the transaction that produced them so listeners
+-- can retract them alongside raffle_transactions / infofi_positions rows.
+
+alter table infofi_odds_history
+  add column if not exists tx_hash text;
+
+create index if not exists idx_odds_history_tx_hash
+  on infofi_odds_history (tx_hash)
+  where tx_hash is not null;
+
+-- Retraction lookups on infofi_positions
+create index if not exists idx_infofi_positions_tx_hash
+  on infofi_positions (tx_hash);
@@ -0,0 +1,32 @@
+-- Migration 016: Dead-letter queue for contract event handler failures.
+-- When a listener fails to process a log, the raw log is parked here instead
+-- of being dropped as the block cursor moves on. A background retrier
+-- reprocesses pending rows with exponential backoff; admins can retry or
+-- discard them via /api/admin/dead-letters.
+CREATE TABLE IF NOT EXISTS event_dead_letters (
+    id BIGSERIAL PRIMARY KEY,
+    listener_key TEXT NOT NULL,
+    event_name TEXT,
+    contract_address TEXT,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT,
+    raw_log JSONB NOT NULL,
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'resolved', 'discarded', 'exhausted')),
+    next_retry_at TIMESTAMPTZ DEFAULT NOW(),
+    last_attempt_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(listener_key, tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_dead_letters_due
+    ON event_dead_letters(status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_event_dead_letters_listener
+    ON event_dead_letters(listener_key);
+
+ALTER TABLE event_dead_letters ENABLE ROW LEVEL SECURITY;
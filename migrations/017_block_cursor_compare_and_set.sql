@@ -0,0 +1,30 @@
+-- Migration 017: Monotonic block cursor writes.
+-- advance_block_cursor only moves a listener cursor forward, so two backend
+-- instances racing on the same listener can never move it backwards.
+-- Returns the cursor value stored after the call (equal to p_block when the
+-- write was applied). Deliberate rewinds after a reorg use a plain upsert.
+
+CREATE OR REPLACE FUNCTION advance_block_cursor(p_listener_key TEXT, p_block BIGINT)
+RETURNS BIGINT AS $$
+DECLARE
+    stored BIGINT;
+BEGIN
+    INSERT INTO listener_block_cursors AS c (listener_key, last_block, updated_at)
+    VALUES (p_listener_key, p_block, now())
+    ON CONFLICT (listener_key) DO UPDATE
+        SET last_block = EXCLUDED.last_block,
+            updated_at = EXCLUDED.updated_at
+        WHERE c.last_block <= EXCLUDED.last_block
+    RETURNING last_block INTO stored;
+
+    IF stored IS NULL THEN
+        SELECT last_block INTO stored
+        FROM listener_block_cursors
+        WHERE listener_key = p_listener_key;
+    END IF;
+
+    RETURN stored;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION advance_block_cursor(TEXT, BIGINT) TO service_role;
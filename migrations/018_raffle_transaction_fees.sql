@@ -0,0 +1,37 @@
+-- Migration 018: Real SOF amounts and fees for raffle transactions.
+-- sof_amount now comes from the bonding curve's TokensPurchased / TokensSold
+-- event in the same transaction as the PositionUpdate: SOF paid for a BUY,
+-- SOF received for a SELL. fee_amount is the curve fee charged on the trade.
+-- Rows recorded before this migration keep sof_amount = 0 until the backfill
+-- CLI replays their PositionUpdate logs.
+
+ALTER TABLE raffle_transactions
+    ADD COLUMN IF NOT EXISTS fee_amount NUMERIC NOT NULL DEFAULT 0;
+
+-- Cost basis counts buys only; sells reduce the position instead of adding
+-- to it (ticket_amount is stored unsigned).
+DROP MATERIALIZED VIEW IF EXISTS user_raffle_positions;
+
+CREATE MATERIALIZED VIEW user_raffle_positions AS
+SELECT
+    user_address,
+    player_id,
+    season_id,
+    COUNT(*) as transaction_count,
+    SUM(CASE WHEN transaction_type = 'BUY' THEN ticket_amount ELSE 0 END) as total_bought,
+    SUM(CASE WHEN transaction_type = 'SELL' THEN ABS(ticket_amount) ELSE 0 END) as total_sold,
+    SUM(CASE WHEN transaction_type = 'SELL' THEN -ABS(ticket_amount) ELSE ticket_amount END) as current_tickets,
+    SUM(CASE WHEN transaction_type = 'BUY' THEN sof_amount ELSE 0 END) as total_sof_spent,
+    SUM(CASE WHEN transaction_type = 'SELL' THEN sof_amount ELSE 0 END) as total_sof_received,
+    SUM(fee_amount) as total_fees_paid,
+    AVG(CASE WHEN transaction_type = 'BUY' AND sof_amount > 0 THEN price_per_ticket ELSE NULL END) as avg_buy_price,
+    MIN(block_timestamp) as first_transaction_at,
+    MAX(block_timestamp) as last_transaction_at,
+    ARRAY_AGG(tx_hash ORDER BY block_timestamp) as transaction_hashes
+FROM raffle_transactions
+GROUP BY user_address, player_id, season_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_raffle_pos_unique ON user_raffle_positions(user_address, season_id);
+CREATE INDEX IF NOT EXISTS idx_user_raffle_pos_player ON user_raffle_positions(player_id, season_id);
+
+GRANT SELECT ON user_raffle_positions TO service_role;
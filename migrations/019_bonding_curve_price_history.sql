@@ -0,0 +1,38 @@
+-- Ticket price history for bonding curve seasons.
+-- One row per TokensPurchased / TokensSold event: the curve price of the next
+-- ticket at the supply after the trade. Written by the PositionUpdate listener
+-- and by the on-demand chain backfill; served as OHLC candles by
+-- GET /api/raffle/seasons/:seasonId/price-history.
+
+create table if not exists bonding_curve_price_history (
+  id bigserial primary key,
+  season_id bigint not null,
+  curve_address text not null,
+  tx_hash text not null,
+  log_index integer not null,
+  block_number bigint not null,
+  recorded_at timestamptz not null,
+  side text not null check (side in ('BUY', 'SELL')),
+  ticket_amount numeric not null,
+  sof_amount numeric not null default 0,
+  fee_amount numeric not null default 0,
+  supply_after numeric not null,
+  price numeric not null,
+  unique (tx_hash, log_index)
+);
+
+-- Primary query pattern: a season's points within a time range, ordered by time
+create index if not exists idx_curve_price_history_season_time
+  on bonding_curve_price_history (season_id, recorded_at);
+
+-- RLS: read-only for all, writes via service role key
+alter table bonding_curve_price_history enable row level security;
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies where policyname = 'bonding_curve_price_history_read'
+  ) then
+    create policy bonding_curve_price_history_read
+      on bonding_curve_price_history for select using (true);
+  end if;
+end $$;
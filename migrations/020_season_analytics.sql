@@ -0,0 +1,22 @@
+-- Season analytics snapshots.
+-- Analytics for active seasons are computed incrementally in memory; once a
+-- season completes the final summary is materialized here and served as-is.
+
+create table if not exists season_analytics (
+  season_id bigint primary key,
+  summary jsonb not null,
+  is_final boolean not null default false,
+  computed_at timestamptz not null default now()
+);
+
+-- RLS: read-only for all, writes via service role key
+alter table season_analytics enable row level security;
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies where policyname = 'season_analytics_read'
+  ) then
+    create policy season_analytics_read
+      on season_analytics for select using (true);
+  end if;
+end $$;
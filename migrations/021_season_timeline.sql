@@ -0,0 +1,33 @@
+-- Raffle season lifecycle timeline.
+-- One row per lifecycle event emitted by the Raffle contract (SeasonCreated
+-- through SeasonCompleted, plus VRF, prize distribution and auto-finalize
+-- outcomes), so ops can see where a season stopped progressing.
+
+create table if not exists season_timeline_events (
+  id bigserial primary key,
+  season_id bigint not null,
+  event_name text not null,
+  block_number bigint not null,
+  block_timestamp timestamptz,
+  tx_hash text not null,
+  log_index integer not null,
+  data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  unique (tx_hash, log_index)
+);
+
+-- Primary query pattern: a season's events in chain order
+create index if not exists idx_season_timeline_season
+  on season_timeline_events (season_id, block_number, log_index);
+
+-- RLS: read-only for all, writes via service role key
+alter table season_timeline_events enable row level security;
+do $$
+begin
+  if not exists (
+    select 1 from pg_policies where policyname = 'season_timeline_events_read'
+  ) then
+    create policy season_timeline_events_read
+      on season_timeline_events for select using (true);
+  end if;
+end $$;
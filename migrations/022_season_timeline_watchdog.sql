@@ -0,0 +1,14 @@
+-- Season watchdog actions on the season timeline.
+-- Watchdog entries (SLA breaches, finalization retries) are written by the
+-- backend rather than emitted on-chain, so they have no block or log.
+
+alter table season_timeline_events
+  add column if not exists source text not null default 'chain'
+    check (source in ('chain', 'watchdog')),
+  alter column block_number drop not null,
+  alter column tx_hash drop not null,
+  alter column log_index drop not null;
+
+-- Timeline is read in time order so watchdog entries interleave with events
+create index if not exists idx_season_timeline_season_time
+  on season_timeline_events (season_id, block_timestamp);
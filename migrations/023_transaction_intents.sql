@@ -0,0 +1,36 @@
+-- Migration 023: Durable intents for backend contract writes.
+-- Before the backend broadcasts a transaction it records what it is about to
+-- send (function, args, calldata, nonce, hash, fees). The partial unique index
+-- lets only one active intent exist per intent_key, so a restarted process or
+-- a second replica cannot submit the same season transition twice. On boot
+-- and periodically, active intents are reconciled against chain receipts.
+CREATE TABLE IF NOT EXISTS transaction_intents (
+    id BIGSERIAL PRIMARY KEY,
+    intent_key TEXT NOT NULL,
+    contract_address TEXT NOT NULL,
+    function_name TEXT NOT NULL,
+    args JSONB NOT NULL DEFAULT '[]',
+    calldata TEXT NOT NULL,
+    signer TEXT NOT NULL,
+    nonce BIGINT,
+    tx_hash TEXT,
+    replaced_tx_hashes JSONB NOT NULL DEFAULT '[]',
+    max_fee_per_gas NUMERIC,
+    max_priority_fee_per_gas NUMERIC,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'submitted', 'confirmed', 'failed', 'dropped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    block_number BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One in-flight intent per key (pending = claimed, submitted = broadcast)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transaction_intents_active_key
+    ON transaction_intents(intent_key)
+    WHERE status IN ('pending', 'submitted');
+CREATE INDEX IF NOT EXISTS idx_transaction_intents_status
+    ON transaction_intents(status, updated_at);
+
+ALTER TABLE transaction_intents ENABLE ROW LEVEL SECURITY;
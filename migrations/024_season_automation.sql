@@ -0,0 +1,33 @@
+-- Admin control over season lifecycle automation.
+-- season_automation_overrides pauses automatic start/end/finalize for a
+-- season (read by the leader on every lifecycle check, so a pause set through
+-- any replica takes effect and survives restarts). season_admin_actions is
+-- the audit log of every admin action on season automation.
+
+create table if not exists season_automation_overrides (
+  season_id bigint primary key,
+  paused boolean not null default false,
+  reason text,
+  updated_by jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists season_admin_actions (
+  id bigserial primary key,
+  season_id bigint,
+  action text not null
+    check (action in ('check', 'force_start', 'force_end', 'pause', 'resume')),
+  actor jsonb,
+  params jsonb not null default '{}'::jsonb,
+  success boolean not null,
+  result jsonb,
+  error_message text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_season_admin_actions_season
+  on season_admin_actions (season_id, created_at desc);
+
+-- RLS: no public policies; reads and writes via service role key only
+alter table season_automation_overrides enable row level security;
+alter table season_admin_actions enable row level security;
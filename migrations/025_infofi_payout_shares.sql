@@ -0,0 +1,22 @@
+-- FPMM-accurate InfoFi payouts.
+-- infofi_positions.amount is the SOF spent on a trade; what a winner can
+-- redeem is the outcome shares the trade bought (Trade.amountOut). Positions
+-- now keep the raw share amount (wei) so settlement can sum each user's
+-- winning shares per market, and winnings keep the shares they pay out so
+-- re-running settlement can tell whether a row is already correct.
+-- Positions recorded before this migration are backfilled from their
+-- transaction receipts the first time their market is settled.
+
+alter table infofi_positions
+  add column if not exists shares numeric(78, 0),
+  add column if not exists block_number bigint;
+
+alter table infofi_winnings
+  add column if not exists shares numeric(78, 0),
+  add column if not exists updated_at timestamptz;
+
+-- Settlement reads all positions and winnings of a market per user
+create index if not exists idx_infofi_positions_market_user
+  on infofi_positions (market_id, user_address);
+create index if not exists idx_infofi_winnings_market_user
+  on infofi_winnings (market_id, user_address);
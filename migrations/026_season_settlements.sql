@@ -0,0 +1,29 @@
+-- InfoFi season settlement state machine.
+-- One row per season tracks how far settlement got:
+--   pending → onchain_resolved → db_settled → winnings_computed
+-- Both the SeasonCompleted listener and the admin settle-season endpoint
+-- drive the same row, so a settlement interrupted by a failed transaction,
+-- a database error or a restart resumes from the last completed step.
+
+create table if not exists season_settlements (
+  season_id bigint primary key,
+  winner_address text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'onchain_resolved', 'db_settled', 'winnings_computed')),
+  onchain_tx_hash text,
+  onchain_skipped boolean not null default false,
+  markets_settled integer not null default 0,
+  -- Per-market payout summaries from the winnings step
+  winnings jsonb not null default '[]'::jsonb,
+  attempts integer not null default 0,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists idx_season_settlements_status
+  on season_settlements (status);
+
+-- RLS: no public policies; reads and writes via service role key only
+alter table season_settlements enable row level security;
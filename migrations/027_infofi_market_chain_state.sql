@@ -0,0 +1,29 @@
+-- InfoFi market state from InfoFiMarketFactory events.
+-- MarketStatusChanged, ProbabilityUpdated and SeasonMarketsResolved are
+-- applied to infofi_markets so market status follows the chain. The block
+-- number of the last applied event guards against older logs (dead-letter
+-- retries, backfills) overwriting newer state.
+-- MarketCreationFailed logs are recorded in infofi_failed_markets with
+-- source 'CHAIN', one row per log.
+
+alter table infofi_markets
+  add column if not exists creation_status text,
+  add column if not exists status_reason text,
+  add column if not exists status_block_number bigint,
+  add column if not exists probability_block_number bigint,
+  add column if not exists resolved_onchain boolean not null default false,
+  add column if not exists resolution_tx_hash text;
+
+create index if not exists idx_infofi_markets_resolution_tx
+  on infofi_markets (resolution_tx_hash)
+  where resolution_tx_hash is not null;
+
+alter table infofi_failed_markets
+  add column if not exists market_type text,
+  add column if not exists tx_hash text,
+  add column if not exists log_index integer;
+
+-- One row per MarketCreationFailed log, so replays are idempotent
+create unique index if not exists idx_infofi_failed_markets_log
+  on infofi_failed_markets (tx_hash, log_index)
+  where tx_hash is not null;
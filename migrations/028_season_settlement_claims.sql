@@ -0,0 +1,7 @@
+-- Settlement runs claim their season before running a step, so two
+-- replicas cannot both send resolveSeasonMarkets() for the same season.
+-- A claim expires so a crashed instance does not block settlement forever.
+
+alter table season_settlements
+  add column if not exists claimed_by text,
+  add column if not exists claimed_until timestamptz;
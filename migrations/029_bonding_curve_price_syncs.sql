@@ -0,0 +1,14 @@
+-- Seasons whose price history has been backfilled from chain.
+-- The startup job backfills every season with a bonding curve that has no row
+-- here; POST /api/raffle/admin/price-history/:seasonId/sync re-runs a season
+-- on demand. GET /price-history only reads bonding_curve_price_history.
+
+create table if not exists bonding_curve_price_syncs (
+  season_id bigint primary key,
+  to_block bigint not null,
+  trades integer not null default 0,
+  synced_at timestamptz not null default now()
+);
+
+-- RLS: service role only
+alter table bonding_curve_price_syncs enable row level security;
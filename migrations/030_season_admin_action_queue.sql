@@ -0,0 +1,30 @@
+-- Queued season admin actions and the stored automation schedule.
+-- Forced start/end and immediate checks are queued in season_admin_actions
+-- by whichever replica receives the request; the leader claims and runs them
+-- and records the outcome on the same row. Rows written for synchronous
+-- actions (pause/resume) are inserted as completed or failed.
+-- season_automation_schedules holds the schedule the leader last computed, so
+-- GET /api/admin/seasons/schedule can be served by any replica.
+
+alter table season_admin_actions
+  add column if not exists status text not null default 'completed'
+    check (status in ('queued', 'running', 'completed', 'failed')),
+  add column if not exists started_at timestamptz,
+  add column if not exists completed_at timestamptz;
+
+-- Unknown until a queued action has run
+alter table season_admin_actions alter column success drop not null;
+
+create index if not exists idx_season_admin_actions_queue
+  on season_admin_actions (status, created_at)
+  where status in ('queued', 'running');
+
+create table if not exists season_automation_schedules (
+  raffle_address text primary key,
+  schedule jsonb not null,
+  instance_id text,
+  updated_at timestamptz not null default now()
+);
+
+-- RLS: no public policies; reads and writes via service role key only
+alter table season_automation_schedules enable row level security;
@@ -0,0 +1,21 @@
+-- Admin control state for contract event listeners.
+-- Pause/resume, restart and rewind requests made through any replica are
+-- stored here and applied by the leader, which runs the listeners. A pause
+-- survives restarts and leader changes. restart_requested and rewind_to are
+-- one-shot commands, cleared once the leader has applied them; command_id
+-- changes on every admin write so a newer command is never cleared unapplied.
+
+create table if not exists listener_controls (
+  listener_key text primary key,
+  paused boolean not null default false,
+  reason text,
+  restart_requested boolean not null default false,
+  rewind_to bigint,
+  command_id uuid not null,
+  updated_by jsonb,
+  updated_at timestamptz not null default now(),
+  applied_at timestamptz
+);
+
+-- RLS: no public policies; reads and writes via service role key only
+alter table listener_controls enable row level security;
@@ -0,0 +1,35 @@
+-- Migration 032: updated_at watermarks for incremental season analytics.
+-- The leader keeps per-season aggregates in memory and advances them with
+-- rows changed since its last read. An id cursor misses in-place updates
+-- (e.g. sof_amount filled in for transactions recorded before amounts were
+-- captured), so both source tables carry an updated_at kept current by a
+-- trigger, and the aggregates advance by that instead.
+
+create or replace function set_updated_at()
+returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$ language plpgsql;
+
+alter table raffle_transactions
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table infofi_positions
+  add column if not exists updated_at timestamptz not null default now();
+
+drop trigger if exists raffle_transactions_set_updated_at on raffle_transactions;
+create trigger raffle_transactions_set_updated_at
+  before update on raffle_transactions
+  for each row execute function set_updated_at();
+
+drop trigger if exists infofi_positions_set_updated_at on infofi_positions;
+create trigger infofi_positions_set_updated_at
+  before update on infofi_positions
+  for each row execute function set_updated_at();
+
+create index if not exists idx_raffle_tx_season_updated
+  on raffle_transactions (season_id, updated_at);
+create index if not exists idx_infofi_positions_market_updated
+  on infofi_positions (market_id, updated_at);
@@ -0,0 +1,11 @@
+-- Admin InfoFi settlement runs through the season admin action queue.
+-- POST /api/infofi/admin/settle-season queues a 'settle' action from any
+-- replica; the leader runs it, so resolveSeasonMarkets() is sent through the
+-- leader's transaction manager like every other backend write.
+
+alter table season_admin_actions
+  drop constraint if exists season_admin_actions_action_check;
+
+alter table season_admin_actions
+  add constraint season_admin_actions_action_check
+    check (action in ('check', 'force_start', 'force_end', 'pause', 'resume', 'settle'));
@@ -19,6 +19,7 @@ class HistoricalOddsService {
    * @param {number} [oddsData.hybrid_bps] - Hybrid odds in bps.
    * @param {number} [oddsData.raffle_bps] - Raffle odds in bps.
    * @param {number} [oddsData.sentiment_bps] - Sentiment odds in bps.
+   * @param {string} [oddsData.tx_hash] - Transaction that produced the update.
    * @returns {Promise<void>}
    */
   async recordOddsUpdate(seasonId, marketId, oddsData) {
@@ -36,6 +37,7 @@ class HistoricalOddsService {
         hybrid_bps: oddsData.hybrid_bps || 0,
         raffle_bps: oddsData.raffle_bps || 0,
         sentiment_bps: oddsData.sentiment_bps || 0,
+        tx_hash: oddsData.tx_hash || null,
       });
 
       if (error) {
@@ -187,6 +189,38 @@ class HistoricalOddsService {
     }
   }
 
+  /**
+   * Delete odds points produced by transactions that were reorged out.
+   * @param {string[]} txHashes - Transaction hashes to retract.
+   * @returns {Promise<boolean>}
+   */
+  async retractOddsUpdates(txHashes) {
+    try {
+      const hashes = [...new Set((txHashes || []).filter(Boolean))];
+      if (!hasSupabase || hashes.length === 0) {
+        return false;
+      }
+
+      const { error } = await supabase
+        .from("infofi_odds_history")
+        .delete()
+        .in("tx_hash", hashes);
+
+      if (error) {
+        console.error(
+          "[historicalOddsService] Failed to retract odds:",
+          error.message,
+        );
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      console.error("[historicalOddsService] Failed to retract odds", error);
+      return false;
+    }
+  }
+
   /**
    * Retrieve stats about stored market odds.
    * @param {number|string} seasonId - Season identifier.
@@ -106,6 +106,20 @@ class RedisClient {
     return this.client;
   }
 
+  /**
+   * Get the client only if Redis answers a ping
+   * @returns {Promise<import('ioredis').Redis|null>} null when Redis is unconfigured or unreachable
+   */
+  async getReachableClient() {
+    try {
+      const client = this.getClient();
+      await client.ping();
+      return client;
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Gracefully disconnect
    */
@@ -206,6 +206,7 @@ export class DatabaseService {
         marketData.is_active !== undefined ? marketData.is_active : true,
       is_settled:
         marketData.is_settled !== undefined ? marketData.is_settled : false,
+      creation_status: marketData.creation_status || null,
       created_at: marketData.created_at || new Date().toISOString(),
       updated_at: marketData.updated_at || new Date().toISOString(),
     };
@@ -275,6 +276,22 @@ export class DatabaseService {
     return data;
   }
 
+  /**
+   * Delete the market backed by an FPMM contract (used on chain reorg)
+   * @param {string} fpmmAddress - FPMM contract address
+   * @returns {Promise<Object[]>} Deleted market records
+   */
+  async deleteInfoFiMarketByFpmm(fpmmAddress) {
+    const { data, error } = await this.client
+      .from("infofi_markets")
+      .delete()
+      .eq("contract_address", fpmmAddress.toLowerCase())
+      .select();
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
   /**
    * Clear all InfoFi markets from database
    * Used when restarting local Anvil to ensure DB is in sync with chain
@@ -306,7 +323,7 @@ export class DatabaseService {
    * @param {Object} params
    * @param {number} params.seasonId - Season identifier
    * @param {string} params.playerAddress - Player wallet address
-   * @param {string} [params.source] - 'LISTENER' | 'ADMIN' | 'UNKNOWN'
+   * @param {string} [params.source] - 'LISTENER' | 'ADMIN' | 'CHAIN' | 'UNKNOWN'
    * @param {string} [params.errorMessage] - Error message, if any
    * @param {number} [params.attempts] - Number of attempts made
    * @returns {Promise<Object|null>} Inserted row or null on failure / no Supabase
@@ -614,6 +631,24 @@ export class DatabaseService {
     return data;
   }
 
+  /**
+   * Delete a season contracts record created at a given block (used on chain reorg)
+   * @param {number} seasonId - Season ID
+   * @param {number} createdBlock - Block the orphaned SeasonStarted log was in
+   * @returns {Promise<boolean>} true if a record was deleted
+   */
+  async deleteSeasonContracts(seasonId, createdBlock) {
+    const { data, error } = await this.client
+      .from("season_contracts")
+      .delete()
+      .eq("season_id", seasonId)
+      .eq("created_block", createdBlock)
+      .select();
+
+    if (error) throw new Error(error.message);
+    return (data || []).length > 0;
+  }
+
   /**
    * Update win probabilities for ALL players in a season
    * Called when any player's position changes (buy/sell)
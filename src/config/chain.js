@@ -21,11 +21,21 @@ export function loadChainEnv() {
     return value || "";
   };
 
+  // Comma-separated list of extra RPC endpoints tried when the primary fails
+  const parseUrlList = (value) =>
+    String(value || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+
   const env = {
     LOCAL: {
       id: Number(process.env.LOCAL_CHAIN_ID || 31337),
       name: process.env.LOCAL_CHAIN_NAME || "Local Anvil",
       rpcUrl: process.env.RPC_URL_LOCAL || "http://127.0.0.1:8545",
+      rpcFallbackUrls: parseUrlList(process.env.RPC_FALLBACK_URLS_LOCAL),
+      // Optional WebSocket endpoint; enables eth_subscribe for listeners
+      wsUrl: process.env.RPC_WS_URL_LOCAL || "",
       raffle: process.env.RAFFLE_ADDRESS_LOCAL || "",
       sof: process.env.SOF_ADDRESS_LOCAL || "",
       infofiFactory: process.env.INFOFI_FACTORY_ADDRESS_LOCAL || "",
@@ -34,11 +44,14 @@ export function loadChainEnv() {
       // Network-specific configuration
       avgBlockTime: 1, // Anvil produces blocks instantly
       lookbackBlocks: 10000n, // Smaller lookback for local testing
+      confirmations: BigInt(process.env.CONFIRMATIONS_LOCAL || 0), // Anvil never reorgs
     },
     TESTNET: {
       id: Number(process.env.TESTNET_CHAIN_ID || 84532),
       name: process.env.TESTNET_NAME || "Base Sepolia",
       rpcUrl: getEnvWithValidation("RPC_URL_TESTNET", "TESTNET", false), // Don't validate at load time
+      rpcFallbackUrls: parseUrlList(process.env.RPC_FALLBACK_URLS_TESTNET),
+      wsUrl: process.env.RPC_WS_URL_TESTNET || "",
       raffle: process.env.RAFFLE_ADDRESS_TESTNET || "",
       sof: process.env.SOF_ADDRESS_TESTNET || "",
       curve: process.env.CURVE_ADDRESS_TESTNET || "",
@@ -48,11 +61,14 @@ export function loadChainEnv() {
       // Network-specific configuration
       avgBlockTime: 2, // Base has ~2 second block time
       lookbackBlocks: 50000n, // Safe lookback under RPC limit (Base Sepolia limit is 100k)
+      confirmations: BigInt(process.env.CONFIRMATIONS_TESTNET || 5), // Blocks to lag behind head
     },
     MAINNET: {
       id: Number(process.env.MAINNET_CHAIN_ID || 8453),
       name: process.env.MAINNET_NAME || "Base",
       rpcUrl: getEnvWithValidation("RPC_URL_MAINNET", "MAINNET", false), // Don't validate at load time
+      rpcFallbackUrls: parseUrlList(process.env.RPC_FALLBACK_URLS_MAINNET),
+      wsUrl: process.env.RPC_WS_URL_MAINNET || "",
       raffle: process.env.RAFFLE_ADDRESS_MAINNET || "",
       sof: process.env.SOF_ADDRESS_MAINNET || "",
       curve: process.env.CURVE_ADDRESS_MAINNET || "",
@@ -62,6 +78,7 @@ export function loadChainEnv() {
       // Network-specific configuration
       avgBlockTime: 2, // Base has ~2 second block time
       lookbackBlocks: 50000n, // Safe lookback under RPC limit (Base mainnet limit is 100k)
+      confirmations: BigInt(process.env.CONFIRMATIONS_MAINNET || 10), // Blocks to lag behind head
     },
   };
 
@@ -5,64 +5,300 @@
  * Stores lastProcessedBlock per listener key so that on restart the poller
  * resumes from where it left off instead of re-scanning from "now".
  *
- * Backend: Supabase `listener_block_cursors` table.
+ * Backends (pluggable cursor stores, chosen once per process):
+ * - Redis (shared/redisClient.js) — preferred when reachable
+ * - Supabase `listener_block_cursors` table
+ * - In-memory (no persistence)
+ * Set BLOCK_CURSOR_STORE=redis|supabase|memory to force one.
+ *
+ * Writes are compare-and-set: set() only ever moves a cursor forward, so two
+ * backend instances cannot move the same cursor backwards. rewind() is the
+ * explicit escape hatch used after a chain reorg. Write failures are thrown
+ * to the caller and tracked for /api/health via getBlockCursorHealth().
  *
  * Usage:
  *   const cursor = await createBlockCursor("0xABC:SeasonStarted");
  *   const lastBlock = await cursor.get();     // bigint | null
- *   await cursor.set(12345n);
+ *   await cursor.set(12345n);                 // { applied, current }
+ *   await cursor.rewind(12300n);              // after a reorg
  */
 
+import process from "node:process";
 import { supabase, hasSupabase } from "../../shared/supabaseClient.js";
+import { redisClient } from "../../shared/redisClient.js";
+
+/**
+ * @typedef {Object} CursorStore
+ * @property {string} name
+ * @property {(key: string) => Promise<bigint|null>} get
+ * @property {(key: string, block: bigint) => Promise<bigint>} compareAndSet - Returns the stored value after the write
+ * @property {(key: string, block: bigint) => Promise<void>} rewind - Unconditional write
+ */
+
+const REDIS_KEY_PREFIX = "block_cursor:";
+
+// Sets the cursor only if it moves forward; returns the stored value
+const REDIS_ADVANCE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current and tonumber(current) > tonumber(ARGV[1]) then
+  return current
+end
+redis.call('SET', KEYS[1], ARGV[1])
+return ARGV[1]
+`;
+
+/**
+ * Redis cursor store. Reads fall back to `fallback` (e.g. the Supabase store)
+ * for keys Redis has never seen, so switching backends keeps existing cursors.
+ * @param {import('ioredis').Redis} client
+ * @param {{ fallback?: CursorStore }} [options]
+ * @returns {CursorStore}
+ */
+export function createRedisCursorStore(client, { fallback } = {}) {
+  return {
+    name: "redis",
+    async get(key) {
+      const value = await client.get(`${REDIS_KEY_PREFIX}${key}`);
+      if (value !== null && value !== undefined) return BigInt(value);
+      return fallback ? fallback.get(key) : null;
+    },
+    async compareAndSet(key, block) {
+      const stored = await client.eval(
+        REDIS_ADVANCE_SCRIPT,
+        1,
+        `${REDIS_KEY_PREFIX}${key}`,
+        block.toString(),
+      );
+      return BigInt(stored);
+    },
+    async rewind(key, block) {
+      await client.set(`${REDIS_KEY_PREFIX}${key}`, block.toString());
+    },
+  };
+}
+
+/**
+ * Supabase cursor store (advance_block_cursor function, migration 017).
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ * @returns {CursorStore}
+ */
+export function createSupabaseCursorStore(client) {
+  return {
+    name: "supabase",
+    async get(key) {
+      const { data, error } = await client
+        .from("listener_block_cursors")
+        .select("last_block")
+        .eq("listener_key", key)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? BigInt(data.last_block) : null;
+    },
+    async compareAndSet(key, block) {
+      const { data, error } = await client.rpc("advance_block_cursor", {
+        p_listener_key: key,
+        p_block: Number(block), // Supabase bigint column accepts number
+      });
+
+      if (error) throw error;
+      return BigInt(data);
+    },
+    async rewind(key, block) {
+      const { error } = await client.from("listener_block_cursors").upsert(
+        {
+          listener_key: key,
+          last_block: Number(block),
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "listener_key" },
+      );
+
+      if (error) throw error;
+    },
+  };
+}
+
+/**
+ * In-memory cursor store (no persistence across restarts).
+ * @returns {CursorStore}
+ */
+export function createMemoryCursorStore() {
+  /** @type {Map<string, bigint>} */
+  const blocks = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      return blocks.has(key) ? blocks.get(key) : null;
+    },
+    async compareAndSet(key, block) {
+      const current = blocks.get(key);
+      if (current !== undefined && current > block) return current;
+      blocks.set(key, block);
+      return block;
+    },
+    async rewind(key, block) {
+      blocks.set(key, block);
+    },
+  };
+}
+
+/** @type {Promise<CursorStore>|null} */
+let storePromise = null;
+
+/**
+ * Move a cursor backwards (after a reorg or an admin rewind). Cursors from
+ * createBlockCursor only move forward through set(), so prefer their
+ * explicit rewind().
+ * @param {{ set: (block: bigint) => Promise<unknown>, rewind?: (block: bigint) => Promise<void> }} cursor
+ * @param {bigint} block
+ */
+export async function rewindCursor(cursor, block) {
+  if (typeof cursor.rewind === "function") {
+    await cursor.rewind(block);
+  } else {
+    await cursor.set(block);
+  }
+}
+
+async function resolveCursorStore() {
+  const preferred = String(process.env.BLOCK_CURSOR_STORE || "").toLowerCase();
+  const supabaseStore = hasSupabase ? createSupabaseCursorStore(supabase) : null;
+
+  if (preferred === "memory") return createMemoryCursorStore();
+
+  if (preferred === "" || preferred === "redis") {
+    const client = await redisClient.getReachableClient();
+    if (client) {
+      return createRedisCursorStore(client, { fallback: supabaseStore });
+    }
+    if (preferred === "redis") {
+      console.warn("[blockCursor] Redis unreachable, falling back");
+    }
+  }
+
+  return supabaseStore || createMemoryCursorStore();
+}
+
+/**
+ * Get the process-wide cursor store (resolved once).
+ * @returns {Promise<CursorStore>}
+ */
+export function getCursorStore() {
+  if (!storePromise) {
+    storePromise = resolveCursorStore();
+  }
+  return storePromise;
+}
+
+/**
+ * Per-key write status, surfaced through /api/health
+ * @type {Map<string, { lastWriteAt: string|null, lastError: string|null, lastErrorAt: string|null, failures: number, rejected: number }>}
+ */
+const cursorStatus = new Map();
+let activeStoreName = null;
+
+function getStatus(key) {
+  if (!cursorStatus.has(key)) {
+    cursorStatus.set(key, {
+      lastWriteAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      failures: 0,
+      rejected: 0,
+    });
+  }
+  return cursorStatus.get(key);
+}
+
+/**
+ * Cursor write health. A cursor is failing while its most recent write errored.
+ * @returns {{ ok: boolean, store: string|null, cursors: number, failing: Array<{ key: string, lastError: string, lastErrorAt: string, failures: number }> }}
+ */
+export function getBlockCursorHealth() {
+  const failing = [];
+  for (const [key, status] of cursorStatus.entries()) {
+    if (status.lastError) {
+      failing.push({
+        key,
+        lastError: status.lastError,
+        lastErrorAt: status.lastErrorAt,
+        failures: status.failures,
+      });
+    }
+  }
+
+  return {
+    ok: failing.length === 0,
+    store: activeStoreName,
+    cursors: cursorStatus.size,
+    failing,
+  };
+}
 
 /**
  * Create a block cursor for a given listener key.
  *
  * @param {string} listenerKey — unique key, e.g. `${address}:${eventName}`
- * @returns {Promise<{ get: () => Promise<bigint|null>, set: (block: bigint) => Promise<void> }>}
+ * @param {{ store?: CursorStore }} [options] - Override the process-wide store
+ * @returns {Promise<{
+ *   get: () => Promise<bigint|null>,
+ *   set: (block: bigint) => Promise<{ applied: boolean, current: bigint }>,
+ *   rewind: (block: bigint) => Promise<void>,
+ * }>}
  */
-export async function createBlockCursor(listenerKey) {
-  if (hasSupabase) {
-    return {
-      async get() {
-        try {
-          const { data, error } = await supabase
-            .from("listener_block_cursors")
-            .select("last_block")
-            .eq("listener_key", listenerKey)
-            .maybeSingle();
-
-          if (error || !data) return null;
-          return BigInt(data.last_block);
-        } catch {
-          return null;
-        }
-      },
-      async set(block) {
-        try {
-          await supabase.from("listener_block_cursors").upsert(
-            {
-              listener_key: listenerKey,
-              last_block: Number(block), // Supabase bigint column accepts number
-              updated_at: new Date().toISOString(),
-            },
-            { onConflict: "listener_key" },
-          );
-        } catch {
-          // Swallow — best-effort persistence
-        }
-      },
-    };
-  }
+export async function createBlockCursor(listenerKey, options = {}) {
+  const store = options.store || (await getCursorStore());
+  activeStoreName = store.name;
+  const status = getStatus(listenerKey);
+
+  const recordFailure = (error) => {
+    status.failures += 1;
+    status.lastError = error?.message || String(error);
+    status.lastErrorAt = new Date().toISOString();
+  };
+
+  const recordSuccess = () => {
+    status.lastWriteAt = new Date().toISOString();
+    status.lastError = null;
+    status.lastErrorAt = null;
+  };
 
-  // ------- No persistence available — in-memory only -------
-  let memBlock = null;
   return {
     async get() {
-      return memBlock;
+      try {
+        return await store.get(listenerKey);
+      } catch (error) {
+        // Unknown position: the caller starts from its default block
+        console.warn(
+          `[blockCursor] Failed to read cursor ${listenerKey}: ${error?.message || error}`,
+        );
+        return null;
+      }
     },
     async set(block) {
-      memBlock = block;
+      try {
+        const current = await store.compareAndSet(listenerKey, block);
+        recordSuccess();
+        const applied = current === block;
+        if (!applied) {
+          // Another instance already advanced this cursor further
+          status.rejected += 1;
+        }
+        return { applied, current };
+      } catch (error) {
+        recordFailure(error);
+        throw error;
+      }
+    },
+    async rewind(block) {
+      try {
+        await store.rewind(listenerKey, block);
+        recordSuccess();
+      } catch (error) {
+        recordFailure(error);
+        throw error;
+      }
     },
   };
 }
@@ -1,3 +1,6 @@
+import { createReorgTracker } from "./reorgTracker.js";
+import { rewindCursor } from "./blockCursor.js";
+
 /**
  * @typedef {Object} ContractEventPollingParams
  * @property {import('viem').PublicClient} client
@@ -7,9 +10,14 @@
  * @property {bigint} [startBlock]
  * @property {number} [pollingIntervalMs]
  * @property {bigint} [maxBlockRange]
+ * @property {bigint} [confirmations] - Blocks to lag behind the chain head before processing (default 0)
  * @property {(logs: any[]) => Promise<void> | void} onLogs
  * @property {(error: unknown) => void} [onError]
- * @property {{ get: () => Promise<bigint|null>, set: (block: bigint) => Promise<void> }} [blockCursor]
+ * @property {{ get: () => Promise<bigint|null>, set: (block: bigint) => Promise<unknown>, rewind?: (block: bigint) => Promise<void> }} [blockCursor]
+ * @property {(orphanedLogs: any[], info: { rewindTo: bigint, forkBlock: bigint|null }) => Promise<void> | void} [onReorg]
+ *   Enables reorg detection. Called with the logs that were delivered from
+ *   blocks that are no longer canonical, before those blocks are re-scanned.
+ * @property {bigint} [reorgWindow] - Number of recent blocks whose hashes are tracked (default 64)
  */
 
 /**
@@ -25,9 +33,12 @@ export async function startContractEventPolling(params) {
     startBlock,
     pollingIntervalMs = 4_000,
     maxBlockRange = 2_000n,
+    confirmations = 0n,
     onLogs,
     onError,
     blockCursor,
+    onReorg,
+    reorgWindow = 64n,
   } = params;
 
   if (!client) {
@@ -53,7 +64,13 @@ export async function startContractEventPolling(params) {
   let stopped = false;
   let lastProcessedBlock;
 
-  // Determine start block: explicit param > persisted cursor > current block
+  // Reorg detection is opt-in: it costs an extra getBlock per tick
+  const reorgTracker =
+    typeof onReorg === "function"
+      ? createReorgTracker({ client, windowSize: reorgWindow })
+      : null;
+
+  // Determine start block: explicit param > persisted cursor > confirmed head
   if (typeof startBlock === "bigint") {
     lastProcessedBlock = startBlock;
   } else if (blockCursor) {
@@ -62,19 +79,43 @@ export async function startContractEventPolling(params) {
       // Resume from the block AFTER the last fully processed one
       lastProcessedBlock = persisted + 1n;
     } else {
-      const currentBlock = await client.getBlockNumber();
-      lastProcessedBlock = currentBlock + 1n;
+      const confirmedBlock = await getConfirmedBlockNumber(
+        client,
+        confirmations,
+      );
+      lastProcessedBlock = confirmedBlock + 1n;
     }
   } else {
-    const currentBlock = await client.getBlockNumber();
-    lastProcessedBlock = currentBlock + 1n;
+    const confirmedBlock = await getConfirmedBlockNumber(client, confirmations);
+    lastProcessedBlock = confirmedBlock + 1n;
   }
 
   const tick = async () => {
     if (stopped) return;
 
     try {
-      const currentBlock = await client.getBlockNumber();
+      if (reorgTracker) {
+        const reorg = await reorgTracker.detect();
+        if (reorg) {
+          // Let the listener retract orphaned rows before re-scanning, so a
+          // failing rollback is retried on the next tick
+          await onReorg(reorg.orphanedLogs, {
+            rewindTo: reorg.rewindTo,
+            forkBlock: reorg.forkBlock,
+          });
+
+          reorgTracker.discardFrom(reorg.rewindTo);
+          if (reorg.rewindTo < lastProcessedBlock) {
+            lastProcessedBlock = reorg.rewindTo;
+          }
+          if (blockCursor) {
+            await rewindCursor(blockCursor, reorg.rewindTo - 1n);
+          }
+        }
+      }
+
+      // Only process blocks that have reached the confirmation depth
+      const currentBlock = await getConfirmedBlockNumber(client, confirmations);
 
       if (currentBlock < lastProcessedBlock) {
         return;
@@ -98,11 +139,18 @@ export async function startContractEventPolling(params) {
 
         if (logs.length > 0) {
           await onLogs(logs);
+          if (reorgTracker) reorgTracker.recordLogs(logs);
         }
 
         fromBlock = chunkToBlock + 1n;
       }
 
+      if (reorgTracker) {
+        const head = await client.getBlock({ blockNumber: currentBlock });
+        reorgTracker.record(currentBlock, head.hash);
+        reorgTracker.prune(currentBlock);
+      }
+
       lastProcessedBlock = currentBlock + 1n;
 
       // Persist the last fully processed block
@@ -128,6 +176,17 @@ export async function startContractEventPolling(params) {
   };
 }
 
+/**
+ * Latest block that is at least `confirmations` blocks behind the chain head.
+ * @param {import('viem').PublicClient} client
+ * @param {bigint} [confirmations]
+ * @returns {Promise<bigint>}
+ */
+export async function getConfirmedBlockNumber(client, confirmations = 0n) {
+  const headBlock = await client.getBlockNumber();
+  return headBlock > confirmations ? headBlock - confirmations : 0n;
+}
+
 /**
  * @param {unknown} error
  * @returns {boolean}
@@ -0,0 +1,170 @@
+/**
+ * @file eventBackfill.js
+ * @description Replays historical contract events through a listener handler.
+ *
+ * Logs are fetched chunk by chunk with getContractEventsInChunks and passed to
+ * a handler that only records what the log itself says
+ * (createTradeRecordHandler, ...). Those handlers are idempotent and have no
+ * side effects beyond their inserts, so re-running a range is safe; the live
+ * handlers are not suitable because they also act on current chain state.
+ *
+ * Progress is saved to an optional block cursor after every chunk whose logs
+ * all succeeded; with `resume` the next run continues after that checkpoint.
+ * Once a chunk has a failure the checkpoint stops advancing so a resumed run
+ * retries it.
+ *
+ * Usage:
+ *   const summary = await runEventBackfill({
+ *     client, address, abi, eventName: "Trade",
+ *     fromBlock: 100n, toBlock: 5_000n,
+ *     handler: createTradeRecordHandler({ fpmmAddress: address }),
+ *     checkpoint: await createBlockCursor(`backfill:${address}:Trade`),
+ *   });
+ */
+
+import { getContractEventsInChunks } from "./contractEventPolling.js";
+
+/**
+ * @typedef {Object} EventBackfillSummary
+ * @property {string} address
+ * @property {string} eventName
+ * @property {bigint} fromBlock - First block scanned (after resuming)
+ * @property {bigint} toBlock
+ * @property {boolean} dryRun
+ * @property {number} found - Logs fetched
+ * @property {number} inserted - Logs the handler processed
+ * @property {number} skipped - Logs the handler had already processed
+ * @property {number} failed
+ * @property {Array<{ txHash: string, logIndex: number, blockNumber: string, error: string }>} failures
+ * @property {bigint|null} checkpoint - Last block saved to the checkpoint
+ */
+
+/**
+ * @param {Object} params
+ * @param {import('viem').PublicClient} params.client
+ * @param {string} params.address - Contract address
+ * @param {import('viem').Abi} params.abi
+ * @param {string} params.eventName
+ * @param {bigint} params.fromBlock
+ * @param {bigint} params.toBlock
+ * @param {(log: any) => Promise<{ skipped?: boolean, error?: unknown }|void>} params.handler
+ * @param {{ get: () => Promise<bigint|null>, set: (block: bigint) => Promise<unknown>, rewind: (block: bigint) => Promise<void> }} [params.checkpoint]
+ * @param {boolean} [params.resume] - Start after the saved checkpoint
+ * @param {boolean} [params.dryRun] - Fetch and count logs without handling them
+ * @param {bigint} [params.chunkSize] - Blocks per checkpointed chunk
+ * @param {Object} [params.logger]
+ * @returns {Promise<EventBackfillSummary>}
+ */
+export async function runEventBackfill({
+  client,
+  address,
+  abi,
+  eventName,
+  fromBlock,
+  toBlock,
+  handler,
+  checkpoint,
+  resume = false,
+  dryRun = false,
+  chunkSize = 2_000n,
+  logger = console,
+}) {
+  if (!client) throw new Error("client is required");
+  if (!address) throw new Error("address is required");
+  if (typeof handler !== "function" && !dryRun) {
+    throw new Error("handler is required");
+  }
+  if (chunkSize <= 0n) throw new Error("chunkSize must be positive");
+
+  let startBlock = fromBlock;
+  const saved = checkpoint ? await checkpoint.get() : null;
+
+  if (resume && saved !== null && saved >= fromBlock) {
+    startBlock = saved + 1n;
+    logger.info(
+      `[BACKFILL] ⏩ Resuming ${address}:${eventName} after checkpoint ${saved}`,
+    );
+  } else if (!dryRun && checkpoint && saved !== null && saved >= fromBlock) {
+    // Fresh run over an already-checkpointed range
+    await checkpoint.rewind(fromBlock - 1n);
+  }
+
+  /** @type {EventBackfillSummary} */
+  const summary = {
+    address,
+    eventName,
+    fromBlock: startBlock,
+    toBlock,
+    dryRun,
+    found: 0,
+    inserted: 0,
+    skipped: 0,
+    failed: 0,
+    failures: [],
+    checkpoint: resume ? saved : null,
+  };
+
+  let advanceCheckpoint = !dryRun && Boolean(checkpoint);
+
+  for (
+    let chunkFrom = startBlock;
+    chunkFrom <= toBlock;
+    chunkFrom += chunkSize
+  ) {
+    const chunkTo =
+      chunkFrom + chunkSize - 1n > toBlock ? toBlock : chunkFrom + chunkSize - 1n;
+
+    const logs = await getContractEventsInChunks({
+      client,
+      address,
+      abi,
+      eventName,
+      fromBlock: chunkFrom,
+      toBlock: chunkTo,
+      maxBlockRange: chunkSize,
+    });
+    summary.found += logs.length;
+
+    logger.info(
+      `[BACKFILL] 📦 Blocks ${chunkFrom}-${chunkTo}: ${logs.length} ${eventName} log(s)`,
+    );
+
+    if (dryRun) continue;
+
+    let chunkFailed = false;
+    for (const log of logs) {
+      try {
+        const result = await handler(log);
+        if (result?.error) throw result.error;
+
+        if (result?.skipped) {
+          summary.skipped += 1;
+        } else {
+          summary.inserted += 1;
+        }
+      } catch (error) {
+        chunkFailed = true;
+        summary.failed += 1;
+        summary.failures.push({
+          txHash: log.transactionHash,
+          logIndex: log.logIndex,
+          blockNumber: String(log.blockNumber),
+          error: error instanceof Error ? error.message : String(error),
+        });
+        logger.error(
+          `[BACKFILL] ❌ ${eventName} ${log.transactionHash}#${log.logIndex} failed: ${
+            error instanceof Error ? error.message : String(error)
+          }`,
+        );
+      }
+    }
+
+    if (chunkFailed) advanceCheckpoint = false;
+    if (advanceCheckpoint) {
+      await checkpoint.set(chunkTo);
+      summary.checkpoint = chunkTo;
+    }
+  }
+
+  return summary;
+}
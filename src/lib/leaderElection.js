@@ -0,0 +1,220 @@
+/**
+ * @file leaderElection.js
+ * @description Redis lease-based leader election between backend replicas.
+ *
+ * Each instance tries to SET the lease key NX with a TTL; the holder renews it
+ * every renewIntervalMs with a compare-and-expire script. If the leader dies,
+ * its lease lapses after leaseMs and the next follower campaign takes over.
+ *
+ * A leader that cannot reach Redis steps down one renew interval before its
+ * lease could expire, so two replicas never believe they lead at once.
+ *
+ * While Redis cannot be reached the instance stays a follower and keeps
+ * campaigning. Only an explicit single-instance mode leads without Redis.
+ *
+ * onElected / onDemoted run one after another in the order they were
+ * triggered, so a quick demote → elect never overlaps stop and start work.
+ *
+ * Usage:
+ *   const election = createLeaderElection({ client, onElected, onDemoted });
+ *   await election.start();
+ *   election.isLeader();
+ *   await election.stop(); // releases the lease for a fast handover
+ */
+
+import os from "node:os";
+import process from "node:process";
+import { randomBytes } from "node:crypto";
+
+// Extend the lease only if we still hold it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Delete the lease only if we still hold it
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * @param {Object} params
+ * @param {import('ioredis').Redis|null} [params.client] - Redis client
+ * @param {() => Promise<import('ioredis').Redis|null>} [params.connect] -
+ *   Resolve the client lazily; retried every round until it returns one
+ * @param {boolean} [params.singleInstance] - Lead without Redis (only for a
+ *   deployment that runs exactly one replica)
+ * @param {string} [params.key] - Lease key shared by all replicas
+ * @param {number} [params.leaseMs] - Lease TTL
+ * @param {number} [params.renewIntervalMs] - Campaign / renew cadence
+ * @param {string} [params.instanceId]
+ * @param {() => Promise<void>|void} [params.onElected]
+ * @param {() => Promise<void>|void} [params.onDemoted]
+ * @param {() => number} [params.now] - Clock override for tests
+ * @param {Object} [params.logger]
+ */
+export function createLeaderElection({
+  client = null,
+  connect,
+  singleInstance = false,
+  key = "sof:backend:leader",
+  leaseMs = 15_000,
+  renewIntervalMs = 5_000,
+  instanceId = `${os.hostname()}:${process.pid}:${randomBytes(4).toString("hex")}`,
+  onElected,
+  onDemoted,
+  now = () => Date.now(),
+  logger = console,
+}) {
+  if (renewIntervalMs * 2 > leaseMs) {
+    throw new Error("renewIntervalMs must be at most half of leaseMs");
+  }
+
+  let leader = false;
+  let leaseExpiresAt = null;
+  let intervalId = null;
+  let campaigning = false;
+  let lastCampaignError = null;
+  let callbackChain = Promise.resolve();
+
+  // Callers don't await these: leader work (e.g. historical scans) must not
+  // stall lease renewals. Chained so each callback starts after the last ends
+  const runCallback = (callback, label) => {
+    if (typeof callback !== "function") return callbackChain;
+    callbackChain = callbackChain.then(callback).catch((error) => {
+      logger.error(`[LEADER] ❌ ${label} callback failed: ${error.message}`);
+    });
+    return callbackChain;
+  };
+
+  function elect(startedAt) {
+    leader = true;
+    leaseExpiresAt = startedAt + leaseMs;
+    logger.info(`[LEADER] 👑 ${instanceId} elected leader`);
+    runCallback(onElected, "onElected");
+  }
+
+  function demote(reason) {
+    if (!leader) return Promise.resolve();
+    leader = false;
+    leaseExpiresAt = null;
+    logger.warn(`[LEADER] ⬇️  ${instanceId} stepping down: ${reason}`);
+    return runCallback(onDemoted, "onDemoted");
+  }
+
+  /**
+   * One acquire-or-renew round.
+   */
+  async function campaign() {
+    if (campaigning || singleInstance) return;
+    campaigning = true;
+    // Measure the lease from before the request so our view is conservative
+    const startedAt = now();
+
+    try {
+      if (!client && connect) client = await connect();
+      if (!client) throw new Error("Redis not reachable");
+
+      if (leader) {
+        const renewed = await client.eval(
+          RENEW_SCRIPT,
+          1,
+          key,
+          instanceId,
+          String(leaseMs),
+        );
+        if (Number(renewed) === 1) {
+          leaseExpiresAt = startedAt + leaseMs;
+        } else {
+          demote("lease lost to another instance");
+        }
+      } else {
+        const acquired = await client.set(
+          key,
+          instanceId,
+          "PX",
+          leaseMs,
+          "NX",
+        );
+        if (acquired === "OK") {
+          elect(startedAt);
+        }
+      }
+      lastCampaignError = null;
+    } catch (error) {
+      // A follower retrying an unreachable Redis logs once per outage
+      if (leader || error.message !== lastCampaignError) {
+        logger.warn(
+          `[LEADER] ⚠️  Lease ${leader ? "renewal" : "campaign"} failed: ${error.message}`,
+        );
+      }
+      lastCampaignError = error.message;
+      // Step down while a follower still can't have taken over
+      if (leader && now() + renewIntervalMs >= leaseExpiresAt) {
+        demote("unable to renew lease");
+      }
+    } finally {
+      campaigning = false;
+    }
+  }
+
+  async function start() {
+    if (intervalId || (leader && singleInstance)) return;
+
+    if (singleInstance) {
+      logger.warn(
+        "[LEADER] ⚠️  Single-instance mode - running as the only leader. Do not run multiple replicas in this mode.",
+      );
+      elect(now());
+      return;
+    }
+
+    await campaign();
+    intervalId = setInterval(() => {
+      void campaign();
+    }, renewIntervalMs);
+  }
+
+  async function stop() {
+    if (intervalId) {
+      clearInterval(intervalId);
+      intervalId = null;
+    }
+
+    if (leader && client && !singleInstance) {
+      try {
+        await client.eval(RELEASE_SCRIPT, 1, key, instanceId);
+      } catch (error) {
+        logger.warn(`[LEADER] ⚠️  Failed to release lease: ${error.message}`);
+      }
+    }
+
+    // Wait for leader work to wind down before the process exits
+    await demote("shutting down");
+  }
+
+  function getStatus() {
+    return {
+      mode: singleInstance ? "single-instance" : "redis",
+      connected: singleInstance || (client !== null && lastCampaignError === null),
+      instanceId,
+      isLeader: leader,
+      leaseExpiresAt: leaseExpiresAt
+        ? new Date(leaseExpiresAt).toISOString()
+        : null,
+    };
+  }
+
+  return {
+    start,
+    stop,
+    campaign,
+    getStatus,
+    isLeader: () => leader,
+  };
+}
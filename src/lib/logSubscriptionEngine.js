@@ -0,0 +1,830 @@
+/**
+ * @file logSubscriptionEngine.js
+ * @description Shared log ingestion loop for a dynamic set of (address, event)
+ * subscriptions. Each tick issues a single getBlockNumber and one eth_getLogs
+ * per block-range chunk covering every subscription, then routes each decoded
+ * log to the handler that owns its (address, eventName) pair.
+ *
+ * Subscriptions keep their own progress (startBlock / block cursor /
+ * confirmations), so a newly added FPMM starting at the head and a season
+ * listener catching up from an old cursor can share the same loop: the engine
+ * fetches the union of their pending ranges and only delivers logs inside each
+ * subscription's own window.
+ *
+ * When a WebSocket client is supplied the engine switches to eth_subscribe:
+ * newHeads drive ticks (no getBlockNumber polling) and a logs subscription
+ * over every subscribed address fills a per-block buffer that replaces
+ * eth_getLogs for blocks it fully covers, up to one block behind the latest
+ * head (whose logs notification may still be in flight). If the socket errors or goes stale
+ * the engine falls back to interval polling and reconnects with backoff;
+ * ranges the socket did not cover are always fetched with eth_getLogs from
+ * each subscription's cursor, so no events are lost across a switch.
+ *
+ * Usage:
+ *   const engine = createLogSubscriptionEngine({ client });
+ *   const unsubscribe = await engine.subscribe({
+ *     key: `${fpmmAddress}:Trade`,
+ *     address: fpmmAddress,
+ *     abi: simpleFpmmAbi,
+ *     eventName: "Trade",
+ *     blockCursor,
+ *     onLogs: async (logs) => { ... },
+ *   });
+ */
+
+import { createReorgTracker } from "./reorgTracker.js";
+import { rewindCursor } from "./blockCursor.js";
+
+/**
+ * @typedef {Object} LogSubscriptionParams
+ * @property {string} [key] - Human-readable identifier (defaults to `${address}:${eventName}`)
+ * @property {`0x${string}`} address
+ * @property {import('viem').Abi} abi
+ * @property {string} eventName
+ * @property {bigint} [startBlock]
+ * @property {bigint} [confirmations] - Blocks to lag behind head (defaults to engine setting)
+ * @property {(logs: any[]) => Promise<void> | void} onLogs
+ * @property {(error: unknown) => void} [onError]
+ * @property {(orphanedLogs: any[], info: { rewindTo: bigint, forkBlock: bigint|null }) => Promise<void> | void} [onReorg]
+ * @property {{ get: () => Promise<bigint|null>, set: (block: bigint) => Promise<unknown>, rewind?: (block: bigint) => Promise<void> }} [blockCursor]
+ */
+
+/**
+ * @typedef {Object} LogSubscriptionEngineParams
+ * @property {import('viem').PublicClient} client
+ * @property {number} [pollingIntervalMs]
+ * @property {bigint} [maxBlockRange]
+ * @property {bigint} [confirmations] - Default confirmation depth for subscriptions
+ * @property {bigint} [reorgWindow] - Recent blocks whose hashes are tracked for reorg detection
+ * @property {import('viem').PublicClient|null} [wsClient] - Client over a WebSocket transport (enables eth_subscribe)
+ * @property {number} [wsReconnectBaseMs]
+ * @property {number} [wsReconnectMaxMs]
+ * @property {number} [wsStaleMs] - Fall back to polling when no head arrives for this long
+ * @property {(key: string) => boolean} [isPaused] - Whether a new subscription starts paused (persisted admin pause)
+ * @property {(keys: string[], info: { rewindTo: bigint, forkBlock: bigint|null }) => Promise<void> | void} [onReorg]
+ *   Called once per reorg with every subscription key, after they are rolled back
+ *   (e.g. to discard dead letters from orphaned blocks). Throwing retries the reorg.
+ * @property {object} [logger]
+ */
+
+/**
+ * @param {LogSubscriptionEngineParams} params
+ */
+export function createLogSubscriptionEngine(params) {
+  const {
+    client,
+    pollingIntervalMs = 3_000,
+    maxBlockRange = 2_000n,
+    confirmations: defaultConfirmations = 0n,
+    reorgWindow = 64n,
+    wsClient = null,
+    wsReconnectBaseMs = 1_000,
+    wsReconnectMaxMs = 30_000,
+    wsStaleMs = 60_000,
+    isPaused = null,
+    onReorg = null,
+    logger,
+  } = params || {};
+
+  if (!client) {
+    throw new Error("client is required");
+  }
+
+  /** @type {Map<number, any>} */
+  const subscriptions = new Map();
+  const reorgTracker = createReorgTracker({ client, windowSize: reorgWindow });
+
+  let nextId = 1;
+  let intervalId = null;
+  let pendingTickId = null;
+  let running = false;
+  let started = false;
+  let lastHeadBlock = null;
+
+  // WebSocket state
+  let wsActive = false;
+  let wsHead = null;
+  let wsHeadAt = 0;
+  let wsCoverageFrom = null; // first block whose logs are fully buffered
+  let wsPrunedBelow = null; // buffer entries below this block were dropped
+  let wsUnwatchHeads = null;
+  let wsUnwatchLogs = null;
+  let wsReconnectTimer = null;
+  let wsReconnectAttempt = 0;
+  /** @type {{ addresses: Set<string>, signatures: Set<string> }} */
+  let wsCovered = { addresses: new Set(), signatures: new Set() };
+  /** @type {Map<bigint, any[]>} */
+  const wsLogBuffer = new Map();
+
+  /**
+   * Latest block a subscription may process given its confirmation depth.
+   * @param {bigint} headBlock
+   * @param {bigint} confirmations
+   */
+  function confirmedBlock(headBlock, confirmations) {
+    return headBlock > confirmations ? headBlock - confirmations : 0n;
+  }
+
+  /**
+   * @param {any} sub
+   * @param {unknown} error
+   */
+  function reportError(sub, error) {
+    sub.lastError = error instanceof Error ? error.message : String(error);
+    sub.lastErrorAt = new Date().toISOString();
+
+    if (typeof sub.onError === "function") {
+      try {
+        sub.onError(error);
+        return;
+      } catch {
+        // fall through to engine logger
+      }
+    }
+    logger?.error?.(
+      `[LOG_ENGINE] ❌ ${sub.key}: ${error instanceof Error ? error.message : String(error)}`,
+    );
+  }
+
+  /**
+   * Roll every affected subscription back to the fork point.
+   * @param {{ rewindTo: bigint, forkBlock: bigint|null, orphanedLogs: any[] }} reorg
+   */
+  async function handleReorg(reorg) {
+    logger?.warn?.(
+      `[LOG_ENGINE] ⚠️  Reorg detected: rewinding to block ${reorg.rewindTo} ` +
+        `(${reorg.orphanedLogs.length} orphaned log(s))`,
+    );
+
+    for (const sub of subscriptions.values()) {
+      const orphaned = reorg.orphanedLogs
+        .filter((entry) => entry.subscriptionId === sub.id)
+        .map((entry) => entry.log);
+
+      if (orphaned.length > 0 && typeof sub.onReorg === "function") {
+        // Throws to the caller so the reorg is retried on the next tick
+        await sub.onReorg(orphaned, {
+          rewindTo: reorg.rewindTo,
+          forkBlock: reorg.forkBlock,
+        });
+      }
+
+      if (sub.nextBlock > reorg.rewindTo) {
+        sub.nextBlock = reorg.rewindTo;
+        if (sub.blockCursor) {
+          await rewindCursor(sub.blockCursor, reorg.rewindTo - 1n);
+        }
+      }
+    }
+
+    if (typeof onReorg === "function") {
+      await onReorg([...subscriptions.values()].map((sub) => sub.key), {
+        rewindTo: reorg.rewindTo,
+        forkBlock: reorg.forkBlock,
+      });
+    }
+
+    reorgTracker.discardFrom(reorg.rewindTo);
+  }
+
+  /**
+   * @param {any[]} logs
+   */
+  function bufferSocketLogs(logs) {
+    for (const log of logs) {
+      if (typeof log?.blockNumber !== "bigint") continue;
+      const list = wsLogBuffer.get(log.blockNumber) || [];
+
+      if (log.removed) {
+        // Log was reorged out before we processed it
+        wsLogBuffer.set(
+          log.blockNumber,
+          list.filter(
+            (entry) =>
+              entry.transactionHash !== log.transactionHash ||
+              entry.logIndex !== log.logIndex,
+          ),
+        );
+        continue;
+      }
+
+      list.push(log);
+      wsLogBuffer.set(log.blockNumber, list);
+    }
+  }
+
+  /**
+   * (Re)create the eth_subscribe logs subscription over every subscribed
+   * (address, event) pair. Blocks up to the current head are not covered and
+   * are fetched with eth_getLogs instead.
+   */
+  async function subscribeSocketLogs() {
+    if (wsUnwatchLogs) {
+      wsUnwatchLogs();
+      wsUnwatchLogs = null;
+    }
+    wsCoverageFrom = null;
+    wsPrunedBelow = null;
+    wsLogBuffer.clear();
+
+    const subs = [...subscriptions.values()];
+    const addresses = new Set(subs.map((sub) => sub.address));
+    const signatures = new Set();
+    const events = [];
+    for (const sub of subs) {
+      if (!signatures.has(sub.signature)) {
+        signatures.add(sub.signature);
+        events.push(sub.abiEvent);
+      }
+    }
+    wsCovered = { addresses, signatures };
+
+    if (addresses.size === 0) return;
+
+    wsUnwatchLogs = wsClient.watchEvent({
+      address: [...addresses],
+      events,
+      poll: false,
+      onLogs: bufferSocketLogs,
+      onError: handleSocketError,
+    });
+
+    const headBlock = await client.getBlockNumber();
+    wsCoverageFrom = headBlock + 1n;
+  }
+
+  async function connectSocket() {
+    if (!wsClient || !started || wsActive) return;
+
+    // Marked active up-front so a synchronous failure below goes through the
+    // regular fallback/reconnect path
+    wsActive = true;
+    wsHeadAt = Date.now();
+
+    try {
+      wsUnwatchHeads = wsClient.watchBlockNumber({
+        poll: false,
+        onBlockNumber: (blockNumber) => {
+          wsHead = blockNumber;
+          wsHeadAt = Date.now();
+          scheduleTick();
+        },
+        onError: handleSocketError,
+      });
+
+      await subscribeSocketLogs();
+      wsReconnectAttempt = 0;
+      logger?.info?.("[LOG_ENGINE] 🔌 WebSocket subscriptions active");
+    } catch (error) {
+      handleSocketError(error);
+    }
+  }
+
+  function teardownSocket() {
+    if (wsUnwatchHeads) {
+      try {
+        wsUnwatchHeads();
+      } catch {
+        // socket already gone
+      }
+      wsUnwatchHeads = null;
+    }
+    if (wsUnwatchLogs) {
+      try {
+        wsUnwatchLogs();
+      } catch {
+        // socket already gone
+      }
+      wsUnwatchLogs = null;
+    }
+    wsActive = false;
+    wsHead = null;
+    wsCoverageFrom = null;
+    wsPrunedBelow = null;
+    wsLogBuffer.clear();
+  }
+
+  /**
+   * Socket dropped or errored: fall back to HTTP polling and reconnect later.
+   * @param {unknown} error
+   */
+  function handleSocketError(error) {
+    if (!wsActive) return;
+
+    teardownSocket();
+    logger?.warn?.(
+      `[LOG_ENGINE] ⚠️  WebSocket unavailable, falling back to HTTP polling: ${
+        error instanceof Error ? error.message : String(error)
+      }`,
+    );
+
+    if (!started || wsReconnectTimer) return;
+
+    const delay = Math.min(
+      wsReconnectBaseMs * Math.pow(2, wsReconnectAttempt),
+      wsReconnectMaxMs,
+    );
+    wsReconnectAttempt += 1;
+    wsReconnectTimer = setTimeout(() => {
+      wsReconnectTimer = null;
+      void connectSocket();
+    }, delay);
+  }
+
+  /**
+   * Fetch logs for a chunk, serving blocks covered by the socket buffer from
+   * memory and everything else with eth_getLogs.
+   * @param {string[]} addresses
+   * @param {any[]} events
+   * @param {bigint} fromBlock
+   * @param {bigint} toBlock
+   */
+  async function fetchLogs(addresses, events, fromBlock, toBlock) {
+    // Pruned buffer blocks (e.g. before a rewind) must come from eth_getLogs
+    const coverageFrom =
+      wsPrunedBelow !== null &&
+      wsCoverageFrom !== null &&
+      wsPrunedBelow > wsCoverageFrom
+        ? wsPrunedBelow
+        : wsCoverageFrom;
+
+    // The logs notification for the newest head can arrive after newHeads,
+    // so only blocks at least one head behind are trusted from the buffer
+    const trustedTo = wsHead !== null ? wsHead - 1n : null;
+
+    const covered =
+      wsActive &&
+      coverageFrom !== null &&
+      trustedTo !== null &&
+      trustedTo >= coverageFrom &&
+      toBlock >= coverageFrom &&
+      addresses.every((address) => wsCovered.addresses.has(address)) &&
+      events.every((event) => wsCovered.signatures.has(event.signature));
+
+    if (!covered) {
+      return client.getLogs({
+        address: addresses,
+        events: events.map((event) => event.abiEvent),
+        fromBlock,
+        toBlock,
+      });
+    }
+
+    const logs = [];
+    if (fromBlock < coverageFrom) {
+      logs.push(
+        ...(await client.getLogs({
+          address: addresses,
+          events: events.map((event) => event.abiEvent),
+          fromBlock,
+          toBlock: coverageFrom - 1n,
+        })),
+      );
+    }
+
+    const bufferFrom = fromBlock > coverageFrom ? fromBlock : coverageFrom;
+    const bufferTo = toBlock < trustedTo ? toBlock : trustedTo;
+    for (let block = bufferFrom; block <= bufferTo; block++) {
+      logs.push(...(wsLogBuffer.get(block) || []));
+    }
+
+    if (toBlock > bufferTo) {
+      logs.push(
+        ...(await client.getLogs({
+          address: addresses,
+          events: events.map((event) => event.abiEvent),
+          fromBlock: bufferTo + 1n > fromBlock ? bufferTo + 1n : fromBlock,
+          toBlock,
+        })),
+      );
+    }
+    return logs;
+  }
+
+  /**
+   * True when a subscription was removed, rewound or restarted after the
+   * current tick captured its window.
+   * @param {any} sub
+   * @param {number} epoch
+   */
+  function isStale(sub, epoch) {
+    return !subscriptions.has(sub.id) || sub.epoch !== epoch;
+  }
+
+  async function tick() {
+    if (running || subscriptions.size === 0) return;
+    running = true;
+
+    try {
+      const reorg = await reorgTracker.detect();
+      if (reorg) {
+        await handleReorg(reorg);
+      }
+
+      if (wsActive && Date.now() - wsHeadAt > wsStaleMs) {
+        handleSocketError(new Error("no new heads received"));
+      }
+
+      const headBlock =
+        wsActive && wsHead !== null ? wsHead : await client.getBlockNumber();
+      lastHeadBlock = headBlock;
+
+      // Pending window per subscription
+      const active = [];
+      for (const sub of subscriptions.values()) {
+        if (sub.paused) continue;
+        const target = confirmedBlock(headBlock, sub.confirmations);
+        if (sub.nextBlock <= target) {
+          // Epoch changes when an admin rewinds/restarts mid-tick
+          active.push({ sub, target, epoch: sub.epoch });
+        }
+      }
+
+      if (active.length === 0) return;
+
+      const fromBlock = active.reduce(
+        (min, { sub }) => (sub.nextBlock < min ? sub.nextBlock : min),
+        active[0].sub.nextBlock,
+      );
+      const toBlock = active.reduce(
+        (max, { target }) => (target > max ? target : max),
+        active[0].target,
+      );
+
+      const addresses = [
+        ...new Set(active.map(({ sub }) => sub.address)),
+      ];
+      const events = [];
+      const seenEvents = new Set();
+      for (const { sub } of active) {
+        if (!seenEvents.has(sub.signature)) {
+          seenEvents.add(sub.signature);
+          events.push({ signature: sub.signature, abiEvent: sub.abiEvent });
+        }
+      }
+
+      /** @type {Set<number>} */
+      const failed = new Set();
+      let chunkFrom = fromBlock;
+
+      while (chunkFrom <= toBlock && subscriptions.size > 0) {
+        const remaining = toBlock - chunkFrom;
+        const chunkSize = remaining > maxBlockRange ? maxBlockRange : remaining;
+        const chunkTo = chunkFrom + chunkSize;
+
+        const logs = await fetchLogs(addresses, events, chunkFrom, chunkTo);
+
+        for (const { sub, target, epoch } of active) {
+          if (isStale(sub, epoch) || failed.has(sub.id)) continue;
+
+          const subLogs = logs.filter(
+            (log) =>
+              log.eventName === sub.eventName &&
+              log.address?.toLowerCase() === sub.address &&
+              log.blockNumber >= sub.nextBlock &&
+              log.blockNumber <= target,
+          );
+
+          if (subLogs.length === 0) continue;
+
+          try {
+            await sub.onLogs(subLogs);
+            sub.processedLogs += subLogs.length;
+            for (const log of subLogs) {
+              reorgTracker.record(log.blockNumber, log.blockHash, [
+                { subscriptionId: sub.id, log },
+              ]);
+            }
+          } catch (error) {
+            // Don't advance this subscription; its logs are retried next tick
+            failed.add(sub.id);
+            reportError(sub, error);
+          }
+        }
+
+        chunkFrom = chunkTo + 1n;
+      }
+
+      const head = await client.getBlock({ blockNumber: toBlock });
+      reorgTracker.record(toBlock, head.hash);
+      reorgTracker.prune(toBlock);
+
+      for (const { sub, target, epoch } of active) {
+        if (isStale(sub, epoch) || failed.has(sub.id)) continue;
+        sub.nextBlock = target + 1n;
+        sub.lastProcessedAt = new Date().toISOString();
+        if (sub.blockCursor) {
+          try {
+            await sub.blockCursor.set(target);
+          } catch (error) {
+            reportError(sub, error);
+          }
+        }
+      }
+
+      // Socket-buffered blocks every subscription has moved past
+      // (paused subscriptions re-read pruned blocks with eth_getLogs)
+      let minNextBlock = null;
+      for (const sub of subscriptions.values()) {
+        if (sub.paused) continue;
+        if (minNextBlock === null || sub.nextBlock < minNextBlock) {
+          minNextBlock = sub.nextBlock;
+        }
+      }
+      for (const block of [...wsLogBuffer.keys()]) {
+        if (minNextBlock === null || block < minNextBlock) {
+          wsLogBuffer.delete(block);
+          if (wsPrunedBelow === null || block >= wsPrunedBelow) {
+            wsPrunedBelow = block + 1n;
+          }
+        }
+      }
+    } catch (error) {
+      // Shared failure (RPC, reorg rollback): every subscription is retried
+      for (const sub of subscriptions.values()) {
+        reportError(sub, error);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+
+    // Interval polling stays on as a safety net; with a live socket a tick
+    // that has nothing new to process skips getBlockNumber and eth_getLogs
+    // (reorg detection still reads recent blocks)
+    intervalId = setInterval(() => {
+      void tick();
+    }, pollingIntervalMs);
+
+    if (wsClient) {
+      void connectSocket();
+    }
+  }
+
+  function stop() {
+    started = false;
+    if (intervalId) {
+      clearInterval(intervalId);
+      intervalId = null;
+    }
+    if (pendingTickId) {
+      clearTimeout(pendingTickId);
+      pendingTickId = null;
+    }
+    if (wsReconnectTimer) {
+      clearTimeout(wsReconnectTimer);
+      wsReconnectTimer = null;
+    }
+    teardownSocket();
+  }
+
+  /**
+   * Run a tick soon, coalescing bursts of subscribe() calls (e.g. at startup)
+   * into a single getLogs round.
+   */
+  function scheduleTick() {
+    if (pendingTickId) return;
+    pendingTickId = setTimeout(() => {
+      pendingTickId = null;
+      void tick();
+    }, 0);
+  }
+
+  /**
+   * Add an (address, event) subscription to the shared loop.
+   * @param {LogSubscriptionParams} sub
+   * @returns {Promise<() => void>} Unsubscribe function
+   */
+  async function subscribe(sub) {
+    const { address, abi, eventName, onLogs } = sub || {};
+
+    if (!address) {
+      throw new Error("address is required");
+    }
+
+    if (!abi) {
+      throw new Error("abi is required");
+    }
+
+    if (!eventName) {
+      throw new Error("eventName is required");
+    }
+
+    if (typeof onLogs !== "function") {
+      throw new Error("onLogs is required");
+    }
+
+    const abiEvent = abi.find(
+      (item) => item.type === "event" && item.name === eventName,
+    );
+    if (!abiEvent) {
+      throw new Error(`Event ${eventName} not found in ABI`);
+    }
+
+    const confirmations = sub.confirmations ?? defaultConfirmations;
+
+    // Determine start block: explicit param > persisted cursor > confirmed head
+    let nextBlock;
+    if (typeof sub.startBlock === "bigint") {
+      nextBlock = sub.startBlock;
+    } else {
+      const persisted = sub.blockCursor ? await sub.blockCursor.get() : null;
+      if (persisted !== null && persisted !== undefined) {
+        nextBlock = persisted + 1n;
+      } else {
+        const headBlock = await client.getBlockNumber();
+        nextBlock = confirmedBlock(headBlock, confirmations) + 1n;
+      }
+    }
+
+    const id = nextId++;
+    const key = sub.key || `${address}:${eventName}`;
+    subscriptions.set(id, {
+      id,
+      key,
+      address: address.toLowerCase(),
+      abiEvent,
+      signature: `${eventName}(${abiEvent.inputs
+        .map((input) => input.type)
+        .join(",")})`,
+      eventName,
+      confirmations,
+      onLogs,
+      onError: sub.onError,
+      onReorg: sub.onReorg,
+      blockCursor: sub.blockCursor,
+      nextBlock,
+      paused: Boolean(isPaused?.(key)),
+      epoch: 0,
+      processedLogs: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastProcessedAt: null,
+    });
+
+    const entry = subscriptions.get(id);
+    if (
+      wsActive &&
+      (!wsCovered.addresses.has(entry.address) ||
+        !wsCovered.signatures.has(entry.signature))
+    ) {
+      // New address/event: widen the socket's logs subscription
+      try {
+        await subscribeSocketLogs();
+      } catch (error) {
+        handleSocketError(error);
+      }
+    }
+
+    start();
+    scheduleTick();
+
+    return () => unsubscribe(id);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {boolean}
+   */
+  function unsubscribe(id) {
+    return subscriptions.delete(id);
+  }
+
+  /**
+   * @param {string} key
+   */
+  function findSubscription(key) {
+    for (const sub of subscriptions.values()) {
+      if (sub.key === key) return sub;
+    }
+    return null;
+  }
+
+  /**
+   * @param {any} sub
+   */
+  function describe(sub) {
+    const cursorBlock = sub.nextBlock - 1n;
+    const lagBlocks =
+      lastHeadBlock === null
+        ? null
+        : lastHeadBlock > cursorBlock
+          ? lastHeadBlock - cursorBlock
+          : 0n;
+
+    return {
+      id: sub.id,
+      key: sub.key,
+      address: sub.address,
+      eventName: sub.eventName,
+      confirmations: sub.confirmations,
+      nextBlock: sub.nextBlock,
+      cursorBlock,
+      headBlock: lastHeadBlock,
+      lagBlocks,
+      paused: sub.paused,
+      processedLogs: sub.processedLogs,
+      lastError: sub.lastError,
+      lastErrorAt: sub.lastErrorAt,
+      lastProcessedAt: sub.lastProcessedAt,
+    };
+  }
+
+  /**
+   * Stop delivering logs to a subscription; its cursor stays where it is.
+   * @param {string} key
+   */
+  function pause(key) {
+    const sub = findSubscription(key);
+    if (!sub) return null;
+    sub.paused = true;
+    sub.epoch += 1;
+    return describe(sub);
+  }
+
+  /**
+   * @param {string} key
+   */
+  function resume(key) {
+    const sub = findSubscription(key);
+    if (!sub) return null;
+    sub.paused = false;
+    scheduleTick();
+    return describe(sub);
+  }
+
+  /**
+   * Re-process a subscription from the given block. Already-delivered logs
+   * are delivered again, so handlers must be idempotent.
+   * @param {string} key
+   * @param {bigint} block - First block to (re)process
+   */
+  async function rewind(key, block) {
+    const sub = findSubscription(key);
+    if (!sub) return null;
+    if (typeof block !== "bigint" || block < 0n) {
+      throw new Error("block must be a non-negative bigint");
+    }
+
+    sub.epoch += 1;
+    sub.nextBlock = block;
+    if (sub.blockCursor) {
+      await rewindCursor(sub.blockCursor, block - 1n);
+    }
+    scheduleTick();
+    return describe(sub);
+  }
+
+  /**
+   * Reset a subscription in place: clear its error state, unpause it and
+   * resume from its persisted cursor (if any).
+   * @param {string} key
+   */
+  async function restart(key) {
+    const sub = findSubscription(key);
+    if (!sub) return null;
+
+    sub.epoch += 1;
+    if (sub.blockCursor) {
+      const persisted = await sub.blockCursor.get();
+      if (persisted !== null && persisted !== undefined) {
+        sub.nextBlock = persisted + 1n;
+      }
+    }
+    sub.paused = false;
+    sub.lastError = null;
+    sub.lastErrorAt = null;
+    scheduleTick();
+    return describe(sub);
+  }
+
+  /**
+   * Snapshot of active subscriptions for diagnostics.
+   */
+  function getSubscriptions() {
+    return [...subscriptions.values()].map(describe);
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    start,
+    stop,
+    tick,
+    getSubscriptions,
+    pause,
+    resume,
+    rewind,
+    restart,
+    get headBlock() {
+      return lastHeadBlock;
+    },
+    get transport() {
+      return wsActive ? "websocket" : "polling";
+    },
+  };
+}
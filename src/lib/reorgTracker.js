@@ -0,0 +1,143 @@
+/**
+ * @file reorgTracker.js
+ * @description Tracks block hashes for recently processed blocks so pollers can
+ * detect chain reorganizations and retract logs delivered from orphaned blocks.
+ *
+ * Only blocks that produced logs plus the head of each processed range are
+ * recorded. Because every block hash commits to its parent, a match on the
+ * newest recorded block proves everything below it is still canonical, so the
+ * common (no-reorg) case costs a single getBlock call per tick.
+ *
+ * Usage:
+ *   const tracker = createReorgTracker({ client, windowSize: 64n });
+ *   tracker.record(blockNumber, blockHash, logs);
+ *   const reorg = await tracker.detect(); // null | { rewindTo, orphanedLogs }
+ *   if (reorg) tracker.discardFrom(reorg.rewindTo);
+ */
+
+/**
+ * @typedef {Object} ReorgDetection
+ * @property {bigint} rewindTo - First block that must be re-scanned
+ * @property {bigint|null} forkBlock - Newest recorded block that is still canonical
+ * @property {any[]} orphanedLogs - Logs previously delivered from orphaned blocks
+ */
+
+/**
+ * @param {{ client: import('viem').PublicClient, windowSize?: bigint }} params
+ */
+export function createReorgTracker({ client, windowSize = 64n }) {
+  if (!client) {
+    throw new Error("client is required");
+  }
+
+  /** @type {Map<bigint, { hash: string, logs: any[] }>} */
+  const blocks = new Map();
+
+  /**
+   * Remember the hash of a processed block and the logs delivered from it.
+   * @param {bigint} blockNumber
+   * @param {string} hash
+   * @param {any[]} [logs]
+   */
+  function record(blockNumber, hash, logs = []) {
+    if (typeof blockNumber !== "bigint" || !hash) return;
+
+    const existing = blocks.get(blockNumber);
+    if (existing && existing.hash === hash) {
+      existing.logs.push(...logs);
+      return;
+    }
+
+    blocks.set(blockNumber, { hash, logs: [...logs] });
+  }
+
+  /**
+   * Record every block referenced by a batch of logs (uses log.blockHash).
+   * @param {any[]} logs
+   */
+  function recordLogs(logs) {
+    /** @type {Map<bigint, any[]>} */
+    const byBlock = new Map();
+    for (const log of logs) {
+      if (typeof log?.blockNumber !== "bigint" || !log.blockHash) continue;
+      const list = byBlock.get(log.blockNumber) || [];
+      list.push(log);
+      byBlock.set(log.blockNumber, list);
+    }
+
+    for (const [blockNumber, blockLogs] of byBlock.entries()) {
+      record(blockNumber, blockLogs[0].blockHash, blockLogs);
+    }
+  }
+
+  /**
+   * Compare recorded hashes against the chain, newest first.
+   * Does not mutate state; call discardFrom() once the reorg was handled.
+   * @returns {Promise<ReorgDetection|null>}
+   */
+  async function detect() {
+    const numbers = [...blocks.keys()].sort((a, b) =>
+      a > b ? -1 : a < b ? 1 : 0,
+    );
+
+    /** @type {any[]} */
+    const orphanedLogs = [];
+    let oldestOrphaned = null;
+    let forkBlock = null;
+
+    for (const blockNumber of numbers) {
+      const entry = blocks.get(blockNumber);
+      const block = await client.getBlock({ blockNumber });
+
+      if (block && block.hash === entry.hash) {
+        forkBlock = blockNumber;
+        break;
+      }
+
+      oldestOrphaned = blockNumber;
+      orphanedLogs.unshift(...entry.logs);
+    }
+
+    if (oldestOrphaned === null) {
+      return null;
+    }
+
+    return {
+      forkBlock,
+      rewindTo: forkBlock !== null ? forkBlock + 1n : oldestOrphaned,
+      orphanedLogs,
+    };
+  }
+
+  /**
+   * Forget every recorded block at or above the given block number.
+   * @param {bigint} blockNumber
+   */
+  function discardFrom(blockNumber) {
+    for (const key of [...blocks.keys()]) {
+      if (key >= blockNumber) blocks.delete(key);
+    }
+  }
+
+  /**
+   * Drop blocks that fell out of the confirmation window.
+   * @param {bigint} headBlock
+   */
+  function prune(headBlock) {
+    const minBlock = headBlock - windowSize;
+    for (const key of [...blocks.keys()]) {
+      if (key < minBlock) blocks.delete(key);
+    }
+  }
+
+  return {
+    record,
+    recordLogs,
+    detect,
+    discardFrom,
+    prune,
+    get size() {
+      return blocks.size;
+    },
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * @file rpcPool.js
+ * @description Pool of JSON-RPC endpoints (primary plus fallbacks) exposed as a
+ * single viem transport. Each endpoint keeps an EWMA latency and error score
+ * and a circuit breaker; requests go to the best-scored endpoint whose breaker
+ * is closed and fail over to the next one on transport-level errors.
+ *
+ * Usage:
+ *   const pool = createRpcPool({ urls: [primary, ...fallbacks] });
+ *   createPublicClient({ chain, transport: pool.transport });
+ *   pool.getStatus(); // per-endpoint health for /api/health
+ */
+
+import { createTransport, http } from "viem";
+
+/**
+ * JSON-RPC error codes that mean "this endpoint can't serve us right now"
+ * rather than "the request itself is invalid". -32005 is the de-facto
+ * rate limit / limit exceeded code, -32603 a node-side internal error.
+ */
+const ENDPOINT_RPC_ERROR_CODES = new Set([-32005, -32603]);
+
+/**
+ * Decide whether an error should count against the endpoint and trigger
+ * failover. Reverts, invalid params and similar deterministic errors would
+ * fail identically on every endpoint, so they are returned to the caller.
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isEndpointFailure(error) {
+  if (!error || typeof error !== "object") return true;
+
+  const name = String(error.name || "");
+  if (name === "HttpRequestError" || name === "TimeoutError") {
+    return true;
+  }
+
+  if (typeof error.code === "number") {
+    return ENDPOINT_RPC_ERROR_CODES.has(error.code);
+  }
+
+  const message = String(error.message || "");
+  return (
+    message.includes("429") ||
+    message.includes("503") ||
+    message.includes("ETIMEDOUT") ||
+    message.includes("ECONNRESET") ||
+    message.includes("ECONNREFUSED") ||
+    message.includes("fetch failed")
+  );
+}
+
+/**
+ * Strip credentials / API keys from an RPC URL before exposing it.
+ * @param {string} url
+ * @returns {string}
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (_error) {
+    return "invalid-url";
+  }
+}
+
+/**
+ * @param {Object} params
+ * @param {string[]} params.urls - Endpoint URLs, primary first
+ * @param {number} [params.failureThreshold] - Consecutive failures that open the breaker
+ * @param {number} [params.cooldownMs] - How long an open breaker rejects traffic
+ * @param {number} [params.ewmaAlpha] - Weight of the newest sample in latency/error averages
+ * @param {number} [params.timeoutMs] - Per-request timeout for each endpoint
+ * @param {Function} [params.createEndpointTransport] - Override for tests (defaults to viem http)
+ * @param {() => number} [params.now] - Clock override for tests
+ * @param {Object} [params.logger] - Logger instance
+ */
+export function createRpcPool({
+  urls,
+  failureThreshold = 3,
+  cooldownMs = 30_000,
+  ewmaAlpha = 0.3,
+  timeoutMs = 10_000,
+  createEndpointTransport = (url) =>
+    http(url, { retryCount: 0, timeout: timeoutMs }),
+  now = () => Date.now(),
+  logger = console,
+}) {
+  const uniqueUrls = [...new Set((urls || []).filter(Boolean))];
+  if (uniqueUrls.length === 0) {
+    throw new Error("createRpcPool requires at least one RPC URL");
+  }
+
+  const endpoints = uniqueUrls.map((url, index) => ({
+    url,
+    label: redactUrl(url),
+    priority: index,
+    transportFactory: createEndpointTransport(url),
+    latencyMs: null,
+    errorRate: 0,
+    consecutiveFailures: 0,
+    totalRequests: 0,
+    totalFailures: 0,
+    state: "closed", // closed | open | half-open
+    openedAt: null,
+    lastError: null,
+    lastSuccessAt: null,
+  }));
+
+  /**
+   * Ranking bucket, lower first: a half-open endpoint's trial request, then
+   * healthy measured endpoints, then endpoints never tried (in configured
+   * order), then endpoints failing at least half of their requests or
+   * failing without ever succeeding
+   * @param {typeof endpoints[number]} endpoint
+   */
+  function tier(endpoint) {
+    if (endpoint.state === "half-open") return 0;
+    if (endpoint.latencyMs === null) return endpoint.errorRate === 0 ? 2 : 3;
+    return endpoint.errorRate < 0.5 ? 1 : 3;
+  }
+
+  /**
+   * Lower is better within a tier. Unmeasured endpoints keep their
+   * configured order.
+   * @param {typeof endpoints[number]} endpoint
+   */
+  function score(endpoint) {
+    const latency = endpoint.latencyMs ?? 0;
+    return latency * (1 + endpoint.errorRate * 10) + endpoint.priority;
+  }
+
+  /**
+   * Move breakers whose cooldown elapsed to half-open, then order the
+   * endpoints that may take traffic. When every breaker is open we still
+   * try the one that opened first rather than failing without a request.
+   */
+  function pickOrder() {
+    const current = now();
+    for (const endpoint of endpoints) {
+      if (
+        endpoint.state === "open" &&
+        current - endpoint.openedAt >= cooldownMs
+      ) {
+        endpoint.state = "half-open";
+      }
+    }
+
+    const available = endpoints
+      .filter((endpoint) => endpoint.state !== "open")
+      .sort((a, b) => tier(a) - tier(b) || score(a) - score(b));
+
+    if (available.length > 0) return available;
+
+    return [...endpoints].sort((a, b) => a.openedAt - b.openedAt).slice(0, 1);
+  }
+
+  function recordSuccess(endpoint, latencyMs) {
+    endpoint.totalRequests += 1;
+    endpoint.latencyMs =
+      endpoint.latencyMs === null
+        ? latencyMs
+        : ewmaAlpha * latencyMs + (1 - ewmaAlpha) * endpoint.latencyMs;
+    endpoint.errorRate = (1 - ewmaAlpha) * endpoint.errorRate;
+    endpoint.consecutiveFailures = 0;
+    endpoint.lastSuccessAt = now();
+
+    if (endpoint.state !== "closed") {
+      logger.info?.(`[RPC_POOL] ✅ ${endpoint.label} recovered, closing circuit`);
+    }
+    endpoint.state = "closed";
+    endpoint.openedAt = null;
+  }
+
+  function recordFailure(endpoint, error) {
+    endpoint.totalRequests += 1;
+    endpoint.totalFailures += 1;
+    endpoint.errorRate = ewmaAlpha + (1 - ewmaAlpha) * endpoint.errorRate;
+    endpoint.consecutiveFailures += 1;
+    endpoint.lastError = error?.shortMessage || error?.message || String(error);
+
+    const shouldOpen =
+      endpoint.state === "half-open" ||
+      endpoint.consecutiveFailures >= failureThreshold;
+
+    if (shouldOpen && endpoint.state !== "open") {
+      endpoint.state = "open";
+      endpoint.openedAt = now();
+      logger.warn?.(
+        `[RPC_POOL] ⚠️ Opening circuit for ${endpoint.label} after ${endpoint.consecutiveFailures} failure(s): ${endpoint.lastError}`,
+      );
+    }
+  }
+
+  /**
+   * viem transport factory. Endpoint transports are instantiated lazily per
+   * client so chain / timeout settings from the client are respected.
+   * @type {import('viem').Transport}
+   */
+  const transport = ({ chain, retryCount, retryDelay } = {}) => {
+    const instances = new Map();
+    const getInstance = (endpoint) => {
+      if (!instances.has(endpoint)) {
+        instances.set(
+          endpoint,
+          endpoint.transportFactory({ chain, retryCount: 0 }),
+        );
+      }
+      return instances.get(endpoint);
+    };
+
+    return createTransport({
+      key: "rpcPool",
+      name: "RPC Pool",
+      type: "rpcPool",
+      retryCount: retryCount ?? 1,
+      retryDelay,
+      async request({ method, params }) {
+        let lastError = null;
+
+        for (const endpoint of pickOrder()) {
+          const startedAt = now();
+          try {
+            const result = await getInstance(endpoint).request({
+              method,
+              params,
+            });
+            recordSuccess(endpoint, now() - startedAt);
+            return result;
+          } catch (error) {
+            if (!isEndpointFailure(error)) {
+              // The endpoint answered; the request itself failed.
+              recordSuccess(endpoint, now() - startedAt);
+              throw error;
+            }
+            recordFailure(endpoint, error);
+            lastError = error;
+          }
+        }
+
+        throw lastError;
+      },
+    });
+  };
+
+  /**
+   * Per-endpoint health snapshot (URLs are redacted to scheme + host).
+   */
+  function getStatus() {
+    return endpoints.map((endpoint) => ({
+      url: endpoint.label,
+      priority: endpoint.priority,
+      state: endpoint.state,
+      healthy: endpoint.state === "closed",
+      latencyMs:
+        endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      consecutiveFailures: endpoint.consecutiveFailures,
+      totalRequests: endpoint.totalRequests,
+      totalFailures: endpoint.totalFailures,
+      lastError: endpoint.lastError,
+      lastSuccessAt: endpoint.lastSuccessAt
+        ? new Date(endpoint.lastSuccessAt).toISOString()
+        : null,
+    }));
+  }
+
+  return { transport, getStatus };
+}
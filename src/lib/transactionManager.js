@@ -0,0 +1,470 @@
+/**
+ * @file transactionManager.js
+ * @description Single path for backend contract writes.
+ *
+ * Every signer (chain id + address) gets one priority queue: writes are
+ * signed and broadcast one at a time, highest priority first, with the nonce
+ * taken from a local counter that resyncs from the chain's pending count
+ * after a send error. Receipt waiting happens outside the queue, so a slow
+ * confirmation never blocks the next write. A transaction that is not mined
+ * within replaceAfterMs is re-signed with the same nonce and bumped fees, up
+ * to maxReplacements times.
+ *
+ * send() never throws: it resolves with a TransactionResult, and the same
+ * result is passed to every subscribe() listener.
+ *
+ * Usage:
+ *   const manager = createTransactionManager({ logger });
+ *   const result = await manager.send({
+ *     walletClient,
+ *     publicClient,
+ *     to: raffleAddress,
+ *     abi: RaffleAbi,
+ *     functionName: "startSeason",
+ *     args: [seasonId],
+ *     priority: "high",
+ *   });
+ *   if (!result.success) { ... result.status, result.error ... }
+ */
+
+import { encodeFunctionData, keccak256 } from "viem";
+
+/** Queue order per signer (lower runs first) */
+export const TX_PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const DEFAULT_REPLACE_AFTER_MS = 60_000;
+const DEFAULT_MAX_REPLACEMENTS = 3;
+// Replacements must outbid the pending transaction; most clients require +10%
+const DEFAULT_FEE_BUMP_PERCENT = 125;
+
+/**
+ * @typedef {Object} TransactionResult
+ * @property {number} id
+ * @property {string} label
+ * @property {string} signer - "<chainId>:<address>"
+ * @property {boolean} success - Mined and succeeded
+ * @property {"submitted"|"confirmed"|"reverted"|"pending"|"failed"} status
+ *   submitted: broadcast, not waited for (see confirmation);
+ *   pending: still unmined after every replacement;
+ *   failed: never broadcast (or the receipt could not be read)
+ * @property {string|null} hash - Hash of the mined (or latest) transaction
+ * @property {string[]} hashes - Every hash broadcast for this write
+ * @property {number|null} nonce
+ * @property {number} replacements
+ * @property {bigint|null} blockNumber
+ * @property {bigint|null} gasUsed
+ * @property {object|null} receipt
+ * @property {string|null} error
+ * @property {number} durationMs
+ * @property {Promise<TransactionResult>} [confirmation] - Final result when not waiting
+ */
+
+/**
+ * Fee for a replacement: the bumped previous fee or the current estimate,
+ * whichever is higher
+ * @param {bigint|string|number|null|undefined} previous
+ * @param {bigint|undefined} current
+ * @param {number} [percent]
+ * @returns {bigint|undefined}
+ */
+export function bumpFee(previous, current, percent = DEFAULT_FEE_BUMP_PERCENT) {
+  if (previous === null || previous === undefined) return current;
+  const bumped = (BigInt(previous) * BigInt(percent)) / 100n;
+  return current !== undefined && current > bumped ? current : bumped;
+}
+
+/**
+ * Whether a send error means our nonce is out of date (used elsewhere,
+ * or a transaction with it is already pending)
+ * @param {any} error
+ */
+export function isNonceError(error) {
+  const text = `${error?.name || ""} ${error?.message || ""} ${
+    error?.details || ""
+  }`.toLowerCase();
+  return (
+    text.includes("nonce") ||
+    text.includes("already known") ||
+    text.includes("replacement transaction underpriced")
+  );
+}
+
+async function findReceipt(publicClient, hashes) {
+  for (const hash of hashes) {
+    try {
+      return await publicClient.getTransactionReceipt({ hash });
+    } catch {
+      // Not mined (or not known to this node)
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Object} [params]
+ * @param {number} [params.replaceAfterMs] - Replace a transaction unmined for this long
+ * @param {number} [params.maxReplacements]
+ * @param {number} [params.feeBumpPercent] - Replacement fee as a percent of the previous fee
+ * @param {object} [params.logger]
+ */
+export function createTransactionManager({
+  replaceAfterMs = DEFAULT_REPLACE_AFTER_MS,
+  maxReplacements = DEFAULT_MAX_REPLACEMENTS,
+  feeBumpPercent = DEFAULT_FEE_BUMP_PERCENT,
+  logger = console,
+} = {}) {
+  /** @type {Map<string, { key: string, address: string, nextNonce: number|null, queue: any[], draining: boolean, inFlight: number }>} */
+  const signers = new Map();
+  /** @type {Set<(event: string, result: TransactionResult) => void>} */
+  const listeners = new Set();
+  const stats = {
+    submitted: 0,
+    confirmed: 0,
+    reverted: 0,
+    pending: 0,
+    failed: 0,
+    replacements: 0,
+  };
+  let txSeq = 0;
+  let jobSeq = 0;
+
+  function getSigner(walletClient) {
+    const address = walletClient.account.address.toLowerCase();
+    const key = `${walletClient.chain?.id ?? "unknown"}:${address}`;
+    if (!signers.has(key)) {
+      signers.set(key, {
+        key,
+        address: walletClient.account.address,
+        nextNonce: null,
+        queue: [],
+        draining: false,
+        inFlight: 0,
+      });
+    }
+    return signers.get(key);
+  }
+
+  function emit(event, result) {
+    for (const listener of listeners) {
+      try {
+        listener(event, result);
+      } catch (error) {
+        logger.warn(`[TX_MANAGER] ⚠️  Result listener failed: ${error.message}`);
+      }
+    }
+  }
+
+  function enqueue(signer, rank, run) {
+    return new Promise((resolve, reject) => {
+      signer.queue.push({ rank, seq: ++jobSeq, run, resolve, reject });
+      drain(signer);
+    });
+  }
+
+  async function drain(signer) {
+    if (signer.draining) return;
+    signer.draining = true;
+    try {
+      while (signer.queue.length > 0) {
+        signer.queue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+        const job = signer.queue.shift();
+        try {
+          job.resolve(await job.run());
+        } catch (error) {
+          job.reject(error);
+        }
+      }
+    } finally {
+      signer.draining = false;
+    }
+  }
+
+  /**
+   * Prepare and sign without sending
+   */
+  async function sign(tx, nonce, fees) {
+    const request = await tx.walletClient.prepareTransactionRequest({
+      account: tx.walletClient.account,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gas: tx.gas,
+      nonce,
+      maxFeePerGas: fees?.maxFeePerGas,
+      maxPriorityFeePerGas: fees?.maxPriorityFeePerGas,
+    });
+    const serializedTransaction = await tx.walletClient.signTransaction(request);
+    return {
+      serializedTransaction,
+      hash: keccak256(serializedTransaction),
+      nonce: Number(request.nonce),
+      maxFeePerGas: request.maxFeePerGas ?? null,
+      maxPriorityFeePerGas: request.maxPriorityFeePerGas ?? null,
+    };
+  }
+
+  /**
+   * Fees that outbid `previous` (current estimate when higher)
+   */
+  async function bumpedFees(tx, previous) {
+    const estimate = await tx.publicClient.estimateFeesPerGas();
+    return {
+      maxFeePerGas: bumpFee(previous.maxFeePerGas, estimate.maxFeePerGas, feeBumpPercent),
+      maxPriorityFeePerGas: bumpFee(
+        previous.maxPriorityFeePerGas,
+        estimate.maxPriorityFeePerGas,
+        feeBumpPercent,
+      ),
+    };
+  }
+
+  async function sendSigned(tx, signed, replacedHash = null) {
+    if (tx.onSigned) {
+      const { serializedTransaction: _raw, ...details } = signed;
+      await tx.onSigned({ ...details, replacedHash });
+    }
+    await tx.walletClient.sendRawTransaction({
+      serializedTransaction: signed.serializedTransaction,
+    });
+    tx.nonce = signed.nonce;
+    tx.hash = signed.hash;
+    tx.hashes.push(signed.hash);
+    tx.fees = {
+      maxFeePerGas: signed.maxFeePerGas,
+      maxPriorityFeePerGas: signed.maxPriorityFeePerGas,
+    };
+  }
+
+  /**
+   * First broadcast; runs inside the signer's queue
+   */
+  async function broadcast(signer, tx, explicitNonce, minFees) {
+    const fees = minFees ? await bumpedFees(tx, minFees) : undefined;
+
+    for (let resynced = false; ; resynced = true) {
+      if (explicitNonce === undefined && signer.nextNonce === null) {
+        signer.nextNonce = await tx.publicClient.getTransactionCount({
+          address: signer.address,
+          blockTag: "pending",
+        });
+      }
+      const nonce = explicitNonce ?? signer.nextNonce;
+      const signed = await sign(tx, nonce, fees);
+
+      try {
+        await sendSigned(tx, signed);
+        if (explicitNonce === undefined) signer.nextNonce = nonce + 1;
+        return;
+      } catch (error) {
+        if (explicitNonce !== undefined) throw error;
+        // Unknown whether the node kept it; resync from the pending count
+        signer.nextNonce = null;
+        if (resynced || !isNonceError(error)) throw error;
+        logger.warn(
+          `[TX_MANAGER] ⚠️  ${tx.label}: nonce ${nonce} rejected (${error.message}), resyncing`,
+        );
+      }
+    }
+  }
+
+  function buildResult(tx, status, { receipt = null, error = null } = {}) {
+    return {
+      id: tx.id,
+      label: tx.label,
+      signer: tx.signerKey,
+      success: status === "confirmed",
+      status,
+      hash: receipt?.transactionHash ?? tx.hash,
+      hashes: [...tx.hashes],
+      nonce: tx.nonce,
+      replacements: tx.replacements,
+      blockNumber: receipt?.blockNumber ?? null,
+      gasUsed: receipt?.gasUsed ?? null,
+      receipt,
+      error: error ? error.shortMessage || error.message || String(error) : null,
+      durationMs: Date.now() - tx.startedAt,
+    };
+  }
+
+  function finish(signer, tx, status, details) {
+    const result = buildResult(tx, status, details);
+    stats[status] += 1;
+    if (tx.hashes.length > 0) signer.inFlight -= 1;
+
+    const message = `[TX_MANAGER] ${tx.label}: ${status}${
+      result.hash ? ` (${result.hash})` : ""
+    }${result.error ? ` - ${result.error}` : ""}`;
+    if (status === "confirmed") logger.info(`✅ ${message}`);
+    else logger.warn(`⚠️  ${message}`);
+
+    emit(status, result);
+    return result;
+  }
+
+  function settle(signer, tx, receipt) {
+    if (receipt.status === "success") {
+      return finish(signer, tx, "confirmed", { receipt });
+    }
+    return finish(signer, tx, "reverted", {
+      receipt,
+      error: new Error("Transaction reverted on-chain"),
+    });
+  }
+
+  /**
+   * Wait for a receipt, replacing the transaction while it stays unmined
+   */
+  async function monitor(signer, tx) {
+    for (;;) {
+      try {
+        const receipt = await tx.publicClient.waitForTransactionReceipt({
+          hash: tx.hash,
+          confirmations: tx.confirmations,
+          timeout: replaceAfterMs,
+        });
+        return settle(signer, tx, receipt);
+      } catch (error) {
+        if (error?.name !== "WaitForTransactionReceiptTimeoutError") {
+          return finish(signer, tx, "failed", { error });
+        }
+      }
+
+      // An earlier broadcast may be the one that landed
+      const mined = await findReceipt(tx.publicClient, tx.hashes);
+      if (mined) {
+        return settle(signer, tx, mined);
+      }
+
+      if (tx.replacements >= maxReplacements) {
+        return finish(signer, tx, "pending", {
+          error: new Error(
+            `Not mined after ${tx.replacements} replacement(s); nonce ${tx.nonce} still pending`,
+          ),
+        });
+      }
+
+      tx.replacements += 1;
+      stats.replacements += 1;
+      const replacedHash = tx.hash;
+      try {
+        const signed = await sign(tx, tx.nonce, await bumpedFees(tx, tx.fees));
+        await sendSigned(tx, signed, replacedHash);
+        logger.info(
+          `[TX_MANAGER] 🔁 ${tx.label}: replaced ${replacedHash} with ${tx.hash} (nonce ${tx.nonce})`,
+        );
+        emit("replaced", buildResult(tx, "submitted"));
+      } catch (error) {
+        // A nonce error here usually means one of our broadcasts just landed
+        logger.warn(
+          `[TX_MANAGER] ⚠️  ${tx.label}: replacement failed: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Queue a contract write
+   * @param {Object} params
+   * @param {object} params.walletClient - viem WalletClient with a local account
+   * @param {object} params.publicClient - viem PublicClient on the same chain
+   * @param {string} params.to
+   * @param {string} [params.data] - Calldata (or abi + functionName + args)
+   * @param {import('viem').Abi} [params.abi]
+   * @param {string} [params.functionName]
+   * @param {unknown[]} [params.args]
+   * @param {bigint} [params.value]
+   * @param {bigint} [params.gas] - Gas limit (estimated when omitted)
+   * @param {number} [params.nonce] - Explicit nonce: replace a known transaction
+   * @param {{ maxFeePerGas: bigint|string, maxPriorityFeePerGas: bigint|string }} [params.minFees] - Fees to outbid (with nonce)
+   * @param {"high"|"normal"|"low"} [params.priority]
+   * @param {string} [params.label] - Log label (defaults to functionName)
+   * @param {boolean} [params.waitForReceipt] - Resolve once mined (default) or once broadcast
+   * @param {number} [params.confirmations]
+   * @param {(signed: { hash: string, nonce: number, maxFeePerGas: bigint|null, maxPriorityFeePerGas: bigint|null, replacedHash: string|null }) => Promise<void>} [params.onSigned]
+   *   Called before each broadcast (first send and replacements)
+   * @returns {Promise<TransactionResult>}
+   */
+  async function send({
+    walletClient,
+    publicClient,
+    to,
+    data,
+    abi,
+    functionName,
+    args = [],
+    value,
+    gas,
+    nonce,
+    minFees,
+    priority = "normal",
+    label,
+    waitForReceipt = true,
+    confirmations = 1,
+    onSigned,
+  }) {
+    const signer = getSigner(walletClient);
+    const tx = {
+      id: ++txSeq,
+      label: label || functionName || `tx to ${to}`,
+      signerKey: signer.key,
+      walletClient,
+      publicClient,
+      to,
+      data: null,
+      value,
+      gas,
+      confirmations,
+      onSigned,
+      nonce: null,
+      hash: null,
+      hashes: [],
+      fees: null,
+      replacements: 0,
+      startedAt: Date.now(),
+    };
+
+    try {
+      tx.data = data ?? encodeFunctionData({ abi, functionName, args });
+      await enqueue(signer, TX_PRIORITIES[priority] ?? TX_PRIORITIES.normal, () =>
+        broadcast(signer, tx, nonce, minFees),
+      );
+    } catch (error) {
+      return finish(signer, tx, "failed", { error });
+    }
+
+    stats.submitted += 1;
+    signer.inFlight += 1;
+    const submitted = buildResult(tx, "submitted");
+    emit("submitted", submitted);
+
+    const confirmation = monitor(signer, tx);
+    if (waitForReceipt) return confirmation;
+    return { ...submitted, confirmation };
+  }
+
+  /**
+   * Listen to every result ("submitted", "replaced" and final statuses)
+   * @param {(event: string, result: TransactionResult) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function getStatus() {
+    return {
+      replaceAfterMs,
+      maxReplacements,
+      signers: [...signers.values()].map((signer) => ({
+        signer: signer.key,
+        nextNonce: signer.nextNonce,
+        queued: signer.queue.length,
+        inFlight: signer.inFlight,
+      })),
+      stats: { ...stats },
+    };
+  }
+
+  return { send, subscribe, getStatus };
+}
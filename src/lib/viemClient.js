@@ -2,9 +2,10 @@
 // Factory for viem PublicClient and WalletClient per network
 
 import process from "node:process";
-import { createPublicClient, createWalletClient, http } from "viem";
+import { createPublicClient, createWalletClient, webSocket } from "viem";
 import { privateKeyToAccount } from "viem/accounts";
 import { getChainByKey } from "../config/chain.js";
+import { createRpcPool } from "./rpcPool.js";
 
 // Select network from environment - NO FALLBACKS
 const NETWORK =
@@ -18,8 +19,41 @@ if (!NETWORK) {
   );
 }
 
-function buildRpcTransport(rpcUrl) {
-  return http(rpcUrl);
+/** @type {Map<string, ReturnType<typeof createRpcPool>>} */
+const rpcPools = new Map();
+
+/**
+ * Get the shared RPC pool for a network (primary RPC_URL_<NET> plus
+ * RPC_FALLBACK_URLS_<NET>). Pools are shared by every client of the network
+ * so health scores and circuit breakers reflect all traffic.
+ * @param {string} [key]
+ */
+export function getRpcPool(key = NETWORK) {
+  const netKey = String(key || NETWORK).toUpperCase();
+  if (!rpcPools.has(netKey)) {
+    const chain = getChainByKey(netKey);
+    rpcPools.set(
+      netKey,
+      createRpcPool({ urls: [chain.rpcUrl, ...(chain.rpcFallbackUrls || [])] }),
+    );
+  }
+  return rpcPools.get(netKey);
+}
+
+/**
+ * Per-endpoint status of every RPC pool created so far (for /api/health).
+ * @returns {Record<string, ReturnType<ReturnType<typeof createRpcPool>['getStatus']>>}
+ */
+export function getRpcPoolStatus() {
+  const status = {};
+  for (const [netKey, pool] of rpcPools.entries()) {
+    status[netKey] = pool.getStatus();
+  }
+  return status;
+}
+
+function buildRpcTransport(key) {
+  return getRpcPool(key).transport;
 }
 
 // Default public client for event listeners (uses configured NETWORK)
@@ -31,7 +65,7 @@ export const publicClient = createPublicClient({
     nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
     rpcUrls: { default: { http: [defaultChain.rpcUrl] } },
   },
-  transport: buildRpcTransport(defaultChain.rpcUrl),
+  transport: buildRpcTransport(NETWORK),
   pollingInterval: 4_000, // Force polling mode for public RPC compatibility
 });
 
@@ -48,11 +82,35 @@ export function getPublicClient(key) {
       nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
       rpcUrls: { default: { http: [chain.rpcUrl] } },
     },
-    transport: buildRpcTransport(chain.rpcUrl),
+    transport: buildRpcTransport(key),
     pollingInterval: 4_000, // Force polling mode for public RPC compatibility
   });
 }
 
+/**
+ * Build a viem PublicClient over the network's WebSocket endpoint
+ * (RPC_WS_URL_<NETWORK>). Returns null when no WebSocket URL is configured.
+ * Reconnects are handled by the caller (log ingestion falls back to polling).
+ * @param {string} [key]
+ * @returns {import('viem').PublicClient|null}
+ */
+export function getWebSocketClient(key = NETWORK) {
+  const chain = getChainByKey(key);
+  if (!chain.wsUrl) return null;
+
+  return createPublicClient({
+    chain: {
+      id: chain.id,
+      name: chain.name,
+      nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+      rpcUrls: {
+        default: { http: [chain.rpcUrl], webSocket: [chain.wsUrl] },
+      },
+    },
+    transport: webSocket(chain.wsUrl, { reconnect: false }),
+  });
+}
+
 /**
  * Build a viem WalletClient for backend wallet operations.
  * Lazy-loads on first use to ensure .env is fully loaded.
@@ -102,7 +160,7 @@ export function getWalletClient(key = NETWORK) {
       nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
       rpcUrls: { default: { http: [chain.rpcUrl] } },
     },
-    transport: buildRpcTransport(chain.rpcUrl),
+    transport: buildRpcTransport(key),
   });
 
   return client;
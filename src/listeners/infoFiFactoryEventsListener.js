@@ -0,0 +1,293 @@
+import { formatEther } from "viem";
+import { publicClient } from "../lib/viemClient.js";
+import { getChainByKey } from "../config/chain.js";
+import { getLogIngestionEngine } from "../services/logIngestionService.js";
+import { createBlockCursor } from "../lib/blockCursor.js";
+import { deadLetterService } from "../services/deadLetterService.js";
+import { adminAlertService } from "../services/adminAlertService.js";
+import {
+  infoFiMarketStateService,
+  getCreationStatusName,
+  INFOFI_FACTORY_EVENTS,
+} from "../services/infoFiMarketStateService.js";
+import { seasonSettlementService } from "../services/seasonSettlementService.js";
+import { MARKET_TYPE_HASHES } from "./marketCreatedListener.js";
+
+/**
+ * Build the per-log handler for INFOFI_FACTORY_EVENTS, shared by the live
+ * listener, dead-letter retries and (record-only) the backfill CLI. Throws on failure so
+ * the log is dead-lettered and retried.
+ * @param {object} params
+ * @param {string} params.infoFiFactoryAddress - InfoFiMarketFactory address
+ * @param {object} params.logger - Logger instance
+ * @param {boolean} [params.recordOnly] - Only write database state: no
+ *   settlement run and no TreasuryLow alert (used by the backfill CLI)
+ * @returns {(log: any) => Promise<{ skipped: boolean }>}
+ */
+export function createInfoFiFactoryEventHandler({
+  infoFiFactoryAddress,
+  logger,
+  recordOnly = false,
+}) {
+  const handlers = {
+    MarketStatusChanged: async (log) => {
+      const { seasonId, player, oldStatus, newStatus, reason } = log.args;
+      const { applied, status } =
+        await infoFiMarketStateService.applyStatusChange({
+          seasonId: Number(seasonId),
+          player,
+          status: newStatus,
+          reason,
+          blockNumber: log.blockNumber,
+        });
+
+      logger.info(
+        `📋 [INFOFI_FACTORY] Season ${seasonId} market for ${player}: ` +
+          `${getCreationStatusName(oldStatus)} → ${status}${reason ? ` (${reason})` : ""}`,
+      );
+      return { skipped: !applied };
+    },
+
+    ProbabilityUpdated: async (log) => {
+      const { seasonId, player, newProbabilityBps } = log.args;
+      const { applied } = await infoFiMarketStateService.applyProbability({
+        seasonId: Number(seasonId),
+        player,
+        probabilityBps: Number(newProbabilityBps),
+        blockNumber: log.blockNumber,
+      });
+
+      if (applied) {
+        logger.debug(
+          `[INFOFI_FACTORY] Season ${seasonId} ${player} probability: ${newProbabilityBps} bps`,
+        );
+      }
+      return { skipped: !applied };
+    },
+
+    MarketCreationFailed: async (log) => {
+      const { seasonId, player, marketType, reason } = log.args;
+      const { alreadyRecorded } =
+        await infoFiMarketStateService.recordCreationFailure({
+          seasonId: Number(seasonId),
+          player,
+          marketType: MARKET_TYPE_HASHES[marketType] || marketType,
+          reason,
+          txHash: log.transactionHash,
+          logIndex: log.logIndex,
+        });
+
+      if (!alreadyRecorded) {
+        logger.warn(
+          `⚠️  [INFOFI_FACTORY] Market creation failed for season ${seasonId}, player ${player}: ${reason}`,
+        );
+      }
+      return { skipped: alreadyRecorded };
+    },
+
+    SeasonMarketsResolved: async (log) => {
+      const { seasonId, winner, marketCount } = log.args;
+      const seasonIdNum = Number(seasonId);
+
+      const marked = await infoFiMarketStateService.markSeasonResolved({
+        seasonId: seasonIdNum,
+        txHash: log.transactionHash,
+      });
+      logger.info(
+        `🏁 [INFOFI_FACTORY] Season ${seasonIdNum} markets resolved onchain ` +
+          `(winner ${winner}, ${marketCount} onchain, ${marked} in database)`,
+      );
+
+      // Carry settlement on from the onchain step, whoever sent the resolution
+      await seasonSettlementService.recordOnchainResolution(seasonIdNum, {
+        winnerAddress: winner,
+        txHash: log.transactionHash,
+      });
+      if (recordOnly) return { skipped: false };
+      await seasonSettlementService.settleSeason(seasonIdNum, {
+        winnerAddress: winner,
+        logger,
+      });
+      return { skipped: false };
+    },
+
+    TreasuryLow: async (log) => {
+      const { currentBalance, requiredPerMarket } = log.args;
+      if (recordOnly) return { skipped: true };
+      await adminAlertService.sendAdminAlert(
+        {
+          key: `infofi-treasury-low:${infoFiFactoryAddress.toLowerCase()}`,
+          severity: "CRITICAL",
+          message:
+            `InfoFi factory treasury is low: ${formatEther(currentBalance)} SOF, ` +
+            `${formatEther(requiredPerMarket)} SOF needed per market`,
+          details: {
+            source: "infofi-factory",
+            factory: infoFiFactoryAddress,
+            currentBalance: currentBalance.toString(),
+            requiredPerMarket: requiredPerMarket.toString(),
+            txHash: log.transactionHash,
+            blockNumber: log.blockNumber?.toString(),
+          },
+        },
+        logger,
+      );
+      return { skipped: false };
+    },
+  };
+
+  return async (log) => {
+    const handler = handlers[log.eventName];
+    if (!handler) {
+      logger.warn(`⚠️  [INFOFI_FACTORY] Unhandled event ${log.eventName}`);
+      return { skipped: true };
+    }
+    return handler(log);
+  };
+}
+
+/**
+ * Roll back what the handler wrote for logs orphaned by a reorg
+ * @param {string} eventName
+ * @param {any[]} orphanedLogs
+ * @param {object} params
+ * @param {string} params.infoFiFactoryAddress
+ * @param {object} params.infoFiFactoryAbi
+ * @param {object} params.logger
+ */
+async function retractLogs(
+  eventName,
+  orphanedLogs,
+  { infoFiFactoryAddress, infoFiFactoryAbi, logger },
+) {
+  const txHashes = orphanedLogs.map((log) => log.transactionHash);
+
+  if (eventName === "MarketCreationFailed") {
+    const removed =
+      await infoFiMarketStateService.retractCreationFailures(txHashes);
+    logger.info(`   🗑️  Retracted ${removed} failed market record(s)`);
+    return;
+  }
+
+  if (eventName === "SeasonMarketsResolved") {
+    const unmarked =
+      await infoFiMarketStateService.retractSeasonResolved(txHashes);
+    const reopened =
+      await seasonSettlementService.retractOnchainResolution(txHashes);
+    logger.info(
+      `   🗑️  Unmarked ${unmarked} resolved market(s), ${reopened} settlement(s) back to pending`,
+    );
+    return;
+  }
+
+  if (eventName === "MarketStatusChanged" || eventName === "ProbabilityUpdated") {
+    // Re-read the affected markets from chain; replayed logs apply on top
+    for (const log of orphanedLogs) {
+      const { seasonId, player } = log.args;
+      const functionName =
+        eventName === "MarketStatusChanged"
+          ? "marketStatus"
+          : "getPlayerProbability";
+      const value = await publicClient.readContract({
+        address: infoFiFactoryAddress,
+        abi: infoFiFactoryAbi,
+        functionName,
+        args: [seasonId, player],
+      });
+
+      await infoFiMarketStateService.resetFromChain(
+        eventName === "MarketStatusChanged"
+          ? { seasonId: Number(seasonId), player, status: value }
+          : { seasonId: Number(seasonId), player, probabilityBps: Number(value) },
+      );
+    }
+  }
+}
+
+/**
+ * Starts listening for the InfoFiMarketFactory events other than
+ * MarketCreated: market status and probability changes, creation failures,
+ * season resolution and treasury warnings
+ * @param {string} infoFiFactoryAddress - InfoFiMarketFactory contract address
+ * @param {object} infoFiFactoryAbi - InfoFiMarketFactory contract ABI
+ * @param {object} logger - Fastify logger instance (app.log)
+ * @param {object} [options]
+ * @param {bigint} [options.confirmations] - Blocks to lag behind head (defaults to network setting)
+ * @returns {function} Unwatch function to stop every factory event subscription
+ */
+export async function startInfoFiFactoryEventsListener(
+  infoFiFactoryAddress,
+  infoFiFactoryAbi,
+  logger,
+  options = {},
+) {
+  if (!infoFiFactoryAddress || !infoFiFactoryAbi) {
+    throw new Error("infoFiFactoryAddress and infoFiFactoryAbi are required");
+  }
+
+  if (!logger) {
+    throw new Error("logger instance is required");
+  }
+
+  const confirmations =
+    options.confirmations ??
+    getChainByKey(process.env.DEFAULT_NETWORK).confirmations;
+
+  const processLog = createInfoFiFactoryEventHandler({
+    infoFiFactoryAddress,
+    logger,
+  });
+  const unwatchers = [];
+
+  for (const eventName of INFOFI_FACTORY_EVENTS) {
+    const listenerKey = `${infoFiFactoryAddress}:${eventName}`;
+    const blockCursor = await createBlockCursor(listenerKey);
+
+    deadLetterService.registerHandler(listenerKey, {
+      abi: infoFiFactoryAbi,
+      handler: processLog,
+    });
+
+    const unwatch = await getLogIngestionEngine(logger).subscribe({
+      key: listenerKey,
+      address: infoFiFactoryAddress,
+      abi: infoFiFactoryAbi,
+      eventName,
+      confirmations,
+      blockCursor,
+      onReorg: async (orphanedLogs, { rewindTo }) => {
+        logger.warn(
+          `⚠️  Reorg detected on ${infoFiFactoryAddress}: rewinding ${eventName} to block ${rewindTo}`,
+        );
+        await retractLogs(eventName, orphanedLogs, {
+          infoFiFactoryAddress,
+          infoFiFactoryAbi,
+          logger,
+        });
+      },
+      onLogs: (logs) =>
+        deadLetterService.processLogs({
+          listenerKey,
+          logs,
+          handler: processLog,
+        }),
+      onError: (error) => {
+        logger.error(
+          `❌ InfoFi factory listener error (${eventName}): ${
+            error?.message || String(error)
+          }`,
+        );
+      },
+    });
+
+    unwatchers.push(unwatch);
+  }
+
+  logger.info(
+    `🎧 Listening for ${INFOFI_FACTORY_EVENTS.length} InfoFi factory events on ${infoFiFactoryAddress}`,
+  );
+
+  return () => {
+    for (const unwatch of unwatchers) unwatch();
+  };
+}
@@ -1,13 +1,15 @@
 import { publicClient } from "../lib/viemClient.js";
 import { db } from "../../shared/supabaseClient.js";
 import SOFBondingCurveAbi from "../abis/SOFBondingCurveAbi.js";
-import { startContractEventPolling } from "../lib/contractEventPolling.js";
+import { getChainByKey } from "../config/chain.js";
+import { getLogIngestionEngine } from "../services/logIngestionService.js";
 import { createBlockCursor } from "../lib/blockCursor.js";
 import { historicalOddsService } from "../../shared/historicalOddsService.js";
+import { deadLetterService } from "../services/deadLetterService.js";
 
 // Market type hash mapping (matches contract constants)
 // These are keccak256 hashes of the market type strings
-const MARKET_TYPE_HASHES = {
+export const MARKET_TYPE_HASHES = {
   "0x9af7ac054212f2f6f51aadd6392aae69c37a65182710ccc31fc2ce8679842eab":
     "WINNER_PREDICTION",
   // Add more market types here as they're added to the contract
@@ -107,6 +109,172 @@ async function calculateProbability(seasonId, playerAddress, logger) {
   }
 }
 
+/**
+ * Build the MarketCreated log handler shared by the live listener,
+ * dead-letter retries and the backfill CLI
+ * @param {object} params
+ * @param {object} params.logger - Logger instance
+ * @param {boolean} [params.recordOdds] - false skips the initial odds point
+ *   (stamped with the current time, so wrong for historical logs)
+ * @returns {(log: any) => Promise<{ skipped: boolean }>}
+ */
+export function createMarketCreatedHandler({ logger, recordOdds = true }) {
+  /**
+   * Process a single MarketCreated log. Throws on failure so the log is
+   * dead-lettered and retried instead of lost.
+   * @param {any} log
+   * @returns {Promise<{ skipped: boolean }>}
+   */
+  const processLog = async (log) => {
+    // Log the ENTIRE raw log object first
+    logger.info(`🔍 RAW LOG OBJECT:`);
+    logger.info(`   Address: ${log.address}`);
+    logger.info(`   Topics: ${JSON.stringify(log.topics)}`);
+    logger.info(`   Data: ${log.data}`);
+    logger.info(
+      `   Args (raw): ${JSON.stringify(log.args, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value,
+      )}`,
+    );
+
+    const { seasonId, player, marketType, conditionId, fpmmAddress } =
+      log.args;
+
+    try {
+      // Convert BigInt values to strings/numbers for logging
+      const seasonIdNum =
+        typeof seasonId === "bigint" ? Number(seasonId) : seasonId;
+
+      // Debug: Log raw value
+      logger.info(`🔍 Raw marketType hash: ${marketType}`);
+
+      // Decode marketType hash to string using mapping
+      // Contract emits keccak256(marketType) for gas efficiency
+      const marketTypeStr = MARKET_TYPE_HASHES[marketType] || "UNKNOWN";
+
+      if (marketTypeStr === "UNKNOWN") {
+        logger.warn(`⚠️  Unknown marketType hash: ${marketType}`);
+        logger.warn(`⚠️  Add this hash to MARKET_TYPE_HASHES mapping`);
+      } else {
+        logger.info(`✅ Decoded marketType: ${marketTypeStr}`);
+      }
+
+      // Log market creation with verbose details
+      logger.info(`✅ MarketCreated Event: Season ${seasonIdNum}`);
+      logger.info(`   Player: ${player}`);
+      logger.info(`   Market Type: ${marketTypeStr}`);
+      logger.info(`   FPMM Address: ${fpmmAddress}`);
+      logger.info(`   Condition ID: ${conditionId}`);
+      logger.info(`   Transaction Hash: ${log.transactionHash}`);
+      logger.info(`   Block Number: ${log.blockNumber}`);
+
+      // Create complete market entry in database
+      try {
+        // Check if market already exists (prevent duplicates from case sensitivity)
+        const existingMarket = await db.hasInfoFiMarket(
+          seasonIdNum,
+          player,
+          marketTypeStr,
+        );
+        if (existingMarket) {
+          logger.warn(
+            `⚠️  Market already exists for season ${seasonIdNum}, player ${player}, type ${marketTypeStr}`,
+          );
+          logger.warn(`   Skipping duplicate market creation`);
+          return { skipped: true };
+        }
+
+        // Get or create player_id
+        let playerId;
+        try {
+          playerId = await db.getOrCreatePlayerId(player);
+          logger.info(`   Player ID retrieved: ${playerId}`);
+        } catch (playerError) {
+          logger.error(
+            `   Failed to get/create player ID: ${playerError.message}`,
+          );
+          logger.debug(`   Player error details:`, playerError);
+          playerId = null; // Explicitly set to null if failed
+        }
+
+        // Calculate current probability
+        const probabilityBps = await calculateProbability(
+          seasonIdNum,
+          player,
+          logger,
+        );
+
+        // Create market entry with all required fields
+        const timestamp = new Date().toISOString();
+        const createdMarket = await db.createInfoFiMarket({
+          season_id: seasonIdNum,
+          player_address: player,
+          player_id: playerId,
+          market_type: marketTypeStr,
+          contract_address: fpmmAddress,
+          current_probability_bps: probabilityBps,
+          is_active: true,
+          is_settled: false,
+          creation_status: "Created",
+          created_at: timestamp,
+          updated_at: timestamp,
+        });
+
+        logger.info(`✅ InfoFi market created in database`);
+        logger.info(`   Player ID: ${playerId}`);
+        logger.info(`   Market Type: ${marketTypeStr}`);
+        logger.info(
+          `   Probability: ${probabilityBps} bps (${(
+            probabilityBps / 100
+          ).toFixed(2)}%)`,
+        );
+        logger.info(`   Status: Market created successfully`);
+
+        // Record initial odds as the first historical data point
+        // This is the "Market Start" point on the odds graph
+        if (createdMarket?.id && recordOdds) {
+          try {
+            await historicalOddsService.recordOddsUpdate(seasonIdNum, createdMarket.id, {
+              timestamp: Date.now(),
+              yes_bps: probabilityBps,
+              no_bps: 10000 - probabilityBps,
+              hybrid_bps: probabilityBps,
+              raffle_bps: 0,
+              sentiment_bps: 0,
+            });
+            logger.info(
+              `[MARKET_CREATED] ✓ Initial odds recorded: ${probabilityBps} bps (market ${createdMarket.id})`,
+            );
+          } catch (oddsError) {
+            logger.warn(
+              `[MARKET_CREATED] ⚠️  Failed to record initial odds: ${oddsError.message}`,
+            );
+          }
+        }
+
+        return { skipped: false };
+      } catch (dbError) {
+        logger.error(
+          `❌ Failed to create market in database: ${dbError.message}`,
+        );
+        logger.debug(`   Full error:`, dbError);
+        throw dbError;
+      }
+    } catch (error) {
+      logger.error(
+        `❌ Failed to process MarketCreated event for season ${seasonId}, player ${player}`,
+      );
+      logger.error(`   Error Type: ${error?.name || "Unknown"}`);
+      logger.error(`   Error Message: ${error?.message || String(error)}`);
+      logger.debug(`   Full Error:`, error);
+      // Rethrow so the log is dead-lettered and retried
+      throw error;
+    }
+  };
+
+  return processLog;
+}
+
 /**
  * Starts listening for MarketCreated events from InfoFiMarketFactory
  * Creates complete market entries in database with all required fields
@@ -114,12 +282,15 @@ async function calculateProbability(seasonId, playerAddress, logger) {
  * @param {string} infoFiFactoryAddress - InfoFiMarketFactory contract address
  * @param {object} infoFiFactoryAbi - InfoFiMarketFactory contract ABI
  * @param {object} logger - Fastify logger instance (app.log)
+ * @param {object} [options]
+ * @param {bigint} [options.confirmations] - Blocks to lag behind head (defaults to network setting)
  * @returns {function} Unwatch function to stop listening
  */
 export async function startMarketCreatedListener(
   infoFiFactoryAddress,
   infoFiFactoryAbi,
   logger,
+  options = {},
 ) {
   // Validate inputs
   if (!infoFiFactoryAddress || !infoFiFactoryAbi) {
@@ -130,163 +301,49 @@ export async function startMarketCreatedListener(
     throw new Error("logger instance is required");
   }
 
+  const confirmations =
+    options.confirmations ??
+    getChainByKey(process.env.DEFAULT_NETWORK).confirmations;
+
+  const listenerKey = `${infoFiFactoryAddress}:MarketCreated`;
+
   // Create persistent block cursor for this listener
-  const blockCursor = await createBlockCursor(
-    `${infoFiFactoryAddress}:MarketCreated`,
-  );
+  const blockCursor = await createBlockCursor(listenerKey);
+
+  const processLog = createMarketCreatedHandler({ logger });
+
+  deadLetterService.registerHandler(listenerKey, {
+    abi: infoFiFactoryAbi,
+    handler: processLog,
+  });
 
-  const unwatch = await startContractEventPolling({
-    client: publicClient,
+  const unwatch = await getLogIngestionEngine(logger).subscribe({
+    key: listenerKey,
     address: infoFiFactoryAddress,
     abi: infoFiFactoryAbi,
     eventName: "MarketCreated",
-    pollingIntervalMs: 3_000,
-    maxBlockRange: 2_000n,
+    confirmations,
     blockCursor,
-    onLogs: async (logs) => {
-      for (const log of logs) {
-        // Log the ENTIRE raw log object first
-        logger.info(`🔍 RAW LOG OBJECT:`);
-        logger.info(`   Address: ${log.address}`);
-        logger.info(`   Topics: ${JSON.stringify(log.topics)}`);
-        logger.info(`   Data: ${log.data}`);
-        logger.info(
-          `   Args (raw): ${JSON.stringify(log.args, (key, value) =>
-            typeof value === "bigint" ? value.toString() : value,
-          )}`,
-        );
-
-        const { seasonId, player, marketType, conditionId, fpmmAddress } =
-          log.args;
-
-        try {
-          // Convert BigInt values to strings/numbers for logging
-          const seasonIdNum =
-            typeof seasonId === "bigint" ? Number(seasonId) : seasonId;
-
-          // Debug: Log raw value
-          logger.info(`🔍 Raw marketType hash: ${marketType}`);
-
-          // Decode marketType hash to string using mapping
-          // Contract emits keccak256(marketType) for gas efficiency
-          const marketTypeStr = MARKET_TYPE_HASHES[marketType] || "UNKNOWN";
-
-          if (marketTypeStr === "UNKNOWN") {
-            logger.warn(`⚠️  Unknown marketType hash: ${marketType}`);
-            logger.warn(`⚠️  Add this hash to MARKET_TYPE_HASHES mapping`);
-          } else {
-            logger.info(`✅ Decoded marketType: ${marketTypeStr}`);
-          }
-
-          // Log market creation with verbose details
-          logger.info(`✅ MarketCreated Event: Season ${seasonIdNum}`);
-          logger.info(`   Player: ${player}`);
-          logger.info(`   Market Type: ${marketTypeStr}`);
-          logger.info(`   FPMM Address: ${fpmmAddress}`);
-          logger.info(`   Condition ID: ${conditionId}`);
-          logger.info(`   Transaction Hash: ${log.transactionHash}`);
-          logger.info(`   Block Number: ${log.blockNumber}`);
-
-          // Create complete market entry in database
-          try {
-            // Check if market already exists (prevent duplicates from case sensitivity)
-            const existingMarket = await db.hasInfoFiMarket(
-              seasonIdNum,
-              player,
-              marketTypeStr,
-            );
-            if (existingMarket) {
-              logger.warn(
-                `⚠️  Market already exists for season ${seasonIdNum}, player ${player}, type ${marketTypeStr}`,
-              );
-              logger.warn(`   Skipping duplicate market creation`);
-              continue; // Skip to next log
-            }
-
-            // Get or create player_id
-            let playerId;
-            try {
-              playerId = await db.getOrCreatePlayerId(player);
-              logger.info(`   Player ID retrieved: ${playerId}`);
-            } catch (playerError) {
-              logger.error(
-                `   Failed to get/create player ID: ${playerError.message}`,
-              );
-              logger.debug(`   Player error details:`, playerError);
-              playerId = null; // Explicitly set to null if failed
-            }
-
-            // Calculate current probability
-            const probabilityBps = await calculateProbability(
-              seasonIdNum,
-              player,
-              logger,
-            );
-
-            // Create market entry with all required fields
-            const timestamp = new Date().toISOString();
-            const createdMarket = await db.createInfoFiMarket({
-              season_id: seasonIdNum,
-              player_address: player,
-              player_id: playerId,
-              market_type: marketTypeStr,
-              contract_address: fpmmAddress,
-              current_probability_bps: probabilityBps,
-              is_active: true,
-              is_settled: false,
-              created_at: timestamp,
-              updated_at: timestamp,
-            });
+    onReorg: async (orphanedLogs, { rewindTo }) => {
+      logger.warn(
+        `⚠️  Reorg detected on ${infoFiFactoryAddress}: rewinding MarketCreated to block ${rewindTo}`,
+      );
 
-            logger.info(`✅ InfoFi market created in database`);
-            logger.info(`   Player ID: ${playerId}`);
-            logger.info(`   Market Type: ${marketTypeStr}`);
-            logger.info(
-              `   Probability: ${probabilityBps} bps (${(
-                probabilityBps / 100
-              ).toFixed(2)}%)`,
-            );
-            logger.info(`   Status: Market created successfully`);
-
-            // Record initial odds as the first historical data point
-            // This is the "Market Start" point on the odds graph
-            if (createdMarket?.id) {
-              try {
-                await historicalOddsService.recordOddsUpdate(seasonIdNum, createdMarket.id, {
-                  timestamp: Date.now(),
-                  yes_bps: probabilityBps,
-                  no_bps: 10000 - probabilityBps,
-                  hybrid_bps: probabilityBps,
-                  raffle_bps: 0,
-                  sentiment_bps: 0,
-                });
-                logger.info(
-                  `[MARKET_CREATED] ✓ Initial odds recorded: ${probabilityBps} bps (market ${createdMarket.id})`,
-                );
-              } catch (oddsError) {
-                logger.warn(
-                  `[MARKET_CREATED] ⚠️  Failed to record initial odds: ${oddsError.message}`,
-                );
-              }
-            }
-          } catch (dbError) {
-            logger.error(
-              `❌ Failed to create market in database: ${dbError.message}`,
-            );
-            logger.debug(`   Full error:`, dbError);
-            // Don't throw - continue listening even if database update fails
-          }
-        } catch (error) {
-          logger.error(
-            `❌ Failed to process MarketCreated event for season ${seasonId}, player ${player}`,
-          );
-          logger.error(`   Error Type: ${error?.name || "Unknown"}`);
-          logger.error(`   Error Message: ${error?.message || String(error)}`);
-          logger.debug(`   Full Error:`, error);
-          // Continue listening; don't crash on individual failures
+      // Odds history rows are removed with the market (ON DELETE CASCADE)
+      for (const log of orphanedLogs) {
+        const { fpmmAddress } = log.args;
+        const removed = await db.deleteInfoFiMarketByFpmm(fpmmAddress);
+        if (removed.length > 0) {
+          logger.info(`   🗑️  Retracted market for FPMM ${fpmmAddress}`);
         }
       }
     },
+    onLogs: (logs) =>
+      deadLetterService.processLogs({
+        listenerKey,
+        logs,
+        handler: processLog,
+      }),
     onError: (error) => {
       try {
         const errorDetails = {
@@ -5,12 +5,18 @@ import { oracleCallService } from "../services/oracleCallService.js";
 import { getPaymasterService } from "../services/paymasterService.js";
 import { getSSEService } from "../services/sseService.js";
 import { raffleTransactionService } from "../services/raffleTransactionService.js";
+import { bondingCurvePriceService } from "../services/bondingCurvePriceService.js";
+import { leaderboardService } from "../services/leaderboardService.js";
+import { seasonAnalyticsService } from "../services/seasonAnalyticsService.js";
+import { positionRefreshService } from "../services/positionRefreshService.js";
 import {
+  getConfirmedBlockNumber,
   getContractEventsInChunks,
-  startContractEventPolling,
 } from "../lib/contractEventPolling.js";
+import { getLogIngestionEngine } from "../services/logIngestionService.js";
 import { createBlockCursor } from "../lib/blockCursor.js";
 import { historicalOddsService } from "../../shared/historicalOddsService.js";
+import { deadLetterService } from "../services/deadLetterService.js";
 
 /**
  * Scan for historical PositionUpdate events that may have been missed
@@ -26,13 +32,17 @@ async function scanHistoricalPositionUpdateEvents(
   paymasterService,
   sseService,
   logger,
+  confirmations,
 ) {
   try {
     logger.info(
       `🔍 Scanning for historical PositionUpdate events on ${bondingCurveAddress}...`,
     );
 
-    const currentBlock = await publicClient.getBlockNumber();
+    const currentBlock = await getConfirmedBlockNumber(
+      publicClient,
+      confirmations,
+    );
     const chain = getChainByKey(process.env.DEFAULT_NETWORK);
     const lookbackBlocks = chain.lookbackBlocks;
     const fromBlock =
@@ -85,12 +95,20 @@ async function scanHistoricalPositionUpdateEvents(
             blockNumber: log.blockNumber,
           });
 
+          const amounts = await raffleTransactionService.getTradeAmounts({
+            txHash: log.transactionHash,
+            bondingCurveAddress,
+            trader: player,
+            logIndex: log.logIndex,
+          });
+
           const result = await raffleTransactionService.recordTransaction({
             seasonId: seasonIdNum,
             userAddress: player,
             transactionType,
             ticketAmount: Math.abs(ticketDelta),
-            sofAmount: 0, // Cannot extract ERC20 amount from event alone
+            sofAmount: amounts?.sofAmount ?? 0,
+            feeAmount: amounts?.feeAmount ?? 0,
             txHash: log.transactionHash,
             blockNumber: Number(log.blockNumber),
             blockTimestamp: new Date(
@@ -220,43 +238,17 @@ async function scanHistoricalPositionUpdateEvents(
 }
 
 /**
- * Starts listening for PositionUpdate events from SOFBondingCurve
- * Updates ALL players' win probabilities when any player's position changes
- * Triggers InfoFi market creation when player crosses 1% threshold
- *
+ * Initialize the services and bonding curve data the PositionUpdate handler needs
  * @param {string} bondingCurveAddress - SOFBondingCurve contract address
  * @param {object} bondingCurveAbi - SOFBondingCurve ABI
- * @param {string} raffleAddress - Raffle contract address
- * @param {object} raffleAbi - Raffle ABI
- * @param {string} raffleTokenAddress - RaffleToken contract address (for max supply)
- * @param {string} infoFiFactoryAddress - InfoFiMarketFactory contract address (for gasless market creation)
- * @param {object} logger - Fastify logger instance (app.log)
- * @returns {function} Unwatch function to stop listening
+ * @param {object} logger - Logger instance
+ * @returns {Promise<{ paymasterService: object, sseService: object, maxSupply: number|null }>}
  */
-export async function startPositionUpdateListener(
+async function initPositionUpdateContext(
   bondingCurveAddress,
   bondingCurveAbi,
-  raffleAddress,
-  raffleAbi,
-  raffleTokenAddress,
-  infoFiFactoryAddress,
   logger,
 ) {
-  // Validate inputs
-  if (!bondingCurveAddress || !raffleAddress || !raffleTokenAddress) {
-    throw new Error(
-      "bondingCurveAddress, raffleAddress, and raffleTokenAddress are required",
-    );
-  }
-
-  if (!bondingCurveAbi || !raffleAbi) {
-    throw new Error("bondingCurveAbi and raffleAbi are required");
-  }
-
-  if (!logger) {
-    throw new Error("logger instance is required");
-  }
-
   // Initialize services
   const paymasterService = getPaymasterService(logger);
   const sseService = getSSEService(logger);
@@ -295,420 +287,655 @@ export async function startPositionUpdateListener(
     );
   }
 
-  // Scan for historical PositionUpdate events that may have been missed
-  await scanHistoricalPositionUpdateEvents(
+  return { paymasterService, sseService, maxSupply };
+}
+
+/**
+ * Record the raffle transaction and price point for a PositionUpdate log.
+ * Writes nothing but those rows (idempotent via tx_hash), so it is also the
+ * backfill handler.
+ * @param {any} log - Decoded PositionUpdate log
+ * @param {object} params
+ * @param {string} params.bondingCurveAddress - SOFBondingCurve contract address
+ * @param {object} params.logger - Logger instance
+ * @returns {Promise<{ alreadyRecorded: boolean }>}
+ */
+async function recordPositionUpdate(log, { bondingCurveAddress, logger }) {
+  const { seasonId, player, oldTickets, newTickets, totalTickets } = log.args;
+  const seasonIdNum = Number(seasonId);
+  const ticketDelta = Number(newTickets) - Number(oldTickets);
+  const transactionType = ticketDelta > 0 ? "BUY" : "SELL";
+
+  // Get block timestamp
+  const block = await publicClient.getBlock({
+    blockNumber: log.blockNumber,
+  });
+  const timestamp = new Date(Number(block.timestamp) * 1000).toISOString();
+
+  // SOF cost and fee come from the curve's trade event in the same tx
+  const amounts = await raffleTransactionService.getTradeAmounts({
+    txHash: log.transactionHash,
     bondingCurveAddress,
-    bondingCurveAbi,
-    raffleAddress,
-    raffleAbi,
-    infoFiFactoryAddress,
-    maxSupply,
-    paymasterService,
-    sseService,
-    logger,
-  );
+    trader: player,
+    logIndex: log.logIndex,
+  });
+  if (!amounts) {
+    logger.warn(
+      `   ⚠️  No TokensPurchased/TokensSold event in ${log.transactionHash}`,
+    );
+  }
 
-  // Create persistent block cursor for this listener
-  const blockCursor = await createBlockCursor(
-    `${bondingCurveAddress}:PositionUpdate`,
-  );
+  const recorded = await raffleTransactionService.recordTransaction({
+    seasonId: seasonIdNum,
+    userAddress: player,
+    transactionType,
+    ticketAmount: Math.abs(ticketDelta),
+    sofAmount: amounts?.sofAmount ?? 0,
+    feeAmount: amounts?.feeAmount ?? 0,
+    txHash: log.transactionHash,
+    blockNumber: Number(log.blockNumber),
+    blockTimestamp: timestamp,
+    ticketsBefore: Number(oldTickets),
+    ticketsAfter: Number(newTickets),
+  });
 
-  const unwatch = await startContractEventPolling({
-    client: publicClient,
-    address: bondingCurveAddress,
-    abi: bondingCurveAbi,
-    eventName: "PositionUpdate",
-    pollingIntervalMs: 3_000,
-    maxBlockRange: 2_000n,
-    blockCursor,
-    onLogs: async (logs) => {
-      for (const log of logs) {
-        const { seasonId, player, oldTickets, newTickets, totalTickets } =
-          log.args;
+  if (amounts) {
+    try {
+      await bondingCurvePriceService.recordTrade({
+        seasonId: seasonIdNum,
+        bondingCurveAddress,
+        txHash: log.transactionHash,
+        logIndex: amounts.logIndex,
+        blockNumber: log.blockNumber,
+        timestamp,
+        side: transactionType,
+        ticketAmount: amounts.tickets,
+        sofAmount: amounts.sofAmount,
+        feeAmount: amounts.feeAmount,
+        supplyAfter: totalTickets,
+      });
+    } catch (priceError) {
+      logger.warn(
+        `   ⚠️  Failed to record price point: ${priceError.message}`,
+      );
+    }
+  }
+
+  return { alreadyRecorded: Boolean(recorded?.alreadyRecorded) };
+}
+
+/**
+ * Build a record-only PositionUpdate handler for the backfill CLI: it stores
+ * the transaction and price point but never touches probabilities, oracles,
+ * odds history or market creation, which reflect the current chain state
+ * rather than the historical log
+ * @param {object} params
+ * @param {string} params.bondingCurveAddress - SOFBondingCurve contract address
+ * @param {object} params.logger - Logger instance
+ * @returns {(log: any) => Promise<{ skipped: boolean }>}
+ */
+export function createPositionUpdateRecordHandler({
+  bondingCurveAddress,
+  logger,
+}) {
+  return async (log) => {
+    const { alreadyRecorded } = await recordPositionUpdate(log, {
+      bondingCurveAddress,
+      logger,
+    });
+    return { skipped: alreadyRecorded };
+  };
+}
+
+/**
+ * Build the PositionUpdate log handler shared by the live listener and
+ * dead-letter retries
+ * @param {object} params
+ * @param {string} params.bondingCurveAddress - SOFBondingCurve contract address
+ * @param {object} params.bondingCurveAbi - SOFBondingCurve ABI
+ * @param {string} params.raffleAddress - Raffle contract address
+ * @param {object} params.raffleAbi - Raffle ABI
+ * @param {string} [params.infoFiFactoryAddress] - InfoFiMarketFactory address (for gasless market creation)
+ * @param {object} params.logger - Logger instance
+ * @param {{ paymasterService: object, sseService: object, maxSupply: number|null }} [params.context] - Reuse an initialized context
+ * @returns {Promise<(log: any) => Promise<{ skipped: boolean }>>}
+ */
+export async function createPositionUpdateHandler({
+  bondingCurveAddress,
+  bondingCurveAbi,
+  raffleAddress,
+  raffleAbi,
+  infoFiFactoryAddress,
+  logger,
+  context,
+}) {
+  const { paymasterService, sseService, maxSupply } =
+    context ||
+    (await initPositionUpdateContext(
+      bondingCurveAddress,
+      bondingCurveAbi,
+      logger,
+    ));
+
+  /**
+   * Process a single PositionUpdate log. Throws on failure so the log is
+   * dead-lettered and retried instead of lost.
+   * @param {any} log
+   * @returns {Promise<{ skipped: boolean }>}
+   */
+  const processLog = async (log) => {
+    const { seasonId, player, oldTickets, newTickets, totalTickets } =
+      log.args;
 
+    try {
+      // Convert BigInt values to numbers for database storage
+      const seasonIdNum =
+        typeof seasonId === "bigint" ? Number(seasonId) : seasonId;
+      const oldTicketsNum =
+        typeof oldTickets === "bigint" ? Number(oldTickets) : oldTickets;
+      const newTicketsNum =
+        typeof newTickets === "bigint" ? Number(newTickets) : newTickets;
+      const totalTicketsNum =
+        typeof totalTickets === "bigint"
+          ? Number(totalTickets)
+          : totalTickets;
+
+      logger.debug(
+        `📊 PositionUpdate Event: Season ${seasonIdNum}, Player ${player}, ` +
+          `Tickets: ${oldTicketsNum} → ${newTicketsNum}, Total: ${totalTicketsNum}`,
+      );
+
+      // Record the transaction first: a redelivered or dead-letter retried log
+      // that is already recorded must not repeat the oracle, odds-history and
+      // market-creation side effects below
+      let alreadyRecorded = false;
+      try {
+        ({ alreadyRecorded } = await recordPositionUpdate(log, {
+          bondingCurveAddress,
+          logger,
+        }));
+      } catch (txError) {
+        logger.error(
+          `   ❌ Failed to record transaction: ${txError.message}`,
+        );
+        throw txError;
+      }
+
+      if (alreadyRecorded) {
+        logger.debug(
+          `   ⏭️  Transaction ${log.transactionHash} already recorded, skipping`,
+        );
+        return { skipped: true };
+      }
+      logger.info(`   💾 Transaction recorded: ${log.transactionHash}`);
+      await leaderboardService.invalidate(seasonIdNum);
+      positionRefreshService.schedule(seasonIdNum);
+
+      // Step 1: Get all participants in this season
+      logger.debug(`   Fetching participants for season ${seasonIdNum}...`);
+      const participants = await publicClient.readContract({
+        address: raffleAddress,
+        abi: raffleAbi,
+        functionName: "getParticipants",
+        args: [seasonIdNum],
+      });
+
+      if (participants.length === 0) {
+        logger.debug(`   No participants found in season ${seasonIdNum}`);
+        return { skipped: true };
+      }
+
+      logger.debug(
+        `   Found ${participants.length} participants in season ${seasonIdNum}`,
+      );
+
+      // Step 2: Ensure all participants exist in the players table
+      logger.debug(
+        `   Ensuring players table has ${participants.length} participant(s)...`,
+      );
+      for (const addr of participants) {
         try {
-          // Convert BigInt values to numbers for database storage
-          const seasonIdNum =
-            typeof seasonId === "bigint" ? Number(seasonId) : seasonId;
-          const oldTicketsNum =
-            typeof oldTickets === "bigint" ? Number(oldTickets) : oldTickets;
-          const newTicketsNum =
-            typeof newTickets === "bigint" ? Number(newTickets) : newTickets;
-          const totalTicketsNum =
-            typeof totalTickets === "bigint"
-              ? Number(totalTickets)
-              : totalTickets;
-
-          logger.debug(
-            `📊 PositionUpdate Event: Season ${seasonIdNum}, Player ${player}, ` +
-              `Tickets: ${oldTicketsNum} → ${newTicketsNum}, Total: ${totalTicketsNum}`,
+          await db.getOrCreatePlayerId(addr);
+        } catch (playerError) {
+          logger.warn(
+            `   ⚠️  Failed to upsert player ${addr} into players table: ${playerError.message}`,
           );
+        }
+      }
 
-          // Step 1: Get all participants in this season
-          logger.debug(`   Fetching participants for season ${seasonIdNum}...`);
-          const participants = await publicClient.readContract({
+      // Step 3: Fetch ticket count for each participant
+      logger.debug(
+        `   Fetching positions for ${participants.length} players...`,
+      );
+      const playerPositions = await Promise.all(
+        participants.map(async (addr) => {
+          const result = await publicClient.readContract({
             address: raffleAddress,
             abi: raffleAbi,
-            functionName: "getParticipants",
-            args: [seasonIdNum],
+            functionName: "getParticipantPosition",
+            args: [seasonIdNum, addr],
           });
 
-          if (participants.length === 0) {
-            logger.debug(`   No participants found in season ${seasonIdNum}`);
-            return;
-          }
-
-          logger.debug(
-            `   Found ${participants.length} participants in season ${seasonIdNum}`,
-          );
+          // Handle different return types
+          let ticketCount;
+          if (typeof result === "bigint") {
+            ticketCount = Number(result);
+          } else if (typeof result === "number") {
+            ticketCount = result;
+          } else if (result && typeof result === "object") {
+            // If it's an object, try to extract the value
+            // Could be {ticketCount: 1000n} or similar
+            logger.debug(
+              `   Result for ${addr} is object with keys: ${Object.keys(
+                result,
+              ).join(", ")}`,
+            );
 
-          // Step 2: Ensure all participants exist in the players table
-          logger.debug(
-            `   Ensuring players table has ${participants.length} participant(s)...`,
-          );
-          for (const addr of participants) {
-            try {
-              await db.getOrCreatePlayerId(addr);
-            } catch (playerError) {
-              logger.warn(
-                `   ⚠️  Failed to upsert player ${addr} into players table: ${playerError.message}`,
-              );
+            // Try common property names
+            ticketCount =
+              result.ticketCount ||
+              result.tickets ||
+              result.amount ||
+              result[0];
+
+            if (typeof ticketCount === "bigint") {
+              ticketCount = Number(ticketCount);
+            } else if (typeof ticketCount === "number") {
+              // Already a number
+            } else if (ticketCount && typeof ticketCount === "object") {
+              // Nested object, try to extract
+              ticketCount = Number(ticketCount);
+            } else {
+              ticketCount = Number(ticketCount);
             }
+          } else {
+            ticketCount = Number(result);
           }
 
-          // Step 3: Fetch ticket count for each participant
-          logger.debug(
-            `   Fetching positions for ${participants.length} players...`,
-          );
-          const playerPositions = await Promise.all(
-            participants.map(async (addr) => {
-              const result = await publicClient.readContract({
-                address: raffleAddress,
-                abi: raffleAbi,
-                functionName: "getParticipantPosition",
-                args: [seasonIdNum, addr],
-              });
-
-              // Handle different return types
-              let ticketCount;
-              if (typeof result === "bigint") {
-                ticketCount = Number(result);
-              } else if (typeof result === "number") {
-                ticketCount = result;
-              } else if (result && typeof result === "object") {
-                // If it's an object, try to extract the value
-                // Could be {ticketCount: 1000n} or similar
-                logger.debug(
-                  `   Result for ${addr} is object with keys: ${Object.keys(
-                    result,
-                  ).join(", ")}`,
-                );
+          logger.debug(`   ${addr}: ${ticketCount} tickets`);
 
-                // Try common property names
-                ticketCount =
-                  result.ticketCount ||
-                  result.tickets ||
-                  result.amount ||
-                  result[0];
-
-                if (typeof ticketCount === "bigint") {
-                  ticketCount = Number(ticketCount);
-                } else if (typeof ticketCount === "number") {
-                  // Already a number
-                } else if (ticketCount && typeof ticketCount === "object") {
-                  // Nested object, try to extract
-                  ticketCount = Number(ticketCount);
-                } else {
-                  ticketCount = Number(ticketCount);
-                }
-              } else {
-                ticketCount = Number(result);
-              }
+          return {
+            player: addr,
+            ticketCount,
+          };
+        }),
+      );
 
-              logger.debug(`   ${addr}: ${ticketCount} tickets`);
+      logger.debug(
+        `   Fetched positions for all ${playerPositions.length} players`,
+      );
 
-              return {
-                player: addr,
-                ticketCount,
-              };
-            }),
-          );
+      // Step 4: Update all players' probabilities in database
+      logger.debug(`   Updating probabilities in database...`);
+      const updatedCount = await db.updateAllPlayerProbabilities(
+        seasonIdNum,
+        totalTicketsNum,
+        playerPositions,
+        maxSupply,
+      );
 
-          logger.debug(
-            `   Fetched positions for all ${playerPositions.length} players`,
-          );
+      // Step 5: Update oracle for each player with an active market
+      logger.debug(`   Updating oracle for players with active markets...`);
+      let oracleUpdatesAttempted = 0;
+      let oracleUpdatesSuccessful = 0;
 
-          // Step 4: Update all players' probabilities in database
-          logger.debug(`   Updating probabilities in database...`);
-          const updatedCount = await db.updateAllPlayerProbabilities(
+      for (const { player: playerAddr, ticketCount } of playerPositions) {
+        try {
+          // Get FPMM address for this player
+          const fpmmAddress = await db.getFpmmAddress(
             seasonIdNum,
-            totalTicketsNum,
-            playerPositions,
-            maxSupply,
+            playerAddr,
           );
 
-          // Step 5: Update oracle for each player with an active market
-          logger.debug(`   Updating oracle for players with active markets...`);
-          let oracleUpdatesAttempted = 0;
-          let oracleUpdatesSuccessful = 0;
+          if (fpmmAddress) {
+            oracleUpdatesAttempted++;
+            const newBps = Math.round(
+              (ticketCount * 10000) / totalTicketsNum,
+            );
+
+            // Call oracle service
+            const result = await oracleCallService.updateRaffleProbability(
+              fpmmAddress,
+              newBps,
+              logger,
+            );
+
+            if (result.success) {
+              oracleUpdatesSuccessful++;
+              logger.debug(
+                `   ✅ Oracle updated for ${playerAddr}: ${newBps} bps (${result.hash})`,
+              );
+            } else {
+              logger.warn(
+                `   ⚠️  Oracle update failed for ${playerAddr}: ${result.error}`,
+              );
+            }
 
-          for (const { player: playerAddr, ticketCount } of playerPositions) {
+            // Record odds history for chart data
             try {
-              // Get FPMM address for this player
-              const fpmmAddress = await db.getFpmmAddress(
+              const marketRecord = await db.getInfoFiMarketBySeasonAndPlayer(
                 seasonIdNum,
                 playerAddr,
               );
-
-              if (fpmmAddress) {
-                oracleUpdatesAttempted++;
-                const newBps = Math.round(
-                  (ticketCount * 10000) / totalTicketsNum,
-                );
-
-                // Call oracle service
-                const result = await oracleCallService.updateRaffleProbability(
-                  fpmmAddress,
-                  newBps,
-                  logger,
-                );
-
-                if (result.success) {
-                  oracleUpdatesSuccessful++;
-                  logger.debug(
-                    `   ✅ Oracle updated for ${playerAddr}: ${newBps} bps (${result.hash})`,
-                  );
-                } else {
-                  logger.warn(
-                    `   ⚠️  Oracle update failed for ${playerAddr}: ${result.error}`,
-                  );
-                }
-
-                // Record odds history for chart data
-                try {
-                  const marketRecord = await db.getInfoFiMarketBySeasonAndPlayer(
-                    seasonIdNum,
-                    playerAddr,
-                  );
-                  if (marketRecord) {
-                    await historicalOddsService.recordOddsUpdate(seasonIdNum, marketRecord.id, {
-                      timestamp: Date.now(),
-                      yes_bps: newBps,
-                      no_bps: 10000 - newBps,
-                      hybrid_bps: newBps,
-                      raffle_bps: 0,
-                      sentiment_bps: 0,
-                    });
-                  }
-                } catch (oddsError) {
-                  logger.warn(
-                    `   ⚠️  Failed to record odds history for ${playerAddr}: ${oddsError.message}`,
-                  );
-                }
+              if (marketRecord) {
+                await historicalOddsService.recordOddsUpdate(seasonIdNum, marketRecord.id, {
+                  timestamp: Date.now(),
+                  yes_bps: newBps,
+                  no_bps: 10000 - newBps,
+                  hybrid_bps: newBps,
+                  raffle_bps: 0,
+                  sentiment_bps: 0,
+                  tx_hash: log.transactionHash,
+                });
               }
-            } catch (oracleError) {
+            } catch (oddsError) {
               logger.warn(
-                `   ⚠️  Error updating oracle for ${playerAddr}: ${oracleError.message}`,
+                `   ⚠️  Failed to record odds history for ${playerAddr}: ${oddsError.message}`,
               );
             }
           }
-
-          // Step 5: Check if player crossed 1% threshold of MAX SUPPLY and trigger market creation
-          // NOTE: Threshold is 1% of Max Supply (token cap), NOT 1% of current supply (totalTickets)
-          const supplyForThreshold = maxSupply && maxSupply > 0 ? maxSupply : totalTicketsNum;
-          const oldShareBps =
-            oldTicketsNum > 0
-              ? Math.round((oldTicketsNum * 10000) / supplyForThreshold)
-              : 0;
-          const newShareBps = Math.round(
-            (newTicketsNum * 10000) / supplyForThreshold,
+        } catch (oracleError) {
+          logger.warn(
+            `   ⚠️  Error updating oracle for ${playerAddr}: ${oracleError.message}`,
           );
-          const thresholdBps = 100; // 1% = 100 basis points
-
-          let marketCreationTriggered = false;
-          if (
-            oldShareBps < thresholdBps &&
-            newShareBps >= thresholdBps
-          ) {
-            // Player crossed 1% threshold - trigger market creation
-            marketCreationTriggered = true;
+        }
+      }
+
+      // Step 5: Check if player crossed 1% threshold of MAX SUPPLY and trigger market creation
+      // NOTE: Threshold is 1% of Max Supply (token cap), NOT 1% of current supply (totalTickets)
+      const supplyForThreshold = maxSupply && maxSupply > 0 ? maxSupply : totalTicketsNum;
+      const oldShareBps =
+        oldTicketsNum > 0
+          ? Math.round((oldTicketsNum * 10000) / supplyForThreshold)
+          : 0;
+      const newShareBps = Math.round(
+        (newTicketsNum * 10000) / supplyForThreshold,
+      );
+      const thresholdBps = 100; // 1% = 100 basis points
+
+      let marketCreationTriggered = false;
+      const crossedThreshold =
+        oldShareBps < thresholdBps && newShareBps >= thresholdBps;
+
+      // Guards a crossing whose market was created outside this listener
+      const marketExists = crossedThreshold
+        ? Boolean(await db.getFpmmAddress(seasonIdNum, player))
+        : false;
+
+      if (crossedThreshold && !marketExists) {
+        // Player crossed 1% threshold - trigger market creation
+        marketCreationTriggered = true;
+        logger.info(
+          `🎯 Threshold crossed: Player ${player} reached ${newShareBps} bps (≥1%)`,
+        );
+
+        // Broadcast market creation started event
+        sseService.broadcastMarketCreationStarted({
+          seasonId: seasonIdNum,
+          player,
+          probability: newShareBps,
+        });
+
+        if (paymasterService.initialized && infoFiFactoryAddress) {
+          try {
             logger.info(
-              `🎯 Threshold crossed: Player ${player} reached ${newShareBps} bps (≥1%)`,
+              "🚀 Submitting gasless market creation via Paymaster...",
+            );
+            const result = await paymasterService.createMarket(
+              {
+                seasonId: seasonIdNum,
+                player,
+                oldTickets: oldTicketsNum,
+                newTickets: newTicketsNum,
+                totalTickets: totalTicketsNum,
+                infoFiFactoryAddress,
+              },
+              logger,
             );
 
-            // Broadcast market creation started event
-            sseService.broadcastMarketCreationStarted({
-              seasonId: seasonIdNum,
-              player,
-              probability: newShareBps,
-            });
+            if (result.success) {
+              logger.info(
+                `✅ Market creation confirmed: ${result.hash} (attempts: ${result.attempts})`,
+              );
+              sseService.broadcastMarketCreationConfirmed({
+                seasonId: seasonIdNum,
+                player,
+                transactionHash: result.hash,
+                marketAddress: "pending", // Will be updated when MarketCreated event is processed
+              });
+            } else {
+              logger.error(
+                `❌ Market creation failed: ${result.error} (attempts: ${result.attempts})`,
+              );
+              sseService.broadcastMarketCreationFailed({
+                seasonId: seasonIdNum,
+                player,
+                error: result.error,
+              });
 
-            if (paymasterService.initialized && infoFiFactoryAddress) {
+              // Persist failed attempt for admin visibility and manual retry
               try {
-                logger.info(
-                  "🚀 Submitting gasless market creation via Paymaster...",
-                );
-                const result = await paymasterService.createMarket(
-                  {
-                    seasonId: seasonIdNum,
-                    player,
-                    oldTickets: oldTicketsNum,
-                    newTickets: newTicketsNum,
-                    totalTickets: totalTicketsNum,
-                    infoFiFactoryAddress,
-                  },
-                  logger,
-                );
-
-                if (result.success) {
-                  logger.info(
-                    `✅ Market creation confirmed: ${result.hash} (attempts: ${result.attempts})`,
-                  );
-                  sseService.broadcastMarketCreationConfirmed({
-                    seasonId: seasonIdNum,
-                    player,
-                    transactionHash: result.hash,
-                    marketAddress: "pending", // Will be updated when MarketCreated event is processed
-                  });
-                } else {
-                  logger.error(
-                    `❌ Market creation failed: ${result.error} (attempts: ${result.attempts})`,
-                  );
-                  sseService.broadcastMarketCreationFailed({
-                    seasonId: seasonIdNum,
-                    player,
-                    error: result.error,
-                  });
-
-                  // Persist failed attempt for admin visibility and manual retry
-                  try {
-                    await db.logFailedMarketAttempt({
-                      seasonId: seasonIdNum,
-                      playerAddress: player,
-                      source: "LISTENER",
-                      errorMessage: result.error,
-                      attempts: result.attempts,
-                    });
-                  } catch (logError) {
-                    logger.warn(
-                      `   ⚠️  Failed to record failed market attempt: ${logError.message}`,
-                    );
-                  }
-                }
-              } catch (error) {
-                logger.error(`❌ Market creation error: ${error.message}`);
-                sseService.broadcastMarketCreationFailed({
+                await db.logFailedMarketAttempt({
                   seasonId: seasonIdNum,
-                  player,
-                  error: error.message,
+                  playerAddress: player,
+                  source: "LISTENER",
+                  errorMessage: result.error,
+                  attempts: result.attempts,
                 });
-
-                // Persist unexpected errors during market creation
-                try {
-                  await db.logFailedMarketAttempt({
-                    seasonId: seasonIdNum,
-                    playerAddress: player,
-                    source: "LISTENER",
-                    errorMessage: error.message,
-                  });
-                } catch (logError) {
-                  logger.warn(
-                    `   ⚠️  Failed to record failed market attempt: ${logError.message}`,
-                  );
-                }
+              } catch (logError) {
+                logger.warn(
+                  `   ⚠️  Failed to record failed market attempt: ${logError.message}`,
+                );
               }
-            } else {
+            }
+          } catch (error) {
+            logger.error(`❌ Market creation error: ${error.message}`);
+            sseService.broadcastMarketCreationFailed({
+              seasonId: seasonIdNum,
+              player,
+              error: error.message,
+            });
+
+            // Persist unexpected errors during market creation
+            try {
+              await db.logFailedMarketAttempt({
+                seasonId: seasonIdNum,
+                playerAddress: player,
+                source: "LISTENER",
+                errorMessage: error.message,
+              });
+            } catch (logError) {
               logger.warn(
-                "⚠️  PaymasterService not initialized or InfoFi factory not configured, skipping market creation",
+                `   ⚠️  Failed to record failed market attempt: ${logError.message}`,
               );
             }
           }
+        } else {
+          logger.warn(
+            "⚠️  PaymasterService not initialized or InfoFi factory not configured, skipping market creation",
+          );
+        }
+      }
+
+      // Log success with detailed information
+      logger.info(
+        `✅ PositionUpdate: Season ${seasonIdNum}, Player ${player} ` +
+          `(${oldTicketsNum} → ${newTicketsNum} tickets)`,
+      );
+      logger.info(
+        `   Total tickets: ${totalTicketsNum} | Max supply: ${supplyForThreshold} | ` +
+          `Updated ${updatedCount} markets | ` +
+          `Oracle updates: ${oracleUpdatesSuccessful}/${oracleUpdatesAttempted} | ` +
+          `Player probability: ${newShareBps} bps | ` +
+          `Market creation: ${
+            marketCreationTriggered ? "✅ Triggered" : "⏭️  Not triggered"
+          }`,
+      );
 
-          // Log success with detailed information
-          logger.info(
-            `✅ PositionUpdate: Season ${seasonIdNum}, Player ${player} ` +
-              `(${oldTicketsNum} → ${newTicketsNum} tickets)`,
+      // Only validate probabilities if markets were actually updated
+      if (updatedCount > 0) {
+        // Log individual player probabilities for debugging
+        logger.debug(`   Updated player probabilities:`);
+        for (const { player: p, ticketCount } of playerPositions) {
+          const newBps = Math.round(
+            (ticketCount * 10000) / totalTicketsNum,
           );
-          logger.info(
-            `   Total tickets: ${totalTicketsNum} | Max supply: ${supplyForThreshold} | ` +
-              `Updated ${updatedCount} markets | ` +
-              `Oracle updates: ${oracleUpdatesSuccessful}/${oracleUpdatesAttempted} | ` +
-              `Player probability: ${newShareBps} bps | ` +
-              `Market creation: ${
-                marketCreationTriggered ? "✅ Triggered" : "⏭️  Not triggered"
-              }`,
+          logger.debug(`     ${p}: ${ticketCount} tickets → ${newBps} bps`);
+        }
+
+        // Verify probabilities sum to 10000
+        const totalBps = playerPositions.reduce((sum, { ticketCount }) => {
+          return sum + Math.round((ticketCount * 10000) / totalTicketsNum);
+        }, 0);
+
+        if (totalBps !== 10000) {
+          logger.warn(
+            `⚠️  Probability sum mismatch: Expected 10000, got ${totalBps} ` +
+              `(difference: ${totalBps - 10000} bps)`,
           );
+        }
+      } else {
+        logger.debug(
+          `   No markets updated (players may not have crossed 1% threshold yet)`,
+        );
+      }
 
-          // Record transaction in database
-          try {
-            const ticketDelta = newTicketsNum - oldTicketsNum;
-            const transactionType = ticketDelta > 0 ? "BUY" : "SELL";
+      return { skipped: false };
+    } catch (error) {
+      logger.error(
+        `❌ Failed to process PositionUpdate for season ${seasonId}, player ${player}`,
+      );
+      logger.error(`   Error: ${error.message}`);
+      logger.debug(`   Full error:`, error);
+      // Rethrow so the log is dead-lettered and retried
+      throw error;
+    }
+  };
 
-            // Get block timestamp
-            const block = await publicClient.getBlock({
-              blockNumber: log.blockNumber,
-            });
+  return processLog;
+}
 
-            await raffleTransactionService.recordTransaction({
-              seasonId: seasonIdNum,
-              userAddress: player,
-              transactionType,
-              ticketAmount: Math.abs(ticketDelta),
-              sofAmount: 0, // Will be updated when we can extract from tx
-              txHash: log.transactionHash,
-              blockNumber: Number(log.blockNumber),
-              blockTimestamp: new Date(
-                Number(block.timestamp) * 1000,
-              ).toISOString(),
-              ticketsBefore: oldTicketsNum,
-              ticketsAfter: newTicketsNum,
-            });
+/**
+ * Starts listening for PositionUpdate events from SOFBondingCurve
+ * Updates ALL players' win probabilities when any player's position changes
+ * Triggers InfoFi market creation when player crosses 1% threshold
+ *
+ * @param {string} bondingCurveAddress - SOFBondingCurve contract address
+ * @param {object} bondingCurveAbi - SOFBondingCurve ABI
+ * @param {string} raffleAddress - Raffle contract address
+ * @param {object} raffleAbi - Raffle ABI
+ * @param {string} raffleTokenAddress - RaffleToken contract address (for max supply)
+ * @param {string} infoFiFactoryAddress - InfoFiMarketFactory contract address (for gasless market creation)
+ * @param {object} logger - Fastify logger instance (app.log)
+ * @param {object} [options]
+ * @param {bigint} [options.confirmations] - Blocks to lag behind head (defaults to network setting)
+ * @returns {function} Unwatch function to stop listening
+ */
+export async function startPositionUpdateListener(
+  bondingCurveAddress,
+  bondingCurveAbi,
+  raffleAddress,
+  raffleAbi,
+  raffleTokenAddress,
+  infoFiFactoryAddress,
+  logger,
+  options = {},
+) {
+  // Validate inputs
+  if (!bondingCurveAddress || !raffleAddress || !raffleTokenAddress) {
+    throw new Error(
+      "bondingCurveAddress, raffleAddress, and raffleTokenAddress are required",
+    );
+  }
 
-            logger.info(`   💾 Transaction recorded: ${log.transactionHash}`);
-          } catch (txError) {
-            logger.error(
-              `   ❌ Failed to record transaction: ${txError.message}`,
-            );
-            // Don't crash listener - just log and continue
-          }
+  if (!bondingCurveAbi || !raffleAbi) {
+    throw new Error("bondingCurveAbi and raffleAbi are required");
+  }
 
-          // Only validate probabilities if markets were actually updated
-          if (updatedCount > 0) {
-            // Log individual player probabilities for debugging
-            logger.debug(`   Updated player probabilities:`);
-            for (const { player: p, ticketCount } of playerPositions) {
-              const newBps = Math.round(
-                (ticketCount * 10000) / totalTicketsNum,
-              );
-              logger.debug(`     ${p}: ${ticketCount} tickets → ${newBps} bps`);
-            }
+  if (!logger) {
+    throw new Error("logger instance is required");
+  }
 
-            // Verify probabilities sum to 10000
-            const totalBps = playerPositions.reduce((sum, { ticketCount }) => {
-              return sum + Math.round((ticketCount * 10000) / totalTicketsNum);
-            }, 0);
+  const confirmations =
+    options.confirmations ??
+    getChainByKey(process.env.DEFAULT_NETWORK).confirmations;
 
-            if (totalBps !== 10000) {
-              logger.warn(
-                `⚠️  Probability sum mismatch: Expected 10000, got ${totalBps} ` +
-                  `(difference: ${totalBps - 10000} bps)`,
-              );
-            }
-          } else {
-            logger.debug(
-              `   No markets updated (players may not have crossed 1% threshold yet)`,
-            );
-          }
-        } catch (error) {
-          logger.error(
-            `❌ Failed to process PositionUpdate for season ${seasonId}, player ${player}`,
-          );
-          logger.error(`   Error: ${error.message}`);
-          logger.debug(`   Full error:`, error);
-          // Continue listening; don't crash on individual failures
-        }
+  const { paymasterService, sseService, maxSupply } =
+    await initPositionUpdateContext(bondingCurveAddress, bondingCurveAbi, logger);
+
+  // Scan for historical PositionUpdate events that may have been missed
+  await scanHistoricalPositionUpdateEvents(
+    bondingCurveAddress,
+    bondingCurveAbi,
+    raffleAddress,
+    raffleAbi,
+    infoFiFactoryAddress,
+    maxSupply,
+    paymasterService,
+    sseService,
+    logger,
+    confirmations,
+  );
+
+  const listenerKey = `${bondingCurveAddress}:PositionUpdate`;
+
+  // Create persistent block cursor for this listener
+  const blockCursor = await createBlockCursor(listenerKey);
+
+  const processLog = await createPositionUpdateHandler({
+    bondingCurveAddress,
+    bondingCurveAbi,
+    raffleAddress,
+    raffleAbi,
+    infoFiFactoryAddress,
+    logger,
+    context: { paymasterService, sseService, maxSupply },
+  });
+
+  deadLetterService.registerHandler(listenerKey, {
+    abi: bondingCurveAbi,
+    handler: processLog,
+  });
+
+  const unwatch = await getLogIngestionEngine(logger).subscribe({
+    key: listenerKey,
+    address: bondingCurveAddress,
+    abi: bondingCurveAbi,
+    eventName: "PositionUpdate",
+    confirmations,
+    blockCursor,
+    onReorg: async (orphanedLogs, { rewindTo }) => {
+      const txHashes = orphanedLogs.map((log) => log.transactionHash);
+      logger.warn(
+        `⚠️  Reorg detected on ${bondingCurveAddress}: rewinding to block ${rewindTo}, ` +
+          `retracting ${txHashes.length} PositionUpdate log(s)`,
+      );
+
+      const { removed } =
+        await raffleTransactionService.retractTransactions(txHashes);
+      await historicalOddsService.retractOddsUpdates(txHashes);
+      await bondingCurvePriceService.retractTrades(txHashes);
+
+      const seasonIds = new Set(
+        orphanedLogs
+          .map((log) => log.args?.seasonId)
+          .filter((seasonId) => seasonId !== undefined)
+          .map(Number),
+      );
+      for (const seasonId of seasonIds) {
+        await leaderboardService.invalidate(seasonId);
+        seasonAnalyticsService.reset(seasonId);
+        positionRefreshService.schedule(seasonId);
       }
+
+      logger.info(`   🗑️  Retracted ${removed} raffle transaction(s)`);
     },
+    onLogs: (logs) =>
+      deadLetterService.processLogs({
+        listenerKey,
+        logs,
+        handler: processLog,
+      }),
     onError: (error) => {
       try {
         const errorDetails = {
@@ -1,178 +1,71 @@
-import { publicClient, getWalletClient } from "../lib/viemClient.js";
-import { db, supabase } from "../../shared/supabaseClient.js";
+import { publicClient } from "../lib/viemClient.js";
+import { db } from "../../shared/supabaseClient.js";
 import { getChainByKey } from "../config/chain.js";
-import InfoFiMarketFactoryAbi from "../abis/InfoFiMarketFactoryAbi.js";
 import {
+  getConfirmedBlockNumber,
   getContractEventsInChunks,
-  startContractEventPolling,
 } from "../lib/contractEventPolling.js";
+import { getLogIngestionEngine } from "../services/logIngestionService.js";
 import { createBlockCursor } from "../lib/blockCursor.js";
+import { deadLetterService } from "../services/deadLetterService.js";
+import { seasonAnalyticsService } from "../services/seasonAnalyticsService.js";
+import { seasonSettlementService } from "../services/seasonSettlementService.js";
 
 /**
- * Resolve InfoFi markets onchain via InfoFiMarketFactory.resolveSeasonMarkets()
- * @param {number} seasonId - Season ID
- * @param {string} winnerAddress - Winner's address
- * @param {object} logger - Logger instance
- * @returns {boolean} - Whether the onchain resolution succeeded
- */
-async function resolveMarketsOnchain(seasonId, winnerAddress, logger) {
-  try {
-    const network = process.env.DEFAULT_NETWORK || "TESTNET";
-    const chain = getChainByKey(network);
-    const infoFiFactoryAddress = chain.infofiFactory;
-    if (!infoFiFactoryAddress) {
-      logger.warn(
-        `   INFOFI_FACTORY_ADDRESS_${network} not configured, skipping onchain resolution`,
-      );
-      return false;
-    }
-    const wallet = getWalletClient(network);
-
-    if (!wallet) {
-      logger.error(`   Wallet client not available for onchain resolution`);
-      return false;
-    }
-
-    logger.info(
-      `   📡 Calling resolveSeasonMarkets(${seasonId}, ${winnerAddress}) on ${infoFiFactoryAddress}`,
-    );
-
-    const hash = await wallet.writeContract({
-      address: infoFiFactoryAddress,
-      abi: InfoFiMarketFactoryAbi,
-      functionName: "resolveSeasonMarkets",
-      args: [BigInt(seasonId), winnerAddress],
-    });
-
-    logger.info(`   ⏳ Transaction submitted: ${hash}`);
-
-    // Wait for confirmation
-    const receipt = await publicClient.waitForTransactionReceipt({
-      hash,
-      confirmations: 1,
-    });
-
-    if (receipt.status === "success") {
-      logger.info(
-        `   ✅ Onchain market resolution successful (block: ${receipt.blockNumber})`,
-      );
-      return true;
-    } else {
-      logger.error(`   ❌ Onchain market resolution failed (reverted)`);
-      return false;
-    }
-  } catch (error) {
-    logger.error(`   ❌ Failed to resolve markets onchain: ${error.message}`);
-    // Log more details for debugging
-    if (error.shortMessage) {
-      logger.error(`   Short message: ${error.shortMessage}`);
-    }
-    return false;
-  }
-}
-
-/**
- * Settle InfoFi markets for a completed season (both onchain and database)
+ * Settle InfoFi markets for a completed season (onchain resolution, market
+ * rows and winnings) through the shared settlement state machine
  * @param {number} seasonId - Season ID
  * @param {string} raffleAddress - Raffle contract address
  * @param {object} raffleAbi - Raffle contract ABI
  * @param {object} logger - Logger instance
  */
 async function settleInfoFiMarkets(seasonId, raffleAddress, raffleAbi, logger) {
-  try {
-    // Get winners from the raffle contract
-    const winners = await publicClient.readContract({
-      address: raffleAddress,
-      abi: raffleAbi,
-      functionName: "getWinners",
-      args: [BigInt(seasonId)],
-    });
-
-    if (!winners || winners.length === 0) {
-      logger.warn(
-        `   No winners found for season ${seasonId}, skipping InfoFi settlement`,
-      );
-      return;
-    }
-
-    const winnerAddress = winners[0]; // First winner is the grand prize winner
-    logger.info(`   Season ${seasonId} winner: ${winnerAddress}`);
-
-    // Step 1: Resolve markets onchain first
-    const onchainSuccess = await resolveMarketsOnchain(
-      seasonId,
-      winnerAddress,
-      logger,
-    );
-
-    if (!onchainSuccess) {
-      logger.warn(
-        `   Onchain resolution failed, but continuing with database update`,
-      );
-    }
-
-    // Step 2: Update database records
-    const markets = await db.getInfoFiMarketsBySeasonId(seasonId);
-    if (!markets || markets.length === 0) {
-      logger.info(
-        `   No InfoFi markets found in database for season ${seasonId}`,
-      );
-      return;
-    }
+  // Get winners from the raffle contract
+  const winners = await publicClient.readContract({
+    address: raffleAddress,
+    abi: raffleAbi,
+    functionName: "getWinners",
+    args: [BigInt(seasonId)],
+  });
 
-    logger.info(
-      `   Found ${markets.length} InfoFi market(s) to settle in database`,
+  if (!winners || winners.length === 0) {
+    logger.warn(
+      `   No winners found for season ${seasonId}, skipping InfoFi settlement`,
     );
+    return;
+  }
 
-    // Update each market in the database
-    for (const market of markets) {
-      const isWinner =
-        market.player_address?.toLowerCase() === winnerAddress.toLowerCase();
-
-      const { error } = await supabase
-        .from("infofi_markets")
-        .update({
-          is_active: false,
-          is_settled: true,
-          settlement_time: new Date().toISOString(),
-          winning_outcome: isWinner,
-          updated_at: new Date().toISOString(),
-        })
-        .eq("id", market.id);
-
-      if (error) {
-        logger.error(
-          `   Failed to settle market ${market.id} in DB: ${error.message}`,
-        );
-      } else {
-        logger.info(
-          `   ✅ DB settled market ${market.id} (player: ${market.player_address}, won: ${isWinner})`,
-        );
-      }
-    }
+  const winnerAddress = winners[0]; // First winner is the grand prize winner
+  logger.info(`   Season ${seasonId} winner: ${winnerAddress}`);
 
-    logger.info(`   InfoFi markets settlement complete for season ${seasonId}`);
-  } catch (error) {
-    logger.error(
-      `   Failed to settle InfoFi markets for season ${seasonId}: ${error.message}`,
-    );
-  }
+  // Throws when the run stops short, so the log is dead-lettered and retried
+  await seasonSettlementService.settleSeason(seasonId, {
+    winnerAddress,
+    logger,
+  });
+  logger.info(`   InfoFi markets settlement complete for season ${seasonId}`);
 }
 
 /**
- * Process a SeasonCompleted event log
+ * Process a SeasonCompleted event log: mark the season inactive and settle
+ * its InfoFi markets. Analytics and listener cleanup run as a separate step
+ * (processSeasonAnalyticsLog) so a failing settlement does not hold them up.
  * @param {object} log - Event log from Viem
  * @param {string} raffleAddress - Raffle contract address
  * @param {object} raffleAbi - Raffle contract ABI
  * @param {object} logger - Logger instance
- * @param {function} [onSeasonCompleted] - Callback when season completes (for listener cleanup)
+ * @param {object} [options]
+ * @param {boolean} [options.recordOnly] - Only mark the season inactive; skip
+ *   settlement (onchain writes) (used by the backfill CLI)
+ * @returns {Promise<{ skipped: boolean }>} Throws on failure (including a
+ *   settlement that stops short) so the log is dead-lettered and retried
  */
-async function processSeasonCompletedLog(
+export async function processSeasonCompletedLog(
   log,
   raffleAddress,
   raffleAbi,
   logger,
-  onSeasonCompleted,
+  { recordOnly = false } = {},
 ) {
   const { seasonId } = log.args;
 
@@ -187,7 +80,7 @@ async function processSeasonCompletedLog(
       logger.warn(
         `Season ${seasonId} not found in database, skipping completion`,
       );
-      return;
+      return { skipped: true };
     }
 
     // Mark season as inactive
@@ -196,25 +89,60 @@ async function processSeasonCompletedLog(
     logger.info(
       `✅ SeasonCompleted Event: Season ${seasonId} marked as inactive`,
     );
+    if (recordOnly) return { skipped: false };
 
     // Settle InfoFi markets for this season
     await settleInfoFiMarkets(seasonIdNum, raffleAddress, raffleAbi, logger);
-
-    // Notify server to clean up per-season listeners
-    if (typeof onSeasonCompleted === "function") {
-      try {
-        await onSeasonCompleted({ seasonId: seasonIdNum });
-      } catch (cleanupError) {
-        logger.error(
-          `❌ Failed to run onSeasonCompleted cleanup for season ${seasonIdNum}: ${cleanupError.message}`,
-        );
-      }
-    }
   } catch (error) {
     logger.error(`❌ Failed to process SeasonCompleted for season ${seasonId}`);
     logger.error(`   Error: ${error.message}`);
-    // Continue listening; don't crash on individual failures
+    throw error;
   }
+
+  return { skipped: false };
+}
+
+/**
+ * Freeze a completed season's analytics, then clean up its per-season
+ * listeners. Runs under its own listener key, so it is dead-lettered and
+ * retried independently of settlement. Materializing throws until
+ * PositionUpdate ingestion reaches the completion block, which keeps the
+ * season's listeners running until it has.
+ * @param {object} log - SeasonCompleted log from Viem
+ * @param {object} logger - Logger instance
+ * @param {function} [onSeasonCompleted] - Callback when season completes (for listener cleanup)
+ * @returns {Promise<{ skipped: boolean }>}
+ */
+export async function processSeasonAnalyticsLog(log, logger, onSeasonCompleted) {
+  const seasonId = Number(log.args.seasonId);
+
+  const season = await db.getSeasonContracts(seasonId);
+  if (!season) {
+    logger.warn(`Season ${seasonId} not found in database, skipping analytics`);
+    return { skipped: true };
+  }
+
+  // Startup rescans redeliver every completion in the lookback window
+  const materialized = await seasonAnalyticsService.getMaterialized(seasonId);
+  if (!materialized?.is_final) {
+    await seasonAnalyticsService.materialize(seasonId, {
+      throughBlock: log.blockNumber,
+    });
+    logger.info(`   📊 Season ${seasonId} analytics materialized`);
+  }
+
+  // Notify server to clean up per-season listeners
+  if (typeof onSeasonCompleted === "function") {
+    try {
+      await onSeasonCompleted({ seasonId });
+    } catch (cleanupError) {
+      logger.error(
+        `❌ Failed to run onSeasonCompleted cleanup for season ${seasonId}: ${cleanupError.message}`,
+      );
+    }
+  }
+
+  return { skipped: false };
 }
 
 /**
@@ -222,17 +150,24 @@ async function processSeasonCompletedLog(
  * @param {string} raffleAddress - Raffle contract address
  * @param {object} raffleAbi - Raffle contract ABI
  * @param {object} logger - Logger instance
+ * @param {bigint} confirmations - Blocks to lag behind head
+ * @param {(logs: any[]) => Promise<unknown>} handleLogs - Dead-letter aware log processor
  */
 async function scanHistoricalSeasonCompletedEvents(
   raffleAddress,
   raffleAbi,
   logger,
+  confirmations,
+  handleLogs,
 ) {
   try {
     logger.info("🔍 Scanning for historical SeasonCompleted events...");
 
-    // Get current block
-    const currentBlock = await publicClient.getBlockNumber();
+    // Get latest confirmed block
+    const currentBlock = await getConfirmedBlockNumber(
+      publicClient,
+      confirmations,
+    );
 
     // Scan using network-specific lookback blocks
     const chain = getChainByKey(process.env.DEFAULT_NETWORK);
@@ -259,9 +194,7 @@ async function scanHistoricalSeasonCompletedEvents(
         `   Found ${logs.length} historical SeasonCompleted event(s)`,
       );
 
-      for (const log of logs) {
-        await processSeasonCompletedLog(log, raffleAddress, raffleAbi, logger);
-      }
+      await handleLogs(logs);
     } else {
       logger.info("   No historical SeasonCompleted events found");
     }
@@ -280,6 +213,8 @@ async function scanHistoricalSeasonCompletedEvents(
  * @param {object} raffleAbi - Raffle contract ABI
  * @param {object} logger - Fastify logger instance (app.log)
  * @param {function} [onSeasonCompleted] - Callback when season completes (for listener cleanup)
+ * @param {object} [options]
+ * @param {bigint} [options.confirmations] - Blocks to lag behind head (defaults to network setting)
  * @returns {function} Unwatch function to stop listening
  */
 export async function startSeasonCompletedListener(
@@ -287,6 +222,7 @@ export async function startSeasonCompletedListener(
   raffleAbi,
   logger,
   onSeasonCompleted,
+  options = {},
 ) {
   // Validate inputs
   if (!raffleAddress || !raffleAbi) {
@@ -297,52 +233,82 @@ export async function startSeasonCompletedListener(
     throw new Error("logger instance is required");
   }
 
-  // First, scan for any historical events we may have missed
-  await scanHistoricalSeasonCompletedEvents(raffleAddress, raffleAbi, logger);
+  const confirmations =
+    options.confirmations ??
+    getChainByKey(process.env.DEFAULT_NETWORK).confirmations;
+
+  // Settlement and analytics/cleanup are separate subscriptions with their
+  // own cursors and dead letters, so each step is retried on its own
+  const steps = [
+    {
+      listenerKey: `${raffleAddress}:SeasonCompleted`,
+      handler: (log) =>
+        processSeasonCompletedLog(log, raffleAddress, raffleAbi, logger),
+    },
+    {
+      listenerKey: `${raffleAddress}:SeasonCompleted:analytics`,
+      handler: (log) =>
+        processSeasonAnalyticsLog(log, logger, onSeasonCompleted),
+    },
+  ];
 
-  // Create persistent block cursor for this listener
-  const blockCursor = await createBlockCursor(
-    `${raffleAddress}:SeasonCompleted`,
-  );
+  for (const { listenerKey, handler } of steps) {
+    deadLetterService.registerHandler(listenerKey, { abi: raffleAbi, handler });
+  }
 
-  const unwatch = await startContractEventPolling({
-    client: publicClient,
-    address: raffleAddress,
-    abi: raffleAbi,
-    eventName: "SeasonCompleted",
-    pollingIntervalMs: 3_000,
-    maxBlockRange: 2_000n,
-    blockCursor,
-    onLogs: async (logs) => {
-      for (const log of logs) {
-        await processSeasonCompletedLog(
-          log,
-          raffleAddress,
-          raffleAbi,
-          logger,
-          onSeasonCompleted,
-        );
-      }
-    },
-    onError: (error) => {
-      try {
-        const errorDetails = {
-          type:
-            error && typeof error === "object" && "name" in error
-              ? String(error.name)
-              : "Unknown",
-          message:
-            error && typeof error === "object" && "message" in error
-              ? String(error.message)
-              : String(error),
-        };
-        logger.error({ errorDetails }, "❌ SeasonCompleted Listener Error");
-      } catch (logError) {
-        logger.error(`❌ SeasonCompleted Listener Error: ${String(logError)}`);
+  // First, scan for any historical events we may have missed
+  await scanHistoricalSeasonCompletedEvents(
+    raffleAddress,
+    raffleAbi,
+    logger,
+    confirmations,
+    async (logs) => {
+      for (const { listenerKey, handler } of steps) {
+        await deadLetterService.processLogs({ listenerKey, logs, handler });
       }
     },
-  });
+  );
+
+  const unwatchers = [];
+  for (const { listenerKey, handler } of steps) {
+    // Create persistent block cursor for this step
+    const blockCursor = await createBlockCursor(listenerKey);
+
+    const unwatch = await getLogIngestionEngine(logger).subscribe({
+      key: listenerKey,
+      address: raffleAddress,
+      abi: raffleAbi,
+      eventName: "SeasonCompleted",
+      confirmations,
+      blockCursor,
+      onLogs: (logs) =>
+        deadLetterService.processLogs({ listenerKey, logs, handler }),
+      onError: (error) => {
+        try {
+          const errorDetails = {
+            type:
+              error && typeof error === "object" && "name" in error
+                ? String(error.name)
+                : "Unknown",
+            message:
+              error && typeof error === "object" && "message" in error
+                ? String(error.message)
+                : String(error),
+          };
+          logger.error(
+            { errorDetails, listenerKey },
+            "❌ SeasonCompleted Listener Error",
+          );
+        } catch (logError) {
+          logger.error(`❌ SeasonCompleted Listener Error: ${String(logError)}`);
+        }
+      },
+    });
+    unwatchers.push(unwatch);
+  }
 
   logger.info(`🎧 Listening for SeasonCompleted events on ${raffleAddress}`);
-  return unwatch;
+  return () => {
+    for (const unwatch of unwatchers) unwatch();
+  };
 }
@@ -2,9 +2,10 @@ import { publicClient } from "../lib/viemClient.js";
 import { db } from "../../shared/supabaseClient.js";
 import { getChainByKey } from "../config/chain.js";
 import {
+  getConfirmedBlockNumber,
   getContractEventsInChunks,
-  startContractEventPolling,
 } from "../lib/contractEventPolling.js";
+import { getLogIngestionEngine } from "../services/logIngestionService.js";
 import { createBlockCursor } from "../lib/blockCursor.js";
 
 /**
@@ -14,8 +15,9 @@ import { createBlockCursor } from "../lib/blockCursor.js";
  * @param {object} raffleAbi - Raffle contract ABI
  * @param {object} logger - Logger instance
  * @param {function} onSeasonCreated - Callback for new season
+ * @returns {Promise<{ skipped: boolean, error?: Error }>} Failures are logged, not thrown
  */
-async function processSeasonStartedLog(
+export async function processSeasonStartedLog(
   log,
   raffleAddress,
   raffleAbi,
@@ -29,7 +31,7 @@ async function processSeasonStartedLog(
     const existing = await db.getSeasonContracts(Number(seasonId));
     if (existing) {
       logger.debug(`Season ${seasonId} already exists in database, skipping`);
-      return;
+      return { skipped: true };
     }
 
     // 1. Retrieve season details from contract
@@ -89,7 +91,10 @@ async function processSeasonStartedLog(
     logger.error(`❌ Failed to process SeasonStarted for season ${seasonId}`);
     logger.error(`   Error: ${error.message}`);
     // Continue listening; don't crash on individual failures
+    return { skipped: false, error };
   }
+
+  return { skipped: false };
 }
 
 /**
@@ -98,18 +103,23 @@ async function processSeasonStartedLog(
  * @param {object} raffleAbi - Raffle contract ABI
  * @param {object} logger - Logger instance
  * @param {function} onSeasonCreated - Callback for new season
+ * @param {bigint} confirmations - Blocks to lag behind head
  */
 async function scanHistoricalSeasonEvents(
   raffleAddress,
   raffleAbi,
   logger,
   onSeasonCreated,
+  confirmations,
 ) {
   try {
     logger.info("🔍 Scanning for historical SeasonStarted events...");
 
-    // Get current block
-    const currentBlock = await publicClient.getBlockNumber();
+    // Get latest confirmed block
+    const currentBlock = await getConfirmedBlockNumber(
+      publicClient,
+      confirmations,
+    );
 
     // Scan using network-specific lookback blocks
     const chain = getChainByKey(process.env.DEFAULT_NETWORK);
@@ -162,6 +172,8 @@ async function scanHistoricalSeasonEvents(
  * @param {object} raffleAbi - Raffle contract ABI
  * @param {object} logger - Fastify logger instance (app.log)
  * @param {function} onSeasonCreated - Callback to start PositionUpdate listener for new season
+ * @param {object} [options]
+ * @param {bigint} [options.confirmations] - Blocks to lag behind head (defaults to network setting)
  * @returns {function} Unwatch function to stop listening
  */
 export async function startSeasonStartedListener(
@@ -169,6 +181,7 @@ export async function startSeasonStartedListener(
   raffleAbi,
   logger,
   onSeasonCreated,
+  options = {},
 ) {
   // Validate inputs
   if (!raffleAddress || !raffleAbi) {
@@ -179,25 +192,47 @@ export async function startSeasonStartedListener(
     throw new Error("logger instance is required");
   }
 
+  const confirmations =
+    options.confirmations ??
+    getChainByKey(process.env.DEFAULT_NETWORK).confirmations;
+
   // First, scan for any historical events we may have missed
   await scanHistoricalSeasonEvents(
     raffleAddress,
     raffleAbi,
     logger,
     onSeasonCreated,
+    confirmations,
   );
 
   // Create persistent block cursor for this listener
   const blockCursor = await createBlockCursor(`${raffleAddress}:SeasonStarted`);
 
-  const unwatch = await startContractEventPolling({
-    client: publicClient,
+  const unwatch = await getLogIngestionEngine(logger).subscribe({
+    key: `${raffleAddress}:SeasonStarted`,
     address: raffleAddress,
     abi: raffleAbi,
     eventName: "SeasonStarted",
-    pollingIntervalMs: 3_000,
-    maxBlockRange: 2_000n,
+    confirmations,
     blockCursor,
+    onReorg: async (orphanedLogs, { rewindTo }) => {
+      logger.warn(
+        `⚠️  Reorg detected on ${raffleAddress}: rewinding SeasonStarted to block ${rewindTo}`,
+      );
+
+      // Drop the season record so the canonical SeasonStarted log (if any)
+      // is processed again once its block is re-scanned
+      for (const log of orphanedLogs) {
+        const seasonIdNum = Number(log.args.seasonId);
+        const removed = await db.deleteSeasonContracts(
+          seasonIdNum,
+          Number(log.blockNumber),
+        );
+        if (removed) {
+          logger.info(`   🗑️  Retracted season ${seasonIdNum} contracts`);
+        }
+      }
+    },
     onLogs: async (logs) => {
       for (const log of logs) {
         await processSeasonStartedLog(
@@ -0,0 +1,117 @@
+import { publicClient } from "../lib/viemClient.js";
+import { getChainByKey } from "../config/chain.js";
+import { getLogIngestionEngine } from "../services/logIngestionService.js";
+import { createBlockCursor } from "../lib/blockCursor.js";
+import { deadLetterService } from "../services/deadLetterService.js";
+import {
+  seasonTimelineService,
+  SEASON_TIMELINE_EVENTS,
+} from "../services/seasonTimelineService.js";
+
+/**
+ * Build the per-log handler that records a lifecycle event on the timeline.
+ * Shared by the live listener and the backfill CLI.
+ * @param {Object} params
+ * @param {object} params.logger - Logger instance
+ * @returns {(log: object) => Promise<{ skipped: boolean }>}
+ */
+export function createSeasonTimelineHandler({ logger }) {
+  return async (log) => {
+    const block = await publicClient.getBlock({ blockNumber: log.blockNumber });
+    const { alreadyRecorded } = await seasonTimelineService.recordEvent(
+      log,
+      new Date(Number(block.timestamp) * 1000).toISOString(),
+    );
+
+    if (!alreadyRecorded) {
+      logger.info(
+        `📅 Season ${log.args.seasonId}: ${log.eventName} (block ${log.blockNumber})`,
+      );
+    }
+    return { skipped: alreadyRecorded };
+  };
+}
+
+/**
+ * Starts listening for Raffle season lifecycle events (SeasonEndRequested,
+ * SeasonLocked, VRFFulfilled, WinnersSelected, prize distribution and
+ * auto-finalize outcomes, ...) and records them on the season timeline
+ * @param {string} raffleAddress - Raffle contract address
+ * @param {object} raffleAbi - Raffle contract ABI
+ * @param {object} logger - Fastify logger instance (app.log)
+ * @param {object} [options]
+ * @param {bigint} [options.confirmations] - Blocks to lag behind head (defaults to network setting)
+ * @returns {function} Unwatch function to stop every timeline subscription
+ */
+export async function startSeasonTimelineListener(
+  raffleAddress,
+  raffleAbi,
+  logger,
+  options = {},
+) {
+  if (!raffleAddress || !raffleAbi) {
+    throw new Error("raffleAddress and raffleAbi are required");
+  }
+
+  if (!logger) {
+    throw new Error("logger instance is required");
+  }
+
+  const confirmations =
+    options.confirmations ??
+    getChainByKey(process.env.DEFAULT_NETWORK).confirmations;
+
+  const processLog = createSeasonTimelineHandler({ logger });
+  const unwatchers = [];
+
+  for (const eventName of SEASON_TIMELINE_EVENTS) {
+    const listenerKey = `${raffleAddress}:${eventName}:timeline`;
+    const blockCursor = await createBlockCursor(listenerKey);
+
+    deadLetterService.registerHandler(listenerKey, {
+      abi: raffleAbi,
+      handler: processLog,
+    });
+
+    const unwatch = await getLogIngestionEngine(logger).subscribe({
+      key: listenerKey,
+      address: raffleAddress,
+      abi: raffleAbi,
+      eventName,
+      confirmations,
+      blockCursor,
+      onReorg: async (orphanedLogs, { rewindTo }) => {
+        logger.warn(
+          `⚠️  Reorg detected on ${raffleAddress}: rewinding ${eventName} timeline to block ${rewindTo}`,
+        );
+        const { removed } = await seasonTimelineService.retractEvents(
+          orphanedLogs.map((log) => log.transactionHash),
+        );
+        logger.info(`   🗑️  Retracted ${removed} timeline event(s)`);
+      },
+      onLogs: (logs) =>
+        deadLetterService.processLogs({
+          listenerKey,
+          logs,
+          handler: processLog,
+        }),
+      onError: (error) => {
+        logger.error(
+          `❌ Season timeline listener error (${eventName}): ${
+            error?.message || String(error)
+          }`,
+        );
+      },
+    });
+
+    unwatchers.push(unwatch);
+  }
+
+  logger.info(
+    `🎧 Listening for ${SEASON_TIMELINE_EVENTS.length} season lifecycle events on ${raffleAddress}`,
+  );
+
+  return () => {
+    for (const unwatch of unwatchers) unwatch();
+  };
+}
@@ -8,11 +8,19 @@
  * - HATS_SPONSOR_HAT_ID: The Sponsor hat ID (uint256)
  * - BACKEND_WALLET_PRIVATE_KEY: Private key for minting (must wear Top Hat)
  * - RPC_URL_TESTNET: Base Sepolia RPC URL
+ * - RPC_WS_URL_TESTNET (optional): Base Sepolia WebSocket URL for eth_subscribe
  */
 
-import { createPublicClient, createWalletClient, http, parseAbi } from 'viem';
+import { createPublicClient, createWalletClient, http, parseAbi, webSocket } from 'viem';
 import { baseSepolia } from 'viem/chains';
 import { privateKeyToAccount } from 'viem/accounts';
+import { createLogSubscriptionEngine } from '../lib/logSubscriptionEngine.js';
+import { createBlockCursor } from '../lib/blockCursor.js';
+import { getChainByKey } from '../config/chain.js';
+import { registerLogEngine, unregisterLogEngine } from '../services/logIngestionService.js';
+import { listenerControlService } from '../services/listenerControlService.js';
+import { deadLetterService } from '../services/deadLetterService.js';
+import { getTransactionManager } from '../services/transactionManagerService.js';
 
 const STAKING_ELIGIBILITY_ABI = parseAbi([
   'event StakingEligibility_Staked(address staker, uint248 amount)',
@@ -25,6 +33,77 @@ const HATS_ABI = parseAbi([
 ]);
 
 let unwatch = null;
+let engine = null;
+
+/**
+ * Build the per-log handler that mints the Sponsor hat to a staker, shared by
+ * the live listener and dead-letter retries. Throws when a read or the mint
+ * fails so the log is dead-lettered and retried.
+ * @param {object} params
+ * @param {object} params.publicClient - Base Sepolia public client
+ * @param {object} params.walletClient - Wallet client wearing the Top Hat
+ * @param {string} params.hatsAddress - Hats Protocol address
+ * @param {string} params.sponsorHatId - Sponsor hat ID
+ * @returns {(log: any) => Promise<{ skipped: boolean }>}
+ */
+export function createSponsorHatMintHandler({
+  publicClient,
+  walletClient,
+  hatsAddress,
+  sponsorHatId,
+}) {
+  return async (log) => {
+    const { staker, amount } = log.args;
+    console.log(`[SponsorHat] Staked event: ${staker} staked ${amount}`);
+
+    // Check if already wearing the hat (also makes retries idempotent)
+    const isWearer = await publicClient.readContract({
+      address: hatsAddress,
+      abi: HATS_ABI,
+      functionName: 'isWearerOfHat',
+      args: [staker, BigInt(sponsorHatId)],
+    });
+
+    if (isWearer) {
+      console.log(`[SponsorHat] ${staker} already has Sponsor hat, skipping`);
+      return { skipped: true };
+    }
+
+    // Check eligibility
+    const isEligible = await publicClient.readContract({
+      address: hatsAddress,
+      abi: HATS_ABI,
+      functionName: 'isEligible',
+      args: [staker, BigInt(sponsorHatId)],
+    });
+
+    if (!isEligible) {
+      console.log(`[SponsorHat] ${staker} not eligible yet, skipping`);
+      return { skipped: true };
+    }
+
+    // Mint the hat
+    console.log(`[SponsorHat] Minting Sponsor hat to ${staker}...`);
+    const result = await getTransactionManager().send({
+      walletClient,
+      publicClient,
+      to: hatsAddress,
+      abi: HATS_ABI,
+      functionName: 'mintHat',
+      args: [BigInt(sponsorHatId), staker],
+      priority: 'low',
+      label: `mintHat(${staker})`,
+    });
+
+    if (!result.success) {
+      throw new Error(
+        `Sponsor hat mint for ${staker} failed: ${result.error || result.status}`,
+      );
+    }
+    console.log(`[SponsorHat] Minted! tx: ${result.hash} (block ${result.blockNumber})`);
+    return { skipped: false };
+  };
+}
 
 export async function startSponsorHatListener() {
   const stakingAddress = process.env.HATS_STAKING_ELIGIBILITY;
@@ -32,6 +111,7 @@ export async function startSponsorHatListener() {
   const sponsorHatId = process.env.HATS_SPONSOR_HAT_ID;
   const privateKey = process.env.BACKEND_WALLET_PRIVATE_KEY;
   const rpcUrl = process.env.RPC_URL_TESTNET;
+  const wsUrl = process.env.RPC_WS_URL_TESTNET;
 
   if (!stakingAddress || !hatsAddress || !sponsorHatId) {
     console.log('[SponsorHat] Missing Hats config (HATS_STAKING_ELIGIBILITY, HATS_PROTOCOL, HATS_SPONSOR_HAT_ID), skipping listener');
@@ -60,65 +140,55 @@ export async function startSponsorHatListener() {
     transport: http(rpcUrl),
   });
 
-  console.log(`[SponsorHat] Watching StakingEligibility at ${stakingAddress}`);
+  const wsClient = wsUrl
+    ? createPublicClient({
+        chain: baseSepolia,
+        transport: webSocket(wsUrl, { reconnect: false }),
+      })
+    : null;
+
+  // Dedicated engine: Hats lives on Base Sepolia regardless of DEFAULT_NETWORK.
+  // The cursor lets a restart (or socket drop) pick up stakes it missed.
+  engine = createLogSubscriptionEngine({
+    client: publicClient,
+    wsClient,
+    pollingIntervalMs: 4_000,
+    isPaused: (key) => listenerControlService.isPaused(key),
+    onReorg: (keys, { rewindTo }) =>
+      deadLetterService.discardFromBlock(keys, rewindTo),
+  });
+  registerLogEngine('sponsorHat', engine);
+  const listenerKey = `${stakingAddress}:StakingEligibility_Staked`;
+  const blockCursor = await createBlockCursor(listenerKey);
+
+  const processLog = createSponsorHatMintHandler({
+    publicClient,
+    walletClient,
+    hatsAddress,
+    sponsorHatId,
+  });
+  deadLetterService.registerHandler(listenerKey, {
+    abi: STAKING_ELIGIBILITY_ABI,
+    handler: processLog,
+  });
+
+  console.log(`[SponsorHat] Watching StakingEligibility at ${stakingAddress}${wsClient ? ' (WebSocket)' : ''}`);
   console.log(`[SponsorHat] Will mint hat ${sponsorHatId} via ${account.address}`);
 
-  unwatch = publicClient.watchContractEvent({
+  unwatch = await engine.subscribe({
+    key: listenerKey,
+    blockCursor,
     address: stakingAddress,
     abi: STAKING_ELIGIBILITY_ABI,
     eventName: 'StakingEligibility_Staked',
-    onLogs: async (logs) => {
-      for (const log of logs) {
-        const { staker, amount } = log.args;
-        console.log(`[SponsorHat] Staked event: ${staker} staked ${amount}`);
-
-        try {
-          // Check if already wearing the hat
-          const isWearer = await publicClient.readContract({
-            address: hatsAddress,
-            abi: HATS_ABI,
-            functionName: 'isWearerOfHat',
-            args: [staker, BigInt(sponsorHatId)],
-          });
-
-          if (isWearer) {
-            console.log(`[SponsorHat] ${staker} already has Sponsor hat, skipping`);
-            continue;
-          }
-
-          // Check eligibility
-          const isEligible = await publicClient.readContract({
-            address: hatsAddress,
-            abi: HATS_ABI,
-            functionName: 'isEligible',
-            args: [staker, BigInt(sponsorHatId)],
-          });
-
-          if (!isEligible) {
-            console.log(`[SponsorHat] ${staker} not eligible yet, skipping`);
-            continue;
-          }
-
-          // Mint the hat
-          console.log(`[SponsorHat] Minting Sponsor hat to ${staker}...`);
-          const hash = await walletClient.writeContract({
-            address: hatsAddress,
-            abi: HATS_ABI,
-            functionName: 'mintHat',
-            args: [BigInt(sponsorHatId), staker],
-          });
-
-          console.log(`[SponsorHat] Minted! tx: ${hash}`);
-
-          // Wait for confirmation
-          const receipt = await publicClient.waitForTransactionReceipt({ hash });
-          console.log(`[SponsorHat] Confirmed in block ${receipt.blockNumber}`);
-
-        } catch (err) {
-          console.error(`[SponsorHat] Error minting for ${staker}:`, err.message);
-        }
-      }
-    },
+    // Mints are on-chain writes: never act on a stake that could be reorged out
+    confirmations: getChainByKey(process.env.DEFAULT_NETWORK).confirmations,
+    onLogs: (logs) =>
+      deadLetterService.processLogs({
+        listenerKey,
+        logs,
+        handler: processLog,
+      }),
     onError: (error) => {
       console.error('[SponsorHat] Watch error:', error);
     },
@@ -131,6 +201,11 @@ export function stopSponsorHatListener() {
   if (unwatch) {
     unwatch();
     unwatch = null;
+  }
+  if (engine) {
+    engine.stop();
+    unregisterLogEngine('sponsorHat');
+    engine = null;
     console.log('[SponsorHat] Listener stopped');
   }
 }
@@ -13,10 +13,12 @@
 import { publicClient } from "../lib/viemClient.js";
 import { oracleCallService } from "../services/oracleCallService.js";
 import { infoFiPositionService } from "../services/infoFiPositionService.js";
-import { startContractEventPolling } from "../lib/contractEventPolling.js";
+import { getChainByKey } from "../config/chain.js";
+import { getLogIngestionEngine } from "../services/logIngestionService.js";
 import { createBlockCursor } from "../lib/blockCursor.js";
 import { db } from "../../shared/supabaseClient.js";
 import { historicalOddsService } from "../../shared/historicalOddsService.js";
+import { deadLetterService } from "../services/deadLetterService.js";
 
 /**
  * Starts listening for Trade events from SimpleFPMM contracts
@@ -25,9 +27,16 @@ import { historicalOddsService } from "../../shared/historicalOddsService.js";
  * @param {string[]} fpmmAddresses - Array of SimpleFPMM contract addresses to monitor
  * @param {object} fpmmAbi - SimpleFPMM contract ABI
  * @param {object} logger - Fastify logger instance (app.log)
+ * @param {object} [options]
+ * @param {bigint} [options.confirmations] - Blocks to lag behind head (defaults to network setting)
  * @returns {Promise<function[]>} Array of unwatch functions to stop listening
  */
-export async function startTradeListener(fpmmAddresses, fpmmAbi, logger) {
+export async function startTradeListener(
+  fpmmAddresses,
+  fpmmAbi,
+  logger,
+  options = {},
+) {
   // Validate inputs
   if (
     !fpmmAddresses ||
@@ -45,6 +54,10 @@ export async function startTradeListener(fpmmAddresses, fpmmAbi, logger) {
     throw new Error("logger instance is required");
   }
 
+  const confirmations =
+    options.confirmations ??
+    getChainByKey(process.env.DEFAULT_NETWORK).confirmations;
+
   const unwatchFunctions = [];
 
   logger.info(
@@ -58,171 +71,50 @@ export async function startTradeListener(fpmmAddresses, fpmmAbi, logger) {
         `[TRADE_LISTENER] Setting up listener for FPMM: ${fpmmAddress}`,
       );
 
+      const listenerKey = `${fpmmAddress}:Trade`;
+
       // Create persistent block cursor for this FPMM listener
-      const blockCursor = await createBlockCursor(`${fpmmAddress}:Trade`);
+      const blockCursor = await createBlockCursor(listenerKey);
+
+      const processLog = createTradeHandler({ fpmmAddress, fpmmAbi, logger });
 
-      const unwatch = await startContractEventPolling({
-        client: publicClient,
+      deadLetterService.registerHandler(listenerKey, {
+        abi: fpmmAbi,
+        handler: processLog,
+      });
+
+      const unwatch = await getLogIngestionEngine(logger).subscribe({
+        key: listenerKey,
         address: fpmmAddress,
         abi: fpmmAbi,
         eventName: "Trade",
-        pollingIntervalMs: 4_000,
-        maxBlockRange: 2_000n,
+        confirmations,
         blockCursor,
+        onReorg: async (orphanedLogs, { rewindTo }) => {
+          const txHashes = orphanedLogs.map((log) => log.transactionHash);
+          logger.warn(
+            `[TRADE_LISTENER] ⚠️  Reorg detected on ${fpmmAddress}: rewinding to block ${rewindTo}, ` +
+              `retracting ${txHashes.length} Trade log(s)`,
+          );
+
+          const { removed } =
+            await infoFiPositionService.retractPositions(txHashes);
+          await historicalOddsService.retractOddsUpdates(txHashes);
+
+          logger.info(
+            `[TRADE_LISTENER] 🗑️  Retracted ${removed} position(s) for ${fpmmAddress}`,
+          );
+        },
         onLogs: async (logs) => {
           logger.info(
             `[TRADE_LISTENER] 📥 Received ${logs.length} Trade event(s) for FPMM ${fpmmAddress}`,
           );
 
-          for (const log of logs) {
-            const txHash = log.transactionHash;
-            const blockNum = log.blockNumber;
-
-            try {
-              // Extract trade data from event
-              const { trader, buyYes, amountIn, amountOut } = log.args;
-
-              logger.info(
-                `[TRADE_LISTENER] 📊 Processing Trade: Block ${blockNum}, Tx ${txHash}`,
-              );
-              logger.info(
-                `[TRADE_LISTENER]    FPMM: ${fpmmAddress}, Trader: ${trader}`,
-              );
-              logger.info(
-                `[TRADE_LISTENER]    BuyYes: ${buyYes}, AmountIn: ${amountIn}, AmountOut: ${amountOut}`,
-              );
-
-              // Read on-chain FPMM prices to get actual market sentiment
-              logger.info(
-                `[TRADE_LISTENER] Step 1/3: Reading FPMM prices on-chain...`,
-              );
-              const sentiment = await readMarketSentiment(
-                fpmmAddress,
-                fpmmAbi,
-                logger,
-              );
-              logger.info(
-                `[TRADE_LISTENER] ✓ Market sentiment (yesPrice): ${sentiment} bps`,
-              );
-
-              // Step 2/3: Update DB probability FIRST (fast, reliable)
-              try {
-                const dbUpdate = await db.updateMarketProbabilityByFpmm(
-                  fpmmAddress,
-                  sentiment,
-                );
-                if (dbUpdate) {
-                  logger.info(
-                    `[TRADE_LISTENER] ✓ DB probability updated: ${sentiment} bps (market ${dbUpdate.id})`,
-                  );
-
-                  // Record odds history data point for charts
-                  try {
-                    const seasonId = dbUpdate.season_id ?? dbUpdate.raffle_id ?? 0;
-                    await historicalOddsService.recordOddsUpdate(seasonId, dbUpdate.id, {
-                      timestamp: Date.now(),
-                      yes_bps: sentiment,
-                      no_bps: 10000 - sentiment,
-                      hybrid_bps: sentiment,
-                      raffle_bps: 0,
-                      sentiment_bps: 0,
-                    });
-                    logger.info(
-                      `[TRADE_LISTENER] ✓ Odds history recorded: ${sentiment} bps (market ${dbUpdate.id})`,
-                    );
-                  } catch (oddsError) {
-                    logger.warn(
-                      `[TRADE_LISTENER] ⚠️  Failed to record odds history: ${oddsError.message}`,
-                    );
-                  }
-                } else {
-                  logger.warn(
-                    `[TRADE_LISTENER] ⚠️  DB probability update returned null for ${fpmmAddress}`,
-                  );
-                }
-              } catch (dbError) {
-                logger.error(
-                  `[TRADE_LISTENER] ❌ Failed to update DB probability: ${dbError.message}`,
-                );
-              }
-
-              // Step 3/3: Update on-chain oracle (may retry with backoff)
-              // Runs AFTER DB update so API stays responsive
-              logger.info(
-                `[TRADE_LISTENER] Step 3/3: Updating oracle sentiment...`,
-              );
-              const result = await oracleCallService.updateMarketSentiment(
-                fpmmAddress,
-                sentiment,
-                logger,
-              );
-
-              if (result.success) {
-                logger.info(
-                  `[TRADE_LISTENER] ✓ Oracle updated: ${sentiment} bps (${result.hash})`,
-                );
-              } else {
-                logger.warn(
-                  `[TRADE_LISTENER] ⚠️  Oracle update failed: ${result.error}`,
-                );
-              }
-
-              // Record position to database
-              try {
-                logger.info(
-                  `[TRADE_LISTENER] Step 3/3: Recording position to database...`,
-                );
-                logger.info(`[TRADE_LISTENER]    Calling recordPosition with:`);
-                logger.info(
-                  `[TRADE_LISTENER]    - fpmmAddress: ${fpmmAddress}`,
-                );
-                logger.info(`[TRADE_LISTENER]    - trader: ${trader}`);
-                logger.info(`[TRADE_LISTENER]    - buyYes: ${buyYes}`);
-                logger.info(`[TRADE_LISTENER]    - txHash: ${txHash}`);
-
-                const recordResult = await infoFiPositionService.recordPosition(
-                  {
-                    fpmmAddress,
-                    trader,
-                    buyYes,
-                    amountIn,
-                    amountOut,
-                    txHash,
-                  },
-                );
-
-                if (recordResult.alreadyRecorded) {
-                  logger.info(
-                    `[TRADE_LISTENER] ℹ️  Position already recorded (id: ${recordResult.id})`,
-                  );
-                } else {
-                  logger.info(
-                    `[TRADE_LISTENER] ✅ SUCCESS: Position recorded (id: ${recordResult.data?.id})`,
-                  );
-                }
-              } catch (positionError) {
-                logger.error(
-                  `[TRADE_LISTENER] ❌ FAILED to record position for tx ${txHash}`,
-                );
-                logger.error(
-                  `[TRADE_LISTENER]    Error: ${positionError.message}`,
-                );
-                logger.error(
-                  `[TRADE_LISTENER]    Stack: ${positionError.stack}`,
-                );
-                // Don't crash listener - just log and continue
-              }
-            } catch (tradeError) {
-              logger.error(
-                `[TRADE_LISTENER] ❌ FATAL ERROR processing Trade event`,
-              );
-              logger.error(
-                `[TRADE_LISTENER]    Tx: ${txHash}, Block: ${blockNum}`,
-              );
-              logger.error(`[TRADE_LISTENER]    Error: ${tradeError.message}`);
-              logger.error(`[TRADE_LISTENER]    Stack: ${tradeError.stack}`);
-            }
-          }
+          await deadLetterService.processLogs({
+            listenerKey,
+            logs,
+            handler: processLog,
+          });
         },
         onError: (error) => {
           try {
@@ -270,6 +162,207 @@ export async function startTradeListener(fpmmAddresses, fpmmAbi, logger) {
   return unwatchFunctions;
 }
 
+/**
+ * Build a record-only Trade handler for the backfill CLI: it stores the
+ * position but skips the sentiment read, probability and odds history
+ * writes and the oracle update, which reflect the current FPMM state rather
+ * than the historical trade
+ * @param {object} params
+ * @param {string} params.fpmmAddress - SimpleFPMM contract address
+ * @returns {(log: any) => Promise<{ skipped: boolean }>}
+ */
+export function createTradeRecordHandler({ fpmmAddress }) {
+  return async (log) => {
+    const { trader, buyYes, amountIn, amountOut } = log.args;
+    const recordResult = await infoFiPositionService.recordPosition({
+      fpmmAddress,
+      trader,
+      buyYes,
+      amountIn,
+      amountOut,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+    });
+    return { skipped: Boolean(recordResult.alreadyRecorded) };
+  };
+}
+
+/**
+ * Build the Trade log handler for one FPMM, shared by the live listener and
+ * dead-letter retries
+ *
+ * @param {object} params
+ * @param {string} params.fpmmAddress - SimpleFPMM contract address
+ * @param {object} params.fpmmAbi - SimpleFPMM contract ABI
+ * @param {object} params.logger - Logger instance
+ * @returns {(log: any) => Promise<{ skipped: boolean }>}
+ */
+export function createTradeHandler({ fpmmAddress, fpmmAbi, logger }) {
+  /**
+   * Process a single Trade log. Throws on failure so the log is
+   * dead-lettered and retried instead of lost.
+   * @param {any} log
+   * @returns {Promise<{ skipped: boolean }>}
+   */
+  const processLog = async (log) => {
+    const txHash = log.transactionHash;
+    const blockNum = log.blockNumber;
+
+    try {
+      // Extract trade data from event
+      const { trader, buyYes, amountIn, amountOut } = log.args;
+
+      logger.info(
+        `[TRADE_LISTENER] 📊 Processing Trade: Block ${blockNum}, Tx ${txHash}`,
+      );
+      logger.info(
+        `[TRADE_LISTENER]    FPMM: ${fpmmAddress}, Trader: ${trader}`,
+      );
+      logger.info(
+        `[TRADE_LISTENER]    BuyYes: ${buyYes}, AmountIn: ${amountIn}, AmountOut: ${amountOut}`,
+      );
+
+      // Read on-chain FPMM prices to get actual market sentiment
+      logger.info(
+        `[TRADE_LISTENER] Step 1/3: Reading FPMM prices on-chain...`,
+      );
+      const sentiment = await readMarketSentiment(
+        fpmmAddress,
+        fpmmAbi,
+        logger,
+      );
+      logger.info(
+        `[TRADE_LISTENER] ✓ Market sentiment (yesPrice): ${sentiment} bps`,
+      );
+
+      // Step 2/3: Update DB probability FIRST (fast, reliable)
+      try {
+        const dbUpdate = await db.updateMarketProbabilityByFpmm(
+          fpmmAddress,
+          sentiment,
+        );
+        if (dbUpdate) {
+          logger.info(
+            `[TRADE_LISTENER] ✓ DB probability updated: ${sentiment} bps (market ${dbUpdate.id})`,
+          );
+
+          // Record odds history data point for charts
+          try {
+            const seasonId = dbUpdate.season_id ?? dbUpdate.raffle_id ?? 0;
+            await historicalOddsService.recordOddsUpdate(seasonId, dbUpdate.id, {
+              timestamp: Date.now(),
+              yes_bps: sentiment,
+              no_bps: 10000 - sentiment,
+              hybrid_bps: sentiment,
+              raffle_bps: 0,
+              sentiment_bps: 0,
+              tx_hash: txHash,
+            });
+            logger.info(
+              `[TRADE_LISTENER] ✓ Odds history recorded: ${sentiment} bps (market ${dbUpdate.id})`,
+            );
+          } catch (oddsError) {
+            logger.warn(
+              `[TRADE_LISTENER] ⚠️  Failed to record odds history: ${oddsError.message}`,
+            );
+          }
+        } else {
+          logger.warn(
+            `[TRADE_LISTENER] ⚠️  DB probability update returned null for ${fpmmAddress}`,
+          );
+        }
+      } catch (dbError) {
+        logger.error(
+          `[TRADE_LISTENER] ❌ Failed to update DB probability: ${dbError.message}`,
+        );
+      }
+
+      // Step 3/3: Update on-chain oracle (may retry with backoff)
+      // Runs AFTER DB update so API stays responsive
+      logger.info(
+        `[TRADE_LISTENER] Step 3/3: Updating oracle sentiment...`,
+      );
+      const result = await oracleCallService.updateMarketSentiment(
+        fpmmAddress,
+        sentiment,
+        logger,
+      );
+
+      if (result.success) {
+        logger.info(
+          `[TRADE_LISTENER] ✓ Oracle updated: ${sentiment} bps (${result.hash})`,
+        );
+      } else {
+        logger.warn(
+          `[TRADE_LISTENER] ⚠️  Oracle update failed: ${result.error}`,
+        );
+      }
+
+      // Record position to database
+      try {
+        logger.info(
+          `[TRADE_LISTENER] Step 3/3: Recording position to database...`,
+        );
+        logger.info(`[TRADE_LISTENER]    Calling recordPosition with:`);
+        logger.info(
+          `[TRADE_LISTENER]    - fpmmAddress: ${fpmmAddress}`,
+        );
+        logger.info(`[TRADE_LISTENER]    - trader: ${trader}`);
+        logger.info(`[TRADE_LISTENER]    - buyYes: ${buyYes}`);
+        logger.info(`[TRADE_LISTENER]    - txHash: ${txHash}`);
+
+        const recordResult = await infoFiPositionService.recordPosition(
+          {
+            fpmmAddress,
+            trader,
+            buyYes,
+            amountIn,
+            amountOut,
+            txHash,
+            blockNumber: blockNum,
+          },
+        );
+
+        if (recordResult.alreadyRecorded) {
+          logger.info(
+            `[TRADE_LISTENER] ℹ️  Position already recorded (id: ${recordResult.id})`,
+          );
+        } else {
+          logger.info(
+            `[TRADE_LISTENER] ✅ SUCCESS: Position recorded (id: ${recordResult.data?.id})`,
+          );
+        }
+
+        return { skipped: Boolean(recordResult.alreadyRecorded) };
+      } catch (positionError) {
+        logger.error(
+          `[TRADE_LISTENER] ❌ FAILED to record position for tx ${txHash}`,
+        );
+        logger.error(
+          `[TRADE_LISTENER]    Error: ${positionError.message}`,
+        );
+        logger.error(
+          `[TRADE_LISTENER]    Stack: ${positionError.stack}`,
+        );
+        throw positionError;
+      }
+    } catch (tradeError) {
+      logger.error(
+        `[TRADE_LISTENER] ❌ FATAL ERROR processing Trade event`,
+      );
+      logger.error(
+        `[TRADE_LISTENER]    Tx: ${txHash}, Block: ${blockNum}`,
+      );
+      logger.error(`[TRADE_LISTENER]    Error: ${tradeError.message}`);
+      logger.error(`[TRADE_LISTENER]    Stack: ${tradeError.stack}`);
+      // Rethrow so the log is dead-lettered and retried
+      throw tradeError;
+    }
+  };
+
+  return processLog;
+}
+
 /**
  * Read market sentiment from on-chain FPMM prices
  *
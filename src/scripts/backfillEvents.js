@@ -0,0 +1,374 @@
+/**
+ * @file backfillEvents.js
+ * @description Backfills historical contract events through record-only
+ * versions of the live listener handlers: they insert the rows derived from
+ * each log (raffle transactions, price points, positions, markets, timeline
+ * events) and skip every side effect that reflects the current chain state
+ * or writes to chain (probability and odds updates, oracle calls, market
+ * creation, settlement, alerts). The CLI therefore never signs transactions
+ * and is safe to run next to the leader.
+ *
+ * Usage:
+ *   npm run backfill -- --event Trade --season 3
+ *   npm run backfill -- --event PositionUpdate --address 0xCurve --from 1200000 --to 1300000
+ *   npm run backfill -- --event MarketCreated --network TESTNET --resume
+ *   npm run backfill -- --event SeasonStarted --dry-run
+ *   npm run backfill -- --event MarketStatusChanged --from 1200000
+ *
+ * Options:
+ *   --network     LOCAL | TESTNET | MAINNET (default: DEFAULT_NETWORK)
+ *   --event       PositionUpdate | Trade | MarketCreated | SeasonStarted | SeasonCompleted,
+ *                 or a season lifecycle event (SeasonLocked, VRFFulfilled, ...) for
+ *                 the season timeline, or an InfoFi factory event (MarketStatusChanged,
+ *                 ProbabilityUpdated, MarketCreationFailed, SeasonMarketsResolved, TreasuryLow)
+ *   --address     Contract address (default: raffle or InfoFi factory from config)
+ *   --season      Season ID: its bonding curve (PositionUpdate) or FPMMs (Trade)
+ *   --from        First block (default: season creation block, else head - lookbackBlocks)
+ *   --to          Last block (default: confirmed head)
+ *   --chunk-size  Blocks per checkpointed chunk (default: 2000)
+ *   --dry-run     Fetch and count logs without writing anything
+ *   --resume      Continue after the checkpoint saved by a previous run
+ *   --verbose     Include handler debug logs
+ */
+
+import process from "node:process";
+import { parseArgs } from "node:util";
+import { SEASON_TIMELINE_EVENTS } from "../services/seasonTimelineService.js";
+import { INFOFI_FACTORY_EVENTS } from "../services/infoFiMarketStateService.js";
+
+const EVENTS = [
+  "PositionUpdate",
+  "Trade",
+  "MarketCreated",
+  "SeasonStarted",
+  "SeasonCompleted",
+];
+
+// Lifecycle events without a dedicated listener only feed the season timeline
+const TIMELINE_ONLY_EVENTS = SEASON_TIMELINE_EVENTS.filter(
+  (eventName) => !EVENTS.includes(eventName),
+);
+EVENTS.push(...TIMELINE_ONLY_EVENTS, ...INFOFI_FACTORY_EVENTS);
+
+function createLogger(verbose) {
+  return {
+    info: (...args) => console.log("[INFO]", ...args),
+    warn: (...args) => console.warn("[WARN]", ...args),
+    error: (...args) => console.error("[ERROR]", ...args),
+    debug: (...args) => {
+      if (verbose) console.log("[DEBUG]", ...args);
+    },
+  };
+}
+
+/**
+ * Parse and validate CLI arguments
+ * @param {string[]} argv
+ */
+export function parseBackfillArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      network: { type: "string" },
+      event: { type: "string" },
+      address: { type: "string" },
+      season: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      "chunk-size": { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      resume: { type: "boolean", default: false },
+      verbose: { type: "boolean", default: false },
+    },
+  });
+
+  const toBlock = (value, name) => {
+    if (value === undefined) return undefined;
+    if (!/^[0-9]+$/.test(value)) {
+      throw new Error(`--${name} must be a non-negative integer`);
+    }
+    return BigInt(value);
+  };
+
+  if (!EVENTS.includes(values.event)) {
+    throw new Error(`--event must be one of: ${EVENTS.join(", ")}`);
+  }
+
+  if (values.address && !/^0x[a-fA-F0-9]{40}$/.test(values.address)) {
+    throw new Error("--address must be a contract address");
+  }
+
+  const network = (
+    values.network ||
+    process.env.DEFAULT_NETWORK ||
+    "LOCAL"
+  ).toUpperCase();
+
+  const seasonId =
+    values.season === undefined ? undefined : Number(values.season);
+  if (seasonId !== undefined && (!Number.isInteger(seasonId) || seasonId < 1)) {
+    throw new Error("--season must be a positive integer");
+  }
+
+  return {
+    network,
+    eventName: values.event,
+    address: values.address,
+    seasonId,
+    fromBlock: toBlock(values.from, "from"),
+    toBlock: toBlock(values.to, "to"),
+    chunkSize: toBlock(values["chunk-size"], "chunk-size") ?? 2_000n,
+    dryRun: values["dry-run"],
+    resume: values.resume,
+    verbose: values.verbose,
+  };
+}
+
+/**
+ * Event definitions: ABI, target contracts and the live listener handler.
+ * Imported lazily because viemClient reads the network at import time.
+ * @param {object} chain - Chain config for the selected network
+ * @param {object} logger
+ */
+async function loadEventDefinitions(chain, logger) {
+  const [
+    { db },
+    { default: raffleAbi },
+    { default: sofBondingCurveAbi },
+    { default: simpleFpmmAbi },
+    { default: infoFiMarketFactoryAbi },
+    { createPositionUpdateRecordHandler },
+    { createTradeRecordHandler },
+    { createMarketCreatedHandler },
+    { processSeasonStartedLog },
+    { processSeasonCompletedLog },
+    { createSeasonTimelineHandler },
+    { createInfoFiFactoryEventHandler },
+  ] = await Promise.all([
+    import("../../shared/supabaseClient.js"),
+    import("../abis/RaffleAbi.js"),
+    import("../abis/SOFBondingCurveAbi.js"),
+    import("../abis/SimpleFPMMAbi.js"),
+    import("../abis/InfoFiMarketFactoryAbi.js"),
+    import("../listeners/positionUpdateListener.js"),
+    import("../listeners/tradeListener.js"),
+    import("../listeners/marketCreatedListener.js"),
+    import("../listeners/seasonStartedListener.js"),
+    import("../listeners/seasonCompletedListener.js"),
+    import("../listeners/seasonTimelineListener.js"),
+    import("../listeners/infoFiFactoryEventsListener.js"),
+  ]);
+
+  const timelineEvents = Object.fromEntries(
+    TIMELINE_ONLY_EVENTS.map((eventName) => [
+      eventName,
+      {
+        abi: raffleAbi,
+        defaultAddress: chain.raffle,
+        createHandler: () => createSeasonTimelineHandler({ logger }),
+      },
+    ]),
+  );
+
+  const factoryEvents = Object.fromEntries(
+    INFOFI_FACTORY_EVENTS.map((eventName) => [
+      eventName,
+      {
+        abi: infoFiMarketFactoryAbi,
+        defaultAddress: chain.infofiFactory,
+        createHandler: (address) =>
+          createInfoFiFactoryEventHandler({
+            infoFiFactoryAddress: address,
+            logger,
+            recordOnly: true,
+          }),
+      },
+    ]),
+  );
+
+  const getSeason = async (seasonId) => {
+    const season = await db.getSeasonContracts(seasonId);
+    if (!season) throw new Error(`Season ${seasonId} not found in database`);
+    return season;
+  };
+
+  return {
+    db,
+    getSeason,
+    events: {
+      PositionUpdate: {
+        abi: sofBondingCurveAbi,
+        resolveAddresses: async (seasonId) => [
+          (await getSeason(seasonId)).bonding_curve_address,
+        ],
+        createHandler: (address) =>
+          createPositionUpdateRecordHandler({
+            bondingCurveAddress: address,
+            logger,
+          }),
+      },
+      Trade: {
+        abi: simpleFpmmAbi,
+        resolveAddresses: async (seasonId) =>
+          (await db.getInfoFiMarketsBySeasonId(seasonId))
+            .map((market) => market.contract_address)
+            .filter(Boolean),
+        createHandler: (address) =>
+          createTradeRecordHandler({ fpmmAddress: address }),
+      },
+      MarketCreated: {
+        abi: infoFiMarketFactoryAbi,
+        defaultAddress: chain.infofiFactory,
+        createHandler: () =>
+          createMarketCreatedHandler({ logger, recordOdds: false }),
+      },
+      SeasonStarted: {
+        abi: raffleAbi,
+        defaultAddress: chain.raffle,
+        createHandler: (address) => (log) =>
+          processSeasonStartedLog(log, address, raffleAbi, logger),
+      },
+      SeasonCompleted: {
+        abi: raffleAbi,
+        defaultAddress: chain.raffle,
+        createHandler: (address) => (log) =>
+          processSeasonCompletedLog(log, address, raffleAbi, logger, {
+            recordOnly: true,
+          }),
+      },
+      ...timelineEvents,
+      ...factoryEvents,
+    },
+  };
+}
+
+/**
+ * @param {ReturnType<typeof parseBackfillArgs>} options
+ */
+async function backfillEvents(options) {
+  const logger = createLogger(options.verbose);
+
+  // viemClient and the listeners read the network from the environment
+  process.env.NETWORK = options.network;
+  process.env.DEFAULT_NETWORK = options.network;
+
+  const { getChainByKey } = await import("../config/chain.js");
+  const { publicClient } = await import("../lib/viemClient.js");
+  const { getConfirmedBlockNumber } = await import(
+    "../lib/contractEventPolling.js"
+  );
+  const { createBlockCursor } = await import("../lib/blockCursor.js");
+  const { runEventBackfill } = await import("../lib/eventBackfill.js");
+
+  const chain = getChainByKey(options.network);
+  const { events, getSeason } = await loadEventDefinitions(chain, logger);
+  const definition = events[options.eventName];
+
+  let addresses;
+  if (options.address) {
+    addresses = [options.address];
+  } else if (options.seasonId !== undefined && definition.resolveAddresses) {
+    addresses = await definition.resolveAddresses(options.seasonId);
+  } else if (definition.defaultAddress) {
+    addresses = [definition.defaultAddress];
+  } else {
+    throw new Error(`--address or --season is required for ${options.eventName}`);
+  }
+
+  if (addresses.length === 0) {
+    logger.info("No contracts to backfill");
+    return [];
+  }
+
+  const headBlock = await getConfirmedBlockNumber(
+    publicClient,
+    chain.confirmations,
+  );
+  const toBlock = options.toBlock ?? headBlock;
+
+  let fromBlock = options.fromBlock;
+  if (fromBlock === undefined && options.seasonId !== undefined) {
+    const season = await getSeason(options.seasonId);
+    if (season.created_block !== null && season.created_block !== undefined) {
+      fromBlock = BigInt(season.created_block);
+    }
+  }
+  if (fromBlock === undefined) {
+    fromBlock =
+      headBlock > chain.lookbackBlocks ? headBlock - chain.lookbackBlocks : 0n;
+  }
+
+  console.log(`🔍 Backfilling ${options.eventName} on ${options.network}`);
+  console.log(`   Contracts: ${addresses.join(", ")}`);
+  console.log(`   Blocks: ${fromBlock} → ${toBlock}`);
+  if (options.dryRun) console.log("   Dry run: nothing will be written");
+  console.log("");
+
+  const summaries = [];
+  for (const address of addresses) {
+    const summary = await runEventBackfill({
+      client: publicClient,
+      address,
+      abi: definition.abi,
+      eventName: options.eventName,
+      fromBlock,
+      toBlock,
+      handler: options.dryRun
+        ? undefined
+        : await definition.createHandler(address),
+      checkpoint: await createBlockCursor(
+        `backfill:${address.toLowerCase()}:${options.eventName}`,
+      ),
+      resume: options.resume,
+      dryRun: options.dryRun,
+      chunkSize: options.chunkSize,
+      logger,
+    });
+    summaries.push(summary);
+  }
+
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 BACKFILL SUMMARY");
+  console.log("=".repeat(60));
+  for (const summary of summaries) {
+    console.log(`${summary.address} (${summary.fromBlock} → ${summary.toBlock})`);
+    console.log(`   📝 Found: ${summary.found}`);
+    if (!summary.dryRun) {
+      console.log(`   ✅ Inserted: ${summary.inserted}`);
+      console.log(`   ⏭️  Skipped: ${summary.skipped}`);
+      console.log(`   ❌ Failed: ${summary.failed}`);
+      for (const failure of summary.failures) {
+        console.log(
+          `      ${failure.txHash}#${failure.logIndex} (block ${failure.blockNumber}): ${failure.error}`,
+        );
+      }
+      console.log(`   📍 Checkpoint: ${summary.checkpoint ?? "none"}`);
+    }
+  }
+  console.log("=".repeat(60) + "\n");
+
+  return summaries;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let options;
+  try {
+    options = parseBackfillArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  backfillEvents(options)
+    .then((summaries) => {
+      const failed = summaries.some((summary) => summary.failed > 0);
+      process.exit(failed ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("❌ Backfill failed:", error);
+      process.exit(1);
+    });
+}
+
+export { backfillEvents };
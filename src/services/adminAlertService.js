@@ -8,6 +8,7 @@
  * - Sending alerts to admin channels (email, Slack, Discord)
  * - Escalation logic (alert after N consecutive failures)
  * - Alert deduplication to avoid spam
+ * - General admin alerts from other services (e.g. the season watchdog)
  */
 
 /**
@@ -151,6 +152,48 @@ export class AdminAlertService {
     }
   }
 
+  /**
+   * Send a general admin alert (not tied to an oracle failure)
+   * @param {object} alert
+   * @param {string} [alert.key] - Dedup key; alerts with the same key respect the cooldown
+   * @param {"INFO"|"WARNING"|"CRITICAL"} [alert.severity]
+   * @param {string} alert.message - Human-readable summary
+   * @param {object} [alert.details] - Extra context for the alert record
+   * @param {object} [logger] - Logger instance
+   * @returns {Promise<boolean>} Whether the alert was sent (false during cooldown)
+   */
+  async sendAdminAlert(
+    { key, severity = "WARNING", message, details = {} },
+    logger = console,
+  ) {
+    try {
+      const now = Date.now();
+      if (key) {
+        const lastAlert = this.lastAlertTime.get(key);
+        if (lastAlert && now - lastAlert < this.alertCooldown) {
+          return false;
+        }
+        this.lastAlertTime.set(key, now);
+      }
+
+      const alertMessage = {
+        severity,
+        timestamp: new Date(now).toISOString(),
+        message,
+        ...details,
+      };
+
+      const log = severity === "INFO" ? logger.info : logger.error;
+      log.call(logger, `🚨 ADMIN ALERT: ${message}`, alertMessage);
+
+      await this._logAlertToDatabase(alertMessage, logger);
+      return true;
+    } catch (alertError) {
+      logger.error(`❌ Error sending alert: ${alertError.message}`);
+      return false;
+    }
+  }
+
   /**
    * Log alert to database for audit trail
    * @private
@@ -0,0 +1,431 @@
+/**
+ * @file bondingCurvePriceService.js
+ * @description Ticket price history for SOFBondingCurve seasons.
+ *
+ * Every TokensPurchased / TokensSold trade becomes one price point: the curve
+ * price of the next ticket (its bond step price) at the supply after the
+ * trade. The PositionUpdate listener records points live; seasons never
+ * synced (no bonding_curve_price_syncs row) are backfilled from chain by a
+ * leader startup job, or on demand by an admin, walking trades backwards from
+ * the curve's current curveConfig.totalSupply. Points are stored in
+ * bonding_curve_price_history and served read-only as OHLC candles.
+ */
+
+import process from "node:process";
+import { formatEther } from "viem";
+import { publicClient } from "../lib/viemClient.js";
+import { getChainByKey } from "../config/chain.js";
+import {
+  getConfirmedBlockNumber,
+  getContractEventsInChunks,
+} from "../lib/contractEventPolling.js";
+import { supabase, hasSupabase, db } from "../../shared/supabaseClient.js";
+import SOFBondingCurveAbi from "../abis/SOFBondingCurveAbi.js";
+
+export const CANDLE_RESOLUTIONS = {
+  "1m": 60_000,
+  "1h": 3_600_000,
+  "1d": 86_400_000,
+};
+
+const MAX_CANDLES = 1_000;
+const PAGE_SIZE = 1_000;
+
+/**
+ * Curve price of the next ticket at a given supply
+ * @param {Array<{ rangeTo: bigint, price: bigint }>} steps - From getBondSteps
+ * @param {bigint} supply
+ * @returns {bigint|null} Price in SOF wei
+ */
+export function getStepPrice(steps, supply) {
+  if (!steps || steps.length === 0) return null;
+  const step = steps.find((candidate) => supply < BigInt(candidate.rangeTo));
+  return BigInt((step || steps[steps.length - 1]).price);
+}
+
+/**
+ * Aggregate price points into OHLC candles. Buckets without trades are
+ * omitted.
+ * @param {Array<{ timestamp: number, price: number, sofAmount: number }>} points - Sorted by time
+ * @param {keyof typeof CANDLE_RESOLUTIONS} resolution
+ * @returns {Array<{ time: number, open: number, high: number, low: number, close: number, volume: number, trades: number }>}
+ */
+export function buildCandles(points, resolution) {
+  const bucketMs = CANDLE_RESOLUTIONS[resolution];
+  if (!bucketMs) throw new Error(`Invalid resolution: ${resolution}`);
+
+  const candles = [];
+  let current = null;
+
+  for (const point of points) {
+    const time = Math.floor(point.timestamp / bucketMs) * bucketMs;
+    if (!current || current.time !== time) {
+      current = {
+        time,
+        open: point.price,
+        high: point.price,
+        low: point.price,
+        close: point.price,
+        volume: 0,
+        trades: 0,
+      };
+      candles.push(current);
+    }
+
+    current.high = Math.max(current.high, point.price);
+    current.low = Math.min(current.low, point.price);
+    current.close = point.price;
+    current.volume += point.sofAmount || 0;
+    current.trades += 1;
+  }
+
+  return candles;
+}
+
+class BondingCurvePriceService {
+  constructor() {
+    /** @type {Map<string, Promise<Array<{ rangeTo: bigint, price: bigint }>>>} */
+    this.bondSteps = new Map();
+    /** @type {Map<number, Promise<object>>} */
+    this.syncs = new Map();
+  }
+
+  /**
+   * Bond steps never change after a curve is initialized, so cache them
+   * @param {string} curveAddress
+   */
+  getBondSteps(curveAddress) {
+    const key = curveAddress.toLowerCase();
+    if (!this.bondSteps.has(key)) {
+      const steps = publicClient
+        .readContract({
+          address: curveAddress,
+          abi: SOFBondingCurveAbi,
+          functionName: "getBondSteps",
+        })
+        .catch((error) => {
+          this.bondSteps.delete(key);
+          throw error;
+        });
+      this.bondSteps.set(key, steps);
+    }
+    return this.bondSteps.get(key);
+  }
+
+  /**
+   * Record the price after one trade (idempotent via tx_hash + log_index)
+   * @param {Object} trade
+   * @param {number} trade.seasonId
+   * @param {string} trade.bondingCurveAddress
+   * @param {string} trade.txHash
+   * @param {number} trade.logIndex - Log index of the TokensPurchased/TokensSold event
+   * @param {number|bigint} trade.blockNumber
+   * @param {string} trade.timestamp - ISO block timestamp
+   * @param {"BUY"|"SELL"} trade.side
+   * @param {number} trade.ticketAmount
+   * @param {number} trade.sofAmount - SOF paid / received
+   * @param {number} [trade.feeAmount]
+   * @param {bigint|number} trade.supplyAfter - Curve ticket supply after the trade
+   */
+  async recordTrade(trade) {
+    await this.recordTrades([trade]);
+  }
+
+  /**
+   * @param {Array<Parameters<BondingCurvePriceService["recordTrade"]>[0]>} trades
+   */
+  async recordTrades(trades) {
+    if (!hasSupabase || trades.length === 0) return;
+
+    const steps = await this.getBondSteps(trades[0].bondingCurveAddress);
+    const rows = trades.map((trade) => ({
+      season_id: trade.seasonId,
+      curve_address: trade.bondingCurveAddress.toLowerCase(),
+      tx_hash: trade.txHash,
+      log_index: trade.logIndex,
+      block_number: Number(trade.blockNumber),
+      recorded_at: trade.timestamp,
+      side: trade.side,
+      ticket_amount: trade.ticketAmount,
+      sof_amount: trade.sofAmount,
+      fee_amount: trade.feeAmount || 0,
+      supply_after: String(trade.supplyAfter),
+      price: Number(
+        formatEther(getStepPrice(steps, BigInt(trade.supplyAfter)) ?? 0n),
+      ),
+    }));
+
+    const { error } = await supabase
+      .from("bonding_curve_price_history")
+      .upsert(rows, { onConflict: "tx_hash,log_index", ignoreDuplicates: true });
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Remove points whose blocks were orphaned by a chain reorg
+   * @param {string[]} txHashes
+   * @returns {Promise<{ removed: number }>}
+   */
+  async retractTrades(txHashes) {
+    const hashes = [...new Set((txHashes || []).filter(Boolean))];
+    if (!hasSupabase || hashes.length === 0) return { removed: 0 };
+
+    const { data, error } = await supabase
+      .from("bonding_curve_price_history")
+      .delete()
+      .in("tx_hash", hashes)
+      .select("id");
+
+    if (error) throw new Error(error.message);
+    return { removed: data?.length || 0 };
+  }
+
+  /**
+   * Backfill a season's price points from chain. Supply after each trade is
+   * derived backwards from curveConfig.totalSupply at the last scanned block,
+   * so the series stays exact without replaying the season from genesis.
+   * @param {number} seasonId
+   * @returns {Promise<{ seasonId: number, trades: number, fromBlock: string, toBlock: string }>}
+   */
+  syncSeason(seasonId) {
+    if (!this.syncs.has(seasonId)) {
+      const sync = this._syncSeason(seasonId).finally(() => {
+        this.syncs.delete(seasonId);
+      });
+      this.syncs.set(seasonId, sync);
+    }
+    return this.syncs.get(seasonId);
+  }
+
+  async _syncSeason(seasonId) {
+    const season = await db.getSeasonContracts(seasonId);
+    if (!season?.bonding_curve_address) {
+      throw new Error(`Season ${seasonId} has no bonding curve`);
+    }
+
+    const curveAddress = season.bonding_curve_address;
+    const chain = getChainByKey(process.env.DEFAULT_NETWORK);
+    const toBlock = await getConfirmedBlockNumber(
+      publicClient,
+      chain.confirmations,
+    );
+    const fromBlock = BigInt(season.created_block || 0);
+
+    const [purchases, sales, config] = await Promise.all(
+      ["TokensPurchased", "TokensSold"]
+        .map((eventName) =>
+          getContractEventsInChunks({
+            client: publicClient,
+            address: curveAddress,
+            abi: SOFBondingCurveAbi,
+            eventName,
+            fromBlock,
+            toBlock,
+          }),
+        )
+        .concat(
+          publicClient.readContract({
+            address: curveAddress,
+            abi: SOFBondingCurveAbi,
+            functionName: "curveConfig",
+            blockNumber: toBlock,
+          }),
+        ),
+    );
+
+    // Newest first, walking supply back from the curve's state at toBlock
+    const logs = [...purchases, ...sales].sort((a, b) =>
+      a.blockNumber === b.blockNumber
+        ? b.logIndex - a.logIndex
+        : a.blockNumber > b.blockNumber
+          ? -1
+          : 1,
+    );
+
+    // curveConfig returns (totalSupply, sofReserves, currentStep, ...)
+    let supply = BigInt(config[0]);
+    const blockTimes = new Map();
+    const trades = [];
+
+    for (const log of logs) {
+      const isBuy = log.eventName === "TokensPurchased";
+      const tickets = isBuy ? log.args.tokensReceived : log.args.tokenAmount;
+
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await publicClient.getBlock({
+          blockNumber: log.blockNumber,
+        });
+        blockTimes.set(
+          log.blockNumber,
+          new Date(Number(block.timestamp) * 1000).toISOString(),
+        );
+      }
+
+      trades.push({
+        seasonId,
+        bondingCurveAddress: curveAddress,
+        txHash: log.transactionHash,
+        logIndex: log.logIndex,
+        blockNumber: log.blockNumber,
+        timestamp: blockTimes.get(log.blockNumber),
+        side: isBuy ? "BUY" : "SELL",
+        ticketAmount: Number(tickets),
+        sofAmount: Number(
+          formatEther(isBuy ? log.args.sofAmount : log.args.sofReceived),
+        ),
+        feeAmount: Number(formatEther(log.args.feeAmount)),
+        supplyAfter: supply,
+      });
+
+      supply = isBuy ? supply - tickets : supply + tickets;
+    }
+
+    if (supply !== 0n) {
+      console.warn(
+        `[bondingCurvePriceService] Season ${seasonId}: derived opening supply is ${supply}, expected 0`,
+      );
+    }
+
+    await this.recordTrades(trades.reverse());
+    await this.markSynced(seasonId, { toBlock, trades: trades.length });
+
+    return {
+      seasonId,
+      trades: trades.length,
+      fromBlock: fromBlock.toString(),
+      toBlock: toBlock.toString(),
+    };
+  }
+
+  /**
+   * Record that a season's price history was backfilled up to `toBlock`
+   * @param {number} seasonId
+   * @param {{ toBlock: bigint, trades: number }} sync
+   */
+  async markSynced(seasonId, { toBlock, trades }) {
+    const { error } = await supabase.from("bonding_curve_price_syncs").upsert(
+      {
+        season_id: seasonId,
+        to_block: Number(toBlock),
+        trades,
+        synced_at: new Date().toISOString(),
+      },
+      { onConflict: "season_id" },
+    );
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Backfill every season with a bonding curve that was never synced. Run by
+   * the leader at startup; one failing season does not stop the others.
+   * @param {object} [logger]
+   * @returns {Promise<{ synced: number, failed: number }>}
+   */
+  async syncUnsyncedSeasons(logger = console) {
+    if (!hasSupabase) return { synced: 0, failed: 0 };
+
+    const [seasons, synced] = await Promise.all([
+      supabase
+        .from("season_contracts")
+        .select("season_id")
+        .not("bonding_curve_address", "is", null),
+      supabase.from("bonding_curve_price_syncs").select("season_id"),
+    ]);
+    if (seasons.error) throw new Error(seasons.error.message);
+    if (synced.error) throw new Error(synced.error.message);
+
+    const done = new Set((synced.data || []).map((row) => Number(row.season_id)));
+    const pending = (seasons.data || [])
+      .map((row) => Number(row.season_id))
+      .filter((seasonId) => !done.has(seasonId));
+
+    const summary = { synced: 0, failed: 0 };
+    for (const seasonId of pending) {
+      try {
+        const result = await this.syncSeason(seasonId);
+        summary.synced += 1;
+        logger.info(
+          `📈 [PRICE_HISTORY] Season ${seasonId} backfilled: ${result.trades} trade(s) up to block ${result.toBlock}`,
+        );
+      } catch (error) {
+        summary.failed += 1;
+        logger.error(
+          `❌ [PRICE_HISTORY] Season ${seasonId} backfill failed: ${error.message}`,
+        );
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Price points for a season, oldest first
+   * @param {number} seasonId
+   * @param {{ from?: Date, to?: Date }} [range]
+   */
+  async getPricePoints(seasonId, { from, to } = {}) {
+    const points = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      let query = supabase
+        .from("bonding_curve_price_history")
+        .select("recorded_at, price, sof_amount")
+        .eq("season_id", seasonId)
+        .order("recorded_at", { ascending: true })
+        .order("block_number", { ascending: true })
+        .order("log_index", { ascending: true });
+
+      if (from) query = query.gte("recorded_at", from.toISOString());
+      if (to) query = query.lte("recorded_at", to.toISOString());
+
+      const { data, error } = await query.range(offset, offset + PAGE_SIZE - 1);
+      if (error) throw new Error(error.message);
+
+      for (const row of data || []) {
+        points.push({
+          timestamp: new Date(row.recorded_at).getTime(),
+          price: Number(row.price),
+          sofAmount: Number(row.sof_amount),
+        });
+      }
+
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return points;
+  }
+
+  /**
+   * OHLC candles for a season's ticket price. Read-only: seasons not yet
+   * backfilled return no candles until the sync job has run.
+   * @param {number} seasonId
+   * @param {{ resolution?: keyof typeof CANDLE_RESOLUTIONS, from?: Date, to?: Date }} [options]
+   * @returns {Promise<{ seasonId: number, resolution: string, candles: ReturnType<typeof buildCandles>, count: number, truncated: boolean }>}
+   */
+  async getPriceHistory(seasonId, { resolution = "1h", from, to } = {}) {
+    if (!CANDLE_RESOLUTIONS[resolution]) {
+      throw new Error(`Invalid resolution: ${resolution}`);
+    }
+
+    if (!hasSupabase) {
+      return { seasonId, resolution, candles: [], count: 0, truncated: false };
+    }
+
+    const points = await this.getPricePoints(seasonId, { from, to });
+    const candles = buildCandles(points, resolution);
+    const truncated = candles.length > MAX_CANDLES;
+    const finalCandles = truncated ? candles.slice(-MAX_CANDLES) : candles;
+
+    return {
+      seasonId,
+      resolution,
+      candles: finalCandles,
+      count: finalCandles.length,
+      truncated,
+    };
+  }
+}
+
+export const bondingCurvePriceService = new BondingCurvePriceService();
+export default bondingCurvePriceService;
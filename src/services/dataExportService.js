@@ -0,0 +1,198 @@
+/**
+ * @file dataExportService.js
+ * @description Streaming CSV / NDJSON exports of raffle and InfoFi tables.
+ *
+ * Rows are read with keyset pagination on `id`, one page at a time, and
+ * serialized as they arrive so a full table is never held in memory.
+ */
+
+import { Readable } from "node:stream";
+import { db } from "../../shared/supabaseClient.js";
+
+const PAGE_SIZE = 1_000;
+
+export const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+/**
+ * Exportable datasets. `filters` maps each supported query filter to how it
+ * applies: a column, or `marketSeason` for tables that only reach a season
+ * through market_id.
+ */
+export const EXPORT_DATASETS = {
+  "raffle-transactions": {
+    table: "raffle_transactions",
+    columns: [
+      "id",
+      "season_id",
+      "user_address",
+      "transaction_type",
+      "ticket_amount",
+      "sof_amount",
+      "fee_amount",
+      "price_per_ticket",
+      "tx_hash",
+      "block_number",
+      "block_timestamp",
+      "tickets_before",
+      "tickets_after",
+    ],
+    timeColumn: "block_timestamp",
+    filters: { season: "season_id", user: "user_address" },
+  },
+  "infofi-positions": {
+    table: "infofi_positions",
+    columns: [
+      "id",
+      "market_id",
+      "user_address",
+      "outcome",
+      "amount",
+      "price",
+      "tx_hash",
+      "created_at",
+    ],
+    timeColumn: "created_at",
+    filters: { season: "marketSeason", market: "market_id", user: "user_address" },
+  },
+  "infofi-odds-history": {
+    table: "infofi_odds_history",
+    columns: [
+      "id",
+      "market_id",
+      "season_id",
+      "recorded_at",
+      "yes_bps",
+      "no_bps",
+      "hybrid_bps",
+      "raffle_bps",
+      "sentiment_bps",
+    ],
+    timeColumn: "recorded_at",
+    filters: { season: "season_id", market: "market_id" },
+  },
+  "infofi-winnings": {
+    table: "infofi_winnings",
+    columns: [
+      "id",
+      "user_address",
+      "market_id",
+      "amount",
+      "is_claimed",
+      "claimed_at",
+      "created_at",
+    ],
+    timeColumn: "created_at",
+    filters: { season: "marketSeason", market: "market_id", user: "user_address" },
+  },
+};
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {unknown} value
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string[]} values
+ */
+function csvLine(values) {
+  return values.map(csvValue).join(",") + "\r\n";
+}
+
+class DataExportService {
+  /**
+   * Page through a dataset in id order
+   * @param {keyof typeof EXPORT_DATASETS} dataset
+   * @param {{ season?: number, market?: number, user?: string, from?: Date, to?: Date }} filters
+   */
+  async *readRows(dataset, filters) {
+    const { table, columns, timeColumn, filters: supported } =
+      EXPORT_DATASETS[dataset];
+
+    let marketIds = null;
+    if (filters.season !== undefined && supported.season === "marketSeason") {
+      const { data, error } = await db.client
+        .from("infofi_markets")
+        .select("id")
+        .eq("season_id", filters.season);
+      if (error) throw new Error(error.message);
+      marketIds = (data || []).map((market) => market.id);
+      if (marketIds.length === 0) return;
+    }
+
+    let lastId = null;
+    for (;;) {
+      let query = db.client.from(table).select(columns.join(", "));
+
+      if (filters.season !== undefined && supported.season !== "marketSeason") {
+        query = query.eq(supported.season, filters.season);
+      }
+      if (marketIds) query = query.in("market_id", marketIds);
+      if (filters.market !== undefined) {
+        query = query.eq(supported.market, filters.market);
+      }
+      if (filters.user) {
+        // raffle_transactions keeps checksummed addresses
+        query = query.ilike(supported.user, filters.user);
+      }
+      if (filters.from) query = query.gte(timeColumn, filters.from.toISOString());
+      if (filters.to) query = query.lte(timeColumn, filters.to.toISOString());
+      if (lastId !== null) query = query.gt("id", lastId);
+
+      const { data, error } = await query
+        .order("id", { ascending: true })
+        .limit(PAGE_SIZE);
+      if (error) throw new Error(error.message);
+
+      for (const row of data || []) yield row;
+
+      if (!data || data.length < PAGE_SIZE) return;
+      lastId = data[data.length - 1].id;
+    }
+  }
+
+  /**
+   * Serialized export lines
+   * @param {keyof typeof EXPORT_DATASETS} dataset
+   * @param {keyof typeof EXPORT_FORMATS} format
+   * @param {Parameters<DataExportService["readRows"]>[1]} filters
+   */
+  async *serialize(dataset, format, filters) {
+    const { columns } = EXPORT_DATASETS[dataset];
+
+    if (format === "csv") yield csvLine(columns);
+
+    for await (const row of this.readRows(dataset, filters)) {
+      yield format === "csv"
+        ? csvLine(columns.map((column) => row[column]))
+        : JSON.stringify(row) + "\n";
+    }
+  }
+
+  /**
+   * Readable stream of an export, suitable for reply.send()
+   * @param {keyof typeof EXPORT_DATASETS} dataset
+   * @param {keyof typeof EXPORT_FORMATS} format
+   * @param {Parameters<DataExportService["readRows"]>[1]} [filters]
+   * @returns {Readable}
+   */
+  createExportStream(dataset, format, filters = {}) {
+    if (!EXPORT_DATASETS[dataset]) {
+      throw new Error(`Unknown dataset: ${dataset}`);
+    }
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown format: ${format}`);
+    }
+    return Readable.from(this.serialize(dataset, format, filters));
+  }
+}
+
+export const dataExportService = new DataExportService();
+export default dataExportService;
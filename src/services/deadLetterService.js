@@ -0,0 +1,436 @@
+/**
+ * @file deadLetterService.js
+ * @description Dead-letter queue for contract event handler failures.
+ *
+ * Listeners route every log through processLogs(). A log whose handler throws
+ * is persisted to event_dead_letters (raw log, listener key, error) so the
+ * block cursor can move on without losing the event. A background retrier
+ * re-decodes pending rows with the listener's ABI and hands them back to the
+ * registered handler with exponential backoff.
+ *
+ * Handlers are registered in-process by the listeners when they subscribe,
+ * so rows for listeners that are not running stay pending until they are.
+ */
+
+import { decodeEventLog } from "viem";
+import { db, hasSupabase } from "../../shared/supabaseClient.js";
+
+const TABLE = "event_dead_letters";
+
+// Default retrier cadence: 1 minute
+const DEFAULT_RETRY_INTERVAL_MS = 60_000;
+
+// Backoff: 30s, 1m, 2m, ... capped at 1h; give up after MAX_ATTEMPTS
+const RETRY_BASE_DELAY_MS = 30_000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+const RETRY_BATCH_SIZE = 50;
+
+// Rows a redelivered log must not reopen
+const CLOSED_STATUSES = ["discarded", "exhausted"];
+
+/**
+ * @param {number} attempts - Attempts made so far
+ * @returns {number}
+ */
+export function getRetryDelayMs(attempts) {
+  const ms = RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(ms, RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Strip a viem log down to JSON-safe raw fields (args are re-decoded on retry).
+ * @param {any} log
+ */
+function serializeLog(log) {
+  return {
+    address: log.address,
+    topics: log.topics,
+    data: log.data,
+    blockNumber: log.blockNumber != null ? String(log.blockNumber) : null,
+    blockHash: log.blockHash ?? null,
+    transactionHash: log.transactionHash,
+    transactionIndex: log.transactionIndex ?? null,
+    logIndex: log.logIndex ?? null,
+    eventName: log.eventName ?? null,
+  };
+}
+
+/**
+ * Rebuild a viem-shaped log (bigint block number, decoded args) from a row.
+ * @param {any} rawLog
+ * @param {any[]} abi
+ */
+function deserializeLog(rawLog, abi) {
+  const { eventName, args } = decodeEventLog({
+    abi,
+    data: rawLog.data,
+    topics: rawLog.topics,
+  });
+
+  return {
+    ...rawLog,
+    blockNumber:
+      rawLog.blockNumber != null ? BigInt(rawLog.blockNumber) : null,
+    eventName,
+    args,
+  };
+}
+
+class DeadLetterService {
+  constructor() {
+    /** @type {Map<string, { abi: any[], handler: (log: any) => Promise<void> }>} */
+    this.handlers = new Map();
+    this.logger = console;
+    this.intervalId = null;
+    this.isRetrying = false;
+  }
+
+  setLogger(logger) {
+    if (logger) this.logger = logger;
+  }
+
+  /**
+   * Register the per-log handler used to reprocess a listener's dead letters.
+   * @param {string} listenerKey - Same key the listener subscribes with
+   * @param {{ abi: any[], handler: (log: any) => Promise<void> }} entry
+   */
+  registerHandler(listenerKey, { abi, handler }) {
+    this.handlers.set(listenerKey, { abi, handler });
+  }
+
+  /**
+   * @param {string} listenerKey
+   */
+  unregisterHandler(listenerKey) {
+    this.handlers.delete(listenerKey);
+  }
+
+  /**
+   * Run a handler over a batch of logs, dead-lettering each failure.
+   * Throws only if a failure could not be persisted, so the caller's cursor
+   * stays put and the block is redelivered instead of lost.
+   * @param {Object} params
+   * @param {string} params.listenerKey
+   * @param {any[]} params.logs
+   * @param {(log: any) => Promise<void>} params.handler
+   */
+  async processLogs({ listenerKey, logs, handler }) {
+    for (const log of logs) {
+      try {
+        await handler(log);
+      } catch (error) {
+        this.logger.warn(
+          `[DEAD_LETTER] ⚠️  ${listenerKey} failed on tx ${log.transactionHash} (log ${log.logIndex}): ${error.message}`,
+        );
+        await this.record({ listenerKey, log, error });
+      }
+    }
+  }
+
+  /**
+   * Persist a failed log (idempotent per listener/tx/logIndex).
+   *
+   * A redelivered log (rewind, restart, historical rescan) refreshes a
+   * pending or resolved row but never revives one an admin discarded or the
+   * retrier gave up on. The exception is a log re-included in a different
+   * block after a reorg: that is a new occurrence, so its row is reopened.
+   * @param {{ listenerKey: string, log: any, error: any }} params
+   */
+  async record({ listenerKey, log, error }) {
+    if (!hasSupabase) {
+      throw new Error("Supabase not configured; cannot dead-letter event");
+    }
+
+    const now = new Date().toISOString();
+    const failure = {
+      event_name: log.eventName ?? null,
+      contract_address: log.address ? log.address.toLowerCase() : null,
+      block_number: log.blockNumber != null ? Number(log.blockNumber) : null,
+      raw_log: serializeLog(log),
+      error_message: error?.message || String(error),
+      status: "pending",
+      next_retry_at: new Date(Date.now() + getRetryDelayMs(1)).toISOString(),
+      updated_at: now,
+    };
+    const identity = {
+      listener_key: listenerKey,
+      tx_hash: log.transactionHash,
+      log_index: log.logIndex ?? 0,
+    };
+
+    const { data: inserted, error: insertError } = await db.client
+      .from(TABLE)
+      .upsert(
+        { ...identity, ...failure },
+        { onConflict: "listener_key,tx_hash,log_index", ignoreDuplicates: true },
+      )
+      .select();
+
+    if (insertError) throw insertError;
+    if (inserted && inserted.length > 0) return inserted[0];
+
+    const { data: existing, error: readError } = await db.client
+      .from(TABLE)
+      .select("*")
+      .eq("listener_key", identity.listener_key)
+      .eq("tx_hash", identity.tx_hash)
+      .eq("log_index", identity.log_index)
+      .maybeSingle();
+
+    if (readError) throw readError;
+    if (!existing) {
+      throw new Error(
+        `Dead letter for ${listenerKey} tx ${log.transactionHash} vanished while recording`,
+      );
+    }
+
+    const sameBlock =
+      (existing.raw_log?.blockHash ?? null) === (log.blockHash ?? null);
+    if (CLOSED_STATUSES.includes(existing.status) && sameBlock) {
+      this.logger.info(
+        `[DEAD_LETTER] ${listenerKey} tx ${log.transactionHash} is ${existing.status}; leaving it closed`,
+      );
+      return existing;
+    }
+
+    // Compare-and-set on status so an admin discard in between wins
+    const { data: updated, error: updateError } = await db.client
+      .from(TABLE)
+      .update(failure)
+      .eq("id", existing.id)
+      .eq("status", existing.status)
+      .select()
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    return updated || existing;
+  }
+
+  /**
+   * Discard pending dead letters from blocks a reorg orphaned; the canonical
+   * logs are re-scanned and dead-lettered again if they still fail.
+   * @param {string[]} listenerKeys - Listeners rewound by the reorg
+   * @param {bigint} fromBlock - First non-canonical block
+   * @returns {Promise<number>} Entries discarded
+   */
+  async discardFromBlock(listenerKeys, fromBlock) {
+    if (!hasSupabase || listenerKeys.length === 0) return 0;
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .update({
+        status: "discarded",
+        next_retry_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .in("listener_key", listenerKeys)
+      .eq("status", "pending")
+      .gte("block_number", Number(fromBlock))
+      .select("id");
+
+    if (error) throw error;
+    const discarded = (data || []).length;
+    if (discarded > 0) {
+      this.logger.warn(
+        `[DEAD_LETTER] 🗑️  Discarded ${discarded} dead letter(s) orphaned by a reorg at block ${fromBlock}`,
+      );
+    }
+    return discarded;
+  }
+
+  /**
+   * List dead letters, newest first.
+   * @param {{ status?: string, listenerKey?: string, limit?: number, offset?: number }} [params]
+   * @returns {Promise<{ entries: any[], total: number }>}
+   */
+  async list({ status, listenerKey, limit = 50, offset = 0 } = {}) {
+    let query = db.client
+      .from(TABLE)
+      .select("*", { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq("status", status);
+    if (listenerKey) query = query.eq("listener_key", listenerKey);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { entries: data || [], total: count || 0 };
+  }
+
+  /**
+   * @param {number|string} id
+   */
+  async getById(id) {
+    const { data, error } = await db.client
+      .from(TABLE)
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Reprocess a single dead letter now, regardless of its schedule.
+   * @param {any} entry - event_dead_letters row
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async retryEntry(entry) {
+    const registered = this.handlers.get(entry.listener_key);
+    if (!registered) {
+      return {
+        success: false,
+        error: `No handler registered for ${entry.listener_key}`,
+      };
+    }
+
+    const attempts = (entry.attempts || 0) + 1;
+    const now = new Date();
+
+    try {
+      const log = deserializeLog(entry.raw_log, registered.abi);
+      await registered.handler(log);
+
+      await this.update(entry.id, {
+        status: "resolved",
+        attempts,
+        last_attempt_at: now.toISOString(),
+        resolved_at: now.toISOString(),
+        next_retry_at: null,
+      });
+
+      this.logger.info(
+        `[DEAD_LETTER] ✅ Reprocessed ${entry.listener_key} tx ${entry.tx_hash} (attempt ${attempts})`,
+      );
+      return { success: true };
+    } catch (error) {
+      const exhausted = attempts >= MAX_ATTEMPTS;
+
+      await this.update(entry.id, {
+        status: exhausted ? "exhausted" : "pending",
+        attempts,
+        error_message: error.message,
+        last_attempt_at: now.toISOString(),
+        next_retry_at: exhausted
+          ? null
+          : new Date(now.getTime() + getRetryDelayMs(attempts + 1)).toISOString(),
+      });
+
+      this.logger.warn(
+        `[DEAD_LETTER] ⚠️  Retry ${attempts} failed for ${entry.listener_key} tx ${entry.tx_hash}: ${error.message}` +
+          (exhausted ? " (giving up)" : ""),
+      );
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Admin action: retry one entry by id (also revives exhausted entries).
+   * @param {number|string} id
+   */
+  async retry(id) {
+    const entry = await this.getById(id);
+    if (!entry) return null;
+    if (entry.status === "resolved" || entry.status === "discarded") {
+      return { success: false, error: `Entry is already ${entry.status}` };
+    }
+    return this.retryEntry(entry);
+  }
+
+  /**
+   * Admin action: give up on an entry.
+   * @param {number|string} id
+   */
+  async discard(id) {
+    const { data, error } = await db.client
+      .from(TABLE)
+      .update({
+        status: "discarded",
+        next_retry_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { error } = await db.client
+      .from(TABLE)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", id);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Reprocess pending entries that are due and have a registered handler.
+   * @returns {Promise<{ attempted: number, resolved: number }>}
+   */
+  async retryDue() {
+    if (this.isRetrying || this.handlers.size === 0) {
+      return { attempted: 0, resolved: 0 };
+    }
+
+    this.isRetrying = true;
+    try {
+      const { data, error } = await db.client
+        .from(TABLE)
+        .select("*")
+        .eq("status", "pending")
+        .in("listener_key", [...this.handlers.keys()])
+        .lte("next_retry_at", new Date().toISOString())
+        .order("block_number", { ascending: true })
+        .limit(RETRY_BATCH_SIZE);
+
+      if (error) throw error;
+
+      let resolved = 0;
+      for (const entry of data || []) {
+        const result = await this.retryEntry(entry);
+        if (result.success) resolved++;
+      }
+
+      return { attempted: (data || []).length, resolved };
+    } finally {
+      this.isRetrying = false;
+    }
+  }
+
+  /**
+   * Start the background retrier
+   * @param {object} [logger]
+   * @param {number} [intervalMs]
+   */
+  start(logger, intervalMs = DEFAULT_RETRY_INTERVAL_MS) {
+    this.setLogger(logger);
+    if (this.intervalId || !hasSupabase) return;
+
+    this.logger.info(
+      `🚀 Starting dead-letter retrier (interval: ${intervalMs / 1000}s)`,
+    );
+
+    this.intervalId = setInterval(() => {
+      this.retryDue().catch((error) => {
+        this.logger.error(`[DEAD_LETTER] ❌ Retrier failed: ${error.message}`);
+      });
+    }, intervalMs);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info("⏹️ Dead-letter retrier stopped");
+    }
+  }
+}
+
+export const deadLetterService = new DeadLetterService();
+export default deadLetterService;
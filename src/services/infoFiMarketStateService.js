@@ -0,0 +1,243 @@
+/**
+ * @file infoFiMarketStateService.js
+ * @description Applies InfoFiMarketFactory events to the InfoFi tables.
+ *
+ * - MarketStatusChanged → infofi_markets.creation_status / status_reason
+ * - ProbabilityUpdated → infofi_markets.current_probability_bps
+ * - SeasonMarketsResolved → infofi_markets.resolved_onchain for the season
+ * - MarketCreationFailed → infofi_failed_markets (source 'CHAIN')
+ *
+ * Status and probability updates carry the block of the log they came from
+ * and are skipped when the row already reflects a later block, so replays
+ * and backfills cannot roll a market back. Every write is idempotent, and
+ * each has a matching retraction used when a reorg orphans the log.
+ */
+
+import { db } from "../../shared/supabaseClient.js";
+
+/**
+ * InfoFiMarketFactory events ingested by infoFiFactoryEventsListener
+ * (MarketCreated has its own listener)
+ */
+export const INFOFI_FACTORY_EVENTS = [
+  "MarketStatusChanged",
+  "ProbabilityUpdated",
+  "MarketCreationFailed",
+  "SeasonMarketsResolved",
+  "TreasuryLow",
+];
+
+/**
+ * InfoFiMarketFactory.MarketCreationStatus, by enum index
+ */
+export const MARKET_CREATION_STATUSES = [
+  "NotCreated",
+  "Pending",
+  "Created",
+  "Failed",
+];
+
+/**
+ * @param {number|bigint} status - MarketCreationStatus enum value
+ * @returns {string}
+ */
+export function getCreationStatusName(status) {
+  return MARKET_CREATION_STATUSES[Number(status)] ?? `Unknown(${status})`;
+}
+
+/**
+ * Whether a row last updated at `appliedBlock` should take a log from `blockNumber`
+ * @param {string|number|null|undefined} appliedBlock
+ * @param {bigint} blockNumber
+ */
+function isNewer(appliedBlock, blockNumber) {
+  if (appliedBlock === null || appliedBlock === undefined) return true;
+  return BigInt(blockNumber) >= BigInt(appliedBlock);
+}
+
+class InfoFiMarketStateService {
+  /**
+   * @param {number} seasonId
+   * @param {string} playerAddress
+   * @returns {Promise<object|null>} The player's market row, if created yet
+   */
+  async getMarket(seasonId, playerAddress) {
+    const { data, error } = await db.client
+      .from("infofi_markets")
+      .select("*")
+      .eq("season_id", seasonId)
+      .eq("player_address", playerAddress.toLowerCase());
+
+    if (error) throw new Error(error.message);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  async updateMarket(id, fields) {
+    const { error } = await db.client
+      .from("infofi_markets")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", id);
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * @param {{ seasonId: number, player: string, status: number|bigint, reason?: string, blockNumber: bigint }} params
+   * @returns {Promise<{ applied: boolean, status: string }>}
+   */
+  async applyStatusChange({ seasonId, player, status, reason, blockNumber }) {
+    const statusName = getCreationStatusName(status);
+    const market = await this.getMarket(seasonId, player);
+    // No row yet: MarketCreated inserts it as Created
+    if (!market || !isNewer(market.status_block_number, blockNumber)) {
+      return { applied: false, status: statusName };
+    }
+
+    await this.updateMarket(market.id, {
+      creation_status: statusName,
+      status_reason: reason || null,
+      status_block_number: blockNumber.toString(),
+    });
+    return { applied: true, status: statusName };
+  }
+
+  /**
+   * @param {{ seasonId: number, player: string, probabilityBps: number, blockNumber: bigint }} params
+   * @returns {Promise<{ applied: boolean }>}
+   */
+  async applyProbability({ seasonId, player, probabilityBps, blockNumber }) {
+    const market = await this.getMarket(seasonId, player);
+    if (
+      !market ||
+      market.is_settled ||
+      !isNewer(market.probability_block_number, blockNumber)
+    ) {
+      return { applied: false };
+    }
+
+    await this.updateMarket(market.id, {
+      current_probability_bps: probabilityBps,
+      probability_block_number: blockNumber.toString(),
+    });
+    return { applied: true };
+  }
+
+  /**
+   * Overwrite a market's status and probability with values read from chain
+   * (after a reorg orphaned the logs they came from)
+   * @param {{ seasonId: number, player: string, status?: number|bigint, probabilityBps?: number }} params
+   * @returns {Promise<boolean>} Whether a market row was updated
+   */
+  async resetFromChain({ seasonId, player, status, probabilityBps }) {
+    const market = await this.getMarket(seasonId, player);
+    if (!market) return false;
+
+    const fields = {};
+    if (status !== undefined) {
+      fields.creation_status = getCreationStatusName(status);
+      fields.status_block_number = null;
+    }
+    if (probabilityBps !== undefined) {
+      fields.current_probability_bps = probabilityBps;
+      fields.probability_block_number = null;
+    }
+    await this.updateMarket(market.id, fields);
+    return true;
+  }
+
+  /**
+   * Mark every market of a season as resolved on chain
+   * @param {{ seasonId: number, txHash: string }} params
+   * @returns {Promise<number>} Markets marked
+   */
+  async markSeasonResolved({ seasonId, txHash }) {
+    const { data, error } = await db.client
+      .from("infofi_markets")
+      .update({
+        is_active: false,
+        resolved_onchain: true,
+        resolution_tx_hash: txHash,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("season_id", seasonId)
+      .select("id");
+
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  }
+
+  /**
+   * @param {string[]} txHashes - Orphaned SeasonMarketsResolved transactions
+   * @returns {Promise<number>} Markets unmarked
+   */
+  async retractSeasonResolved(txHashes) {
+    if (txHashes.length === 0) return 0;
+
+    const { data, error } = await db.client
+      .from("infofi_markets")
+      .update({
+        resolved_onchain: false,
+        resolution_tx_hash: null,
+        updated_at: new Date().toISOString(),
+      })
+      .in("resolution_tx_hash", txHashes)
+      .select("id");
+
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  }
+
+  /**
+   * Record a MarketCreationFailed log in infofi_failed_markets
+   * @param {{ seasonId: number, player: string, marketType: string, reason: string, txHash: string, logIndex: number }} params
+   * @returns {Promise<{ alreadyRecorded: boolean }>}
+   */
+  async recordCreationFailure({
+    seasonId,
+    player,
+    marketType,
+    reason,
+    txHash,
+    logIndex,
+  }) {
+    const now = new Date().toISOString();
+    const { error } = await db.client.from("infofi_failed_markets").insert({
+      season_id: seasonId,
+      player_address: player.toLowerCase(),
+      source: "CHAIN",
+      market_type: marketType,
+      error_message: reason || null,
+      tx_hash: txHash,
+      log_index: logIndex,
+      created_at: now,
+      last_attempt_at: now,
+    });
+
+    if (error) {
+      if (error.code === "23505") return { alreadyRecorded: true };
+      throw new Error(error.message);
+    }
+    return { alreadyRecorded: false };
+  }
+
+  /**
+   * @param {string[]} txHashes - Orphaned MarketCreationFailed transactions
+   * @returns {Promise<number>} Rows removed
+   */
+  async retractCreationFailures(txHashes) {
+    if (txHashes.length === 0) return 0;
+
+    const { data, error } = await db.client
+      .from("infofi_failed_markets")
+      .delete()
+      .eq("source", "CHAIN")
+      .in("tx_hash", txHashes)
+      .select("id");
+
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  }
+}
+
+export const infoFiMarketStateService = new InfoFiMarketStateService();
+export default infoFiMarketStateService;
@@ -0,0 +1,423 @@
+/**
+ * @file infoFiPayoutService.js
+ * @description Settlement payouts for InfoFi prediction markets.
+ *
+ * A winning InfoFi position redeems one unit of collateral per outcome share
+ * it holds, so a user's payout in a market is their balance of the winning
+ * outcome token at settlement, not the SOF they spent. Balances are read on
+ * chain: Trade logs do not say whether a trade was a buy or a sell, so the
+ * shares summed from them (Trade.amountOut) are only used to reconcile.
+ * Positions recorded before shares were stored are backfilled from their
+ * transaction's Trade log.
+ *
+ * settleMarketPayouts() is idempotent: re-running it inserts missing
+ * winnings, corrects unclaimed rows whose shares differ, removes unclaimed
+ * rows that predate share tracking for users holding no winning shares and
+ * never touches claimed rows (mismatches are reported instead). A zero
+ * balance may mean the user already redeemed, so recorded winnings are kept
+ * and reported rather than removed. getSeasonReconciliation() compares the
+ * shares derived from Trade events with the outcome token balances held on
+ * chain.
+ */
+
+import { formatEther, parseAbi, parseEventLogs } from "viem";
+import { publicClient } from "../lib/viemClient.js";
+import { db } from "../../shared/supabaseClient.js";
+import simpleFpmmAbi from "../abis/SimpleFPMMAbi.js";
+
+const conditionalTokensAbi = parseAbi([
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+]);
+
+// SimpleFPMM.positionIds(index): 0 = YES outcome token, 1 = NO outcome token
+const OUTCOME_INDEX = { YES: 0n, NO: 1n };
+
+/**
+ * @param {string|null|undefined} address
+ */
+function normalize(address) {
+  return address ? address.toLowerCase() : address;
+}
+
+/**
+ * Outcome a market paid out on
+ * @param {boolean} isWinner - Whether the market's player won the season
+ * @returns {"YES"|"NO"}
+ */
+export function getWinningOutcome(isWinner) {
+  return isWinner ? "YES" : "NO";
+}
+
+/**
+ * Per-user YES/NO share totals from position rows that have shares. Sells
+ * are indistinguishable from buys in Trade logs, so these totals are an upper
+ * bound used for reconciliation only.
+ * @param {Array<{ user_address: string, outcome: string, shares: string|null }>} positions
+ * @returns {Map<string, { YES: bigint, NO: bigint }>}
+ */
+export function sumSharesByUser(positions) {
+  const totals = new Map();
+  for (const position of positions) {
+    if (position.shares === null || position.shares === undefined) continue;
+    const user = normalize(position.user_address);
+    if (!totals.has(user)) totals.set(user, { YES: 0n, NO: 0n });
+    totals.get(user)[position.outcome] += BigInt(position.shares);
+  }
+  return totals;
+}
+
+class InfoFiPayoutService {
+  /**
+   * The ConditionalTokens contract and YES/NO position ids behind an FPMM
+   * @param {{ contract_address: string }} market
+   * @returns {Promise<{ conditionalTokens: string, positionIds: { YES: bigint, NO: bigint } }>}
+   */
+  async getOutcomeTokens(market) {
+    const [conditionalTokens, yes, no] = await Promise.all([
+      publicClient.readContract({
+        address: market.contract_address,
+        abi: simpleFpmmAbi,
+        functionName: "conditionalTokens",
+      }),
+      ...[OUTCOME_INDEX.YES, OUTCOME_INDEX.NO].map((index) =>
+        publicClient.readContract({
+          address: market.contract_address,
+          abi: simpleFpmmAbi,
+          functionName: "positionIds",
+          args: [index],
+        }),
+      ),
+    ]);
+    return { conditionalTokens, positionIds: { YES: yes, NO: no } };
+  }
+
+  /**
+   * @param {string} conditionalTokens
+   * @param {string} user
+   * @param {bigint} positionId
+   * @returns {Promise<bigint>}
+   */
+  async readOutcomeBalance(conditionalTokens, user, positionId) {
+    return publicClient.readContract({
+      address: conditionalTokens,
+      abi: conditionalTokensAbi,
+      functionName: "balanceOf",
+      args: [user, positionId],
+    });
+  }
+
+  /**
+   * A market's positions with shares filled in from Trade logs where missing
+   * @param {{ id: number, contract_address: string }} market
+   * @returns {Promise<{ positions: object[], unresolved: object[] }>}
+   *   unresolved: positions whose Trade log could not be found (excluded)
+   */
+  async getMarketPositions(market) {
+    const { data, error } = await db.client
+      .from("infofi_positions")
+      .select("id, user_address, outcome, amount, shares, tx_hash")
+      .eq("market_id", market.id);
+
+    if (error) throw new Error(error.message);
+
+    const positions = [];
+    const unresolved = [];
+    for (const position of data || []) {
+      if (position.shares !== null && position.shares !== undefined) {
+        positions.push(position);
+        continue;
+      }
+
+      const shares = await this.readTradeShares(market, position);
+      if (shares === null) {
+        unresolved.push(position);
+        continue;
+      }
+
+      const { error: updateError } = await db.client
+        .from("infofi_positions")
+        .update({ shares: shares.toString() })
+        .eq("id", position.id);
+      if (updateError) throw new Error(updateError.message);
+
+      positions.push({ ...position, shares: shares.toString() });
+    }
+
+    return { positions, unresolved };
+  }
+
+  /**
+   * Shares bought by a position, from the Trade log in its transaction
+   * @param {{ contract_address: string }} market
+   * @param {{ user_address: string, tx_hash: string|null }} position
+   * @returns {Promise<bigint|null>} null when no matching Trade log exists
+   */
+  async readTradeShares(market, position) {
+    if (!position.tx_hash || !market.contract_address) return null;
+
+    let receipt;
+    try {
+      receipt = await publicClient.getTransactionReceipt({
+        hash: position.tx_hash,
+      });
+    } catch {
+      return null;
+    }
+
+    const trades = parseEventLogs({
+      abi: simpleFpmmAbi,
+      eventName: "Trade",
+      logs: receipt.logs,
+    }).filter(
+      (log) =>
+        normalize(log.address) === normalize(market.contract_address) &&
+        normalize(log.args.trader) === normalize(position.user_address),
+    );
+
+    if (trades.length === 0) return null;
+    return trades.reduce((sum, log) => sum + log.args.amountOut, 0n);
+  }
+
+  /**
+   * Record each winning user's payout for a settled market, from their
+   * on-chain balance of the winning outcome token
+   * @param {{ id: number, contract_address: string }} market
+   * @param {"YES"|"NO"} winningOutcome
+   * @returns {Promise<{ marketId: number, winningOutcome: string, payouts: Array<{ user: string, shares: string, amount: string }>, created: number, updated: number, unchanged: number, removed: number, claimedMismatches: object[], zeroBalance: object[] }>}
+   */
+  async settleMarketPayouts(market, winningOutcome) {
+    if (!market.contract_address) {
+      throw new Error(`Market ${market.id} has no FPMM address`);
+    }
+
+    const { data: positions, error: positionsError } = await db.client
+      .from("infofi_positions")
+      .select("user_address")
+      .eq("market_id", market.id);
+    if (positionsError) throw new Error(positionsError.message);
+
+    const { data: existing, error } = await db.client
+      .from("infofi_winnings")
+      .select("id, user_address, amount, shares, is_claimed")
+      .eq("market_id", market.id)
+      .order("id", { ascending: true });
+    if (error) throw new Error(error.message);
+
+    const users = new Set(
+      [...(positions || []), ...(existing || [])].map((row) =>
+        normalize(row.user_address),
+      ),
+    );
+    const { conditionalTokens, positionIds } =
+      await this.getOutcomeTokens(market);
+
+    const payouts = new Map();
+    for (const user of users) {
+      const shares = await this.readOutcomeBalance(
+        conditionalTokens,
+        user,
+        positionIds[winningOutcome],
+      );
+      if (shares > 0n) payouts.set(user, shares);
+    }
+
+    const summary = {
+      marketId: market.id,
+      winningOutcome,
+      payouts: [...payouts.entries()].map(([user, shares]) => ({
+        user,
+        shares: shares.toString(),
+        amount: formatEther(shares),
+      })),
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      removed: 0,
+      claimedMismatches: [],
+      zeroBalance: [],
+    };
+
+    const rowsByUser = new Map();
+    for (const row of existing || []) {
+      const user = normalize(row.user_address);
+      if (!rowsByUser.has(user)) rowsByUser.set(user, []);
+      rowsByUser.get(user).push(row);
+    }
+
+    const now = new Date().toISOString();
+    for (const [user, shares] of payouts.entries()) {
+      const rows = rowsByUser.get(user) || [];
+      rowsByUser.delete(user);
+
+      // One row per user and market; extra unclaimed rows are duplicates
+      const [row, ...duplicates] = [
+        ...rows.filter((r) => r.is_claimed),
+        ...rows.filter((r) => !r.is_claimed),
+      ];
+      summary.removed += await this.removeUnclaimed(duplicates);
+
+      if (!row) {
+        const { error: insertError } = await db.client
+          .from("infofi_winnings")
+          .insert({
+            user_address: user,
+            market_id: market.id,
+            amount: formatEther(shares),
+            shares: shares.toString(),
+            is_claimed: false,
+            created_at: now,
+          });
+        if (insertError) throw new Error(insertError.message);
+        summary.created += 1;
+        continue;
+      }
+
+      if (row.shares !== null && row.shares !== undefined && BigInt(row.shares) === shares) {
+        summary.unchanged += 1;
+        continue;
+      }
+
+      if (row.is_claimed) {
+        summary.claimedMismatches.push({
+          winningId: row.id,
+          user,
+          recordedAmount: row.amount,
+          expectedShares: shares.toString(),
+          expectedAmount: formatEther(shares),
+        });
+        continue;
+      }
+
+      const { error: updateError } = await db.client
+        .from("infofi_winnings")
+        .update({
+          amount: formatEther(shares),
+          shares: shares.toString(),
+          updated_at: now,
+        })
+        .eq("id", row.id);
+      if (updateError) throw new Error(updateError.message);
+      summary.updated += 1;
+    }
+
+    // Users left over hold no winning shares now. Rows from before share
+    // tracking are removed; recorded shares may already have been redeemed
+    for (const [user, rows] of rowsByUser.entries()) {
+      const legacy = rows.filter((r) => r.shares === null || r.shares === undefined);
+      summary.removed += await this.removeUnclaimed(legacy);
+      for (const row of rows.filter((r) => !legacy.includes(r) && !r.is_claimed)) {
+        summary.zeroBalance.push({
+          winningId: row.id,
+          user,
+          recordedShares: row.shares,
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Delete the unclaimed rows among `rows`
+   * @returns {Promise<number>} Rows deleted
+   */
+  async removeUnclaimed(rows) {
+    const ids = rows.filter((row) => !row.is_claimed).map((row) => row.id);
+    if (ids.length === 0) return 0;
+
+    const { error } = await db.client
+      .from("infofi_winnings")
+      .delete()
+      .in("id", ids);
+    if (error) throw new Error(error.message);
+    return ids.length;
+  }
+
+  /**
+   * Compare Trade-derived shares with on-chain outcome token balances for
+   * every market of a season. Balances drop to zero once a user redeems, so
+   * mismatches on claimed winnings are expected.
+   * @param {number} seasonId
+   */
+  async getSeasonReconciliation(seasonId) {
+    const { data: markets, error } = await db.client
+      .from("infofi_markets")
+      .select("id, player_address, contract_address, is_settled, winning_outcome")
+      .eq("season_id", seasonId)
+      .order("id", { ascending: true });
+    if (error) throw new Error(error.message);
+
+    const report = { seasonId, markets: [], mismatches: 0 };
+    for (const market of markets || []) {
+      const entry = await this.reconcileMarket(market);
+      report.mismatches += entry.mismatches;
+      report.markets.push(entry);
+    }
+    return report;
+  }
+
+  /**
+   * @param {{ id: number, player_address: string, contract_address: string|null, is_settled: boolean, winning_outcome: boolean|null }} market
+   */
+  async reconcileMarket(market) {
+    const winningOutcome =
+      market.is_settled && market.winning_outcome !== null
+        ? getWinningOutcome(market.winning_outcome)
+        : null;
+    const entry = {
+      marketId: market.id,
+      player: market.player_address,
+      fpmm: market.contract_address,
+      winningOutcome,
+      users: [],
+      unresolvedPositions: [],
+      mismatches: 0,
+    };
+
+    if (!market.contract_address) {
+      entry.error = "Market has no FPMM address";
+      return entry;
+    }
+
+    const { positions, unresolved } = await this.getMarketPositions(market);
+    entry.unresolvedPositions = unresolved.map((position) => position.id);
+
+    const { conditionalTokens, positionIds } =
+      await this.getOutcomeTokens(market);
+
+    const { data: winnings, error } = await db.client
+      .from("infofi_winnings")
+      .select("user_address, shares, is_claimed")
+      .eq("market_id", market.id);
+    if (error) throw new Error(error.message);
+    const winningsByUser = new Map(
+      (winnings || []).map((row) => [normalize(row.user_address), row]),
+    );
+
+    for (const [user, computed] of sumSharesByUser(positions).entries()) {
+      const [yes, no] = await Promise.all(
+        [positionIds.YES, positionIds.NO].map((id) =>
+          this.readOutcomeBalance(conditionalTokens, user, id),
+        ),
+      );
+
+      const winning = winningsByUser.get(user);
+      const matches = computed.YES === yes && computed.NO === no;
+      if (!matches) entry.mismatches += 1;
+
+      entry.users.push({
+        user,
+        computed: { yes: computed.YES.toString(), no: computed.NO.toString() },
+        onchain: { yes: yes.toString(), no: no.toString() },
+        matches,
+        payoutShares: winning?.shares ?? null,
+        claimed: winning?.is_claimed ?? false,
+      });
+    }
+
+    return entry;
+  }
+}
+
+export const infoFiPayoutService = new InfoFiPayoutService();
+export default infoFiPayoutService;
@@ -17,6 +17,7 @@ class InfoFiPositionService {
    * @param {bigint} params.amountIn - SOF amount spent
    * @param {bigint} params.amountOut - Shares received
    * @param {string} params.txHash - Transaction hash
+   * @param {bigint} [params.blockNumber] - Block of the Trade event
    * @returns {Promise<Object>} Result with success status
    */
   async recordPosition({
@@ -26,6 +27,7 @@ class InfoFiPositionService {
     amountIn,
     amountOut,
     txHash,
+    blockNumber,
   }) {
     try {
       console.log(`[recordPosition] Starting for tx: ${txHash}`);
@@ -88,6 +90,9 @@ class InfoFiPositionService {
         outcome,
         amount: amountInNum.toString(),
         price: price.toString(),
+        // Raw outcome shares (wei): what the position redeems if it wins
+        shares: amountOut.toString(),
+        block_number: blockNumber != null ? Number(blockNumber) : null,
         tx_hash: txHash,
         created_at: new Date().toISOString(),
       };
@@ -122,6 +127,26 @@ class InfoFiPositionService {
     }
   }
 
+  /**
+   * Remove positions whose blocks were orphaned by a chain reorg
+   * @param {string[]} txHashes - Transaction hashes to retract
+   * @returns {Promise<{ removed: number }>}
+   */
+  async retractPositions(txHashes) {
+    const hashes = [...new Set((txHashes || []).filter(Boolean))];
+    if (hashes.length === 0) return { removed: 0 };
+
+    const { data, error } = await db.client
+      .from("infofi_positions")
+      .delete()
+      .in("tx_hash", hashes)
+      .select("id");
+
+    if (error) throw error;
+
+    return { removed: data?.length || 0 };
+  }
+
   /**
    * Sync historical trades for a market from blockchain
    * @param {string} fpmmAddress - FPMM contract address
@@ -0,0 +1,69 @@
+/**
+ * @file leaderElectionService.js
+ * @description Process-wide leader election. Only the leader replica runs
+ * chain listeners, the season lifecycle service, the sponsor hat minter and
+ * other on-chain / oracle writers; API routes run on every replica.
+ *
+ * Without a reachable Redis the replica stays a follower and keeps retrying;
+ * set LEADER_ELECTION_MODE=single-instance to lead without Redis when only
+ * one replica runs.
+ */
+
+import process from "node:process";
+import { redisClient } from "../../shared/redisClient.js";
+import { createLeaderElection } from "../lib/leaderElection.js";
+
+let leaderElection = null;
+
+/**
+ * Start campaigning for leadership
+ * @param {Object} params
+ * @param {Object} params.logger - Logger instance
+ * @param {() => Promise<void>|void} params.onElected - Start leader-only work
+ * @param {() => Promise<void>|void} params.onDemoted - Stop leader-only work
+ * @returns {Promise<ReturnType<typeof createLeaderElection>>}
+ */
+export async function startLeaderElection({ logger, onElected, onDemoted }) {
+  if (leaderElection) return leaderElection;
+
+  leaderElection = createLeaderElection({
+    connect: () => redisClient.getReachableClient(),
+    singleInstance: process.env.LEADER_ELECTION_MODE === "single-instance",
+    key: process.env.LEADER_LEASE_KEY || "sof:backend:leader",
+    leaseMs: process.env.LEADER_LEASE_MS
+      ? parseInt(process.env.LEADER_LEASE_MS)
+      : 15_000,
+    renewIntervalMs: process.env.LEADER_RENEW_INTERVAL_MS
+      ? parseInt(process.env.LEADER_RENEW_INTERVAL_MS)
+      : 5_000,
+    onElected,
+    onDemoted,
+    logger,
+  });
+
+  await leaderElection.start();
+  return leaderElection;
+}
+
+/**
+ * Release leadership (used on shutdown)
+ */
+export async function stopLeaderElection() {
+  if (leaderElection) {
+    await leaderElection.stop();
+  }
+}
+
+/**
+ * Leader status for diagnostics (null before election starts)
+ */
+export function getLeaderStatus() {
+  return leaderElection ? leaderElection.getStatus() : null;
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isLeader() {
+  return leaderElection ? leaderElection.isLeader() : false;
+}
@@ -0,0 +1,272 @@
+/**
+ * @file leaderboardService.js
+ * @description Ranked season leaderboards built from raffle_transactions.
+ *
+ * Players are ranked by current tickets (earliest entry wins ties). Each entry
+ * carries win probability, SOF spent / received, the player's InfoFi market
+ * and rank movement over the last RANK_CHANGE_WINDOW_MS. The ranked list is
+ * cached in Redis per season and invalidated by the PositionUpdate listener.
+ */
+
+import { db } from "../../shared/supabaseClient.js";
+import { redisClient } from "../../shared/redisClient.js";
+import { usernameService } from "../../shared/usernameService.js";
+
+const CACHE_PREFIX = "leaderboard:season:";
+const CACHE_TTL_SECONDS = 300;
+const PAGE_SIZE = 1_000;
+const RANK_CHANGE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sortable fields: entry property → default direction
+ */
+export const LEADERBOARD_SORTS = {
+  rank: "asc",
+  tickets: "desc",
+  sofSpent: "desc",
+  rankChange: "desc",
+  transactions: "desc",
+};
+
+/**
+ * Rank players from their latest transaction at or before a cutoff
+ * @param {Array<object>} rows - raffle_transactions rows, oldest first
+ * @param {number} [cutoff] - Unix ms; rows after it are ignored
+ * @returns {Map<string, { tickets: number, firstBlock: number }>} Players with tickets, in rank order
+ */
+function rankPlayers(rows, cutoff = Infinity) {
+  const players = new Map();
+
+  for (const row of rows) {
+    if (new Date(row.block_timestamp).getTime() > cutoff) break;
+    const address = row.user_address.toLowerCase();
+    const player = players.get(address) || {
+      tickets: 0,
+      firstBlock: Number(row.block_number),
+    };
+    player.tickets = Number(row.tickets_after ?? 0);
+    players.set(address, player);
+  }
+
+  const ranked = [...players].filter(([, player]) => player.tickets > 0);
+  ranked.sort(([, a], [, b]) =>
+    b.tickets !== a.tickets ? b.tickets - a.tickets : a.firstBlock - b.firstBlock,
+  );
+  return new Map(ranked);
+}
+
+/**
+ * Build the ranked leaderboard for a season
+ * @param {Array<object>} rows - raffle_transactions rows, oldest first
+ * @param {Array<object>} markets - InfoFi markets for the season
+ * @param {number} now - Unix ms
+ */
+export function buildLeaderboard(rows, markets, now = Date.now()) {
+  const current = rankPlayers(rows);
+  const previous = [...rankPlayers(rows, now - RANK_CHANGE_WINDOW_MS).keys()];
+
+  const totals = new Map();
+  for (const row of rows) {
+    const address = row.user_address.toLowerCase();
+    const total = totals.get(address) || {
+      sofSpent: 0,
+      sofReceived: 0,
+      transactions: 0,
+      lastTransactionAt: null,
+    };
+    const sofAmount = Number(row.sof_amount || 0);
+    if (row.transaction_type === "SELL") total.sofReceived += sofAmount;
+    else total.sofSpent += sofAmount;
+    total.transactions += 1;
+    total.lastTransactionAt = row.block_timestamp;
+    totals.set(address, total);
+  }
+
+  const marketByPlayer = new Map();
+  for (const market of markets) {
+    const player = (market.player_address || market.player)?.toLowerCase();
+    if (player && market.contract_address && !marketByPlayer.has(player)) {
+      marketByPlayer.set(player, market.contract_address);
+    }
+  }
+
+  const totalTickets = [...current.values()].reduce(
+    (sum, player) => sum + player.tickets,
+    0,
+  );
+
+  let rank = 0;
+  const entries = [];
+  for (const [address, player] of current) {
+    rank += 1;
+    const previousIndex = previous.indexOf(address);
+    const previousRank = previousIndex === -1 ? null : previousIndex + 1;
+    const total = totals.get(address);
+
+    entries.push({
+      rank,
+      previousRank,
+      rankChange: previousRank === null ? null : previousRank - rank,
+      address,
+      tickets: player.tickets,
+      winProbabilityBps: Math.round((player.tickets * 10000) / totalTickets),
+      sofSpent: total.sofSpent,
+      sofReceived: total.sofReceived,
+      transactions: total.transactions,
+      lastTransactionAt: total.lastTransactionAt,
+      infoFiMarketAddress: marketByPlayer.get(address) || null,
+    });
+  }
+
+  return { entries, totalPlayers: entries.length, totalTickets };
+}
+
+/**
+ * Sort leaderboard entries. Entries without a value (new players have no
+ * rankChange) always sort last.
+ * @param {Array<object>} entries
+ * @param {keyof typeof LEADERBOARD_SORTS} sort
+ * @param {"asc"|"desc"} [order]
+ */
+export function sortLeaderboard(entries, sort, order = LEADERBOARD_SORTS[sort]) {
+  const direction = order === "asc" ? 1 : -1;
+  return [...entries].sort((a, b) => {
+    if (a[sort] === null && b[sort] === null) return a.rank - b.rank;
+    if (a[sort] === null) return 1;
+    if (b[sort] === null) return -1;
+    return (a[sort] - b[sort]) * direction || a.rank - b.rank;
+  });
+}
+
+class LeaderboardService {
+  cacheKey(seasonId) {
+    return `${CACHE_PREFIX}${seasonId}`;
+  }
+
+  async readCache(seasonId) {
+    try {
+      const cached = await redisClient.getClient().get(this.cacheKey(seasonId));
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn(`[LeaderboardService] Cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async writeCache(seasonId, leaderboard) {
+    try {
+      await redisClient
+        .getClient()
+        .set(
+          this.cacheKey(seasonId),
+          JSON.stringify(leaderboard),
+          "EX",
+          CACHE_TTL_SECONDS,
+        );
+    } catch (error) {
+      console.warn(`[LeaderboardService] Cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop a season's cached leaderboard (called on new PositionUpdate events)
+   * @param {number} seasonId
+   */
+  async invalidate(seasonId) {
+    try {
+      await redisClient.getClient().del(this.cacheKey(seasonId));
+    } catch (error) {
+      console.warn(
+        `[LeaderboardService] Cache invalidation failed: ${error.message}`,
+      );
+    }
+  }
+
+  async getSeasonRows(seasonId) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await db.client
+        .from("raffle_transactions")
+        .select(
+          "user_address, transaction_type, tickets_after, sof_amount, block_number, block_timestamp, id",
+        )
+        .eq("season_id", seasonId)
+        .order("block_number", { ascending: true })
+        .order("id", { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Full ranked leaderboard for a season, from cache when available
+   * @param {number} seasonId
+   */
+  async getRankedLeaderboard(seasonId) {
+    const cached = await this.readCache(seasonId);
+    if (cached) return cached;
+
+    const [rows, markets] = await Promise.all([
+      this.getSeasonRows(seasonId),
+      db.getInfoFiMarketsBySeasonId(seasonId),
+    ]);
+
+    const leaderboard = {
+      ...buildLeaderboard(rows, markets),
+      generatedAt: new Date().toISOString(),
+    };
+    await this.writeCache(seasonId, leaderboard);
+    return leaderboard;
+  }
+
+  /**
+   * Sorted, paginated leaderboard page with usernames
+   * @param {number} seasonId
+   * @param {Object} [options]
+   * @param {keyof typeof LEADERBOARD_SORTS} [options.sort="rank"]
+   * @param {"asc"|"desc"} [options.order]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   */
+  async getLeaderboard(
+    seasonId,
+    { sort = "rank", order, limit = 50, offset = 0 } = {},
+  ) {
+    const leaderboard = await this.getRankedLeaderboard(seasonId);
+    const page = sortLeaderboard(leaderboard.entries, sort, order).slice(
+      offset,
+      offset + limit,
+    );
+
+    const usernames =
+      page.length > 0
+        ? await usernameService.getBatchUsernames(
+            page.map((entry) => entry.address),
+          )
+        : new Map();
+
+    return {
+      seasonId,
+      players: page.map((entry) => ({
+        ...entry,
+        username: usernames.get(entry.address) || null,
+      })),
+      totalPlayers: leaderboard.totalPlayers,
+      totalTickets: leaderboard.totalTickets,
+      sort,
+      order: order || LEADERBOARD_SORTS[sort],
+      limit,
+      offset,
+      generatedAt: leaderboard.generatedAt,
+    };
+  }
+}
+
+export const leaderboardService = new LeaderboardService();
+export default leaderboardService;
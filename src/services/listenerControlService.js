@@ -0,0 +1,250 @@
+/**
+ * @file listenerControlService.js
+ * @description Admin control state for contract event listeners.
+ *
+ * Pause/resume, restart and rewind requests made through any replica are
+ * stored in listener_controls. The leader, which runs the listeners, applies
+ * them to its log subscription engines on a short poll. Engines consult
+ * isPaused() when a listener subscribes, so a paused listener stays paused
+ * across restarts and leader changes. Restart and rewind are one-shot
+ * commands, cleared once applied.
+ */
+
+import { randomUUID } from "node:crypto";
+import { db, hasSupabase } from "../../shared/supabaseClient.js";
+
+const TABLE = "listener_controls";
+
+const DEFAULT_APPLY_INTERVAL_MS = 5_000;
+
+/**
+ * Find the engine running a listener key and the listener's current state
+ * @param {Map<string, any>} engines - Log subscription engines by name
+ * @param {string} key
+ */
+function findListener(engines, key) {
+  for (const engine of engines.values()) {
+    const listener = engine.getSubscriptions().find((sub) => sub.key === key);
+    if (listener) return { engine, listener };
+  }
+  return null;
+}
+
+class ListenerControlService {
+  constructor() {
+    this.logger = console;
+    this.intervalId = null;
+    this.isApplying = false;
+    /** @type {() => Map<string, any>} */
+    this.getEngines = () => new Map();
+    /** @type {Set<string>} */
+    this.pausedKeys = new Set();
+  }
+
+  /**
+   * Whether a listener is paused as of the last poll
+   * @param {string} key
+   */
+  isPaused(key) {
+    return this.pausedKeys.has(key);
+  }
+
+  /**
+   * Every stored control row
+   * @returns {Promise<Array<object>>}
+   */
+  async list() {
+    if (!hasSupabase) return [];
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .select("*")
+      .order("listener_key", { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * Store an admin request for a listener; a new command_id marks it unapplied
+   * @param {string} key
+   * @param {object} fields
+   * @param {object|null} actor
+   * @returns {Promise<object>} Control row
+   */
+  async write(key, fields, actor) {
+    if (!hasSupabase) {
+      throw new Error("Supabase not configured; cannot store listener control");
+    }
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .upsert(
+        {
+          listener_key: key,
+          ...fields,
+          command_id: randomUUID(),
+          updated_by: actor,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "listener_key" },
+      )
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * @param {string} key
+   * @param {boolean} paused
+   * @param {{ reason?: string|null, actor?: object|null }} [options]
+   */
+  setPaused(key, paused, { reason = null, actor = null } = {}) {
+    return this.write(key, { paused, reason }, actor);
+  }
+
+  /**
+   * Clear the listener's error state, unpause it and resume from its cursor
+   * @param {string} key
+   * @param {{ actor?: object|null }} [options]
+   */
+  requestRestart(key, { actor = null } = {}) {
+    return this.write(
+      key,
+      { paused: false, reason: null, restart_requested: true },
+      actor,
+    );
+  }
+
+  /**
+   * Re-process the listener from `block`
+   * @param {string} key
+   * @param {bigint} block
+   * @param {{ actor?: object|null }} [options]
+   */
+  requestRewind(key, block, { actor = null } = {}) {
+    return this.write(key, { rewind_to: block.toString() }, actor);
+  }
+
+  /**
+   * Apply stored controls to the listeners running on this instance
+   * @returns {Promise<string[]>} Keys whose state or commands were applied
+   */
+  async apply() {
+    if (!hasSupabase || this.isApplying) return [];
+    this.isApplying = true;
+
+    try {
+      const rows = await this.list();
+      this.pausedKeys = new Set(
+        rows.filter((row) => row.paused).map((row) => row.listener_key),
+      );
+
+      const applied = [];
+      for (const row of rows) {
+        const key = row.listener_key;
+        const found = findListener(this.getEngines(), key);
+        if (!found) continue;
+
+        const { engine, listener } = found;
+        const hasCommand = row.restart_requested || row.rewind_to !== null;
+        let paused = listener.paused;
+        try {
+          if (row.restart_requested) {
+            await engine.restart(key);
+            paused = false;
+          }
+          if (row.rewind_to !== null) {
+            await engine.rewind(key, BigInt(row.rewind_to));
+          }
+          const toggle = row.paused !== paused;
+          if (toggle) {
+            if (row.paused) engine.pause(key);
+            else engine.resume(key);
+          }
+          if (hasCommand) await this.markApplied(row);
+
+          if (hasCommand || toggle) {
+            applied.push(key);
+            this.logger.info(
+              `[LISTENER_CONTROL] Applied to ${key}: ` +
+                [
+                  row.restart_requested && "restart",
+                  row.rewind_to !== null && `rewind to ${row.rewind_to}`,
+                  toggle && (row.paused ? "pause" : "resume"),
+                ]
+                  .filter(Boolean)
+                  .join(", "),
+            );
+          }
+        } catch (error) {
+          this.logger.error(
+            `[LISTENER_CONTROL] ❌ Failed to apply control to ${key}: ${error.message}`,
+          );
+        }
+      }
+      return applied;
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /**
+   * Clear applied one-shot commands, unless a newer request replaced them
+   * @param {object} row - Control row as read before applying
+   */
+  async markApplied(row) {
+    const { error } = await db.client
+      .from(TABLE)
+      .update({
+        restart_requested: false,
+        rewind_to: null,
+        applied_at: new Date().toISOString(),
+      })
+      .eq("listener_key", row.listener_key)
+      .eq("command_id", row.command_id);
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Load stored pauses, then keep applying controls (leader only). Await it
+   * before starting listeners so paused ones subscribe paused.
+   * @param {object} [logger]
+   * @param {{ getEngines: () => Map<string, any>, intervalMs?: number }} options
+   */
+  async start(logger, { getEngines, intervalMs = DEFAULT_APPLY_INTERVAL_MS }) {
+    if (logger) this.logger = logger;
+    this.getEngines = getEngines;
+    if (this.intervalId || !hasSupabase) return;
+
+    try {
+      await this.apply();
+    } catch (error) {
+      this.logger.error(
+        `[LISTENER_CONTROL] ❌ Failed to load listener controls: ${error.message}`,
+      );
+    }
+
+    this.intervalId = setInterval(() => {
+      this.apply().catch((error) => {
+        this.logger.error(
+          `[LISTENER_CONTROL] ❌ Failed to apply listener controls: ${error.message}`,
+        );
+      });
+    }, intervalMs);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.logger.info("⏹️ Listener control poller stopped");
+    }
+  }
+}
+
+export const listenerControlService = new ListenerControlService();
+export default listenerControlService;
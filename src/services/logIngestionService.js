@@ -0,0 +1,82 @@
+/**
+ * @file logIngestionService.js
+ * @description Process-wide log subscription engine shared by all contract
+ * event listeners (PositionUpdate, Trade, SeasonStarted, SeasonCompleted,
+ * MarketCreated), so the backend runs one block-number/getLogs loop instead of
+ * one per contract. Uses eth_subscribe when RPC_WS_URL_<NETWORK> is set.
+ *
+ * Listeners running on their own engine (e.g. the sponsor hat listener) add
+ * it to the engine registry so /api/admin/listeners can see them and
+ * listenerControlService can apply admin controls to them.
+ */
+
+import { publicClient, getWebSocketClient } from "../lib/viemClient.js";
+import { getChainByKey } from "../config/chain.js";
+import { createLogSubscriptionEngine } from "../lib/logSubscriptionEngine.js";
+import { listenerControlService } from "./listenerControlService.js";
+import { deadLetterService } from "./deadLetterService.js";
+
+let logIngestionEngine = null;
+
+/** @type {Map<string, ReturnType<typeof createLogSubscriptionEngine>>} */
+const logEngines = new Map();
+
+/**
+ * Make an engine visible to the listener admin API
+ * @param {string} name
+ * @param {ReturnType<typeof createLogSubscriptionEngine>} engine
+ */
+export function registerLogEngine(name, engine) {
+  logEngines.set(name, engine);
+}
+
+/**
+ * @param {string} name
+ */
+export function unregisterLogEngine(name) {
+  logEngines.delete(name);
+}
+
+/**
+ * All registered engines, keyed by name ("shared" is the process-wide engine)
+ * @returns {Map<string, ReturnType<typeof createLogSubscriptionEngine>>}
+ */
+export function getLogEngines() {
+  return logEngines;
+}
+
+/**
+ * Get or create the shared log subscription engine
+ * @param {Object} [logger] - Logger instance
+ * @returns {ReturnType<typeof createLogSubscriptionEngine>}
+ */
+export function getLogIngestionEngine(logger) {
+  if (!logIngestionEngine) {
+    const chain = getChainByKey(process.env.DEFAULT_NETWORK);
+
+    logIngestionEngine = createLogSubscriptionEngine({
+      client: publicClient,
+      pollingIntervalMs: process.env.LOG_INGESTION_INTERVAL_MS
+        ? parseInt(process.env.LOG_INGESTION_INTERVAL_MS)
+        : 3_000,
+      maxBlockRange: 2_000n,
+      confirmations: chain.confirmations,
+      wsClient: getWebSocketClient(process.env.DEFAULT_NETWORK),
+      isPaused: (key) => listenerControlService.isPaused(key),
+      onReorg: (keys, { rewindTo }) =>
+        deadLetterService.discardFromBlock(keys, rewindTo),
+      logger,
+    });
+    registerLogEngine("shared", logIngestionEngine);
+  }
+  return logIngestionEngine;
+}
+
+/**
+ * Stop the shared engine (used on shutdown)
+ */
+export function stopLogIngestionEngine() {
+  if (logIngestionEngine) {
+    logIngestionEngine.stop();
+  }
+}
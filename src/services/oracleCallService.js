@@ -4,16 +4,28 @@
  * @date Oct 26, 2025
  *
  * Handles:
- * - Real-time oracle updates via walletClient.writeContract()
+ * - Real-time oracle updates via the shared transaction manager
  * - Exponential backoff retry (max 5 attempts)
  * - Admin alerts on failure cutoff (3 failed retries)
- * - Transaction receipt tracking
+ * - Fire-and-forget sends: the receipt is followed without blocking the caller
+ * - Reverts are never retried (they are deterministic)
  * - Graceful degradation if oracle unavailable
  */
 
 import { getWalletClient, publicClient } from "../lib/viemClient.js";
 import InfoFiPriceOracleAbi from "../abis/InfoFiPriceOracleAbi.js";
 import { adminAlertService } from "./adminAlertService.js";
+import { getTransactionManager } from "./transactionManagerService.js";
+
+/**
+ * Whether a send result is a contract revert (mined, or caught while
+ * estimating gas) rather than a transient RPC or broadcast failure
+ * @param {{ status: string, error?: string|null }} result
+ * @returns {boolean}
+ */
+function isRevert(result) {
+  return result.status === "reverted" || /revert/i.test(result.error || "");
+}
 
 /**
  * OracleCallService - Manages all oracle contract interactions
@@ -219,35 +231,68 @@ export class OracleCallService {
           `📡 Oracle call attempt ${attempt}/${this.maxRetries}: ${functionName}(${args[0]}, ${args[1]})`,
         );
 
-        const hash = await wallet.writeContract({
-          address: this.oracleAddress,
+        const submitted = await getTransactionManager(logger).send({
+          walletClient: wallet,
+          publicClient,
+          to: this.oracleAddress,
           abi: InfoFiPriceOracleAbi,
           functionName,
           args,
+          label: `oracle ${functionName}(${args[0]})`,
+          // Don't hold log ingestion on the receipt; it is followed below
+          waitForReceipt: false,
         });
 
+        if (submitted.status !== "submitted") {
+          const error = new Error(
+            submitted.error || `Transaction ${submitted.status}`,
+          );
+          // A revert is deterministic: sending again would revert again
+          if (isRevert(submitted)) {
+            logger?.error(
+              `❌ Oracle call reverted, not retrying: ${functionName}(${args[0]}): ${error.message}`,
+            );
+            adminAlertService.recordFailure(
+              args[0],
+              functionName,
+              error,
+              attempt,
+              logger,
+            );
+            return { success: false, error: error.message, attempts: attempt };
+          }
+          throw error;
+        }
+
         logger?.info(
-          `✅ Oracle call succeeded: ${functionName} (hash: ${hash})`,
+          `✅ Oracle call submitted: ${functionName} (hash: ${submitted.hash})`,
         );
 
         // Record success and reset failure count
         adminAlertService.recordSuccess(args[0], logger);
 
-        // Wait for receipt (optional, but good for confirmation)
-        try {
-          const receipt = await publicClient.waitForTransactionReceipt({
-            hash,
-          });
-          logger?.info(
-            `✅ Transaction confirmed: ${hash} (block: ${receipt.blockNumber})`,
-          );
-        } catch (receiptError) {
-          logger?.warn(
-            `⚠️  Could not confirm transaction receipt: ${receiptError.message}`,
+        submitted.confirmation.then((result) => {
+          if (result.success) {
+            logger?.info(
+              `✅ Oracle transaction confirmed: ${result.hash} (block: ${result.blockNumber})`,
+            );
+            return;
+          }
+          logger?.error(
+            `❌ Oracle transaction ${result.status}: ${result.hash} (${result.error})`,
           );
-        }
+          if (isRevert(result)) {
+            adminAlertService.recordFailure(
+              args[0],
+              functionName,
+              new Error(result.error || "Transaction reverted"),
+              attempt,
+              logger,
+            );
+          }
+        });
 
-        return { success: true, hash, attempts: attempt };
+        return { success: true, hash: submitted.hash, attempts: attempt };
       } catch (error) {
         lastError = error;
         logger?.warn(
@@ -9,6 +9,7 @@ import { createWalletClient, http, encodeFunctionData } from "viem";
 import { baseSepolia, base } from "viem/chains";
 import { privateKeyToAccount } from "viem/accounts";
 import { publicClient } from "../lib/viemClient.js";
+import { getTransactionManager } from "./transactionManagerService.js";
 
 /**
  * PaymasterService - Handles gasless transaction submission via Base Paymaster
@@ -168,32 +169,36 @@ export class PaymasterService {
         });
 
         // Send transaction - Paymaster RPC will sponsor if contract is in allowlist
-        const hash = await this.walletClient.sendTransaction({
+        const submitted = await getTransactionManager(logger).send({
+          walletClient: this.walletClient,
+          publicClient,
           to: infoFiFactoryAddress,
           data,
           value: 0n,
           gas: 5000000n, // Increased gas limit for market creation (FPMM deployment needs ~3M gas)
+          label: `createMarket(${seasonId}, ${player})`,
+          waitForReceipt: false,
         });
 
+        if (submitted.status === "failed") {
+          throw new Error(submitted.error);
+        }
+
+        const { hash } = submitted;
         logger.info(`✅ Market creation transaction submitted: ${hash}`);
 
         // Wait for transaction confirmation (don't block the listener)
-        publicClient
-          .waitForTransactionReceipt({ hash, timeout: 60000 })
-          .then((receipt) => {
-            if (receipt.status === "success") {
-              logger.info(`✅ Market creation confirmed: ${hash}`);
-              logger.info(`   Block: ${receipt.blockNumber}`);
-              logger.info(`   Gas used: ${receipt.gasUsed}`);
-            } else {
-              logger.error(`❌ Market creation transaction reverted: ${hash}`);
-            }
-          })
-          .catch((error) => {
+        submitted.confirmation.then((result) => {
+          if (result.success) {
+            logger.info(`✅ Market creation confirmed: ${result.hash}`);
+            logger.info(`   Block: ${result.blockNumber}`);
+            logger.info(`   Gas used: ${result.gasUsed}`);
+          } else {
             logger.error(
-              `❌ Failed to wait for market creation receipt: ${error.message}`,
+              `❌ Market creation transaction ${result.status}: ${result.hash} (${result.error})`,
             );
-          });
+          }
+        });
 
         return {
           success: true,
@@ -205,7 +210,7 @@ export class PaymasterService {
 
         try {
           logger.error({
-            msg: "Full error object from sendTransaction",
+            msg: "Full error object from market creation",
             error,
           });
         } catch (serializationError) {
@@ -315,26 +320,25 @@ export class PaymasterService {
           args,
         });
 
-        const hash = await this.walletClient.sendTransaction({
+        // Await receipt — frontend needs confirmation
+        const result = await getTransactionManager(logger).send({
+          walletClient: this.walletClient,
+          publicClient,
           to: airdropAddress,
           data,
           value: 0n,
           gas: 200000n,
+          priority: "high",
+          label: `${functionName}(${args[0]})`,
         });
 
-        logger.info(`✅ Airdrop relay tx submitted: ${hash}`);
-
-        // Await receipt — frontend needs confirmation
-        const receipt = await publicClient.waitForTransactionReceipt({
-          hash,
-          timeout: 60000,
-        });
-
-        if (receipt.status === "success") {
-          logger.info(`✅ Airdrop relay confirmed: ${hash}`);
-          return { success: true, hash };
+        if (result.success) {
+          logger.info(`✅ Airdrop relay confirmed: ${result.hash}`);
+          return { success: true, hash: result.hash };
+        } else if (result.status === "reverted") {
+          throw new Error(`Transaction reverted: ${result.hash}`);
         } else {
-          throw new Error(`Transaction reverted: ${hash}`);
+          throw new Error(result.error);
         }
       } catch (error) {
         logger.error(`❌ Attempt ${attempt} failed: ${error.message}`);
@@ -0,0 +1,271 @@
+/**
+ * @file portfolioService.js
+ * @description One-stop portfolio for a wallet across raffle seasons and
+ * InfoFi markets.
+ *
+ * Raffle positions come from user_raffle_positions and are marked to the
+ * curve price of the next ticket while the season is active. InfoFi shares
+ * are derived from infofi_positions (amount / price) and marked to the FPMM's
+ * current getPrices(); settled markets pay 1 SOF per winning share. All
+ * amounts are in SOF.
+ */
+
+import { formatEther } from "viem";
+import { publicClient } from "../lib/viemClient.js";
+import { db } from "../../shared/supabaseClient.js";
+import SimpleFPMMAbi from "../abis/SimpleFPMMAbi.js";
+import {
+  bondingCurvePriceService,
+  getStepPrice,
+} from "./bondingCurvePriceService.js";
+import { leaderboardService } from "./leaderboardService.js";
+
+/**
+ * Sum an array of numbers, rounding away float noise
+ * @param {number[]} values
+ */
+function sum(values) {
+  return Number(values.reduce((total, value) => total + value, 0).toFixed(18));
+}
+
+class PortfolioService {
+  /**
+   * Raffle holdings per season with cost basis and PnL
+   * @param {string} address - Lowercased wallet address
+   */
+  async getRafflePositions(address) {
+    const { data, error } = await db.client
+      .from("user_raffle_positions")
+      .select("*")
+      .ilike("user_address", address)
+      .order("season_id", { ascending: false });
+
+    if (error) throw error;
+
+    return Promise.all(
+      (data || []).map(async (position) => {
+        const seasonId = Number(position.season_id);
+        const tickets = Number(position.current_tickets || 0);
+        const totalBought = Number(position.total_bought || 0);
+        const sofSpent = Number(position.total_sof_spent || 0);
+        const sofRecovered = Number(position.total_sof_received || 0);
+        const avgCost = totalBought > 0 ? sofSpent / totalBought : 0;
+        const soldTickets = Number(position.total_sold || 0);
+
+        const [season, leaderboard] = await Promise.all([
+          db.getSeasonContracts(seasonId),
+          leaderboardService.getRankedLeaderboard(seasonId),
+        ]);
+
+        let ticketPrice = null;
+        if (season?.is_active && season.bonding_curve_address) {
+          try {
+            const steps = await bondingCurvePriceService.getBondSteps(
+              season.bonding_curve_address,
+            );
+            const price = getStepPrice(steps, BigInt(leaderboard.totalTickets));
+            ticketPrice = price === null ? null : Number(formatEther(price));
+          } catch (error) {
+            console.warn(
+              `[PortfolioService] Failed to price season ${seasonId} tickets: ${error.message}`,
+            );
+          }
+        }
+
+        const markValue = ticketPrice === null ? null : tickets * ticketPrice;
+
+        return {
+          seasonId,
+          isActive: Boolean(season?.is_active),
+          tickets,
+          winProbabilityBps:
+            leaderboard.totalTickets > 0
+              ? Math.round((tickets * 10000) / leaderboard.totalTickets)
+              : 0,
+          sofSpent,
+          sofRecovered,
+          feesPaid: Number(position.total_fees_paid || 0),
+          ticketPrice,
+          markValue,
+          realizedPnl: sofRecovered - avgCost * soldTickets,
+          unrealizedPnl:
+            markValue === null ? null : markValue - avgCost * tickets,
+        };
+      }),
+    );
+  }
+
+  /**
+   * Current YES/NO prices in bps, or null when the FPMM can't be read
+   * @param {string} fpmmAddress
+   */
+  async getMarketPrices(fpmmAddress) {
+    try {
+      const [yesPrice, noPrice] = await publicClient.readContract({
+        address: fpmmAddress,
+        abi: SimpleFPMMAbi,
+        functionName: "getPrices",
+      });
+      return { YES: Number(yesPrice), NO: Number(noPrice) };
+    } catch (error) {
+      console.warn(
+        `[PortfolioService] Failed to read prices for ${fpmmAddress}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * InfoFi shares per market, marked to the FPMM price or settlement
+   * @param {string} address - Lowercased wallet address
+   */
+  async getInfoFiPositions(address) {
+    const { data, error } = await db.client
+      .from("infofi_positions")
+      .select(
+        `
+        market_id,
+        outcome,
+        amount,
+        price,
+        infofi_markets!infofi_positions_market_id_fkey (
+          id,
+          season_id,
+          player_address,
+          market_type,
+          contract_address,
+          is_settled,
+          winning_outcome
+        )
+      `,
+      )
+      .eq("user_address", address);
+
+    if (error) throw error;
+
+    const markets = new Map();
+    for (const row of data || []) {
+      const market = markets.get(row.market_id) || {
+        market: row.infofi_markets,
+        YES: { shares: 0, cost: 0 },
+        NO: { shares: 0, cost: 0 },
+      };
+      const amount = Number(row.amount || 0);
+      const price = Number(row.price || 0);
+      const side = market[row.outcome];
+      if (side) {
+        side.cost += amount;
+        side.shares += price > 0 ? amount / price : 0;
+      }
+      markets.set(row.market_id, market);
+    }
+
+    return Promise.all(
+      [...markets].map(async ([marketId, { market, YES, NO }]) => {
+        const cost = YES.cost + NO.cost;
+        const base = {
+          marketId,
+          seasonId: market?.season_id ?? null,
+          playerAddress: market?.player_address ?? null,
+          marketType: market?.market_type ?? null,
+          fpmmAddress: market?.contract_address ?? null,
+          isSettled: Boolean(market?.is_settled),
+          yesShares: YES.shares,
+          noShares: NO.shares,
+          cost,
+        };
+
+        if (market?.is_settled) {
+          // winning_outcome is true when YES won
+          const payout = market.winning_outcome ? YES.shares : NO.shares;
+          return {
+            ...base,
+            prices: null,
+            markValue: payout,
+            realizedPnl: payout - cost,
+            unrealizedPnl: 0,
+          };
+        }
+
+        const prices = market?.contract_address
+          ? await this.getMarketPrices(market.contract_address)
+          : null;
+        const markValue = prices
+          ? (YES.shares * prices.YES + NO.shares * prices.NO) / 10000
+          : null;
+
+        return {
+          ...base,
+          prices: prices ? { yesBps: prices.YES, noBps: prices.NO } : null,
+          markValue,
+          realizedPnl: 0,
+          unrealizedPnl: markValue === null ? null : markValue - cost,
+        };
+      }),
+    );
+  }
+
+  /**
+   * Unclaimed InfoFi winnings
+   * @param {string} address - Lowercased wallet address
+   */
+  async getClaimableWinnings(address) {
+    const { data, error } = await db.client
+      .from("infofi_winnings")
+      .select("id, market_id, amount, created_at")
+      .eq("user_address", address)
+      .eq("is_claimed", false)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    return (data || []).map((winning) => ({
+      id: winning.id,
+      marketId: winning.market_id,
+      amount: Number(winning.amount || 0),
+      createdAt: winning.created_at,
+    }));
+  }
+
+  /**
+   * Full portfolio with totals
+   * @param {string} userAddress
+   */
+  async getPortfolio(userAddress) {
+    const address = userAddress.toLowerCase();
+
+    const [raffle, infoFi, claimable] = await Promise.all([
+      this.getRafflePositions(address),
+      this.getInfoFiPositions(address),
+      this.getClaimableWinnings(address),
+    ]);
+
+    const positions = [...raffle, ...infoFi];
+
+    return {
+      address,
+      raffle,
+      infoFi,
+      claimable: {
+        total: sum(claimable.map((winning) => winning.amount)),
+        winnings: claimable,
+      },
+      totals: {
+        sofSpent: sum([
+          ...raffle.map((position) => position.sofSpent),
+          ...infoFi.map((position) => position.cost),
+        ]),
+        sofRecovered: sum(raffle.map((position) => position.sofRecovered)),
+        markValue: sum(positions.map((position) => position.markValue ?? 0)),
+        realizedPnl: sum(positions.map((position) => position.realizedPnl)),
+        unrealizedPnl: sum(
+          positions.map((position) => position.unrealizedPnl ?? 0),
+        ),
+      },
+      generatedAt: new Date().toISOString(),
+    };
+  }
+}
+
+export const portfolioService = new PortfolioService();
+export default portfolioService;
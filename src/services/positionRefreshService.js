@@ -0,0 +1,199 @@
+/**
+ * @file positionRefreshService.js
+ * @description Keeps the user_raffle_positions materialized view fresh.
+ *
+ * The PositionUpdate listener calls schedule() after each new transaction;
+ * refreshes are debounced so a burst of trades costs one refresh, with a
+ * max wait so a steady stream of trades can't postpone it forever. A fixed
+ * interval refresh runs as a fallback for inserts that bypass the listener
+ * (backfills, admin syncs). A refresh requested while one is running queues
+ * a single trailing refresh, so trades written mid-refresh are picked up.
+ */
+
+import { hasSupabase } from "../../shared/supabaseClient.js";
+import { raffleTransactionService } from "./raffleTransactionService.js";
+
+// Defaults: refresh 5s after the last trade, at most 30s after the first
+// pending one, and every 10 minutes regardless
+const DEFAULT_DEBOUNCE_MS = 5_000;
+const DEFAULT_MAX_WAIT_MS = 30_000;
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+
+class PositionRefreshService {
+  constructor() {
+    this.logger = console;
+    this.running = false;
+    this.debounceMs = DEFAULT_DEBOUNCE_MS;
+    this.maxWaitMs = DEFAULT_MAX_WAIT_MS;
+    this.intervalMs = DEFAULT_INTERVAL_MS;
+    this.intervalId = null;
+    this.debounceId = null;
+    this.pendingSince = null;
+    /** @type {Set<number>} */
+    this.pendingSeasons = new Set();
+    /** @type {Promise<object>|null} */
+    this.inFlight = null;
+    /** @type {{ seasonId: number|null, trigger: string, promise: Promise<object> }|null} */
+    this.trailing = null;
+    this.stats = {
+      refreshCount: 0,
+      failureCount: 0,
+      lastRefreshAt: null,
+      lastDurationMs: null,
+      lastTrigger: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Mark a season's positions stale; refreshes after the debounce window
+   * @param {number} seasonId
+   */
+  schedule(seasonId) {
+    if (!this.running) return;
+
+    this.pendingSeasons.add(seasonId);
+    const now = Date.now();
+    if (this.pendingSince === null) this.pendingSince = now;
+
+    const delay = Math.max(
+      0,
+      Math.min(this.debounceMs, this.pendingSince + this.maxWaitMs - now),
+    );
+    clearTimeout(this.debounceId);
+    this.debounceId = setTimeout(() => {
+      this.debounceId = null;
+      this.refreshPending().catch((error) => {
+        this.logger.error(
+          `[POSITION_REFRESH] ❌ Debounced refresh failed: ${error.message}`,
+        );
+      });
+    }, delay);
+  }
+
+  async refreshPending() {
+    const seasons = [...this.pendingSeasons];
+    this.pendingSeasons.clear();
+    this.pendingSince = null;
+    if (seasons.length === 0) return null;
+
+    return this.refresh({
+      seasonId: seasons.length === 1 ? seasons[0] : null,
+      trigger: "debounce",
+    });
+  }
+
+  /**
+   * Refresh now, or right after the in-flight refresh finishes. Calls made
+   * while one is running share one trailing refresh, widened to all seasons
+   * when they ask for different ones.
+   * @param {{ seasonId?: number|null, trigger?: string }} [options]
+   * @returns {Promise<{ success: boolean, durationMs: number, error: string|null }>}
+   */
+  refresh({ seasonId = null, trigger = "manual" } = {}) {
+    if (!this.inFlight && !this.trailing) {
+      return this.startRefresh(seasonId, trigger);
+    }
+
+    if (!this.trailing) {
+      const trailing = { seasonId, trigger, promise: null };
+      const run = () => {
+        this.trailing = null;
+        return this.startRefresh(trailing.seasonId, trailing.trigger);
+      };
+      trailing.promise = this.inFlight.then(run, run);
+      this.trailing = trailing;
+    } else if (this.trailing.seasonId !== seasonId) {
+      this.trailing.seasonId = null;
+    }
+    return this.trailing.promise;
+  }
+
+  startRefresh(seasonId, trigger) {
+    this.inFlight = this._refresh(seasonId, trigger).finally(() => {
+      this.inFlight = null;
+    });
+    return this.inFlight;
+  }
+
+  async _refresh(seasonId, trigger) {
+    const startedAt = Date.now();
+    const { success, error } =
+      await raffleTransactionService.refreshUserPositions(seasonId);
+    const durationMs = Date.now() - startedAt;
+
+    this.stats.lastRefreshAt = new Date(startedAt).toISOString();
+    this.stats.lastDurationMs = durationMs;
+    this.stats.lastTrigger = trigger;
+    this.stats.lastError = error;
+    if (success) {
+      this.stats.refreshCount += 1;
+      this.logger.debug?.(
+        `[POSITION_REFRESH] Refreshed user positions (${trigger}, ${durationMs}ms)`,
+      );
+    } else {
+      this.stats.failureCount += 1;
+      this.logger.warn(
+        `[POSITION_REFRESH] ⚠️  Refresh failed (${trigger}): ${error}`,
+      );
+    }
+
+    return { success, durationMs, error };
+  }
+
+  /**
+   * Start debounced and fallback refreshes
+   * @param {object} [logger]
+   * @param {{ debounceMs?: number, maxWaitMs?: number, intervalMs?: number }} [options]
+   */
+  start(logger, { debounceMs, maxWaitMs, intervalMs } = {}) {
+    if (logger) this.logger = logger;
+    if (this.running || !hasSupabase) return;
+
+    this.debounceMs = debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.maxWaitMs = maxWaitMs ?? DEFAULT_MAX_WAIT_MS;
+    this.intervalMs = intervalMs ?? DEFAULT_INTERVAL_MS;
+    this.running = true;
+
+    this.logger.info(
+      `🚀 Starting position refresh scheduler (debounce: ${this.debounceMs / 1000}s, ` +
+        `interval: ${this.intervalMs / 1000}s)`,
+    );
+
+    this.intervalId = setInterval(() => {
+      this.refresh({ trigger: "interval" }).catch((error) => {
+        this.logger.error(
+          `[POSITION_REFRESH] ❌ Scheduled refresh failed: ${error.message}`,
+        );
+      });
+    }, this.intervalMs);
+  }
+
+  stop() {
+    if (!this.running) return;
+
+    clearInterval(this.intervalId);
+    clearTimeout(this.debounceId);
+    this.intervalId = null;
+    this.debounceId = null;
+    this.pendingSeasons.clear();
+    this.pendingSince = null;
+    this.running = false;
+    this.logger.info("⏹️ Position refresh scheduler stopped");
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      debounceMs: this.debounceMs,
+      intervalMs: this.intervalMs,
+      pendingSeasons: [...this.pendingSeasons],
+      refreshing: Boolean(this.inFlight),
+      refreshQueued: Boolean(this.trailing),
+      ...this.stats,
+    };
+  }
+}
+
+export const positionRefreshService = new PositionRefreshService();
+export default positionRefreshService;
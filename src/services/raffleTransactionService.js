@@ -1,3 +1,4 @@
+import { formatEther, parseEventLogs } from "viem";
 import { publicClient } from "../lib/viemClient.js";
 import { db } from "../../shared/supabaseClient.js";
 import { queryLogsInChunks } from "../utils/blockRangeQuery.js";
@@ -32,7 +33,66 @@ class RaffleTransactionService {
   }
 
   /**
-   * Record a transaction from PositionUpdate event (idempotent via tx_hash)
+   * Read the SOF amount and fee of a bonding curve trade from the
+   * TokensPurchased / TokensSold event emitted in the same transaction as a
+   * PositionUpdate (PositionUpdate itself only carries ticket counts).
+   * @param {Object} params
+   * @param {string} params.txHash
+   * @param {string} params.bondingCurveAddress
+   * @param {string} params.trader - PositionUpdate player
+   * @param {number} [params.logIndex] - PositionUpdate log index, to pick the
+   *   matching trade when one transaction trades more than once
+   * @returns {Promise<{ sofAmount: number, feeAmount: number, tickets: number, eventName: string, logIndex: number }|null>}
+   *   Amounts in SOF, or null when the transaction has no matching trade event
+   */
+  async getTradeAmounts({ txHash, bondingCurveAddress, trader, logIndex }) {
+    const receipt = await publicClient.getTransactionReceipt({ hash: txHash });
+
+    const trades = parseEventLogs({
+      abi: SOFBondingCurveAbi,
+      eventName: ["TokensPurchased", "TokensSold"],
+      logs: receipt.logs,
+    }).filter((log) => {
+      const account =
+        log.eventName === "TokensPurchased" ? log.args.buyer : log.args.seller;
+      return (
+        log.address.toLowerCase() === bondingCurveAddress.toLowerCase() &&
+        account?.toLowerCase() === trader.toLowerCase()
+      );
+    });
+
+    if (trades.length === 0) return null;
+
+    // The curve emits the trade event right before its PositionUpdate
+    const preceding =
+      logIndex === undefined || logIndex === null
+        ? []
+        : trades.filter((log) => log.logIndex < logIndex);
+    const trade =
+      preceding.length > 0 ? preceding[preceding.length - 1] : trades[0];
+
+    const sofAmount =
+      trade.eventName === "TokensPurchased"
+        ? trade.args.sofAmount
+        : trade.args.sofReceived;
+
+    return {
+      sofAmount: Number(formatEther(sofAmount)),
+      feeAmount: Number(formatEther(trade.args.feeAmount)),
+      tickets: Number(
+        trade.eventName === "TokensPurchased"
+          ? trade.args.tokensReceived
+          : trade.args.tokenAmount,
+      ),
+      eventName: trade.eventName,
+      logIndex: trade.logIndex,
+    };
+  }
+
+  /**
+   * Record a transaction from PositionUpdate event (idempotent via tx_hash).
+   * Replaying a transaction that was recorded without its SOF amount fills
+   * the amount in.
    */
   async recordTransaction({
     seasonId,
@@ -40,6 +100,7 @@ class RaffleTransactionService {
     transactionType,
     ticketAmount,
     sofAmount,
+    feeAmount = 0,
     txHash,
     blockNumber,
     blockTimestamp,
@@ -62,6 +123,7 @@ class RaffleTransactionService {
           transaction_type: transactionType,
           ticket_amount: ticketAmount,
           sof_amount: sofAmount,
+          fee_amount: feeAmount,
           price_per_ticket: pricePerTicket,
           tx_hash: txHash,
           block_number: blockNumber,
@@ -76,6 +138,15 @@ class RaffleTransactionService {
         // Check if duplicate (idempotency)
         if (error.code === "23505") {
           // Unique constraint violation on tx_hash
+          if (sofAmount > 0) {
+            await this.fillMissingAmounts({
+              seasonId,
+              txHash,
+              sofAmount,
+              feeAmount,
+              pricePerTicket,
+            });
+          }
           return { alreadyRecorded: true, txHash };
         }
         throw error;
@@ -89,6 +160,55 @@ class RaffleTransactionService {
     }
   }
 
+  /**
+   * Set the SOF amount on a row recorded before amounts were captured
+   */
+  async fillMissingAmounts({
+    seasonId,
+    txHash,
+    sofAmount,
+    feeAmount,
+    pricePerTicket,
+  }) {
+    const { error } = await db.client
+      .from("raffle_transactions")
+      .update({
+        sof_amount: sofAmount,
+        fee_amount: feeAmount,
+        price_per_ticket: pricePerTicket,
+      })
+      .eq("tx_hash", txHash)
+      .eq("season_id", seasonId)
+      .eq("sof_amount", 0);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Remove transactions whose blocks were orphaned by a chain reorg
+   * @param {string[]} txHashes - Transaction hashes to retract
+   * @returns {Promise<{ removed: number }>}
+   */
+  async retractTransactions(txHashes) {
+    const hashes = [...new Set((txHashes || []).filter(Boolean))];
+    if (hashes.length === 0) return { removed: 0 };
+
+    const { data, error } = await db.client
+      .from("raffle_transactions")
+      .delete()
+      .in("tx_hash", hashes)
+      .select("season_id");
+
+    if (error) throw error;
+
+    const seasonIds = [...new Set((data || []).map((row) => row.season_id))];
+    for (const seasonId of seasonIds) {
+      await this.refreshUserPositions(seasonId);
+    }
+
+    return { removed: data?.length || 0 };
+  }
+
   /**
    * Sync historical transactions for a season from blockchain
    */
@@ -173,20 +293,20 @@ class RaffleTransactionService {
           const ticketDelta = newTicketsNum - oldTicketsNum;
           const transactionType = ticketDelta > 0 ? "BUY" : "SELL";
 
-          // Get transaction to extract SOF amount
-          const tx = await publicClient.getTransaction({
-            hash: log.transactionHash,
+          const amounts = await this.getTradeAmounts({
+            txHash: log.transactionHash,
+            bondingCurveAddress,
+            trader: player,
+            logIndex: log.logIndex,
           });
 
-          // Convert wei to SOF (18 decimals)
-          const sofAmount = Number(tx.value) / 1e18;
-
           const result = await this.recordTransaction({
             seasonId,
             userAddress: player,
             transactionType,
             ticketAmount: Math.abs(ticketDelta),
-            sofAmount,
+            sofAmount: amounts?.sofAmount ?? 0,
+            feeAmount: amounts?.feeAmount ?? 0,
             txHash: log.transactionHash,
             blockNumber: Number(log.blockNumber),
             blockTimestamp: new Date(
@@ -411,6 +531,7 @@ class RaffleTransactionService {
 
   /**
    * Refresh materialized view
+   * @returns {Promise<{ success: boolean, error: string|null }>}
    */
   async refreshUserPositions(seasonId = null) {
     try {
@@ -421,10 +542,13 @@ class RaffleTransactionService {
       if (error) {
         // eslint-disable-next-line no-console
         console.error("Failed to refresh user positions:", error);
+        return { success: false, error: error.message };
       }
+      return { success: true, error: null };
     } catch (error) {
       // eslint-disable-next-line no-console
       console.error("Error calling refresh_user_positions:", error);
+      return { success: false, error: error.message };
     }
   }
 }
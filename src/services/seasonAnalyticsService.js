@@ -0,0 +1,475 @@
+/**
+ * @file seasonAnalyticsService.js
+ * @description Per-season performance summary from raffle_transactions and
+ * infofi_positions.
+ *
+ * On the leader, where reorg retractions reset them, a season's aggregates
+ * are kept in memory and advanced by an updated_at watermark, so each request
+ * only reads rows inserted or changed since the last one (a changed row
+ * replaces its earlier contribution). Followers recompute per request. The
+ * SeasonCompleted handler materializes the final summary to season_analytics
+ * once PositionUpdate ingestion has caught up with the completion block, and
+ * it is served from there on every replica.
+ */
+
+import process from "node:process";
+import { publicClient } from "../lib/viemClient.js";
+import { getChainByKey } from "../config/chain.js";
+import { getCursorStore } from "../lib/blockCursor.js";
+import { db } from "../../shared/supabaseClient.js";
+import { isLeader } from "./leaderElectionService.js";
+import RaffleAbi from "../abis/RaffleAbi.js";
+
+const PAGE_SIZE = 1_000;
+
+// Re-read rows changed shortly before the watermark: a concurrent writer can
+// commit an earlier updated_at after a later one was read. Re-applying a row
+// is idempotent.
+const WATERMARK_OVERLAP_MS = 60_000;
+
+/**
+ * Gini coefficient of a distribution (0 = equal, 1 = one holder has all)
+ * @param {number[]} values
+ */
+export function giniCoefficient(values) {
+  const sorted = values.filter((value) => value > 0).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return 0;
+
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const weighted = sorted.reduce(
+    (sum, value, index) => sum + (index + 1) * value,
+    0,
+  );
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Empty aggregate state for a season
+ * @param {number} seasonId
+ */
+function createState(seasonId) {
+  return {
+    seasonId,
+    // Latest updated_at folded in, per table
+    transactionsSince: null,
+    positionsSince: null,
+    // id → contribution already folded into the totals
+    transactions: new Map(),
+    positions: new Map(),
+    // address → { tickets, block, id } from the latest transaction
+    holdings: new Map(),
+    buys: 0,
+    sells: 0,
+    ticketsBought: 0,
+    ticketsSold: 0,
+    sofSpent: 0,
+    sofReceived: 0,
+    feesPaid: 0,
+    firstTransactionAt: null,
+    lastTransactionAt: null,
+    infoFiTraders: new Set(),
+    infoFiTrades: 0,
+    infoFiVolume: 0,
+  };
+}
+
+/**
+ * Later of an updated_at watermark and a row's updated_at
+ * @param {string|null} since
+ * @param {string|undefined} updatedAt
+ */
+function laterOf(since, updatedAt) {
+  if (!updatedAt) return since;
+  if (!since) return updatedAt;
+  return Date.parse(updatedAt) > Date.parse(since) ? updatedAt : since;
+}
+
+/**
+ * Fold raffle transaction rows into the aggregate state; a row seen before
+ * replaces its earlier contribution
+ * @param {ReturnType<typeof createState>} state
+ * @param {Array<object>} rows
+ */
+export function applyTransactions(state, rows) {
+  for (const row of rows) {
+    const address = row.user_address.toLowerCase();
+    const block = Number(row.block_number);
+    const latest = state.holdings.get(address);
+    if (
+      !latest ||
+      block > latest.block ||
+      (block === latest.block && row.id >= latest.id)
+    ) {
+      state.holdings.set(address, {
+        tickets: Number(row.tickets_after ?? 0),
+        block,
+        id: row.id,
+      });
+    }
+
+    const previous = state.transactions.get(row.id);
+    if (previous) foldTransaction(state, previous, -1);
+    const contribution = {
+      sell: row.transaction_type === "SELL",
+      tickets: Math.abs(Number(row.ticket_amount || 0)),
+      sofAmount: Number(row.sof_amount || 0),
+      feeAmount: Number(row.fee_amount || 0),
+    };
+    foldTransaction(state, contribution, 1);
+    state.transactions.set(row.id, contribution);
+
+    if (!state.firstTransactionAt || row.block_timestamp < state.firstTransactionAt) {
+      state.firstTransactionAt = row.block_timestamp;
+    }
+    if (!state.lastTransactionAt || row.block_timestamp > state.lastTransactionAt) {
+      state.lastTransactionAt = row.block_timestamp;
+    }
+    state.transactionsSince = laterOf(state.transactionsSince, row.updated_at);
+  }
+}
+
+/**
+ * Add (sign 1) or remove (sign -1) one transaction's contribution
+ * @param {ReturnType<typeof createState>} state
+ * @param {{ sell: boolean, tickets: number, sofAmount: number, feeAmount: number }} contribution
+ * @param {1|-1} sign
+ */
+function foldTransaction(state, contribution, sign) {
+  if (contribution.sell) {
+    state.sells += sign;
+    state.ticketsSold += sign * contribution.tickets;
+    state.sofReceived += sign * contribution.sofAmount;
+  } else {
+    state.buys += sign;
+    state.ticketsBought += sign * contribution.tickets;
+    state.sofSpent += sign * contribution.sofAmount;
+  }
+  state.feesPaid += sign * contribution.feeAmount;
+}
+
+/**
+ * Fold InfoFi position rows into the aggregate state; a row seen before
+ * replaces its earlier contribution
+ * @param {ReturnType<typeof createState>} state
+ * @param {Array<object>} rows
+ */
+export function applyPositions(state, rows) {
+  for (const row of rows) {
+    const previous = state.positions.get(row.id);
+    const amount = Number(row.amount || 0);
+    state.infoFiTraders.add(row.user_address.toLowerCase());
+    if (previous === undefined) state.infoFiTrades += 1;
+    state.infoFiVolume += amount - (previous ?? 0);
+    state.positions.set(row.id, amount);
+    state.positionsSince = laterOf(state.positionsSince, row.updated_at);
+  }
+}
+
+/**
+ * Build the JSON summary from aggregate state and the season's markets
+ * @param {ReturnType<typeof createState>} state
+ * @param {Array<object>} markets - infofi_markets rows
+ * @param {string|null} winner
+ */
+export function summarize(state, markets, winner) {
+  const holdings = [...state.holdings.values()]
+    .map((holding) => holding.tickets)
+    .filter((tickets) => tickets > 0)
+    .sort((a, b) => b - a);
+  const totalTickets = holdings.reduce((sum, tickets) => sum + tickets, 0);
+  const topTen = holdings.slice(0, 10).reduce((sum, tickets) => sum + tickets, 0);
+
+  const seasonStart = state.firstTransactionAt
+    ? new Date(state.firstTransactionAt).getTime()
+    : null;
+  const thresholdSeconds = seasonStart === null
+    ? []
+    : markets
+        .map((market) =>
+          Math.max(0, (new Date(market.created_at).getTime() - seasonStart) / 1000),
+        )
+        .filter((seconds) => Number.isFinite(seconds))
+        .sort((a, b) => a - b);
+
+  return {
+    seasonId: state.seasonId,
+    participants: {
+      unique: state.holdings.size,
+      holding: holdings.length,
+    },
+    transactions: {
+      buys: state.buys,
+      sells: state.sells,
+      ticketsBought: state.ticketsBought,
+      ticketsSold: state.ticketsSold,
+      firstAt: state.firstTransactionAt,
+      lastAt: state.lastTransactionAt,
+    },
+    volume: {
+      sofSpent: state.sofSpent,
+      sofReceived: state.sofReceived,
+      sofVolume: state.sofSpent + state.sofReceived,
+      feesPaid: state.feesPaid,
+    },
+    distribution: {
+      totalTickets,
+      gini: giniCoefficient(holdings),
+      top10Share: totalTickets > 0 ? topTen / totalTickets : 0,
+    },
+    infoFi: {
+      marketsCreated: markets.length,
+      traders: state.infoFiTraders.size,
+      trades: state.infoFiTrades,
+      volume: state.infoFiVolume,
+      timeToThresholdSeconds: {
+        min: thresholdSeconds.length > 0 ? thresholdSeconds[0] : null,
+        median:
+          thresholdSeconds.length > 0
+            ? thresholdSeconds[Math.floor(thresholdSeconds.length / 2)]
+            : null,
+        max:
+          thresholdSeconds.length > 0
+            ? thresholdSeconds[thresholdSeconds.length - 1]
+            : null,
+      },
+    },
+    winner,
+  };
+}
+
+class SeasonAnalyticsService {
+  constructor() {
+    /** @type {Map<number, ReturnType<typeof createState>>} */
+    this.states = new Map();
+    /** @type {Map<number, Promise<object>>} */
+    this.pending = new Map();
+  }
+
+  /**
+   * Drop in-memory aggregates (e.g. after a reorg retracts transactions)
+   * @param {number} [seasonId] - Every season when omitted
+   */
+  reset(seasonId) {
+    if (seasonId === undefined) this.states.clear();
+    else this.states.delete(seasonId);
+  }
+
+  /**
+   * Read rows inserted or updated since a watermark, one page at a time
+   * @param {Function} buildQuery - Returns a filtered query for the table
+   * @param {string|null} since - updated_at watermark; every row when null
+   */
+  async readChangedSince(buildQuery, since) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      let query = buildQuery();
+      if (since) {
+        query = query.gte(
+          "updated_at",
+          new Date(Date.parse(since) - WATERMARK_OVERLAP_MS).toISOString(),
+        );
+      }
+      const { data, error } = await query
+        .order("updated_at", { ascending: true })
+        .order("id", { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+      if (error) throw new Error(error.message);
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  /**
+   * Advance a season's aggregates with rows changed since `state` was built
+   * @param {number} seasonId
+   * @param {Array<object>} markets - infofi_markets rows for the season
+   * @param {ReturnType<typeof createState>} [state] - Starts empty when omitted
+   */
+  async advance(seasonId, markets, state = createState(seasonId)) {
+    const transactions = await this.readChangedSince(
+      () =>
+        db.client
+          .from("raffle_transactions")
+          .select(
+            "id, user_address, transaction_type, ticket_amount, sof_amount, fee_amount, tickets_after, block_number, block_timestamp, updated_at",
+          )
+          .eq("season_id", seasonId),
+      state.transactionsSince,
+    );
+    applyTransactions(state, transactions);
+
+    const marketIds = markets.map((market) => market.id);
+    if (marketIds.length > 0) {
+      const positions = await this.readChangedSince(
+        () =>
+          db.client
+            .from("infofi_positions")
+            .select("id, user_address, amount, updated_at")
+            .in("market_id", marketIds),
+        state.positionsSince,
+      );
+      applyPositions(state, positions);
+    }
+
+    return state;
+  }
+
+  /**
+   * Whether the completed season's PositionUpdate listener has processed
+   * every block up to `blockNumber`, with none of its logs left in the
+   * dead-letter queue
+   * @param {object} season - season_contracts row
+   * @param {bigint|number} blockNumber - SeasonCompleted block
+   */
+  async isIngestionCaughtUp(season, blockNumber) {
+    if (!season.bonding_curve_address) return true;
+
+    const listenerKey = `${season.bonding_curve_address}:PositionUpdate`;
+    const store = await getCursorStore();
+    const cursor = await store.get(listenerKey);
+    // No cursor: the season predates cursors (or never had a listener). It
+    // has completed, so nothing more will be ingested for it.
+    if (cursor !== null && cursor !== undefined && cursor < BigInt(blockNumber)) {
+      return false;
+    }
+
+    const { count, error } = await db.client
+      .from("event_dead_letters")
+      .select("id", { count: "exact", head: true })
+      .eq("listener_key", listenerKey)
+      .in("status", ["pending", "exhausted"])
+      .lte("block_number", Number(blockNumber));
+    if (error) throw new Error(error.message);
+    return (count || 0) === 0;
+  }
+
+  /**
+   * Grand prize winner of a completed season, or null
+   * @param {number} seasonId
+   * @param {Array<object>} markets - Fallback: settled market won by its player
+   */
+  async getWinner(seasonId, markets) {
+    const chain = getChainByKey(process.env.DEFAULT_NETWORK);
+    if (chain.raffle) {
+      try {
+        const winners = await publicClient.readContract({
+          address: chain.raffle,
+          abi: RaffleAbi,
+          functionName: "getWinners",
+          args: [BigInt(seasonId)],
+        });
+        if (winners && winners.length > 0) return winners[0].toLowerCase();
+      } catch (error) {
+        console.warn(
+          `[SeasonAnalyticsService] Failed to read winners for season ${seasonId}: ${error.message}`,
+        );
+      }
+    }
+
+    const won = markets.find(
+      (market) => market.is_settled && market.winning_outcome === true,
+    );
+    return won?.player_address?.toLowerCase() || null;
+  }
+
+  async getMaterialized(seasonId) {
+    const { data, error } = await db.client
+      .from("season_analytics")
+      .select("summary, is_final, computed_at")
+      .eq("season_id", seasonId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Compute the final summary from scratch and store it in season_analytics.
+   * Called by the SeasonCompleted handler; throws while ingestion is behind
+   * `throughBlock` so the completion log is retried later.
+   * @param {number} seasonId
+   * @param {{ throughBlock?: bigint|number }} [options] - SeasonCompleted block
+   */
+  async materialize(seasonId, { throughBlock } = {}) {
+    if (throughBlock !== undefined) {
+      const season = await db.getSeasonContracts(seasonId);
+      if (season && !(await this.isIngestionCaughtUp(season, throughBlock))) {
+        throw new Error(
+          `Season ${seasonId} ingestion has not caught up to block ${throughBlock}`,
+        );
+      }
+    }
+
+    const markets = await db.getInfoFiMarketsBySeasonId(seasonId);
+    const state = await this.advance(seasonId, markets);
+    const summary = summarize(state, markets, await this.getWinner(seasonId, markets));
+    const computedAt = new Date().toISOString();
+
+    const { error } = await db.client.from("season_analytics").upsert(
+      {
+        season_id: seasonId,
+        summary,
+        is_final: true,
+        computed_at: computedAt,
+      },
+      { onConflict: "season_id" },
+    );
+    if (error) throw new Error(error.message);
+
+    // Final rows are served from the table from now on
+    this.states.delete(seasonId);
+    return { ...summary, isFinal: true, computedAt };
+  }
+
+  /**
+   * Season analytics: the materialized row once final, computed otherwise
+   * @param {number} seasonId
+   * @returns {Promise<object|null>} null when the season does not exist
+   */
+  getAnalytics(seasonId) {
+    if (!this.pending.has(seasonId)) {
+      const request = this._getAnalytics(seasonId).finally(() => {
+        this.pending.delete(seasonId);
+      });
+      this.pending.set(seasonId, request);
+    }
+    return this.pending.get(seasonId);
+  }
+
+  async _getAnalytics(seasonId) {
+    const season = await db.getSeasonContracts(seasonId);
+    if (!season) return null;
+
+    if (!season.is_active) {
+      const materialized = await this.getMaterialized(seasonId);
+      if (materialized?.is_final) {
+        return {
+          ...materialized.summary,
+          isFinal: true,
+          computedAt: materialized.computed_at,
+        };
+      }
+    }
+
+    // Only the leader sees reorg resets, so only it keeps aggregates
+    const markets = await db.getInfoFiMarketsBySeasonId(seasonId);
+    let state;
+    if (isLeader()) {
+      state = await this.advance(seasonId, markets, this.states.get(seasonId));
+      this.states.set(seasonId, state);
+    } else {
+      this.states.clear();
+      state = await this.advance(seasonId, markets);
+    }
+    return {
+      ...summarize(state, markets, null),
+      isFinal: false,
+      computedAt: new Date().toISOString(),
+    };
+  }
+}
+
+export const seasonAnalyticsService = new SeasonAnalyticsService();
+export default seasonAnalyticsService;
@@ -0,0 +1,390 @@
+/**
+ * @file seasonAutomationService.js
+ * @description Admin overrides and audit log for season lifecycle automation.
+ *
+ * Pauses live in season_automation_overrides so that a pause made through
+ * any replica is seen by the leader's next lifecycle check and survives
+ * restarts. Every admin action on season automation (immediate check, forced
+ * start/end, pause/resume, InfoFi settlement) is recorded in
+ * season_admin_actions. Checks, forced transitions and settlements are queued
+ * there by any replica and run by the leader, which also stores the schedule
+ * it last computed for every replica to serve.
+ */
+
+import os from "node:os";
+import process from "node:process";
+import { db, hasSupabase } from "../../shared/supabaseClient.js";
+
+const OVERRIDES_TABLE = "season_automation_overrides";
+const ACTIONS_TABLE = "season_admin_actions";
+const SCHEDULES_TABLE = "season_automation_schedules";
+
+// A running action not finished in this long was cut off (leader restart)
+const STALE_ACTION_MS = 15 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+export const SEASON_ADMIN_ACTIONS = {
+  CHECK: "check",
+  FORCE_START: "force_start",
+  FORCE_END: "force_end",
+  PAUSE: "pause",
+  RESUME: "resume",
+  SETTLE: "settle",
+};
+
+/**
+ * Actions run by the leader's lifecycle service rather than in the request
+ */
+export const QUEUED_SEASON_ADMIN_ACTIONS = [
+  SEASON_ADMIN_ACTIONS.CHECK,
+  SEASON_ADMIN_ACTIONS.FORCE_START,
+  SEASON_ADMIN_ACTIONS.FORCE_END,
+  SEASON_ADMIN_ACTIONS.SETTLE,
+];
+
+/**
+ * Apply a season's automation override to its schedule entry: a paused
+ * season's next action is never due
+ * @param {{ nextAction: { action: string|null, due: boolean, at: string|null, reason: string } }} season
+ * @param {{ paused: boolean, reason: string|null, updatedAt: string }} [override]
+ */
+export function applyAutomationOverride(season, override) {
+  const paused = override?.paused === true;
+  const { nextAction } = season;
+  return {
+    ...season,
+    automation: {
+      paused,
+      reason: override?.reason ?? null,
+      updatedAt: override?.updatedAt ?? null,
+    },
+    nextAction: {
+      ...nextAction,
+      due: nextAction.due && !paused,
+      reason:
+        paused && nextAction.action
+          ? `Automation paused (${nextAction.reason})`
+          : nextAction.reason,
+    },
+  };
+}
+
+/**
+ * JSON-safe copy (bigints as strings)
+ * @param {unknown} value
+ */
+function toJson(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(
+    JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v)),
+  );
+}
+
+class SeasonAutomationService {
+  /**
+   * Season ids with automation paused
+   * @returns {Promise<Set<number>>}
+   */
+  async getPausedSeasonIds() {
+    if (!hasSupabase) return new Set();
+
+    const { data, error } = await db.client
+      .from(OVERRIDES_TABLE)
+      .select("season_id")
+      .eq("paused", true);
+
+    if (error) throw new Error(error.message);
+    return new Set((data || []).map((row) => Number(row.season_id)));
+  }
+
+  /**
+   * Overrides keyed by season id
+   * @returns {Promise<Map<number, { paused: boolean, reason: string|null, updatedBy: object|null, updatedAt: string }>>}
+   */
+  async getOverrides() {
+    if (!hasSupabase) return new Map();
+
+    const { data, error } = await db.client
+      .from(OVERRIDES_TABLE)
+      .select("season_id, paused, reason, updated_by, updated_at");
+
+    if (error) throw new Error(error.message);
+    return new Map(
+      (data || []).map((row) => [
+        Number(row.season_id),
+        {
+          paused: row.paused,
+          reason: row.reason,
+          updatedBy: row.updated_by,
+          updatedAt: row.updated_at,
+        },
+      ]),
+    );
+  }
+
+  /**
+   * Pause or resume automation for a season
+   * @param {number} seasonId
+   * @param {boolean} paused
+   * @param {{ reason?: string, actor?: object }} [options]
+   * @returns {Promise<object>} Override row
+   */
+  async setPaused(seasonId, paused, { reason = null, actor = null } = {}) {
+    if (!hasSupabase) {
+      throw new Error("Supabase not configured; cannot store automation override");
+    }
+
+    const { data, error } = await db.client
+      .from(OVERRIDES_TABLE)
+      .upsert(
+        {
+          season_id: seasonId,
+          paused,
+          reason,
+          updated_by: toJson(actor),
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "season_id" },
+      )
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Append an admin action to the audit log
+   * @param {object} entry
+   * @param {string} entry.action - One of SEASON_ADMIN_ACTIONS
+   * @param {number|null} [entry.seasonId]
+   * @param {object|null} [entry.actor] - Authenticated admin (fid, wallet)
+   * @param {object} [entry.params] - Request parameters
+   * @param {boolean} entry.success
+   * @param {object} [entry.result]
+   * @param {string|null} [entry.error]
+   */
+  async recordAction({
+    action,
+    seasonId = null,
+    actor = null,
+    params = {},
+    success,
+    result = null,
+    error = null,
+  }) {
+    if (!hasSupabase) return;
+
+    const { error: insertError } = await db.client.from(ACTIONS_TABLE).insert({
+      season_id: seasonId,
+      action,
+      actor: toJson(actor),
+      params: toJson(params) || {},
+      status: success ? "completed" : "failed",
+      success,
+      result: toJson(result),
+      error_message: error,
+      completed_at: new Date().toISOString(),
+    });
+
+    if (insertError) throw new Error(insertError.message);
+  }
+
+  /**
+   * Queue an action for the leader's lifecycle service
+   * @param {object} entry
+   * @param {string} entry.action - One of QUEUED_SEASON_ADMIN_ACTIONS
+   * @param {number|null} [entry.seasonId]
+   * @param {object|null} [entry.actor]
+   * @param {object} [entry.params]
+   * @returns {Promise<object>} The queued audit row
+   */
+  async enqueueAction({ action, seasonId = null, actor = null, params = {} }) {
+    if (!hasSupabase) {
+      throw new Error("Supabase not configured; cannot queue season action");
+    }
+
+    const { data, error } = await db.client
+      .from(ACTIONS_TABLE)
+      .insert({
+        season_id: seasonId,
+        action,
+        actor: toJson(actor),
+        params: toJson(params) || {},
+        status: "queued",
+        success: null,
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Claim the oldest queued action (compare-and-set on its status, so two
+   * leaders in a handover cannot both run it)
+   * @returns {Promise<object|null>} The claimed row, or null when none is queued
+   */
+  async claimNextAction() {
+    if (!hasSupabase) return null;
+
+    const { data, error } = await db.client
+      .from(ACTIONS_TABLE)
+      .select("*")
+      .eq("status", "queued")
+      .in("action", QUEUED_SEASON_ADMIN_ACTIONS)
+      .order("created_at", { ascending: true })
+      .limit(1);
+
+    if (error) throw new Error(error.message);
+    const next = data?.[0];
+    if (!next) return null;
+
+    const { data: claimed, error: claimError } = await db.client
+      .from(ACTIONS_TABLE)
+      .update({ status: "running", started_at: new Date().toISOString() })
+      .eq("id", next.id)
+      .eq("status", "queued")
+      .select();
+
+    if (claimError) throw new Error(claimError.message);
+    // Lost the race: try the next one
+    if (!claimed || claimed.length === 0) return this.claimNextAction();
+    return claimed[0];
+  }
+
+  /**
+   * Record the outcome of a queued action
+   * @param {number} id
+   * @param {{ success: boolean, result?: object|null, error?: string|null }} outcome
+   */
+  async completeAction(id, { success, result = null, error = null }) {
+    const { error: updateError } = await db.client
+      .from(ACTIONS_TABLE)
+      .update({
+        status: success ? "completed" : "failed",
+        success,
+        result: toJson(result),
+        error_message: error,
+        completed_at: new Date().toISOString(),
+      })
+      .eq("id", id);
+
+    if (updateError) throw new Error(updateError.message);
+  }
+
+  /**
+   * Fail actions left running by a leader that stopped mid-action. Forced
+   * transitions go through durable tx intents, so nothing is resent, and a
+   * settlement queued again resumes from its last completed step.
+   * @returns {Promise<number>} Actions failed
+   */
+  async failStaleActions() {
+    if (!hasSupabase) return 0;
+
+    const { data, error } = await db.client
+      .from(ACTIONS_TABLE)
+      .update({
+        status: "failed",
+        success: false,
+        error_message: "Interrupted before completing",
+        completed_at: new Date().toISOString(),
+      })
+      .eq("status", "running")
+      .lt("started_at", new Date(Date.now() - STALE_ACTION_MS).toISOString())
+      .select("id");
+
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<object|null>} Audit row
+   */
+  async getAction(id) {
+    const { data, error } = await db.client
+      .from(ACTIONS_TABLE)
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Store the schedule the leader computed
+   * @param {string} raffleAddress
+   * @param {object} schedule - SeasonLifecycleService.buildSchedule() result
+   */
+  async saveSchedule(raffleAddress, schedule) {
+    if (!hasSupabase) return;
+
+    const { error } = await db.client.from(SCHEDULES_TABLE).upsert(
+      {
+        raffle_address: raffleAddress.toLowerCase(),
+        schedule: toJson(schedule),
+        instance_id: INSTANCE_ID,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "raffle_address" },
+    );
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * The schedule the leader stored last, with the current overrides applied
+   * (a pause or resume made since then already shows)
+   * @returns {Promise<object|null>} null until a leader has stored one
+   */
+  async getSchedule() {
+    const { data, error } = await db.client
+      .from(SCHEDULES_TABLE)
+      .select("schedule, instance_id, updated_at")
+      .order("updated_at", { ascending: false })
+      .limit(1);
+
+    if (error) throw new Error(error.message);
+    const stored = data?.[0];
+    if (!stored) return null;
+
+    const overrides = await this.getOverrides();
+    const seasons = (stored.schedule.seasons || []).map((season) =>
+      applyAutomationOverride(season, overrides.get(season.seasonId)),
+    );
+
+    return {
+      ...stored.schedule,
+      seasons,
+      storedAt: stored.updated_at,
+      storedBy: stored.instance_id,
+    };
+  }
+
+  /**
+   * Recent admin actions, newest first
+   * @param {{ seasonId?: number, limit?: number }} [params]
+   */
+  async listActions({ seasonId, limit = 50 } = {}) {
+    let query = db.client
+      .from(ACTIONS_TABLE)
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (seasonId !== undefined) {
+      query = query.eq("season_id", seasonId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+}
+
+export const seasonAutomationService = new SeasonAutomationService();
+export default seasonAutomationService;
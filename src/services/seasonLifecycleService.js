@@ -6,17 +6,49 @@
  * - Seasons where startTime has passed but status is NotStarted → calls startSeason()
  * - Seasons where endTime has passed but status is Active → calls requestSeasonEnd()
  *
+ * Watchdog for seasons stuck after the end request:
+ * - Tracks how long each season has been in EndRequested, VRFPending and
+ *   Distributing (entry time taken from the season timeline when available)
+ * - Raises an admin alert once a status exceeds its SLA
+ * - Retries finalizeSeason() for seasons stuck in Distributing
+ * - Records every watchdog action on the season timeline
+ *
+ * Admin control (see /api/admin/seasons/*):
+ * - getSchedule() previews each season's times, status and next action; it
+ *   is stored after every check so any replica can serve it
+ * - Automation can be paused per season (seasonAutomationService); paused
+ *   seasons are still watched but never started, ended or finalized
+ * - forceSeasonTransition() starts or ends a season on demand
+ * - Checks, forced transitions and InfoFi settlements requested through any
+ *   replica are queued in season_admin_actions and run here, polled every
+ *   few seconds
+ *
  * Resilience features:
  * - Retry with exponential backoff (3 attempts, 5s/15s/45s)
  * - Transaction receipt confirmation (waits for 1 on-chain confirmation)
  * - In-memory dedup prevents duplicate submissions for the same season
+ * - Durable transaction intents (txIntentService) prevent duplicates across
+ *   restarts and replicas; intents left pending are reconciled on boot and
+ *   on each check once stale
  *
  * @author SecondOrder.fun
  */
 
+import { encodeFunctionData } from "viem";
 import { publicClient, getWalletClient } from "../lib/viemClient.js";
 import RaffleAbi from "../abis/RaffleAbi.js";
 import { adminAlertService } from "./adminAlertService.js";
+import { txIntentService } from "./txIntentService.js";
+import { seasonSettlementService } from "./seasonSettlementService.js";
+import {
+  seasonAutomationService,
+  applyAutomationOverride,
+  SEASON_ADMIN_ACTIONS,
+} from "./seasonAutomationService.js";
+import {
+  seasonTimelineService,
+  WATCHDOG_EVENTS,
+} from "./seasonTimelineService.js";
 
 // SeasonStatus enum from contract
 const SeasonStatus = {
@@ -40,10 +72,110 @@ const STATUS_NAMES = [
 // Default check interval: 5 minutes
 const DEFAULT_CHECK_INTERVAL_MS = 5 * 60 * 1000;
 
+// How often queued admin actions are picked up
+const ACTION_POLL_INTERVAL_MS = 5_000;
+
 // Retry configuration
 const MAX_RETRIES = 3;
 const RETRY_DELAYS_MS = [5_000, 15_000, 45_000];
-const TX_RECEIPT_TIMEOUT_MS = 60_000;
+
+// Intents untouched this long are treated as abandoned by their submitter
+const STALE_INTENT_MS = 10 * 60 * 1000;
+
+// Watchdog SLAs: how long a season may stay in a status before alerting
+const DEFAULT_SLA_MS = {
+  EndRequested: 30 * 60 * 1000,
+  VRFPending: 60 * 60 * 1000,
+  Distributing: 30 * 60 * 1000,
+};
+const SLA_ENV_VARS = {
+  EndRequested: "SEASON_SLA_END_REQUESTED_MS",
+  VRFPending: "SEASON_SLA_VRF_PENDING_MS",
+  Distributing: "SEASON_SLA_DISTRIBUTING_MS",
+};
+
+// Timeline events that mark entry into a watched status (latest wins)
+const STATUS_ENTRY_EVENTS = {
+  EndRequested: ["SeasonEndRequested"],
+  VRFPending: ["SeasonEndRequested", "SeasonLocked"],
+  Distributing: ["VRFFulfilled", "WinnersSelected", "PrizeDistributionSetup"],
+};
+
+// Finalization retries per season once Distributing exceeds its SLA
+const DEFAULT_FINALIZE_MAX_ATTEMPTS = 3;
+
+// Transitions an admin can force, with the status each requires
+const FORCEABLE_TRANSITIONS = {
+  start: {
+    functionName: "startSeason",
+    requiredStatus: SeasonStatus.NotStarted,
+    label: "start",
+  },
+  end: {
+    functionName: "requestSeasonEnd",
+    requiredStatus: SeasonStatus.Active,
+    label: "end",
+  },
+};
+
+/**
+ * What automation does next for a season, given its on-chain status and
+ * schedule. Shared by the lifecycle check and the schedule preview so the two
+ * cannot disagree.
+ * @param {{ status: number, startTime: bigint, endTime: bigint }} season
+ * @param {bigint} now - Current timestamp (seconds)
+ * @returns {{ action: string|null, due: boolean, at: bigint|null, reason: string }}
+ */
+export function planSeasonAction({ status, startTime, endTime }, now) {
+  switch (status) {
+    case SeasonStatus.NotStarted:
+      if (now >= endTime) {
+        return {
+          action: null,
+          due: false,
+          at: null,
+          reason: "End time passed before the season was started",
+        };
+      }
+      return {
+        action: "startSeason",
+        due: now >= startTime,
+        at: startTime,
+        reason: now >= startTime ? "Start time reached" : "Waiting for start time",
+      };
+    case SeasonStatus.Active:
+      return {
+        action: "requestSeasonEnd",
+        due: now >= endTime,
+        at: endTime,
+        reason: now >= endTime ? "End time reached" : "Waiting for end time",
+      };
+    case SeasonStatus.EndRequested:
+    case SeasonStatus.VRFPending:
+      return {
+        action: null,
+        due: false,
+        at: null,
+        reason: "Waiting for VRF and winner selection",
+      };
+    case SeasonStatus.Distributing:
+      return {
+        action: "finalizeSeason",
+        due: false,
+        at: null,
+        reason: "Watchdog retries finalization once Distributing exceeds its SLA",
+      };
+    default:
+      return { action: null, due: false, at: null, reason: "Season completed" };
+  }
+}
+
+/**
+ * @param {bigint|null} seconds - Unix timestamp
+ */
+function toIso(seconds) {
+  return seconds === null ? null : new Date(Number(seconds) * 1000).toISOString();
+}
 
 /**
  * SeasonLifecycleService - Manages automatic season starts and ends
@@ -53,9 +185,28 @@ export class SeasonLifecycleService {
     this.logger = logger;
     this.raffleAddress = null;
     this.intervalId = null;
+    this.intervalMs = null;
+    this.actionPollId = null;
+    this.processingActions = false;
     this.isRunning = false;
+    this.lastCheckAt = null;
+    // Seasons with automation paused by an admin (refreshed on every check)
+    this.pausedSeasonIds = new Set();
     // Track in-flight transactions to prevent duplicate submissions
     this.pendingSeasons = new Set();
+    // Watchdog: seasonId → { status, since, slaExceeded, finalizeAttempts, lastFinalizeAt }
+    this.statusTracking = new Map();
+    this.slaMs = Object.fromEntries(
+      Object.entries(DEFAULT_SLA_MS).map(([status, fallback]) => [
+        status,
+        parseInt(process.env[SLA_ENV_VARS[status]] || String(fallback), 10),
+      ]),
+    );
+    this.finalizeMaxAttempts = parseInt(
+      process.env.SEASON_FINALIZE_MAX_ATTEMPTS ||
+        String(DEFAULT_FINALIZE_MAX_ATTEMPTS),
+      10,
+    );
   }
 
   /**
@@ -71,6 +222,35 @@ export class SeasonLifecycleService {
 
     this.logger.info("🔄 SeasonLifecycleService initialized");
     this.logger.info(`   Raffle: ${this.raffleAddress}`);
+
+    // Settle intents abandoned by a previous process before submitting more;
+    // fresher ones may still belong to another replica mid-submit
+    await this.reconcileIntents(STALE_INTENT_MS);
+  }
+
+  /**
+   * Reconcile active transaction intents for the Raffle against the chain
+   * @param {number} staleAfterMs - Only intents untouched for this long
+   */
+  async reconcileIntents(staleAfterMs) {
+    try {
+      const summary = await txIntentService.reconcile({
+        walletClient: getWalletClient(),
+        publicClient,
+        contractAddress: this.raffleAddress,
+        staleAfterMs,
+        logger: this.logger,
+      });
+      const handled =
+        Object.values(summary).reduce((sum, n) => sum + n, 0) - summary.skipped;
+      if (handled > 0) {
+        this.logger.info(
+          `🧾 Reconciled ${handled} transaction intent(s): ${JSON.stringify(summary)}`
+        );
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to reconcile transaction intents: ${error.message}`);
+    }
   }
 
   /**
@@ -87,6 +267,8 @@ export class SeasonLifecycleService {
       `🚀 Starting SeasonLifecycleService (interval: ${intervalMs / 1000}s)`
     );
 
+    this.intervalMs = intervalMs;
+
     // Run immediately on start
     this.checkAndProcessSeasons();
 
@@ -94,6 +276,10 @@ export class SeasonLifecycleService {
     this.intervalId = setInterval(() => {
       this.checkAndProcessSeasons();
     }, intervalMs);
+
+    this.actionPollId = setInterval(() => {
+      this.processQueuedActions();
+    }, ACTION_POLL_INTERVAL_MS);
   }
 
   /**
@@ -102,23 +288,132 @@ export class SeasonLifecycleService {
   stop() {
     if (this.intervalId) {
       clearInterval(this.intervalId);
+      clearInterval(this.actionPollId);
       this.intervalId = null;
+      this.actionPollId = null;
       this.logger.info("⏹️ SeasonLifecycleService stopped");
     }
   }
 
+  /**
+   * Run admin actions queued through any replica, oldest first
+   */
+  async processQueuedActions() {
+    if (this.processingActions) return;
+    this.processingActions = true;
+
+    try {
+      const interrupted = await seasonAutomationService.failStaleActions();
+      if (interrupted > 0) {
+        this.logger.warn(`⚠️  Marked ${interrupted} interrupted season admin action(s) failed`);
+      }
+
+      for (;;) {
+        const entry = await seasonAutomationService.claimNextAction();
+        if (!entry) break;
+        await this.runQueuedAction(entry);
+      }
+    } catch (error) {
+      this.logger.error(`❌ Failed to process queued season actions: ${error.message}`);
+    } finally {
+      this.processingActions = false;
+    }
+  }
+
+  /**
+   * Run one claimed admin action and record its outcome on the audit row
+   * @param {object} entry - season_admin_actions row
+   */
+  async runQueuedAction(entry) {
+    let outcome;
+    try {
+      if (entry.action === SEASON_ADMIN_ACTIONS.CHECK) {
+        const ran = await this.checkAndProcessSeasons();
+        outcome = { success: true, result: { ran } };
+      } else if (entry.action === SEASON_ADMIN_ACTIONS.SETTLE) {
+        outcome = await this.runSettlement(entry);
+      } else {
+        const transition =
+          entry.action === SEASON_ADMIN_ACTIONS.FORCE_START ? "start" : "end";
+        const result = await this.forceSeasonTransition(
+          BigInt(entry.season_id),
+          transition
+        );
+        outcome = {
+          success: result.success,
+          result: result.success ? { hash: result.hash } : { reason: result.reason },
+          error: result.error ?? null,
+        };
+        await this.publishSchedule();
+      }
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    this.logger.info(
+      `🛠️ Season admin action ${entry.id} (${entry.action}${entry.season_id ? ` season ${entry.season_id}` : ""}): ` +
+        (outcome.success ? "completed" : `failed: ${outcome.error}`)
+    );
+    await seasonAutomationService.completeAction(entry.id, outcome);
+  }
+
+  /**
+   * Settle a season's InfoFi markets for a queued settle action. The result
+   * carries the settlement status, including where a run that stopped short
+   * left off; queueing the action again resumes from there.
+   * @param {object} entry - season_admin_actions row
+   * @returns {Promise<{ success: boolean, result: object|null, error: string|null }>}
+   */
+  async runSettlement(entry) {
+    const seasonId = Number(entry.season_id);
+    const { winnerAddress, resolveOnchain = true } = entry.params || {};
+    try {
+      const settlement = await seasonSettlementService.settleSeason(seasonId, {
+        winnerAddress,
+        resolveOnchain,
+        logger: this.logger,
+      });
+      return { success: settlement.completed, result: { settlement }, error: null };
+    } catch (error) {
+      return {
+        success: false,
+        result: { settlement: await seasonSettlementService.getStatus(seasonId) },
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Store the current schedule for replicas serving /api/admin/seasons/schedule
+   */
+  async publishSchedule() {
+    try {
+      await seasonAutomationService.saveSchedule(
+        this.raffleAddress,
+        await this.buildSchedule()
+      );
+    } catch (error) {
+      this.logger.warn(`Failed to store season schedule: ${error.message}`);
+    }
+  }
+
   /**
    * Check all seasons and process any that need state transitions
+   * @returns {Promise<boolean>} false if a check was already in progress
    */
   async checkAndProcessSeasons() {
     if (this.isRunning) {
       this.logger.debug("SeasonLifecycleService check already in progress, skipping");
-      return;
+      return false;
     }
 
     this.isRunning = true;
+    this.lastCheckAt = Date.now();
 
     try {
+      await this.reconcileIntents(STALE_INTENT_MS);
+      this.pausedSeasonIds = await seasonAutomationService.getPausedSeasonIds();
+
       // Get current season count
       const currentSeasonId = await publicClient.readContract({
         address: this.raffleAddress,
@@ -128,8 +423,7 @@ export class SeasonLifecycleService {
 
       if (currentSeasonId === 0n) {
         this.logger.debug("No seasons exist yet");
-        this.isRunning = false;
-        return;
+        return true;
       }
 
       const now = BigInt(Math.floor(Date.now() / 1000));
@@ -143,6 +437,8 @@ export class SeasonLifecycleService {
     } finally {
       this.isRunning = false;
     }
+    await this.publishSchedule();
+    return true;
   }
 
   /**
@@ -169,20 +465,22 @@ export class SeasonLifecycleService {
         `startTime=${startTime}, endTime=${endTime}, now=${now}`
       );
 
-      // Check if season needs to be STARTED
-      if (
-        statusNum === SeasonStatus.NotStarted &&
-        now >= startTime &&
-        now < endTime
-      ) {
-        await this.startSeason(seasonId, name);
+      await this.watchSeasonStatus(seasonId, name, statusNum);
+
+      const plan = planSeasonAction({ status: statusNum, startTime, endTime }, now);
+      if (!plan.due) return;
+
+      if (this.pausedSeasonIds.has(Number(seasonId))) {
+        this.logger.info(
+          `⏸️ Season ${seasonId} automation paused, not calling ${plan.action}`
+        );
         return;
       }
 
-      // Check if season needs END REQUESTED
-      if (statusNum === SeasonStatus.Active && now >= endTime) {
+      if (plan.action === "startSeason") {
+        await this.startSeason(seasonId, name);
+      } else if (plan.action === "requestSeasonEnd") {
         await this.requestSeasonEnd(seasonId, name);
-        return;
       }
     } catch (error) {
       this.logger.error(
@@ -191,53 +489,399 @@ export class SeasonLifecycleService {
     }
   }
 
+  /**
+   * Watchdog: track time in status, alert on SLA breach, retry finalization
+   * @param {bigint} seasonId
+   * @param {string} seasonName
+   * @param {number} statusNum - SeasonStatus value
+   * @param {number} [nowMs]
+   */
+  async watchSeasonStatus(seasonId, seasonName, statusNum, nowMs = Date.now()) {
+    const key = seasonId.toString();
+    const statusName = STATUS_NAMES[statusNum];
+    const slaMs = this.slaMs[statusName];
+
+    if (slaMs === undefined) {
+      this.statusTracking.delete(key);
+      return;
+    }
+
+    let tracked = this.statusTracking.get(key);
+    if (!tracked || tracked.status !== statusNum) {
+      tracked = {
+        status: statusNum,
+        since: (await this.getStatusEnteredAt(seasonId, statusName)) ?? nowMs,
+        slaExceeded: false,
+        finalizeAttempts: 0,
+        lastFinalizeAt: null,
+      };
+      this.statusTracking.set(key, tracked);
+    }
+
+    const elapsedMs = nowMs - tracked.since;
+    if (elapsedMs < slaMs) return;
+
+    if (!tracked.slaExceeded) {
+      tracked.slaExceeded = true;
+      const minutes = Math.round(elapsedMs / 60_000);
+      this.logger.warn(
+        `⏰ Season ${seasonId} has been ${statusName} for ${minutes}m (SLA ${Math.round(slaMs / 60_000)}m)`
+      );
+
+      await this.recordWatchdogAction(seasonId, WATCHDOG_EVENTS.SLA_EXCEEDED, {
+        status: statusName,
+        since: new Date(tracked.since).toISOString(),
+        elapsedMs,
+        slaMs,
+      });
+      await this.sendAlert(
+        `⏰ Season ${seasonId} "${seasonName}" stuck in ${statusName} for ${minutes} minutes (SLA ${Math.round(slaMs / 60_000)} minutes)`,
+        { key: `season-sla-${key}-${statusName}`, severity: "WARNING" }
+      );
+    }
+
+    if (
+      statusNum === SeasonStatus.Distributing &&
+      !this.pausedSeasonIds.has(Number(seasonId))
+    ) {
+      await this.retryFinalization(seasonId, seasonName, tracked, nowMs);
+    }
+  }
+
+  /**
+   * When a season entered a status, from its latest matching timeline event
+   * @param {bigint} seasonId
+   * @param {string} statusName
+   * @returns {Promise<number|null>} Epoch ms, or null if unknown
+   */
+  async getStatusEnteredAt(seasonId, statusName) {
+    try {
+      const { events } = await seasonTimelineService.getTimeline(Number(seasonId));
+      const entry = events
+        .filter(
+          (event) =>
+            STATUS_ENTRY_EVENTS[statusName].includes(event.eventName) &&
+            event.timestamp
+        )
+        .pop();
+      return entry ? new Date(entry.timestamp).getTime() : null;
+    } catch (error) {
+      this.logger.warn(
+        `Failed to read timeline for season ${seasonId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Call finalizeSeason for a season stuck in Distributing, at most once per
+   * SLA window and finalizeMaxAttempts times in total
+   * @param {bigint} seasonId
+   * @param {string} seasonName
+   * @param {object} tracked - Watchdog tracking entry
+   * @param {number} nowMs
+   */
+  async retryFinalization(seasonId, seasonName, tracked, nowMs) {
+    const dedupKey = `finalize-${seasonId}`;
+    if (this.pendingSeasons.has(dedupKey)) return;
+    if (tracked.finalizeAttempts >= this.finalizeMaxAttempts) return;
+    if (
+      tracked.lastFinalizeAt !== null &&
+      nowMs - tracked.lastFinalizeAt < this.slaMs.Distributing
+    ) {
+      return;
+    }
+
+    this.pendingSeasons.add(dedupKey);
+    tracked.finalizeAttempts += 1;
+    tracked.lastFinalizeAt = nowMs;
+    const attempt = tracked.finalizeAttempts;
+    this.logger.info(
+      `🔁 Retrying finalization for season ${seasonId} (attempt ${attempt}/${this.finalizeMaxAttempts})...`
+    );
+
+    try {
+      const { hash, skipped } = await this.submitWithRetry(
+        "finalizeSeason",
+        [seasonId],
+        `🔁 Season ${seasonId} finalize`
+      );
+      if (skipped) {
+        tracked.finalizeAttempts -= 1;
+        return;
+      }
+
+      await this.recordWatchdogAction(seasonId, WATCHDOG_EVENTS.FINALIZE_RETRIED, {
+        attempt,
+        success: true,
+        txHash: hash,
+      });
+      await this.sendAlert(
+        `🔁 Season ${seasonId} "${seasonName}" finalization retried by watchdog.\n\nTX: ${hash}`,
+        { severity: "INFO" }
+      );
+    } catch (error) {
+      this.logger.error(
+        `❌ Finalization retry ${attempt} for season ${seasonId} failed: ${error.message}`
+      );
+
+      await this.recordWatchdogAction(seasonId, WATCHDOG_EVENTS.FINALIZE_RETRIED, {
+        attempt,
+        success: false,
+        error: error.message,
+      });
+      if (attempt >= this.finalizeMaxAttempts) {
+        await this.sendAlert(
+          `❌ Season ${seasonId} "${seasonName}" still not finalized after ${attempt} watchdog retries - manual action required\n\nError: ${error.message}`,
+          { severity: "CRITICAL" }
+        );
+      }
+    } finally {
+      this.pendingSeasons.delete(dedupKey);
+    }
+  }
+
+  /**
+   * Record a watchdog action on the season timeline (never throws)
+   * @param {bigint} seasonId
+   * @param {string} eventName - One of WATCHDOG_EVENTS
+   * @param {object} data
+   */
+  async recordWatchdogAction(seasonId, eventName, data) {
+    try {
+      await seasonTimelineService.recordAction(Number(seasonId), eventName, data);
+    } catch (error) {
+      this.logger.warn(
+        `Failed to record ${eventName} for season ${seasonId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Current watchdog tracking per season
+   */
+  getWatchdogStatus() {
+    return [...this.statusTracking.entries()].map(([seasonId, tracked]) => ({
+      seasonId: Number(seasonId),
+      status: STATUS_NAMES[tracked.status],
+      since: new Date(tracked.since).toISOString(),
+      slaMs: this.slaMs[STATUS_NAMES[tracked.status]],
+      slaExceeded: tracked.slaExceeded,
+      finalizeAttempts: tracked.finalizeAttempts,
+    }));
+  }
+
+  /**
+   * Preview of what automation will do for every season, with the current
+   * automation overrides applied
+   * @param {number} [nowMs]
+   */
+  async getSchedule(nowMs = Date.now()) {
+    const schedule = await this.buildSchedule(nowMs);
+    const overrides = await seasonAutomationService.getOverrides();
+    return {
+      ...schedule,
+      seasons: schedule.seasons.map((season) =>
+        applyAutomationOverride(season, overrides.get(season.seasonId))
+      ),
+    };
+  }
+
+  /**
+   * Schedule from chain and this instance's watchdog state, before
+   * automation overrides (applied by whoever serves it)
+   * @param {number} [nowMs]
+   */
+  async buildSchedule(nowMs = Date.now()) {
+    const now = BigInt(Math.floor(nowMs / 1000));
+    const currentSeasonId = await publicClient.readContract({
+      address: this.raffleAddress,
+      abi: RaffleAbi,
+      functionName: "currentSeasonId",
+    });
+    const watchdog = new Map(
+      this.getWatchdogStatus().map((entry) => [entry.seasonId, entry])
+    );
+
+    const seasons = [];
+    for (let seasonId = 1n; seasonId <= currentSeasonId; seasonId++) {
+      const [config, status] = await publicClient.readContract({
+        address: this.raffleAddress,
+        abi: RaffleAbi,
+        functionName: "getSeasonDetails",
+        args: [seasonId],
+      });
+      const statusNum = Number(status);
+      const id = Number(seasonId);
+      const plan = planSeasonAction(
+        { status: statusNum, startTime: config.startTime, endTime: config.endTime },
+        now
+      );
+      const tracked = this.statusTracking.get(seasonId.toString());
+
+      let { at, reason } = plan;
+      if (plan.action === "finalizeSeason" && tracked) {
+        if (tracked.finalizeAttempts >= this.finalizeMaxAttempts) {
+          reason = `Finalization retries exhausted (${tracked.finalizeAttempts}/${this.finalizeMaxAttempts})`;
+        } else {
+          const fromMs = Math.max(tracked.since, tracked.lastFinalizeAt ?? 0);
+          at = BigInt(Math.floor((fromMs + this.slaMs.Distributing) / 1000));
+        }
+      }
+
+      seasons.push({
+        seasonId: id,
+        name: config.name,
+        startTime: toIso(config.startTime),
+        endTime: toIso(config.endTime),
+        status: STATUS_NAMES[statusNum],
+        inFlight: [...this.pendingSeasons].filter((key) =>
+          key.endsWith(`-${seasonId}`)
+        ),
+        watchdog: watchdog.get(id) ?? null,
+        nextAction: {
+          action: plan.action,
+          due: plan.due,
+          at: toIso(at),
+          reason,
+        },
+      });
+    }
+
+    return {
+      now: new Date(nowMs).toISOString(),
+      checkInProgress: this.isRunning,
+      lastCheckAt: this.lastCheckAt ? new Date(this.lastCheckAt).toISOString() : null,
+      nextCheckAt:
+        this.lastCheckAt && this.intervalMs
+          ? new Date(this.lastCheckAt + this.intervalMs).toISOString()
+          : null,
+      seasons,
+    };
+  }
+
+  /**
+   * Start or end a season on demand, regardless of its schedule or a pause
+   * @param {bigint} seasonId
+   * @param {"start"|"end"} transition
+   * @returns {Promise<{ success: boolean, hash?: string, reason?: "invalid_status"|"in_progress"|"failed", error?: string }>}
+   */
+  async forceSeasonTransition(seasonId, transition) {
+    const { functionName, requiredStatus, label } = FORCEABLE_TRANSITIONS[transition];
+    const [config, status] = await publicClient.readContract({
+      address: this.raffleAddress,
+      abi: RaffleAbi,
+      functionName: "getSeasonDetails",
+      args: [seasonId],
+    });
+
+    if (Number(status) !== requiredStatus) {
+      return {
+        success: false,
+        reason: "invalid_status",
+        error: `Season ${seasonId} is ${STATUS_NAMES[Number(status)]}; ${functionName} requires ${STATUS_NAMES[requiredStatus]}`,
+      };
+    }
+
+    const dedupKey = `${label}-${seasonId}`;
+    if (this.pendingSeasons.has(dedupKey)) {
+      return {
+        success: false,
+        reason: "in_progress",
+        error: `Season ${seasonId} ${label} already in progress`,
+      };
+    }
+
+    this.pendingSeasons.add(dedupKey);
+    this.logger.info(`🛠️ Admin forcing ${functionName} for season ${seasonId} "${config.name}"...`);
+
+    try {
+      const { hash, skipped } = await this.submitWithRetry(
+        functionName,
+        [seasonId],
+        `🛠️ Season ${seasonId} forced ${label}`
+      );
+      if (skipped) {
+        return {
+          success: false,
+          reason: "in_progress",
+          error: `Season ${seasonId} already has an active ${functionName} transaction`,
+        };
+      }
+
+      await this.sendAlert(
+        `🛠️ Season ${seasonId} "${config.name}" ${label} forced by an admin.\n\nTX: ${hash}`
+      );
+      return { success: true, hash };
+    } catch (error) {
+      this.logger.error(`❌ Forced ${functionName} for season ${seasonId} failed: ${error.message}`);
+      return { success: false, reason: "failed", error: error.message };
+    } finally {
+      this.pendingSeasons.delete(dedupKey);
+    }
+  }
+
   /**
    * Submit a contract write with retry and tx confirmation.
+   * The write is claimed as a durable intent first; if another process (or a
+   * previous run) holds an active intent for the same call, nothing is sent.
+   * The transaction manager replaces a transaction that stays unmined (same
+   * nonce, bumped fees) rather than duplicating it.
    * @param {string} functionName - Contract function to call
    * @param {Array} args - Function arguments
    * @param {string} label - Human-readable label for logging
-   * @returns {{ hash: string, receipt: object }} - Transaction hash and receipt
+   * @returns {{ hash?: string, receipt?: object, skipped?: boolean }} - Transaction hash and receipt
    */
   async submitWithRetry(functionName, args, label) {
+    const walletClient = getWalletClient();
+    let intent = await txIntentService.claim({
+      intentKey: `${this.raffleAddress.toLowerCase()}:${functionName}:${args.join(",")}`,
+      contractAddress: this.raffleAddress,
+      functionName,
+      args,
+      calldata: encodeFunctionData({ abi: RaffleAbi, functionName, args }),
+      signer: walletClient.account.address,
+    });
+
+    if (!intent) {
+      this.logger.info(`${label} already has an active transaction intent, skipping`);
+      return { skipped: true };
+    }
+
     let lastError;
 
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-      try {
-        const walletClient = getWalletClient();
-
-        const hash = await walletClient.writeContract({
-          address: this.raffleAddress,
-          abi: RaffleAbi,
-          functionName,
-          args,
-        });
-
-        this.logger.info(`${label} TX submitted (attempt ${attempt}): ${hash}`);
-
-        // Wait for on-chain confirmation
-        const receipt = await publicClient.waitForTransactionReceipt({
-          hash,
-          confirmations: 1,
-          timeout: TX_RECEIPT_TIMEOUT_MS,
-        });
-
-        if (receipt.status === "reverted") {
-          throw new Error(`Transaction reverted on-chain (hash: ${hash})`);
-        }
+      const submitted = await txIntentService.submit(intent, {
+        walletClient,
+        publicClient,
+        label,
+        logger: this.logger,
+      });
+      const { result } = submitted;
+      intent = submitted.intent;
 
-        this.logger.info(`${label} TX confirmed: ${hash} (block ${receipt.blockNumber})`);
-        return { hash, receipt };
-      } catch (error) {
-        lastError = error;
-        this.logger.warn(
-          `${label} attempt ${attempt}/${MAX_RETRIES} failed: ${error.message}`
-        );
+      if (result.success) {
+        this.logger.info(`${label} TX confirmed: ${result.hash} (block ${result.blockNumber})`);
+        return { hash: result.hash, receipt: result.receipt };
+      }
 
-        if (attempt < MAX_RETRIES) {
-          const delayMs = RETRY_DELAYS_MS[attempt - 1];
-          this.logger.info(`${label} retrying in ${delayMs / 1000}s...`);
-          await new Promise((resolve) => setTimeout(resolve, delayMs));
-        }
+      lastError = new Error(
+        result.status === "reverted"
+          ? `Transaction reverted on-chain (hash: ${result.hash})`
+          : result.error
+      );
+      this.logger.warn(
+        `${label} attempt ${attempt}/${MAX_RETRIES} failed: ${lastError.message}`
+      );
+
+      // Still unmined after fee bumps: a new nonce would risk a duplicate, so
+      // leave the intent active for reconciliation
+      if (result.status === "pending") break;
+
+      if (attempt < MAX_RETRIES) {
+        const delayMs = RETRY_DELAYS_MS[attempt - 1];
+        this.logger.info(`${label} retrying in ${delayMs / 1000}s...`);
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
       }
     }
 
@@ -260,11 +904,12 @@ export class SeasonLifecycleService {
     this.logger.info(`🎬 Starting season ${seasonId} "${seasonName}"...`);
 
     try {
-      const { hash } = await this.submitWithRetry(
+      const { hash, skipped } = await this.submitWithRetry(
         "startSeason",
         [seasonId],
         `🎬 Season ${seasonId} start`
       );
+      if (skipped) return;
 
       this.logger.info(`✅ Season ${seasonId} started and confirmed! TX: ${hash}`);
 
@@ -275,7 +920,8 @@ export class SeasonLifecycleService {
       this.logger.error(`❌ Failed to start season ${seasonId} after ${MAX_RETRIES} attempts: ${error.message}`);
 
       await this.sendAlert(
-        `❌ Failed to auto-start season ${seasonId} "${seasonName}" after ${MAX_RETRIES} attempts\n\nError: ${error.message}`
+        `❌ Failed to auto-start season ${seasonId} "${seasonName}" after ${MAX_RETRIES} attempts\n\nError: ${error.message}`,
+        { severity: "CRITICAL" }
       );
     } finally {
       this.pendingSeasons.delete(dedupKey);
@@ -298,11 +944,12 @@ export class SeasonLifecycleService {
     this.logger.info(`🏁 Requesting end for season ${seasonId} "${seasonName}"...`);
 
     try {
-      const { hash } = await this.submitWithRetry(
+      const { hash, skipped } = await this.submitWithRetry(
         "requestSeasonEnd",
         [seasonId],
         `🏁 Season ${seasonId} end`
       );
+      if (skipped) return;
 
       this.logger.info(`✅ Season ${seasonId} end requested and confirmed! TX: ${hash}`);
 
@@ -315,7 +962,8 @@ export class SeasonLifecycleService {
       );
 
       await this.sendAlert(
-        `❌ Failed to auto-end season ${seasonId} "${seasonName}" after ${MAX_RETRIES} attempts\n\nError: ${error.message}`
+        `❌ Failed to auto-end season ${seasonId} "${seasonName}" after ${MAX_RETRIES} attempts\n\nError: ${error.message}`,
+        { severity: "CRITICAL" }
       );
     } finally {
       this.pendingSeasons.delete(dedupKey);
@@ -325,12 +973,14 @@ export class SeasonLifecycleService {
   /**
    * Send alert via adminAlertService if available
    * @param {string} message
+   * @param {{ key?: string, severity?: string }} [options]
    */
-  async sendAlert(message) {
+  async sendAlert(message, { key, severity = "INFO" } = {}) {
     try {
-      if (adminAlertService && typeof adminAlertService.sendAlert === "function") {
-        await adminAlertService.sendAlert(message);
-      }
+      await adminAlertService.sendAdminAlert(
+        { key, severity, message, details: { source: "season-lifecycle" } },
+        this.logger
+      );
     } catch (error) {
       this.logger.warn(`Failed to send alert: ${error.message}`);
     }
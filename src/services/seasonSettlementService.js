@@ -0,0 +1,521 @@
+/**
+ * @file seasonSettlementService.js
+ * @description Single path for settling a season's InfoFi markets.
+ *
+ * Settlement runs as a persisted state machine (season_settlements):
+ *   pending → onchain_resolved → db_settled → winnings_computed
+ * - onchain_resolved: InfoFiMarketFactory.resolveSeasonMarkets() confirmed
+ *   (or skipped on request)
+ * - db_settled: every infofi_markets row of the season marked settled
+ * - winnings_computed: payouts recorded for every market (infoFiPayoutService)
+ *
+ * A SeasonMarketsResolved log (recordOnchainResolution) also completes the
+ * onchain step, so a resolution sent by another process is not repeated.
+ *
+ * Each call to settleSeason() resumes from the stored status, so a failed
+ * transaction or database error leaves the season at its last completed step
+ * and the next call (dead-letter retry or admin retry) carries on from there.
+ * A run that stops short throws, so listeners dead-letter the log.
+ *
+ * A run claims the season (claimed_by / claimed_until) before running any
+ * step, so another replica does not send the same transaction meanwhile.
+ * Steps also advance with a compare-and-set on status, so concurrent callers
+ * do not repeat a step another process already finished.
+ */
+
+import os from "node:os";
+import { db, hasSupabase } from "../../shared/supabaseClient.js";
+import { publicClient, getWalletClient } from "../lib/viemClient.js";
+import { getChainByKey } from "../config/chain.js";
+import InfoFiMarketFactoryAbi from "../abis/InfoFiMarketFactoryAbi.js";
+import RaffleAbi from "../abis/RaffleAbi.js";
+import { getTransactionManager } from "./transactionManagerService.js";
+import {
+  infoFiPayoutService,
+  getWinningOutcome,
+} from "./infoFiPayoutService.js";
+
+const TABLE = "season_settlements";
+
+// A claim outlives the slowest run; expired claims can be taken over
+const CLAIM_TTL_MS = 10 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Whether another instance holds a live claim on a settlement row
+ * @param {{ claimed_by?: string|null, claimed_until?: string|null }} row
+ */
+function isClaimedElsewhere(row) {
+  return (
+    Boolean(row.claimed_by) &&
+    row.claimed_by !== INSTANCE_ID &&
+    Date.parse(row.claimed_until) > Date.now()
+  );
+}
+
+export const SETTLEMENT_STATES = [
+  "pending",
+  "onchain_resolved",
+  "db_settled",
+  "winnings_computed",
+];
+
+/**
+ * API view of a season_settlements row
+ * @param {object} row
+ */
+function toSettlementStatus(row) {
+  const index = SETTLEMENT_STATES.indexOf(row.status);
+  return {
+    seasonId: Number(row.season_id),
+    winnerAddress: row.winner_address,
+    status: row.status,
+    completed: row.status === "winnings_computed",
+    nextStep: SETTLEMENT_STATES[index + 1] ?? null,
+    onchain: {
+      txHash: row.onchain_tx_hash,
+      skipped: row.onchain_skipped,
+    },
+    marketsSettled: row.markets_settled,
+    winnings: row.winnings || [],
+    attempts: row.attempts,
+    claimedBy:
+      row.claimed_by && Date.parse(row.claimed_until) > Date.now()
+        ? row.claimed_by
+        : null,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+  };
+}
+
+class SeasonSettlementService {
+  constructor() {
+    /** @type {Map<number, Promise<object>>} In-process runs per season */
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Settle (or resume settling) a season's InfoFi markets
+   * @param {number} seasonId
+   * @param {object} params
+   * @param {string} params.winnerAddress - Season grand prize winner
+   * @param {boolean} [params.resolveOnchain] - false skips the on-chain step
+   * @param {object} [params.logger]
+   * @returns {Promise<ReturnType<typeof toSettlementStatus>>} Completed status;
+   *   rejects when the run stops short or another instance holds the season
+   */
+  settleSeason(seasonId, { winnerAddress, resolveOnchain = true, logger = console }) {
+    if (this.inFlight.has(seasonId)) return this.inFlight.get(seasonId);
+
+    const run = this.runSettlement(seasonId, {
+      winnerAddress,
+      resolveOnchain,
+      logger,
+    }).finally(() => this.inFlight.delete(seasonId));
+    this.inFlight.set(seasonId, run);
+    return run;
+  }
+
+  /**
+   * @param {number} seasonId
+   * @returns {Promise<ReturnType<typeof toSettlementStatus>|null>}
+   */
+  async getStatus(seasonId) {
+    const row = await this.getRow(seasonId);
+    return row ? toSettlementStatus(row) : null;
+  }
+
+  /**
+   * Grand prize winner of a season, read from the Raffle contract
+   * @param {number} seasonId
+   * @returns {Promise<string|null>} null while the season has no winners
+   */
+  async getOnchainWinner(seasonId) {
+    const network = process.env.DEFAULT_NETWORK || "TESTNET";
+    const raffleAddress = getChainByKey(network).raffle;
+    if (!raffleAddress) {
+      throw new Error(`RAFFLE_ADDRESS_${network} not configured`);
+    }
+
+    const winners = await publicClient.readContract({
+      address: raffleAddress,
+      abi: RaffleAbi,
+      functionName: "getWinners",
+      args: [BigInt(seasonId)],
+    });
+    return winners && winners.length > 0 ? winners[0] : null;
+  }
+
+  /**
+   * Delete a season's settlement row so the next run starts over, e.g. when
+   * it was pinned to the wrong winner. Market rows and unclaimed winnings are
+   * rewritten by that run. Refused once resolveSeasonMarkets() was sent,
+   * since the onchain resolution cannot be undone.
+   * @param {number} seasonId
+   * @returns {Promise<{ reset: boolean, reason?: "not_found"|"in_progress"|"resolved_onchain", previous?: ReturnType<typeof toSettlementStatus> }>}
+   */
+  async resetSettlement(seasonId) {
+    if (this.inFlight.has(seasonId)) return { reset: false, reason: "in_progress" };
+
+    const row = await this.getRow(seasonId);
+    if (!row) return { reset: false, reason: "not_found" };
+    if (row.onchain_tx_hash) return { reset: false, reason: "resolved_onchain" };
+    if (isClaimedElsewhere(row)) return { reset: false, reason: "in_progress" };
+
+    // Only delete the row as read; a concurrent step leaves it in place
+    const { data, error } = await db.client
+      .from(TABLE)
+      .delete()
+      .eq("season_id", seasonId)
+      .eq("status", row.status)
+      .select();
+
+    if (error) throw new Error(error.message);
+    if (!data || data.length === 0) return { reset: false, reason: "in_progress" };
+    return { reset: true, previous: toSettlementStatus(row) };
+  }
+
+  /**
+   * Record a SeasonMarketsResolved log: a pending season moves to
+   * onchain_resolved without sending resolveSeasonMarkets() itself, which
+   * also covers resolutions made outside the backend
+   * @param {number} seasonId
+   * @param {{ winnerAddress: string, txHash: string }} params
+   * @returns {Promise<ReturnType<typeof toSettlementStatus>>}
+   */
+  async recordOnchainResolution(seasonId, { winnerAddress, txHash }) {
+    const winner = winnerAddress.toLowerCase();
+    const row = await this.getOrCreateRow(seasonId, winner);
+    if (row.winner_address !== winner) {
+      throw new Error(
+        `Season ${seasonId} resolved onchain for ${winner} but settlement started for ${row.winner_address}`,
+      );
+    }
+
+    if (row.status !== "pending") return toSettlementStatus(row);
+    return toSettlementStatus(
+      await this.advance(row, "onchain_resolved", {
+        onchain_tx_hash: txHash,
+        onchain_skipped: false,
+      }),
+    );
+  }
+
+  /**
+   * Undo recordOnchainResolution() for resolution transactions orphaned by a
+   * reorg. Seasons that already moved past onchain_resolved are left alone.
+   * @param {string[]} txHashes
+   * @returns {Promise<number>} Seasons moved back to pending
+   */
+  async retractOnchainResolution(txHashes) {
+    if (txHashes.length === 0) return 0;
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .update({
+        status: "pending",
+        onchain_tx_hash: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("status", "onchain_resolved")
+      .in("onchain_tx_hash", txHashes)
+      .select();
+
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  }
+
+  async runSettlement(seasonId, { winnerAddress, resolveOnchain, logger }) {
+    if (!hasSupabase) {
+      throw new Error("Supabase not configured; cannot track settlement state");
+    }
+
+    const winner = winnerAddress.toLowerCase();
+    let row = await this.getOrCreateRow(seasonId, winner);
+    if (row.winner_address !== winner) {
+      throw new Error(
+        `Season ${seasonId} settlement already started for winner ${row.winner_address}`,
+      );
+    }
+
+    if (row.status === "winnings_computed") {
+      logger.info(`   Season ${seasonId} InfoFi settlement already complete`);
+      return toSettlementStatus(row);
+    }
+
+    const claimed = await this.claim(row);
+    if (!claimed) {
+      throw new Error(
+        `Season ${seasonId} settlement is being run by another instance`,
+      );
+    }
+    row = claimed;
+    logger.info(
+      `   ⚖️  Settling season ${seasonId} InfoFi markets from ${row.status} (attempt ${row.attempts})`,
+    );
+
+    try {
+      if (row.status === "pending") {
+        row = await this.resolveStep(row, { resolveOnchain, logger });
+      }
+      if (row.status === "onchain_resolved") {
+        row = await this.dbSettleStep(row, logger);
+      }
+      if (row.status === "db_settled") {
+        row = await this.winningsStep(row, logger);
+      }
+    } catch (error) {
+      logger.error(
+        `   ❌ Season ${seasonId} settlement stopped at ${row.status}: ${error.message}`,
+      );
+      await this.update(seasonId, {
+        last_error: error.message,
+        claimed_by: null,
+        claimed_until: null,
+      });
+      throw error;
+    }
+
+    row = await this.update(seasonId, { claimed_by: null, claimed_until: null });
+    return toSettlementStatus(row);
+  }
+
+  /**
+   * Claim a season for this instance, unless another one holds a live claim.
+   * Every claim bumps attempts and only applies to the row as read, so of
+   * two instances claiming at once only one gets it.
+   * @returns {Promise<object|null>} The claimed row, or null
+   */
+  async claim(row) {
+    if (isClaimedElsewhere(row)) return null;
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .update({
+        attempts: (row.attempts || 0) + 1,
+        claimed_by: INSTANCE_ID,
+        claimed_until: new Date(Date.now() + CLAIM_TTL_MS).toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("season_id", row.season_id)
+      .eq("attempts", row.attempts || 0)
+      .select();
+
+    if (error) throw new Error(error.message);
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * pending → onchain_resolved
+   */
+  async resolveStep(row, { resolveOnchain, logger }) {
+    const seasonId = Number(row.season_id);
+    if (!resolveOnchain) {
+      logger.info(`   Skipping onchain resolution for season ${seasonId}`);
+      return this.advance(row, "onchain_resolved", { onchain_skipped: true });
+    }
+
+    const hash = await this.resolveMarketsOnchain(seasonId, row.winner_address, logger);
+    return this.advance(row, "onchain_resolved", {
+      onchain_tx_hash: hash,
+      onchain_skipped: false,
+    });
+  }
+
+  /**
+   * Call InfoFiMarketFactory.resolveSeasonMarkets(); throws unless confirmed
+   * @returns {Promise<string>} Transaction hash
+   */
+  async resolveMarketsOnchain(seasonId, winnerAddress, logger) {
+    const network = process.env.DEFAULT_NETWORK || "TESTNET";
+    const infoFiFactoryAddress = getChainByKey(network).infofiFactory;
+    if (!infoFiFactoryAddress) {
+      throw new Error(`INFOFI_FACTORY_ADDRESS_${network} not configured`);
+    }
+
+    const wallet = getWalletClient(network);
+    if (!wallet) {
+      throw new Error("Wallet client not available for onchain resolution");
+    }
+
+    logger.info(
+      `   📡 Calling resolveSeasonMarkets(${seasonId}, ${winnerAddress}) on ${infoFiFactoryAddress}`,
+    );
+
+    const result = await getTransactionManager(logger).send({
+      walletClient: wallet,
+      publicClient,
+      to: infoFiFactoryAddress,
+      abi: InfoFiMarketFactoryAbi,
+      functionName: "resolveSeasonMarkets",
+      args: [BigInt(seasonId), winnerAddress],
+      priority: "high",
+      label: `resolveSeasonMarkets(${seasonId})`,
+    });
+
+    if (!result.success) {
+      throw new Error(`Onchain resolution ${result.status}: ${result.error}`);
+    }
+
+    logger.info(
+      `   ✅ Onchain market resolution successful (block: ${result.blockNumber})`,
+    );
+    return result.hash;
+  }
+
+  /**
+   * onchain_resolved → db_settled
+   */
+  async dbSettleStep(row, logger) {
+    const seasonId = Number(row.season_id);
+    const markets = await db.getInfoFiMarketsBySeasonId(seasonId);
+    const settlementTime = new Date().toISOString();
+
+    for (const market of markets) {
+      const isWinner =
+        market.player_address?.toLowerCase() === row.winner_address;
+
+      const { error } = await db.client
+        .from("infofi_markets")
+        .update({
+          is_active: false,
+          is_settled: true,
+          settlement_time: market.settlement_time || settlementTime,
+          winning_outcome: isWinner,
+          updated_at: settlementTime,
+        })
+        .eq("id", market.id);
+
+      if (error) {
+        throw new Error(`Failed to settle market ${market.id}: ${error.message}`);
+      }
+      logger.info(
+        `   ✅ DB settled market ${market.id} (player: ${market.player_address}, won: ${isWinner})`,
+      );
+    }
+
+    return this.advance(row, "db_settled", { markets_settled: markets.length });
+  }
+
+  /**
+   * db_settled → winnings_computed. Every market is attempted; the step only
+   * completes once all of them succeed (payouts are idempotent, so markets
+   * already done are simply re-checked on the next run).
+   */
+  async winningsStep(row, logger) {
+    const seasonId = Number(row.season_id);
+    const markets = await db.getInfoFiMarketsBySeasonId(seasonId);
+    const winnings = [];
+    const failed = [];
+
+    for (const market of markets) {
+      const isWinner =
+        market.player_address?.toLowerCase() === row.winner_address;
+      try {
+        const summary = await infoFiPayoutService.settleMarketPayouts(
+          market,
+          getWinningOutcome(isWinner),
+        );
+        winnings.push({
+          marketId: market.id,
+          winningOutcome: summary.winningOutcome,
+          winners: summary.payouts.length,
+          created: summary.created,
+          updated: summary.updated,
+          unchanged: summary.unchanged,
+          removed: summary.removed,
+          claimedMismatches: summary.claimedMismatches.length,
+          zeroBalance: summary.zeroBalance.length,
+        });
+        logger.info(
+          `   💰 Market ${market.id} payouts: ${summary.payouts.length} winner(s), ` +
+            `${summary.created} created, ${summary.updated} updated`,
+        );
+      } catch (error) {
+        failed.push(market.id);
+        winnings.push({ marketId: market.id, error: error.message });
+        logger.error(
+          `   Failed to record payouts for market ${market.id}: ${error.message}`,
+        );
+      }
+    }
+
+    if (failed.length > 0) {
+      await this.update(seasonId, { winnings });
+      throw new Error(`Payouts failed for market(s) ${failed.join(", ")}`);
+    }
+
+    return this.advance(row, "winnings_computed", {
+      winnings,
+      completed_at: new Date().toISOString(),
+    });
+  }
+
+  async getRow(seasonId) {
+    const { data, error } = await db.client
+      .from(TABLE)
+      .select("*")
+      .eq("season_id", seasonId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async getOrCreateRow(seasonId, winnerAddress) {
+    const existing = await this.getRow(seasonId);
+    if (existing) return existing;
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .insert({ season_id: seasonId, winner_address: winnerAddress })
+      .select()
+      .single();
+
+    if (error) {
+      // Created concurrently by another caller
+      if (error.code === "23505") return this.getRow(seasonId);
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  async update(seasonId, fields) {
+    const { data, error } = await db.client
+      .from(TABLE)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("season_id", seasonId)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Move to the next state only if the row is still in the state it was read
+   * in; otherwise return the row as another caller left it
+   */
+  async advance(row, status, fields = {}) {
+    const { data, error } = await db.client
+      .from(TABLE)
+      .update({
+        ...fields,
+        status,
+        last_error: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("season_id", row.season_id)
+      .eq("status", row.status)
+      .select();
+
+    if (error) throw new Error(error.message);
+    if (data && data.length > 0) return data[0];
+    return this.getRow(row.season_id);
+  }
+}
+
+export const seasonSettlementService = new SeasonSettlementService();
+export default seasonSettlementService;
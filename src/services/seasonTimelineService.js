@@ -0,0 +1,223 @@
+/**
+ * @file seasonTimelineService.js
+ * @description Raffle season lifecycle timeline.
+ *
+ * Lifecycle events from the Raffle contract are stored one row per log in
+ * season_timeline_events. getTimeline() returns them in time order together
+ * with the stage the season has reached and any failures after it, which is
+ * what ops need to tell where a season is stuck. The season watchdog records
+ * its own actions (SLA breaches, finalization retries) on the same timeline.
+ */
+
+import { db, hasSupabase } from "../../shared/supabaseClient.js";
+
+const TABLE = "season_timeline_events";
+
+/**
+ * Lifecycle stages in the order a healthy season reaches them
+ */
+export const SEASON_STAGES = [
+  { event: "SeasonCreated", stage: "created" },
+  { event: "SeasonStarted", stage: "active" },
+  { event: "SeasonEndRequested", stage: "end_requested" },
+  { event: "SeasonLocked", stage: "locked" },
+  { event: "VRFFulfilled", stage: "vrf_fulfilled" },
+  { event: "WinnersSelected", stage: "winners_selected" },
+  { event: "PrizeDistributionSetup", stage: "distribution_setup" },
+  { event: "SeasonCompleted", stage: "completed" },
+];
+
+/**
+ * Events that report a problem rather than progress
+ */
+export const SEASON_FAILURE_EVENTS = [
+  "PrizeDistributionFailed",
+  "AutoFinalizeFailed",
+  "AutoFinalizeFailedLowLevel",
+];
+
+/**
+ * Every Raffle event recorded on the timeline
+ */
+export const SEASON_TIMELINE_EVENTS = [
+  ...SEASON_STAGES.map(({ event }) => event),
+  "AutoFinalizeAttempted",
+  ...SEASON_FAILURE_EVENTS,
+];
+
+/**
+ * Actions recorded by the season watchdog (source = 'watchdog')
+ */
+export const WATCHDOG_EVENTS = {
+  SLA_EXCEEDED: "WatchdogSlaExceeded",
+  FINALIZE_RETRIED: "WatchdogFinalizeRetried",
+};
+
+/**
+ * @param {{ event_name: string, data?: object }} event
+ */
+function isFailureEvent(event) {
+  if (SEASON_FAILURE_EVENTS.includes(event.event_name)) return true;
+  if (event.event_name === WATCHDOG_EVENTS.SLA_EXCEEDED) return true;
+  return (
+    (event.event_name === "AutoFinalizeAttempted" ||
+      event.event_name === WATCHDOG_EVENTS.FINALIZE_RETRIED) &&
+    event.data?.success === false
+  );
+}
+
+/**
+ * JSON-safe copy of decoded event args (bigints as strings)
+ * @param {Record<string, unknown>} args
+ */
+function serializeArgs(args = {}) {
+  return JSON.parse(
+    JSON.stringify(args, (_key, value) =>
+      typeof value === "bigint" ? value.toString() : value,
+    ),
+  );
+}
+
+/**
+ * Furthest stage reached and failures recorded after it
+ * @param {Array<{ event_name: string, block_timestamp: string|null, data: object }>} events - Chain order
+ */
+export function deriveSeasonStatus(events) {
+  let stageIndex = -1;
+  let stageAt = null;
+  let stageEventIndex = -1;
+
+  events.forEach((event, index) => {
+    const position = SEASON_STAGES.findIndex(
+      ({ event: name }) => name === event.event_name,
+    );
+    if (position > stageIndex) {
+      stageIndex = position;
+      stageAt = event.block_timestamp;
+      stageEventIndex = index;
+    }
+  });
+
+  const failures = events.slice(stageEventIndex + 1).filter(isFailureEvent);
+
+  return {
+    stage: stageIndex === -1 ? null : SEASON_STAGES[stageIndex].stage,
+    stageReachedAt: stageAt,
+    nextStage:
+      stageIndex + 1 < SEASON_STAGES.length
+        ? SEASON_STAGES[stageIndex + 1].stage
+        : null,
+    failuresSinceStage: failures.map((event) => ({
+      eventName: event.event_name,
+      at: event.block_timestamp,
+      data: event.data,
+    })),
+  };
+}
+
+class SeasonTimelineService {
+  /**
+   * Record a lifecycle event log (idempotent via tx_hash + log_index)
+   * @param {object} log - Decoded viem log with eventName and args.seasonId
+   * @param {string|null} [blockTimestamp] - ISO block timestamp
+   * @returns {Promise<{ alreadyRecorded: boolean }>}
+   */
+  async recordEvent(log, blockTimestamp = null) {
+    if (!hasSupabase) return { alreadyRecorded: false };
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .upsert(
+        {
+          season_id: Number(log.args.seasonId),
+          event_name: log.eventName,
+          block_number: Number(log.blockNumber),
+          block_timestamp: blockTimestamp,
+          tx_hash: log.transactionHash,
+          log_index: log.logIndex,
+          data: serializeArgs(log.args),
+        },
+        { onConflict: "tx_hash,log_index", ignoreDuplicates: true },
+      )
+      .select("id");
+
+    if (error) throw new Error(error.message);
+    return { alreadyRecorded: !data || data.length === 0 };
+  }
+
+  /**
+   * Record a watchdog action on a season's timeline
+   * @param {number} seasonId
+   * @param {string} eventName - One of WATCHDOG_EVENTS
+   * @param {object} [data]
+   */
+  async recordAction(seasonId, eventName, data = {}) {
+    if (!hasSupabase) return;
+
+    const { error } = await db.client.from(TABLE).insert({
+      season_id: seasonId,
+      event_name: eventName,
+      source: "watchdog",
+      block_timestamp: new Date().toISOString(),
+      data: serializeArgs(data),
+    });
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Remove events whose blocks were orphaned by a chain reorg
+   * @param {string[]} txHashes
+   * @returns {Promise<{ removed: number }>}
+   */
+  async retractEvents(txHashes) {
+    const hashes = [...new Set((txHashes || []).filter(Boolean))];
+    if (!hasSupabase || hashes.length === 0) return { removed: 0 };
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .delete()
+      .in("tx_hash", hashes)
+      .select("id");
+
+    if (error) throw new Error(error.message);
+    return { removed: data?.length || 0 };
+  }
+
+  /**
+   * A season's lifecycle events and watchdog actions in time order, with its
+   * derived status
+   * @param {number} seasonId
+   */
+  async getTimeline(seasonId) {
+    const { data, error } = await db.client
+      .from(TABLE)
+      .select(
+        "event_name, source, block_number, block_timestamp, tx_hash, log_index, data",
+      )
+      .eq("season_id", seasonId)
+      .order("block_timestamp", { ascending: true })
+      .order("block_number", { ascending: true })
+      .order("log_index", { ascending: true });
+
+    if (error) throw new Error(error.message);
+    const events = data || [];
+
+    return {
+      seasonId,
+      ...deriveSeasonStatus(events),
+      events: events.map((event) => ({
+        eventName: event.event_name,
+        source: event.source,
+        blockNumber: event.block_number,
+        timestamp: event.block_timestamp,
+        txHash: event.tx_hash,
+        logIndex: event.log_index,
+        data: event.data,
+      })),
+    };
+  }
+}
+
+export const seasonTimelineService = new SeasonTimelineService();
+export default seasonTimelineService;
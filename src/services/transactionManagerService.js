@@ -0,0 +1,35 @@
+/**
+ * @file transactionManagerService.js
+ * @description Process-wide transaction manager shared by every backend
+ * contract write (season lifecycle, oracle updates, market creation and
+ * resolution, airdrop relays, sponsor hat mints), so writes from the same
+ * backend key share one nonce sequence instead of colliding.
+ */
+
+import process from "node:process";
+import { createTransactionManager } from "../lib/transactionManager.js";
+
+let transactionManager = null;
+
+/**
+ * Get or create the shared transaction manager
+ * @param {Object} [logger] - Logger instance
+ * @returns {ReturnType<typeof createTransactionManager>}
+ */
+export function getTransactionManager(logger) {
+  if (!transactionManager) {
+    transactionManager = createTransactionManager({
+      replaceAfterMs: process.env.TX_REPLACE_AFTER_MS
+        ? parseInt(process.env.TX_REPLACE_AFTER_MS)
+        : undefined,
+      maxReplacements: process.env.TX_MAX_REPLACEMENTS
+        ? parseInt(process.env.TX_MAX_REPLACEMENTS)
+        : undefined,
+      feeBumpPercent: process.env.TX_FEE_BUMP_PERCENT
+        ? parseInt(process.env.TX_FEE_BUMP_PERCENT)
+        : undefined,
+      logger: logger || console,
+    });
+  }
+  return transactionManager;
+}
@@ -0,0 +1,378 @@
+/**
+ * @file txIntentService.js
+ * @description Durable intents for backend contract writes.
+ *
+ * A write is claimed in transaction_intents before anything is signed; the
+ * partial unique index on intent_key means a restarted process or a second
+ * replica finds the active claim and skips instead of submitting twice.
+ * Intents are sent through the shared transaction manager, and the nonce,
+ * hash and fees are recorded before each raw transaction is broadcast,
+ * so reconcile() can later tell from receipts and the signer's nonce whether
+ * the transaction landed, is still pending (speed it up) or was dropped
+ * (resubmit with the same nonce).
+ */
+
+import { db, hasSupabase } from "../../shared/supabaseClient.js";
+import { getTransactionManager } from "./transactionManagerService.js";
+
+const TABLE = "transaction_intents";
+
+export const ACTIVE_INTENT_STATUSES = ["pending", "submitted"];
+
+// A pending intent without a hash may be mid-signing in another process;
+// it is only treated as never broadcast once untouched for this long
+export const UNSIGNED_INTENT_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * JSON-safe copy of call args (bigints as strings)
+ * @param {unknown[]} args
+ */
+function serializeArgs(args = []) {
+  return JSON.parse(
+    JSON.stringify(args, (_key, value) =>
+      typeof value === "bigint" ? value.toString() : value,
+    ),
+  );
+}
+
+async function getReceipt(publicClient, hash) {
+  try {
+    return await publicClient.getTransactionReceipt({ hash });
+  } catch {
+    return null;
+  }
+}
+
+async function getPendingTransaction(publicClient, hash) {
+  try {
+    return await publicClient.getTransaction({ hash });
+  } catch {
+    return null;
+  }
+}
+
+class TxIntentService {
+  /**
+   * Claim an intent. Returns null when an active intent with the same key
+   * already exists (in flight here, on another replica, or before a restart).
+   * @param {object} params
+   * @param {string} params.intentKey - e.g. "<raffle>:startSeason:3"
+   * @param {string} params.contractAddress
+   * @param {string} params.functionName
+   * @param {unknown[]} params.args
+   * @param {string} params.calldata - Encoded function data
+   * @param {string} params.signer - Address of the backend wallet
+   * @returns {Promise<object|null>} transaction_intents row
+   */
+  async claim({ intentKey, contractAddress, functionName, args, calldata, signer }) {
+    if (!hasSupabase) {
+      throw new Error("Supabase not configured; cannot record transaction intent");
+    }
+
+    const { data, error } = await db.client
+      .from(TABLE)
+      .insert({
+        intent_key: intentKey,
+        contract_address: contractAddress.toLowerCase(),
+        function_name: functionName,
+        args: serializeArgs(args),
+        calldata,
+        signer: signer.toLowerCase(),
+        status: "pending",
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return null;
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  /**
+   * @param {number} id
+   * @param {object} fields - Columns to update
+   * @returns {Promise<object>} Updated row
+   */
+  async update(id, fields) {
+    const { data, error } = await db.client
+      .from(TABLE)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Active intents, optionally only those untouched for a while
+   * @param {{ contractAddress?: string, staleAfterMs?: number }} [params]
+   */
+  async listActive({ contractAddress, staleAfterMs = 0 } = {}) {
+    let query = db.client
+      .from(TABLE)
+      .select("*")
+      .in("status", ACTIVE_INTENT_STATUSES)
+      .order("id", { ascending: true });
+
+    if (contractAddress) {
+      query = query.eq("contract_address", contractAddress.toLowerCase());
+    }
+    if (staleAfterMs > 0) {
+      query = query.lt(
+        "updated_at",
+        new Date(Date.now() - staleAfterMs).toISOString(),
+      );
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * Send an intent's transaction through the shared transaction manager. The
+   * nonce, hash and fees of every broadcast, including fee-bumped
+   * replacements, are stored before the raw transaction is sent.
+   * @param {object} intent - transaction_intents row
+   * @param {object} params
+   * @param {object} params.walletClient - viem WalletClient with a local account
+   * @param {object} params.publicClient - viem PublicClient
+   * @param {boolean} [params.replace] - Reuse the intent's nonce and outbid its fees
+   * @param {boolean} [params.waitForReceipt] - Resolve once mined (default) or once broadcast
+   * @param {string} [params.label]
+   * @param {object} [params.logger]
+   * @returns {Promise<{ result: import('../lib/transactionManager.js').TransactionResult, intent: object }>}
+   */
+  async submit(
+    intent,
+    {
+      walletClient,
+      publicClient,
+      replace = false,
+      waitForReceipt = true,
+      label,
+      logger = console,
+    },
+  ) {
+    let current = intent;
+    const result = await getTransactionManager(logger).send({
+      walletClient,
+      publicClient,
+      to: intent.contract_address,
+      data: intent.calldata,
+      nonce: replace && intent.nonce !== null ? Number(intent.nonce) : undefined,
+      minFees:
+        replace && intent.max_fee_per_gas !== null
+          ? {
+              maxFeePerGas: intent.max_fee_per_gas,
+              maxPriorityFeePerGas: intent.max_priority_fee_per_gas,
+            }
+          : undefined,
+      priority: "high",
+      label: label || intent.intent_key,
+      waitForReceipt,
+      onSigned: async (signed) => {
+        const replaced = current.replaced_tx_hashes || [];
+        current = await this.update(intent.id, {
+          status: "submitted",
+          nonce: signed.nonce,
+          tx_hash: signed.hash,
+          replaced_tx_hashes:
+            current.tx_hash && current.tx_hash !== signed.hash
+              ? [...replaced, current.tx_hash]
+              : replaced,
+          max_fee_per_gas: signed.maxFeePerGas?.toString() ?? null,
+          max_priority_fee_per_gas: signed.maxPriorityFeePerGas?.toString() ?? null,
+          attempts: (current.attempts || 0) + 1,
+          error_message: null,
+        });
+      },
+    });
+
+    const record = async (final) => {
+      current = await this.recordResult(current, final, { replace });
+      return current;
+    };
+
+    if (waitForReceipt) {
+      await record(result);
+    } else if (result.confirmation) {
+      result.confirmation.then(record).catch((error) => {
+        logger.warn(
+          `[TX_INTENT] ⚠️  Failed to record result for ${intent.intent_key}: ${error.message}`,
+        );
+      });
+    } else {
+      await record(result);
+    }
+
+    return { result, intent: current };
+  }
+
+  /**
+   * Store a transaction manager result on an intent. Transactions that may
+   * still land (unmined after replacements, unreadable receipt, a failed
+   * replacement of a broadcast intent) stay active for reconciliation.
+   * @param {object} intent
+   * @param {import('../lib/transactionManager.js').TransactionResult} result
+   * @param {{ replace?: boolean }} [options]
+   */
+  async recordResult(intent, result, { replace = false } = {}) {
+    if (result.status === "submitted") return intent;
+    if (result.receipt) return this.recordReceipt(intent, result.receipt);
+
+    const neverSent = result.hashes.length === 0 && !replace;
+    return this.update(intent.id, {
+      ...(neverSent ? { status: "failed" } : {}),
+      error_message: result.error,
+    });
+  }
+
+  /**
+   * Record a mined receipt on an intent
+   * @param {object} intent
+   * @param {object} receipt - viem TransactionReceipt
+   */
+  async recordReceipt(intent, receipt) {
+    const success = receipt.status === "success";
+    return this.update(intent.id, {
+      status: success ? "confirmed" : "failed",
+      tx_hash: receipt.transactionHash,
+      block_number: Number(receipt.blockNumber),
+      error_message: success ? null : "Transaction reverted on-chain",
+    });
+  }
+
+  /**
+   * Resolve active intents left behind by a restart, a crashed replica or
+   * exhausted retries:
+   * - mined (original or a replacement) → confirmed / failed
+   * - still in the mempool → sped up with bumped fees
+   * - gone and its nonce unused → resubmitted with the same nonce
+   * - gone and its nonce used by something else, or never broadcast (and
+   *   stale) → dropped
+   * - never broadcast but recently claimed → skipped
+   * @param {object} params
+   * @param {object} params.walletClient
+   * @param {object} params.publicClient
+   * @param {string} [params.contractAddress]
+   * @param {number} [params.staleAfterMs] - Skip intents updated more recently
+   * @param {object} [params.logger]
+   * @returns {Promise<Record<string, number>>} Count per outcome
+   */
+  async reconcile({
+    walletClient,
+    publicClient,
+    contractAddress,
+    staleAfterMs = 0,
+    logger = console,
+  }) {
+    const summary = {
+      confirmed: 0,
+      failed: 0,
+      spedUp: 0,
+      resubmitted: 0,
+      dropped: 0,
+      skipped: 0,
+    };
+    if (!hasSupabase) return summary;
+
+    const intents = await this.listActive({ contractAddress, staleAfterMs });
+    for (const intent of intents) {
+      try {
+        const outcome = await this.reconcileIntent(intent, {
+          walletClient,
+          publicClient,
+          logger,
+        });
+        summary[outcome] += 1;
+        logger.info(
+          `[TX_INTENT] ${intent.intent_key}: ${outcome}${intent.tx_hash ? ` (${intent.tx_hash})` : ""}`,
+        );
+      } catch (error) {
+        logger.warn(
+          `[TX_INTENT] ⚠️  Failed to reconcile ${intent.intent_key}: ${error.message}`,
+        );
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * @param {object} intent
+   * @param {{ walletClient: object, publicClient: object, logger?: object }} clients
+   * @returns {Promise<"confirmed"|"failed"|"spedUp"|"resubmitted"|"dropped"|"skipped">}
+   */
+  async reconcileIntent(intent, { walletClient, publicClient, logger }) {
+    if (!intent.tx_hash) {
+      const touchedAt = Date.parse(intent.updated_at || intent.created_at);
+      if (
+        Number.isFinite(touchedAt) &&
+        Date.now() - touchedAt < UNSIGNED_INTENT_STALE_MS
+      ) {
+        return "skipped";
+      }
+      await this.update(intent.id, {
+        status: "dropped",
+        error_message: "Never broadcast",
+      });
+      return "dropped";
+    }
+
+    // A replaced transaction may be the one that landed
+    const receipts = [];
+    for (const hash of [intent.tx_hash, ...(intent.replaced_tx_hashes || [])]) {
+      receipts.push(await getReceipt(publicClient, hash));
+    }
+    const mined =
+      receipts.find((receipt) => receipt?.status === "success") ||
+      receipts[0];
+    if (mined) {
+      const updated = await this.recordReceipt(intent, mined);
+      return updated.status;
+    }
+
+    const clients = {
+      walletClient,
+      publicClient,
+      logger,
+      replace: true,
+      waitForReceipt: false,
+    };
+    if (await getPendingTransaction(publicClient, intent.tx_hash)) {
+      await this.resubmit(intent, clients);
+      return "spedUp";
+    }
+
+    const minedNonce = await publicClient.getTransactionCount({
+      address: intent.signer,
+      blockTag: "latest",
+    });
+    if (minedNonce > Number(intent.nonce)) {
+      await this.update(intent.id, {
+        status: "dropped",
+        error_message: `Nonce ${intent.nonce} used by another transaction`,
+      });
+      return "dropped";
+    }
+
+    await this.resubmit(intent, clients);
+    return "resubmitted";
+  }
+
+  /**
+   * Re-sign an intent with its nonce and higher fees; throws if it could not
+   * be broadcast
+   */
+  async resubmit(intent, clients) {
+    const { result } = await this.submit(intent, clients);
+    if (result.status === "failed") throw new Error(result.error);
+  }
+}
+
+export const txIntentService = new TxIntentService();
+export default txIntentService;
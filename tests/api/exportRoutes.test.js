@@ -0,0 +1,143 @@
+// tests/api/exportRoutes.test.js
+// @vitest-environment node
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  vi,
+} from "vitest";
+import fastify from "fastify";
+
+const { mockFrom, getUserAccess } = vi.hoisted(() => ({
+  mockFrom: vi.fn(),
+  getUserAccess: vi.fn(),
+}));
+
+vi.mock("../../shared/accessService.js", () => ({
+  getUserAccess,
+  ACCESS_LEVELS: { PUBLIC: 0, CONNECTED: 1, ALLOWLIST: 2, BETA: 3, ADMIN: 4 },
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  db: { client: { from: (...args) => mockFrom(...args) } },
+}));
+
+/**
+ * Chainable query serving `pages` in order, recording filter calls
+ */
+function pagedQuery(pages, calls) {
+  const query = {};
+  for (const method of ["select", "eq", "in", "ilike", "gte", "lte", "gt", "order"]) {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  }
+  query.limit = async () => ({ data: pages.shift() || [], error: null });
+  return query;
+}
+
+let app;
+let currentUser = null;
+
+beforeAll(async () => {
+  const mod = await import("../../fastify/routes/exportRoutes.js");
+  app = fastify({ logger: false });
+  app.addHook("preHandler", async (request) => {
+    if (currentUser) request.user = currentUser;
+  });
+  await app.register(mod.default);
+  await app.ready();
+});
+
+afterAll(async () => {
+  if (app) await app.close();
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  currentUser = { fid: 1, wallet_address: "0x1111111111111111111111111111111111111111" };
+  getUserAccess.mockResolvedValue({ level: 4, levelName: "admin", groups: [] });
+});
+
+describe("exportRoutes", () => {
+  it("requires admin access", async () => {
+    getUserAccess.mockResolvedValueOnce({ level: 2, levelName: "allowlist" });
+
+    const res = await app.inject({ method: "GET", url: "/raffle-transactions" });
+
+    expect(res.statusCode).toBe(403);
+    expect(mockFrom).not.toHaveBeenCalled();
+  });
+
+  it("rejects unknown datasets and unsupported filters", async () => {
+    const unknown = await app.inject({ method: "GET", url: "/players" });
+    expect(unknown.statusCode).toBe(404);
+
+    const filter = await app.inject({
+      method: "GET",
+      url: "/infofi-odds-history?user=0x1111111111111111111111111111111111111111",
+    });
+    expect(filter.statusCode).toBe(400);
+    expect(filter.json().error).toContain("user");
+  });
+
+  it("streams CSV across pages with filters applied", async () => {
+    const calls = [];
+    const firstPage = Array.from({ length: 1000 }, (_, i) => ({
+      id: i + 1,
+      season_id: 2,
+      user_address: "0xabc",
+      transaction_type: "BUY",
+      tx_hash: i === 0 ? 'say "hi", ok' : `0x${i}`,
+    }));
+    const pages = [firstPage, [{ id: 1001, season_id: 2, tx_hash: "0xlast" }]];
+    mockFrom.mockImplementation(() => pagedQuery(pages, calls));
+
+    const res = await app.inject({
+      method: "GET",
+      url: "/raffle-transactions?season=2&from=2026-01-01T00:00:00Z",
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toContain("text/csv");
+    expect(res.headers["content-disposition"]).toMatch(
+      /^attachment; filename="raffle-transactions-.*\.csv"$/,
+    );
+
+    const lines = res.body.trim().split("\r\n");
+    expect(lines).toHaveLength(1002);
+    expect(lines[0]).toMatch(/^id,season_id,user_address,/);
+    expect(lines[1]).toContain('"say ""hi"", ok"');
+    expect(calls).toContainEqual(["eq", "season_id", 2]);
+    expect(calls).toContainEqual(["gte", "block_timestamp", "2026-01-01T00:00:00.000Z"]);
+    expect(calls).toContainEqual(["gt", "id", 1000]);
+  });
+
+  it("streams NDJSON and resolves season filters through markets", async () => {
+    const calls = [];
+    mockFrom.mockImplementation((table) => {
+      if (table === "infofi_markets") {
+        return {
+          select: () => ({
+            eq: async () => ({ data: [{ id: 7 }, { id: 8 }], error: null }),
+          }),
+        };
+      }
+      return pagedQuery([[{ id: 1, market_id: 7, amount: "5" }]], calls);
+    });
+
+    const res = await app.inject({
+      method: "GET",
+      url: "/infofi-winnings?format=ndjson&season=3",
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toContain("application/x-ndjson");
+    expect(res.body).toBe('{"id":1,"market_id":7,"amount":"5"}\n');
+    expect(calls).toContainEqual(["in", "market_id", [7, 8]]);
+  });
+});
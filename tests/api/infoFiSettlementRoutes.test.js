@@ -0,0 +1,148 @@
+// tests/api/infoFiSettlementRoutes.test.js
+// @vitest-environment node
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "vitest";
+import Fastify from "fastify";
+
+const {
+  mockGetUserAccess,
+  mockGetOnchainWinner,
+  mockSettleSeason,
+  mockResetSettlement,
+  mockGetStatus,
+  mockEnqueueAction,
+} = vi.hoisted(() => ({
+  mockGetUserAccess: vi.fn(),
+  mockGetOnchainWinner: vi.fn(),
+  mockSettleSeason: vi.fn(),
+  mockResetSettlement: vi.fn(),
+  mockGetStatus: vi.fn(),
+  mockEnqueueAction: vi.fn(),
+}));
+
+vi.mock("../../shared/accessService.js", () => ({
+  getUserAccess: mockGetUserAccess,
+  ACCESS_LEVELS: { PUBLIC: 0, CONNECTED: 1, ALLOWLIST: 2, BETA: 3, ADMIN: 4 },
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: { readContract: vi.fn() },
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  supabase: { from: vi.fn() },
+  db: {},
+}));
+
+vi.mock("../../src/services/seasonSettlementService.js", () => ({
+  seasonSettlementService: {
+    getOnchainWinner: mockGetOnchainWinner,
+    settleSeason: mockSettleSeason,
+    resetSettlement: mockResetSettlement,
+    getStatus: mockGetStatus,
+  },
+}));
+
+vi.mock("../../src/services/seasonAutomationService.js", () => ({
+  seasonAutomationService: { enqueueAction: mockEnqueueAction },
+  SEASON_ADMIN_ACTIONS: { SETTLE: "settle" },
+}));
+
+const { default: infoFiRoutes } = await import(
+  "../../fastify/routes/infoFiRoutes.js"
+);
+
+const WINNER = "0xAAAAaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+describe("InfoFi settlement admin routes", () => {
+  let app;
+  let currentUser;
+
+  beforeAll(async () => {
+    app = Fastify();
+    app.addHook("preHandler", async (request) => {
+      if (currentUser) request.user = currentUser;
+    });
+    await app.register(infoFiRoutes, { prefix: "/api/infofi" });
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    currentUser = { fid: 1 };
+    mockGetUserAccess.mockResolvedValue({ level: 4 });
+    mockGetOnchainWinner.mockResolvedValue(WINNER);
+    mockEnqueueAction.mockResolvedValue({ id: 12, status: "queued" });
+  });
+
+  const settle = (body) =>
+    app.inject({ method: "POST", url: "/api/infofi/admin/settle-season", payload: body });
+
+  it("requires an admin", async () => {
+    currentUser = null;
+    expect((await settle({ seasonId: 1, winnerAddress: WINNER })).statusCode).toBe(401);
+
+    currentUser = { fid: 2 };
+    mockGetUserAccess.mockResolvedValue({ level: 1 });
+    expect((await settle({ seasonId: 1, winnerAddress: WINNER })).statusCode).toBe(403);
+    expect(mockEnqueueAction).not.toHaveBeenCalled();
+  });
+
+  it("refuses a winner that does not match the chain", async () => {
+    const response = await settle({ seasonId: 1, winnerAddress: "0xbbbb" });
+    expect(response.statusCode).toBe(400);
+
+    mockGetOnchainWinner.mockResolvedValueOnce(null);
+    expect((await settle({ seasonId: 1, winnerAddress: WINNER })).statusCode).toBe(409);
+    expect(mockEnqueueAction).not.toHaveBeenCalled();
+  });
+
+  it("queues the settlement for the leader instead of settling inline", async () => {
+    const response = await settle({ seasonId: 1, winnerAddress: WINNER.toLowerCase() });
+
+    expect(response.statusCode).toBe(202);
+    expect(response.json()).toEqual({ actionId: 12, status: "queued" });
+    expect(mockEnqueueAction).toHaveBeenCalledWith({
+      action: "settle",
+      seasonId: 1,
+      actor: { fid: 1, wallet: null },
+      params: { winnerAddress: WINNER.toLowerCase(), resolveOnchain: true },
+    });
+    expect(mockSettleSeason).not.toHaveBeenCalled();
+  });
+
+  it("reports a settlement that could not be queued", async () => {
+    mockEnqueueAction.mockRejectedValueOnce(new Error("insert failed"));
+
+    const response = await settle({ seasonId: 1, winnerAddress: WINNER });
+
+    expect(response.statusCode).toBe(500);
+    expect(response.json()).toMatchObject({ details: "insert failed" });
+  });
+
+  it("resets a settlement unless it was resolved onchain", async () => {
+    mockResetSettlement.mockResolvedValueOnce({ reset: true, previous: { winnerAddress: "0xbbbb", status: "winnings_computed" } });
+    const reset = await app.inject({
+      method: "POST",
+      url: "/api/infofi/admin/seasons/1/settlement/reset",
+    });
+    expect(reset.statusCode).toBe(200);
+
+    mockResetSettlement.mockResolvedValueOnce({ reset: false, reason: "resolved_onchain" });
+    const refused = await app.inject({
+      method: "POST",
+      url: "/api/infofi/admin/seasons/1/settlement/reset",
+    });
+    expect(refused.statusCode).toBe(409);
+  });
+});
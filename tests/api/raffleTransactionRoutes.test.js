@@ -290,3 +290,24 @@ describe("GET /holders/season/:seasonId", () => {
     expect(body.error).toBe("DB connection failed");
   });
 });
+
+describe("GET /seasons/:seasonId/price-history", () => {
+  it("should reject an unsupported resolution", async () => {
+    const res = await app.inject({
+      method: "GET",
+      url: "/seasons/1/price-history?resolution=5m",
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.json().error).toContain("Invalid resolution");
+  });
+
+  it("should reject an invalid time bound", async () => {
+    const res = await app.inject({
+      method: "GET",
+      url: "/seasons/1/price-history?from=yesterday",
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -37,6 +37,12 @@ vi.mock("../../shared/usernameService.js", () => ({
   },
 }));
 
+const { getPortfolio } = vi.hoisted(() => ({ getPortfolio: vi.fn() }));
+
+vi.mock("../../src/services/portfolioService.js", () => ({
+  portfolioService: { getPortfolio },
+}));
+
 let userRoutesPlugin;
 let app;
 
@@ -88,4 +94,26 @@ describe("userRoutes (mocked)", () => {
     expect(Array.isArray(body.positions)).toBe(true);
     expect(body.count).toBe(0);
   });
+
+  it("GET /:address/portfolio validates address", async () => {
+    const res = await app.inject({
+      method: "GET",
+      url: "/invalid-address/portfolio",
+    });
+    expect(res.statusCode).toBe(400);
+    expect(getPortfolio).not.toHaveBeenCalled();
+  });
+
+  it("GET /:address/portfolio returns the portfolio", async () => {
+    getPortfolio.mockResolvedValue({ address: existing, raffle: [], infoFi: [] });
+
+    const res = await app.inject({
+      method: "GET",
+      url: `/${existing}/portfolio`,
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(getPortfolio).toHaveBeenCalledWith(existing);
+    expect(JSON.parse(res.body).address).toBe(existing);
+  });
 });
@@ -0,0 +1,180 @@
+// tests/backend/backfillRecordHandlers.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const mocks = vi.hoisted(() => ({
+  getBlock: vi.fn(),
+  readContract: vi.fn(),
+  recordPosition: vi.fn(),
+  getTradeAmounts: vi.fn(),
+  recordTransaction: vi.fn(),
+  recordTrade: vi.fn(),
+  oracle: { updateMarketSentiment: vi.fn(), updateRaffleProbability: vi.fn() },
+  paymaster: { createMarket: vi.fn(), initialized: true },
+  recordOddsUpdate: vi.fn(),
+  updateMarketProbabilityByFpmm: vi.fn(),
+  updateAllPlayerProbabilities: vi.fn(),
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: { getBlock: mocks.getBlock, readContract: mocks.readContract },
+}));
+vi.mock("../../shared/supabaseClient.js", () => ({
+  db: {
+    updateMarketProbabilityByFpmm: mocks.updateMarketProbabilityByFpmm,
+    updateAllPlayerProbabilities: mocks.updateAllPlayerProbabilities,
+  },
+}));
+vi.mock("../../shared/historicalOddsService.js", () => ({
+  historicalOddsService: { recordOddsUpdate: mocks.recordOddsUpdate },
+}));
+vi.mock("../../src/services/oracleCallService.js", () => ({
+  oracleCallService: mocks.oracle,
+}));
+vi.mock("../../src/services/paymasterService.js", () => ({
+  getPaymasterService: () => mocks.paymaster,
+}));
+vi.mock("../../src/services/sseService.js", () => ({ getSSEService: () => ({}) }));
+vi.mock("../../src/services/infoFiPositionService.js", () => ({
+  infoFiPositionService: { recordPosition: mocks.recordPosition },
+}));
+vi.mock("../../src/services/raffleTransactionService.js", () => ({
+  raffleTransactionService: {
+    getTradeAmounts: mocks.getTradeAmounts,
+    recordTransaction: mocks.recordTransaction,
+  },
+}));
+vi.mock("../../src/services/bondingCurvePriceService.js", () => ({
+  bondingCurvePriceService: { recordTrade: mocks.recordTrade },
+}));
+vi.mock("../../src/services/leaderboardService.js", () => ({
+  leaderboardService: { invalidate: vi.fn() },
+}));
+vi.mock("../../src/services/positionRefreshService.js", () => ({
+  positionRefreshService: { schedule: vi.fn() },
+}));
+vi.mock("../../src/services/seasonAnalyticsService.js", () => ({
+  seasonAnalyticsService: {},
+}));
+vi.mock("../../src/services/logIngestionService.js", () => ({
+  getLogIngestionEngine: vi.fn(),
+}));
+vi.mock("../../src/services/deadLetterService.js", () => ({
+  deadLetterService: {},
+}));
+
+const { createTradeRecordHandler } = await import(
+  "../../src/listeners/tradeListener.js"
+);
+const { createPositionUpdateRecordHandler, createPositionUpdateHandler } = await import(
+  "../../src/listeners/positionUpdateListener.js"
+);
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+function expectNoLiveSideEffects() {
+  expect(mocks.readContract).not.toHaveBeenCalled();
+  expect(mocks.oracle.updateMarketSentiment).not.toHaveBeenCalled();
+  expect(mocks.oracle.updateRaffleProbability).not.toHaveBeenCalled();
+  expect(mocks.paymaster.createMarket).not.toHaveBeenCalled();
+  expect(mocks.recordOddsUpdate).not.toHaveBeenCalled();
+  expect(mocks.updateMarketProbabilityByFpmm).not.toHaveBeenCalled();
+  expect(mocks.updateAllPlayerProbabilities).not.toHaveBeenCalled();
+}
+
+describe("backfill record-only handlers", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("records a historical Trade as a position and nothing else", async () => {
+    mocks.recordPosition.mockResolvedValue({ alreadyRecorded: true, id: 4 });
+    const handle = createTradeRecordHandler({ fpmmAddress: "0xfpmm" });
+
+    const result = await handle({
+      args: { trader: "0xuser", buyYes: true, amountIn: 10n, amountOut: 18n },
+      transactionHash: "0xtx",
+      blockNumber: 7n,
+    });
+
+    expect(result).toEqual({ skipped: true });
+    expect(mocks.recordPosition).toHaveBeenCalledWith({
+      fpmmAddress: "0xfpmm",
+      trader: "0xuser",
+      buyYes: true,
+      amountIn: 10n,
+      amountOut: 18n,
+      txHash: "0xtx",
+      blockNumber: 7n,
+    });
+    expectNoLiveSideEffects();
+  });
+
+  it("records a historical PositionUpdate with its block time and no market effects", async () => {
+    mocks.getBlock.mockResolvedValue({ timestamp: 1_700_000_000n });
+    mocks.getTradeAmounts.mockResolvedValue({
+      sofAmount: 5,
+      feeAmount: 0.1,
+      tickets: 200n,
+      logIndex: 3,
+    });
+    mocks.recordTransaction.mockResolvedValue({ alreadyRecorded: false });
+    const handle = createPositionUpdateRecordHandler({
+      bondingCurveAddress: "0xcurve",
+      logger,
+    });
+
+    // Crosses the 1% market-creation threshold
+    const result = await handle({
+      args: { seasonId: 2n, player: "0xuser", oldTickets: 0n, newTickets: 200n, totalTickets: 1000n },
+      transactionHash: "0xtx",
+      blockNumber: 9n,
+      logIndex: 4,
+    });
+
+    expect(result).toEqual({ skipped: false });
+    expect(mocks.recordTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        seasonId: 2,
+        transactionType: "BUY",
+        ticketAmount: 200,
+        blockTimestamp: "2023-11-14T22:13:20.000Z",
+      }),
+    );
+    expect(mocks.recordTrade).toHaveBeenCalledWith(
+      expect.objectContaining({ logIndex: 3, supplyAfter: 1000n }),
+    );
+    expectNoLiveSideEffects();
+  });
+});
+
+describe("live PositionUpdate handler", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mocks.getBlock.mockResolvedValue({ timestamp: 1_700_000_000n });
+    mocks.getTradeAmounts.mockResolvedValue(null);
+  });
+
+  it("skips every side effect for a log that is already recorded", async () => {
+    mocks.recordTransaction.mockResolvedValue({ alreadyRecorded: true });
+    const handle = await createPositionUpdateHandler({
+      bondingCurveAddress: "0xcurve",
+      raffleAddress: "0xraffle",
+      infoFiFactoryAddress: "0xfactory",
+      logger,
+      context: { paymasterService: mocks.paymaster, sseService: {}, maxSupply: 1000 },
+    });
+
+    // A redelivered threshold crossing
+    const result = await handle({
+      args: { seasonId: 2n, player: "0xuser", oldTickets: 0n, newTickets: 200n, totalTickets: 1000n },
+      transactionHash: "0xtx",
+      blockNumber: 9n,
+      logIndex: 4,
+    });
+
+    expect(result).toEqual({ skipped: true });
+    expect(mocks.recordTransaction).toHaveBeenCalledTimes(1);
+    expectNoLiveSideEffects();
+  });
+});
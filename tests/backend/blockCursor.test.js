@@ -6,6 +6,7 @@ vi.mock("../../shared/redisClient.js", () => ({
     client: null,
     isConnected: false,
     connect: vi.fn(),
+    getReachableClient: vi.fn(async () => null),
   },
 }));
 
@@ -40,4 +41,78 @@ describe("blockCursor", () => {
     const updated = await cursor.get();
     expect(updated).toBe(99999n);
   });
+
+  it("never moves a cursor backwards through set(), only through rewind()", async () => {
+    const { createBlockCursor } = await import("../../src/lib/blockCursor.js");
+
+    const cursor = await createBlockCursor("test:cas");
+    await cursor.set(200n);
+
+    const result = await cursor.set(150n);
+    expect(result).toEqual({ applied: false, current: 200n });
+    expect(await cursor.get()).toBe(200n);
+
+    await cursor.rewind(150n);
+    expect(await cursor.get()).toBe(150n);
+  });
+
+  it("uses an atomic compare-and-set script in the Redis store", async () => {
+    const { createRedisCursorStore } = await import(
+      "../../src/lib/blockCursor.js"
+    );
+
+    // Minimal fake that evaluates the advance script's semantics
+    const data = new Map();
+    const client = {
+      get: vi.fn(async (key) => data.get(key) ?? null),
+      set: vi.fn(async (key, value) => data.set(key, value)),
+      eval: vi.fn(async (_script, _numKeys, key, value) => {
+        const current = data.get(key);
+        if (current && Number(current) > Number(value)) return current;
+        data.set(key, value);
+        return value;
+      }),
+    };
+
+    const store = createRedisCursorStore(client);
+    expect(await store.compareAndSet("a:Event", 10n)).toBe(10n);
+    expect(await store.compareAndSet("a:Event", 5n)).toBe(10n);
+    expect(client.eval.mock.calls[0][2]).toBe("block_cursor:a:Event");
+    expect(await store.get("a:Event")).toBe(10n);
+
+    await store.rewind("a:Event", 5n);
+    expect(await store.get("a:Event")).toBe(5n);
+  });
+
+  it("surfaces write failures in cursor health", async () => {
+    const { createBlockCursor, getBlockCursorHealth } = await import(
+      "../../src/lib/blockCursor.js"
+    );
+
+    const store = {
+      name: "redis",
+      get: vi.fn(async () => null),
+      compareAndSet: vi.fn(async () => {
+        throw new Error("READONLY");
+      }),
+      rewind: vi.fn(),
+    };
+
+    const cursor = await createBlockCursor("test:failing", { store });
+    await expect(cursor.set(10n)).rejects.toThrow("READONLY");
+
+    let health = getBlockCursorHealth();
+    expect(health.ok).toBe(false);
+    expect(health.store).toBe("redis");
+    expect(health.failing[0]).toMatchObject({
+      key: "test:failing",
+      lastError: "READONLY",
+      failures: 1,
+    });
+
+    store.compareAndSet.mockResolvedValueOnce(11n);
+    await cursor.set(11n);
+    health = getBlockCursorHealth();
+    expect(health.ok).toBe(true);
+  });
 });
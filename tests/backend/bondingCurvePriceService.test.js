@@ -0,0 +1,218 @@
+// tests/backend/bondingCurvePriceService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { parseEther } from "viem";
+
+const {
+  publicClient,
+  getContractEventsInChunks,
+  upsert,
+  getSeasonContracts,
+  tables,
+} = vi.hoisted(() => ({
+  publicClient: { readContract: vi.fn(), getBlock: vi.fn() },
+  getContractEventsInChunks: vi.fn(),
+  upsert: vi.fn(),
+  getSeasonContracts: vi.fn(),
+  tables: {},
+}));
+
+/**
+ * Chainable stand-in for the Supabase query builder; reads return the whole
+ * table, writes go to `upsert`
+ */
+function from(table) {
+  const result = () => ({ data: tables[table] || [], error: null });
+  const builder = {
+    upsert,
+    select: () => builder,
+    eq: () => builder,
+    not: () => builder,
+    order: () => builder,
+    gte: () => builder,
+    lte: () => builder,
+    range: async () => result(),
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject),
+  };
+  return builder;
+}
+
+vi.mock("../../src/lib/viemClient.js", () => ({ publicClient }));
+
+vi.mock("../../src/config/chain.js", () => ({
+  getChainByKey: () => ({ confirmations: 0n }),
+}));
+
+vi.mock("../../src/lib/contractEventPolling.js", () => ({
+  getConfirmedBlockNumber: vi.fn().mockResolvedValue(100n),
+  getContractEventsInChunks,
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  hasSupabase: true,
+  supabase: { from: (table) => from(table) },
+  db: { getSeasonContracts },
+}));
+
+const { bondingCurvePriceService, buildCandles, getStepPrice } = await import(
+  "../../src/services/bondingCurvePriceService.js"
+);
+
+const CURVE = "0x1111111111111111111111111111111111111111";
+
+const STEPS = [
+  { rangeTo: 10n, price: parseEther("1") },
+  { rangeTo: 20n, price: parseEther("2") },
+  { rangeTo: 30n, price: parseEther("3") },
+];
+
+function trade(eventName, blockNumber, logIndex, tickets) {
+  const args =
+    eventName === "TokensPurchased"
+      ? {
+          tokensReceived: tickets,
+          sofAmount: parseEther("1") * tickets,
+          feeAmount: 0n,
+        }
+      : {
+          tokenAmount: tickets,
+          sofReceived: parseEther("1") * tickets,
+          feeAmount: 0n,
+        };
+  return {
+    eventName,
+    blockNumber,
+    logIndex,
+    transactionHash: `0xtx${blockNumber}_${logIndex}`,
+    args,
+  };
+}
+
+describe("bondingCurvePriceService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    for (const table of Object.keys(tables)) delete tables[table];
+    upsert.mockResolvedValue({ error: null });
+  });
+
+  describe("getStepPrice", () => {
+    it("prices the next ticket from the step covering the supply", () => {
+      expect(getStepPrice(STEPS, 0n)).toBe(parseEther("1"));
+      expect(getStepPrice(STEPS, 10n)).toBe(parseEther("2"));
+      expect(getStepPrice(STEPS, 29n)).toBe(parseEther("3"));
+      // Sold out: stays at the last step
+      expect(getStepPrice(STEPS, 30n)).toBe(parseEther("3"));
+      expect(getStepPrice([], 0n)).toBeNull();
+    });
+  });
+
+  describe("buildCandles", () => {
+    it("aggregates points into OHLC buckets and skips empty ones", () => {
+      const points = [
+        { timestamp: 0, price: 1, sofAmount: 5 },
+        { timestamp: 30_000, price: 3, sofAmount: 1 },
+        { timestamp: 59_000, price: 2, sofAmount: 2 },
+        { timestamp: 180_000, price: 4, sofAmount: 4 },
+      ];
+
+      expect(buildCandles(points, "1m")).toEqual([
+        { time: 0, open: 1, high: 3, low: 1, close: 2, volume: 8, trades: 3 },
+        {
+          time: 180_000,
+          open: 4,
+          high: 4,
+          low: 4,
+          close: 4,
+          volume: 4,
+          trades: 1,
+        },
+      ]);
+    });
+
+    it("rejects unknown resolutions", () => {
+      expect(() => buildCandles([], "5m")).toThrow("Invalid resolution");
+    });
+  });
+
+  describe("syncSeason", () => {
+    it("derives supply after each trade backwards from curveConfig", async () => {
+      getSeasonContracts.mockResolvedValue({
+        bonding_curve_address: CURVE,
+        created_block: 1,
+      });
+      getContractEventsInChunks.mockImplementation(async ({ eventName }) =>
+        eventName === "TokensPurchased"
+          ? [
+              trade("TokensPurchased", 5n, 0, 12n),
+              trade("TokensPurchased", 7n, 1, 8n),
+            ]
+          : [trade("TokensSold", 7n, 3, 5n)],
+      );
+      publicClient.readContract.mockImplementation(async ({ functionName }) =>
+        functionName === "curveConfig" ? [15n, 0n, 1] : STEPS,
+      );
+      publicClient.getBlock.mockImplementation(async ({ blockNumber }) => ({
+        timestamp: blockNumber * 60n,
+      }));
+
+      const result = await bondingCurvePriceService.syncSeason(1);
+
+      expect(result).toMatchObject({ seasonId: 1, trades: 3, toBlock: "100" });
+      expect(publicClient.getBlock).toHaveBeenCalledTimes(2);
+
+      const [rows, options] = upsert.mock.calls[0];
+      expect(options).toEqual({
+        onConflict: "tx_hash,log_index",
+        ignoreDuplicates: true,
+      });
+      expect(
+        rows.map(({ side, supply_after, price }) => ({
+          side,
+          supply_after,
+          price,
+        })),
+      ).toEqual([
+        { side: "BUY", supply_after: "12", price: 2 },
+        { side: "BUY", supply_after: "20", price: 3 },
+        { side: "SELL", supply_after: "15", price: 2 },
+      ]);
+      expect(rows[0].recorded_at).toBe(new Date(300_000).toISOString());
+
+      expect(upsert).toHaveBeenLastCalledWith(
+        expect.objectContaining({ season_id: 1, to_block: 100, trades: 3 }),
+        { onConflict: "season_id" },
+      );
+    });
+  });
+
+  describe("syncUnsyncedSeasons", () => {
+    it("backfills only seasons without a sync marker", async () => {
+      tables.season_contracts = [{ season_id: 1 }, { season_id: 2 }];
+      tables.bonding_curve_price_syncs = [{ season_id: 1 }];
+      const syncSeason = vi
+        .spyOn(bondingCurvePriceService, "syncSeason")
+        .mockResolvedValue({ seasonId: 2, trades: 0, toBlock: "100" });
+      const logger = { info: vi.fn(), error: vi.fn() };
+
+      const summary = await bondingCurvePriceService.syncUnsyncedSeasons(logger);
+
+      expect(summary).toEqual({ synced: 1, failed: 0 });
+      expect(syncSeason).toHaveBeenCalledTimes(1);
+      expect(syncSeason).toHaveBeenCalledWith(2);
+      syncSeason.mockRestore();
+    });
+  });
+
+  describe("getPriceHistory", () => {
+    it("never backfills from chain when a season has no points", async () => {
+      const syncSeason = vi.spyOn(bondingCurvePriceService, "syncSeason");
+
+      const history = await bondingCurvePriceService.getPriceHistory(1);
+
+      expect(history).toMatchObject({ seasonId: 1, candles: [], count: 0 });
+      expect(syncSeason).not.toHaveBeenCalled();
+      expect(getSeasonContracts).not.toHaveBeenCalled();
+      syncSeason.mockRestore();
+    });
+  });
+});
@@ -170,4 +170,83 @@ describe("startContractEventPolling", () => {
 
     unwatch();
   });
+
+  it("retracts orphaned logs and rewinds when a processed block is reorged", async () => {
+    const blockCursor = {
+      get: vi.fn().mockResolvedValue(99n),
+      set: vi.fn().mockResolvedValue(undefined),
+    };
+    const orphanedLog = {
+      args: { value: 1n },
+      blockNumber: 100n,
+      blockHash: "0xold100",
+      transactionHash: "0xtx1",
+    };
+    const hashes = { 100n: "0xold100" };
+
+    mockClient.getBlock = vi.fn(async ({ blockNumber }) => ({
+      hash: hashes[blockNumber],
+    }));
+    mockClient.getContractEvents
+      .mockResolvedValueOnce([orphanedLog])
+      .mockResolvedValue([]);
+
+    const onReorg = vi.fn();
+    const unwatch = await startContractEventPolling({
+      client: mockClient,
+      address: "0xABC",
+      abi: testAbi,
+      eventName: "TestEvent",
+      pollingIntervalMs: 1_000,
+      blockCursor,
+      onLogs: vi.fn(),
+      onReorg,
+    });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onReorg).not.toHaveBeenCalled();
+
+    // Block 100 is replaced by a sibling block
+    hashes[100n] = "0xnew100";
+    await vi.advanceTimersByTimeAsync(1_000);
+
+    expect(onReorg).toHaveBeenCalledWith([orphanedLog], {
+      rewindTo: 100n,
+      forkBlock: null,
+    });
+    expect(blockCursor.set).toHaveBeenCalledWith(99n);
+    // Block 100 is scanned again after the rewind
+    const lastCall = mockClient.getContractEvents.mock.calls.at(-1)[0];
+    expect(lastCall.fromBlock).toBe(100n);
+
+    unwatch();
+  });
+
+  it("lags the chain head by the configured confirmations", async () => {
+    const blockCursor = {
+      get: vi.fn().mockResolvedValue(90n),
+      set: vi.fn().mockResolvedValue(undefined),
+    };
+
+    const unwatch = await startContractEventPolling({
+      client: mockClient,
+      address: "0xABC",
+      abi: testAbi,
+      eventName: "TestEvent",
+      pollingIntervalMs: 1_000,
+      confirmations: 5n,
+      blockCursor,
+      onLogs: vi.fn(),
+    });
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Head is 100, so only blocks up to 95 are processed
+    const callArgs = mockClient.getContractEvents.mock.calls[0][0];
+    expect(callArgs.fromBlock).toBe(91n);
+    expect(callArgs.toBlock).toBe(95n);
+    expect(blockCursor.set).toHaveBeenCalledWith(95n);
+
+    unwatch();
+  });
 });
@@ -0,0 +1,320 @@
+// tests/backend/deadLetterService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  encodeAbiParameters,
+  encodeEventTopics,
+  parseAbi,
+  parseAbiParameters,
+} from "viem";
+
+const mockFrom = vi.fn();
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  hasSupabase: true,
+  db: {
+    client: {
+      from: (...args) => mockFrom(...args),
+    },
+  },
+}));
+
+const { deadLetterService, getRetryDelayMs } = await import(
+  "../../src/services/deadLetterService.js"
+);
+
+const tradeAbi = parseAbi([
+  "event Trade(address indexed trader, bool buyYes, uint256 amountIn, uint256 amountOut)",
+]);
+const trader = "0x1111111111111111111111111111111111111111";
+
+function buildLog() {
+  return {
+    address: "0xABCDEF0000000000000000000000000000000001",
+    topics: encodeEventTopics({
+      abi: tradeAbi,
+      eventName: "Trade",
+      args: { trader },
+    }),
+    data: encodeAbiParameters(parseAbiParameters("bool, uint256, uint256"), [
+      true,
+      10n,
+      20n,
+    ]),
+    blockNumber: 123n,
+    blockHash: "0xblock",
+    transactionHash: "0xtx",
+    logIndex: 2,
+    eventName: "Trade",
+    args: { trader, buyYes: true, amountIn: 10n, amountOut: 20n },
+  };
+}
+
+/**
+ * Minimal in-memory event_dead_letters table for the Supabase query builder
+ * @param {any[]} rows
+ */
+function fakeTable(rows) {
+  return () => {
+    const filters = [];
+    let op = { type: "select" };
+    const matches = (row) => filters.every((filter) => filter(row));
+
+    const run = () => {
+      if (op.type === "upsert") {
+        const duplicate = rows.some(
+          (row) =>
+            row.listener_key === op.values.listener_key &&
+            row.tx_hash === op.values.tx_hash &&
+            row.log_index === op.values.log_index,
+        );
+        if (duplicate) return [];
+        const row = { id: rows.length + 1, attempts: 0, ...op.values };
+        rows.push(row);
+        return [row];
+      }
+      const matched = rows.filter(matches);
+      if (op.type === "update") {
+        matched.forEach((row) => Object.assign(row, op.values));
+      }
+      return matched;
+    };
+
+    const builder = {
+      select: () => builder,
+      upsert: (values) => ((op = { type: "upsert", values }), builder),
+      update: (values) => ((op = { type: "update", values }), builder),
+      eq: (column, value) => (filters.push((row) => row[column] === value), builder),
+      in: (column, values) => (filters.push((row) => values.includes(row[column])), builder),
+      gte: (column, value) => (filters.push((row) => row[column] >= value), builder),
+      maybeSingle: async () => ({ data: run()[0] ?? null, error: null }),
+      then: (resolve, reject) =>
+        Promise.resolve({ data: run(), error: null }).then(resolve, reject),
+    };
+    return builder;
+  };
+}
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+beforeEach(() => {
+  mockFrom.mockReset();
+  deadLetterService.handlers.clear();
+  deadLetterService.setLogger(silentLogger);
+});
+
+describe("deadLetterService", () => {
+  it("dead-letters failing logs and keeps processing the batch", async () => {
+    const upsert = vi.fn().mockReturnValue({
+      select: vi.fn().mockResolvedValue({ data: [{ id: 1 }], error: null }),
+    });
+    mockFrom.mockReturnValue({ upsert });
+
+    const handled = [];
+    const handler = vi.fn(async (log) => {
+      if (log.logIndex === 2) throw new Error("db down");
+      handled.push(log.logIndex);
+    });
+
+    await deadLetterService.processLogs({
+      listenerKey: "0xfpmm:Trade",
+      logs: [buildLog(), { ...buildLog(), logIndex: 3 }],
+      handler,
+    });
+
+    expect(handled).toEqual([3]);
+    expect(upsert).toHaveBeenCalledTimes(1);
+    const [row, options] = upsert.mock.calls[0];
+    expect(row.listener_key).toBe("0xfpmm:Trade");
+    expect(row.tx_hash).toBe("0xtx");
+    expect(row.log_index).toBe(2);
+    expect(row.error_message).toBe("db down");
+    expect(row.raw_log.blockNumber).toBe("123");
+    expect(row.raw_log.args).toBeUndefined();
+    expect(options).toEqual({
+      onConflict: "listener_key,tx_hash,log_index",
+      ignoreDuplicates: true,
+    });
+  });
+
+  it("throws when a failure cannot be persisted", async () => {
+    mockFrom.mockReturnValue({
+      upsert: () => ({
+        select: vi
+          .fn()
+          .mockResolvedValue({ data: null, error: new Error("no db") }),
+      }),
+    });
+
+    await expect(
+      deadLetterService.processLogs({
+        listenerKey: "0xfpmm:Trade",
+        logs: [buildLog()],
+        handler: async () => {
+          throw new Error("boom");
+        },
+      }),
+    ).rejects.toThrow("no db");
+  });
+
+  it("re-decodes the raw log and resolves the entry on retry", async () => {
+    const update = vi.fn().mockReturnValue({
+      eq: vi.fn().mockResolvedValue({ error: null }),
+    });
+    mockFrom.mockReturnValue({ update });
+
+    const handler = vi.fn().mockResolvedValue(undefined);
+    deadLetterService.registerHandler("0xfpmm:Trade", {
+      abi: tradeAbi,
+      handler,
+    });
+
+    const { args: _args, ...rawLog } = buildLog();
+    const result = await deadLetterService.retryEntry({
+      id: 7,
+      listener_key: "0xfpmm:Trade",
+      tx_hash: "0xtx",
+      attempts: 1,
+      raw_log: { ...rawLog, blockNumber: "123" },
+    });
+
+    expect(result.success).toBe(true);
+    const replayed = handler.mock.calls[0][0];
+    expect(replayed.blockNumber).toBe(123n);
+    expect(replayed.args.trader.toLowerCase()).toBe(trader);
+    expect(replayed.args.amountOut).toBe(20n);
+    expect(update.mock.calls[0][0]).toMatchObject({
+      status: "resolved",
+      attempts: 2,
+    });
+  });
+
+  it("backs off and eventually gives up on failed retries", async () => {
+    const update = vi.fn().mockReturnValue({
+      eq: vi.fn().mockResolvedValue({ error: null }),
+    });
+    mockFrom.mockReturnValue({ update });
+
+    deadLetterService.registerHandler("0xfpmm:Trade", {
+      abi: tradeAbi,
+      handler: async () => {
+        throw new Error("still failing");
+      },
+    });
+
+    const { args: _args, ...rawLog } = buildLog();
+    const entry = {
+      id: 7,
+      listener_key: "0xfpmm:Trade",
+      tx_hash: "0xtx",
+      raw_log: { ...rawLog, blockNumber: "123" },
+    };
+
+    await deadLetterService.retryEntry({ ...entry, attempts: 1 });
+    expect(update.mock.calls[0][0]).toMatchObject({
+      status: "pending",
+      attempts: 2,
+      error_message: "still failing",
+    });
+    expect(update.mock.calls[0][0].next_retry_at).not.toBeNull();
+
+    await deadLetterService.retryEntry({ ...entry, attempts: 9 });
+    expect(update.mock.calls[1][0]).toMatchObject({
+      status: "exhausted",
+      next_retry_at: null,
+    });
+
+    expect(getRetryDelayMs(1)).toBe(30_000);
+    expect(getRetryDelayMs(2)).toBe(60_000);
+    expect(getRetryDelayMs(20)).toBe(60 * 60 * 1000);
+  });
+
+  describe("redelivered logs", () => {
+    const failing = async () => {
+      throw new Error("still broken");
+    };
+
+    async function redeliver(rows, log = buildLog()) {
+      mockFrom.mockImplementation(fakeTable(rows));
+      await deadLetterService.processLogs({
+        listenerKey: "0xfpmm:Trade",
+        logs: [log],
+        handler: failing,
+      });
+    }
+
+    function existingRow(status) {
+      const { args: _args, ...rawLog } = buildLog();
+      return {
+        id: 1,
+        listener_key: "0xfpmm:Trade",
+        tx_hash: "0xtx",
+        log_index: 2,
+        block_number: 123,
+        raw_log: { ...rawLog, blockNumber: "123" },
+        error_message: "first failure",
+        attempts: 4,
+        status,
+        next_retry_at: null,
+      };
+    }
+
+    it("refreshes a pending entry", async () => {
+      const rows = [existingRow("pending")];
+      await redeliver(rows);
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({
+        status: "pending",
+        error_message: "still broken",
+        attempts: 4,
+      });
+      expect(rows[0].next_retry_at).not.toBeNull();
+    });
+
+    it.each(["discarded", "exhausted"])(
+      "leaves a %s entry closed",
+      async (status) => {
+        const rows = [existingRow(status)];
+        await redeliver(rows);
+
+        expect(rows[0]).toMatchObject({
+          status,
+          error_message: "first failure",
+          next_retry_at: null,
+        });
+      },
+    );
+
+    it("reopens a closed entry when the log was re-included in another block", async () => {
+      const rows = [existingRow("discarded")];
+      await redeliver(rows, {
+        ...buildLog(),
+        blockNumber: 125n,
+        blockHash: "0xreincluded",
+      });
+
+      expect(rows[0]).toMatchObject({ status: "pending", block_number: 125 });
+    });
+  });
+
+  it("discards pending entries from blocks orphaned by a reorg", async () => {
+    const rows = [
+      { id: 1, listener_key: "0xfpmm:Trade", block_number: 99, status: "pending" },
+      { id: 2, listener_key: "0xfpmm:Trade", block_number: 100, status: "pending" },
+      { id: 3, listener_key: "0xfpmm:Trade", block_number: 101, status: "resolved" },
+      { id: 4, listener_key: "0xother:Trade", block_number: 101, status: "pending" },
+    ];
+    mockFrom.mockImplementation(fakeTable(rows));
+
+    await expect(
+      deadLetterService.discardFromBlock(["0xfpmm:Trade"], 100n),
+    ).resolves.toBe(1);
+    expect(rows.map((row) => row.status)).toEqual([
+      "pending",
+      "discarded",
+      "resolved",
+      "pending",
+    ]);
+  });
+});
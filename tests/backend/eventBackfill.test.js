@@ -0,0 +1,135 @@
+// tests/backend/eventBackfill.test.js
+// @vitest-environment node
+import { describe, it, expect, vi } from "vitest";
+import { runEventBackfill } from "../../src/lib/eventBackfill.js";
+import { createBlockCursor, createMemoryCursorStore } from "../../src/lib/blockCursor.js";
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+function makeLog(blockNumber, logIndex = 0) {
+  return {
+    blockNumber,
+    logIndex,
+    transactionHash: `0xtx${blockNumber}_${logIndex}`,
+    args: {},
+  };
+}
+
+/**
+ * Fake client serving getContractEvents from a fixed list of logs
+ */
+function createClient(logs) {
+  return {
+    getContractEvents: vi.fn(async ({ fromBlock, toBlock }) =>
+      logs.filter(
+        (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock,
+      ),
+    ),
+  };
+}
+
+const baseParams = {
+  address: "0xaaaa",
+  abi: [],
+  eventName: "Trade",
+  fromBlock: 0n,
+  toBlock: 29n,
+  chunkSize: 10n,
+  logger: silentLogger,
+};
+
+describe("runEventBackfill", () => {
+  it("counts inserted, skipped and failed logs and checkpoints each chunk", async () => {
+    const client = createClient([makeLog(1n), makeLog(12n), makeLog(25n)]);
+    const checkpoint = await createBlockCursor("backfill:test:counts", {
+      store: createMemoryCursorStore(),
+    });
+    const handler = vi.fn(async (log) => {
+      if (log.blockNumber === 12n) return { skipped: true };
+      return { skipped: false };
+    });
+
+    const summary = await runEventBackfill({
+      ...baseParams,
+      client,
+      handler,
+      checkpoint,
+    });
+
+    expect(client.getContractEvents).toHaveBeenCalledTimes(3);
+    expect(summary).toMatchObject({
+      found: 3,
+      inserted: 2,
+      skipped: 1,
+      failed: 0,
+      checkpoint: 29n,
+    });
+    expect(await checkpoint.get()).toBe(29n);
+  });
+
+  it("stops checkpointing at the first failing chunk and resumes from there", async () => {
+    const logs = [makeLog(1n), makeLog(12n), makeLog(25n)];
+    const client = createClient(logs);
+    const checkpoint = await createBlockCursor("backfill:test:resume", {
+      store: createMemoryCursorStore(),
+    });
+
+    const failing = vi.fn(async (log) => {
+      if (log.blockNumber === 12n) throw new Error("db down");
+    });
+    const first = await runEventBackfill({
+      ...baseParams,
+      client,
+      handler: failing,
+      checkpoint,
+    });
+
+    expect(first).toMatchObject({ inserted: 2, failed: 1, checkpoint: 9n });
+    expect(first.failures[0]).toMatchObject({
+      txHash: "0xtx12_0",
+      error: "db down",
+    });
+
+    const handler = vi.fn().mockResolvedValue({ skipped: false });
+    const resumed = await runEventBackfill({
+      ...baseParams,
+      client,
+      handler,
+      checkpoint,
+      resume: true,
+    });
+
+    expect(resumed.fromBlock).toBe(10n);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(resumed).toMatchObject({ failed: 0, checkpoint: 29n });
+  });
+
+  it("only counts logs in dry-run mode", async () => {
+    const client = createClient([makeLog(1n), makeLog(2n)]);
+    const store = createMemoryCursorStore();
+    const checkpoint = await createBlockCursor("backfill:test:dry", { store });
+
+    const summary = await runEventBackfill({
+      ...baseParams,
+      client,
+      checkpoint,
+      dryRun: true,
+    });
+
+    expect(summary).toMatchObject({ found: 2, inserted: 0, checkpoint: null });
+    expect(await checkpoint.get()).toBeNull();
+  });
+
+  it("treats handler results carrying an error as failures", async () => {
+    const client = createClient([makeLog(3n)]);
+
+    const summary = await runEventBackfill({
+      ...baseParams,
+      client,
+      handler: async () => ({ skipped: false, error: new Error("rpc down") }),
+    });
+
+    expect(summary).toMatchObject({ inserted: 0, failed: 1 });
+    expect(summary.failures[0].error).toBe("rpc down");
+  });
+});
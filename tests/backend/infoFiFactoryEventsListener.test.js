@@ -0,0 +1,231 @@
+// tests/backend/infoFiFactoryEventsListener.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { parseEther } from "viem";
+
+const { tables, mockSendAdminAlert, mockRecordResolution, mockSettleSeason } =
+  vi.hoisted(() => ({
+    tables: {},
+    mockSendAdminAlert: vi.fn(),
+    mockRecordResolution: vi.fn(),
+    mockSettleSeason: vi.fn(),
+  }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder
+ */
+function from(table) {
+  const filters = [];
+  let op = { type: "select" };
+  const rows = () => tables[table] || (tables[table] = []);
+  const matches = (row) => filters.every((filter) => filter(row));
+
+  const run = () => {
+    if (op.type === "insert") {
+      if (
+        rows().some(
+          (row) =>
+            row.tx_hash === op.values.tx_hash &&
+            row.log_index === op.values.log_index,
+        )
+      ) {
+        return { data: null, error: { code: "23505", message: "duplicate" } };
+      }
+      rows().push({ id: rows().length + 1, ...op.values });
+      return { data: null, error: null };
+    }
+    if (op.type === "update") {
+      const updated = rows().filter(matches);
+      updated.forEach((row) => Object.assign(row, op.values));
+      return { data: updated, error: null };
+    }
+    if (op.type === "delete") {
+      const removed = rows().filter(matches);
+      tables[table] = rows().filter((row) => !matches(row));
+      return { data: removed, error: null };
+    }
+    return { data: rows().filter(matches).map((row) => ({ ...row })), error: null };
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (values) => ((op = { type: "insert", values }), builder),
+    update: (values) => ((op = { type: "update", values }), builder),
+    delete: () => ((op = { type: "delete" }), builder),
+    eq: (column, value) => (filters.push((row) => row[column] === value), builder),
+    in: (column, values) => (filters.push((row) => values.includes(row[column])), builder),
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+  };
+  return builder;
+}
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  hasSupabase: true,
+  db: { client: { from: (table) => from(table) } },
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({ publicClient: {} }));
+
+vi.mock("../../src/listeners/marketCreatedListener.js", () => ({
+  MARKET_TYPE_HASHES: { "0xwinner": "WINNER_PREDICTION" },
+}));
+
+vi.mock("../../src/services/adminAlertService.js", () => ({
+  adminAlertService: { sendAdminAlert: mockSendAdminAlert },
+}));
+
+vi.mock("../../src/services/seasonSettlementService.js", () => ({
+  seasonSettlementService: {
+    recordOnchainResolution: mockRecordResolution,
+    settleSeason: mockSettleSeason,
+  },
+}));
+
+const { createInfoFiFactoryEventHandler } = await import(
+  "../../src/listeners/infoFiFactoryEventsListener.js"
+);
+
+const FACTORY = "0xFACTORY";
+const ALICE = "0xAAAAaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+function factoryLog(eventName, args, overrides = {}) {
+  return {
+    eventName,
+    args,
+    blockNumber: 100n,
+    transactionHash: "0xtx1",
+    logIndex: 0,
+    ...overrides,
+  };
+}
+
+describe("createInfoFiFactoryEventHandler", () => {
+  let handle;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    for (const table of Object.keys(tables)) delete tables[table];
+    tables.infofi_markets = [
+      {
+        id: 1,
+        season_id: 3,
+        player_address: ALICE.toLowerCase(),
+        current_probability_bps: 500,
+        is_active: true,
+        is_settled: false,
+        creation_status: "Created",
+        status_block_number: null,
+        probability_block_number: null,
+      },
+    ];
+    handle = createInfoFiFactoryEventHandler({
+      infoFiFactoryAddress: FACTORY,
+      logger,
+    });
+  });
+
+  it("applies status and probability from chain but never from an older block", async () => {
+    await handle(
+      factoryLog("MarketStatusChanged", {
+        seasonId: 3n,
+        player: ALICE,
+        oldStatus: 2,
+        newStatus: 3,
+        reason: "liquidity withdrawn",
+      }),
+    );
+    await handle(
+      factoryLog("ProbabilityUpdated", {
+        seasonId: 3n,
+        player: ALICE,
+        oldProbabilityBps: 500n,
+        newProbabilityBps: 1200n,
+      }),
+    );
+
+    const stale = await handle(
+      factoryLog(
+        "ProbabilityUpdated",
+        { seasonId: 3n, player: ALICE, oldProbabilityBps: 0n, newProbabilityBps: 700n },
+        { blockNumber: 90n },
+      ),
+    );
+
+    expect(stale).toEqual({ skipped: true });
+    expect(tables.infofi_markets[0]).toMatchObject({
+      creation_status: "Failed",
+      status_reason: "liquidity withdrawn",
+      status_block_number: "100",
+      current_probability_bps: 1200,
+      probability_block_number: "100",
+    });
+  });
+
+  it("records each MarketCreationFailed log once", async () => {
+    const log = factoryLog("MarketCreationFailed", {
+      seasonId: 3n,
+      player: ALICE,
+      marketType: "0xwinner",
+      reason: "InsufficientTreasuryBalance",
+    });
+
+    await expect(handle(log)).resolves.toEqual({ skipped: false });
+    await expect(handle(log)).resolves.toEqual({ skipped: true });
+
+    expect(tables.infofi_failed_markets).toEqual([
+      expect.objectContaining({
+        season_id: 3,
+        player_address: ALICE.toLowerCase(),
+        source: "CHAIN",
+        market_type: "WINNER_PREDICTION",
+        error_message: "InsufficientTreasuryBalance",
+        tx_hash: "0xtx1",
+        log_index: 0,
+      }),
+    ]);
+  });
+
+  it("marks a resolved season's markets and resumes settlement", async () => {
+    await handle(
+      factoryLog(
+        "SeasonMarketsResolved",
+        { seasonId: 3n, winner: ALICE, marketCount: 1n },
+        { transactionHash: "0xresolve" },
+      ),
+    );
+
+    expect(tables.infofi_markets[0]).toMatchObject({
+      is_active: false,
+      resolved_onchain: true,
+      resolution_tx_hash: "0xresolve",
+    });
+    expect(mockRecordResolution).toHaveBeenCalledWith(3, {
+      winnerAddress: ALICE,
+      txHash: "0xresolve",
+    });
+    expect(mockSettleSeason).toHaveBeenCalledWith(3, {
+      winnerAddress: ALICE,
+      logger,
+    });
+  });
+
+  it("raises an admin alert on TreasuryLow", async () => {
+    await handle(
+      factoryLog("TreasuryLow", {
+        currentBalance: parseEther("5"),
+        requiredPerMarket: parseEther("10"),
+      }),
+    );
+
+    expect(mockSendAdminAlert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        key: "infofi-treasury-low:0xfactory",
+        severity: "CRITICAL",
+        message:
+          "InfoFi factory treasury is low: 5 SOF, 10 SOF needed per market",
+      }),
+      logger,
+    );
+  });
+});
@@ -0,0 +1,255 @@
+// tests/backend/infoFiPayoutService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { encodeAbiParameters, encodeEventTopics, parseEther } from "viem";
+import simpleFpmmAbi from "../../src/abis/SimpleFPMMAbi.js";
+
+const { tables, mockReadContract, mockGetReceipt } = vi.hoisted(() => ({
+  tables: {},
+  mockReadContract: vi.fn(),
+  mockGetReceipt: vi.fn(),
+}));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder
+ */
+function from(table) {
+  const filters = [];
+  let op = { type: "select" };
+  const rows = () => tables[table] || (tables[table] = []);
+  const matches = (row) => filters.every((filter) => filter(row));
+
+  const run = () => {
+    if (op.type === "insert") {
+      const row = { id: rows().length + 100, ...op.values };
+      rows().push(row);
+      return { data: row, error: null };
+    }
+    if (op.type === "update") {
+      const updated = rows().filter(matches);
+      updated.forEach((row) => Object.assign(row, op.values));
+      return { data: updated, error: null };
+    }
+    if (op.type === "delete") {
+      const removed = rows().filter(matches);
+      tables[table] = rows().filter((row) => !matches(row));
+      return { data: removed, error: null };
+    }
+    return { data: rows().filter(matches).map((row) => ({ ...row })), error: null };
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (values) => ((op = { type: "insert", values }), builder),
+    update: (values) => ((op = { type: "update", values }), builder),
+    delete: () => ((op = { type: "delete" }), builder),
+    eq: (column, value) => (filters.push((row) => row[column] === value), builder),
+    in: (column, values) => (filters.push((row) => values.includes(row[column])), builder),
+    order: () => builder,
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+  };
+  return builder;
+}
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  db: { client: { from: (table) => from(table) } },
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: {
+    readContract: mockReadContract,
+    getTransactionReceipt: mockGetReceipt,
+  },
+}));
+
+const { infoFiPayoutService } = await import(
+  "../../src/services/infoFiPayoutService.js"
+);
+
+const FPMM = "0x3333333333333333333333333333333333333333";
+const ALICE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const BOB = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const MARKET = { id: 1, contract_address: FPMM };
+
+function position(id, user, outcome, shares, overrides = {}) {
+  return {
+    id,
+    market_id: 1,
+    user_address: user,
+    outcome,
+    amount: "1",
+    shares: shares === null ? null : parseEther(shares).toString(),
+    tx_hash: `0xtx${id}`,
+    ...overrides,
+  };
+}
+
+function tradeLog(trader, buyYes, amountOut) {
+  return {
+    address: FPMM,
+    topics: encodeEventTopics({
+      abi: simpleFpmmAbi,
+      eventName: "Trade",
+      args: { trader },
+    }),
+    data: encodeAbiParameters(
+      [{ type: "bool" }, { type: "uint256" }, { type: "uint256" }],
+      [buyYes, parseEther("1"), amountOut],
+    ),
+  };
+}
+
+/**
+ * Serve FPMM/ConditionalTokens reads: YES is position id 11, NO is 22
+ * @param {Record<string, { YES?: string, NO?: string }>} balances - Per user, in ether
+ */
+function mockOutcomeBalances(balances) {
+  mockReadContract.mockImplementation(async ({ functionName, args }) => {
+    if (functionName === "conditionalTokens") return "0xctf";
+    if (functionName === "positionIds") return args[0] === 0n ? 11n : 22n;
+    const [user, positionId] = args;
+    const balance = balances[user]?.[positionId === 11n ? "YES" : "NO"];
+    return balance ? parseEther(balance) : 0n;
+  });
+}
+
+describe("infoFiPayoutService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    for (const table of Object.keys(tables)) delete tables[table];
+  });
+
+  it("pays each user their winning outcome-token balance, not their stake", async () => {
+    tables.infofi_positions = [
+      position(1, ALICE, "YES", "10"),
+      position(2, ALICE, "YES", "5.5"),
+      position(3, ALICE, "NO", "7"),
+      position(4, BOB, "NO", "3"),
+    ];
+    mockOutcomeBalances({ [ALICE]: { YES: "15.5", NO: "7" }, [BOB]: { NO: "3" } });
+
+    const summary = await infoFiPayoutService.settleMarketPayouts(MARKET, "YES");
+
+    expect(summary).toMatchObject({ created: 1, removed: 0 });
+    expect(tables.infofi_winnings).toEqual([
+      expect.objectContaining({
+        user_address: ALICE,
+        market_id: 1,
+        amount: "15.5",
+        shares: parseEther("15.5").toString(),
+        is_claimed: false,
+      }),
+    ]);
+  });
+
+  it("nets shares sold after a buy", async () => {
+    // Both the buy and the sell emit Trade(buyYes = true)
+    tables.infofi_positions = [
+      position(1, ALICE, "YES", "10"),
+      position(2, ALICE, "YES", "4"),
+    ];
+    mockOutcomeBalances({ [ALICE]: { YES: "6" } });
+
+    const summary = await infoFiPayoutService.settleMarketPayouts(MARKET, "YES");
+
+    expect(summary.payouts).toEqual([
+      { user: ALICE, shares: parseEther("6").toString(), amount: "6" },
+    ]);
+    expect(tables.infofi_winnings).toEqual([
+      expect.objectContaining({ user_address: ALICE, amount: "6" }),
+    ]);
+  });
+
+  it("converges on re-runs and never rewrites claimed winnings", async () => {
+    tables.infofi_positions = [
+      position(1, ALICE, "YES", "10"),
+      position(2, BOB, "YES", "4"),
+    ];
+    // Rows written by the old stake-based settlement
+    tables.infofi_winnings = [
+      { id: 1, market_id: 1, user_address: ALICE, amount: "2", shares: null, is_claimed: false },
+      { id: 2, market_id: 1, user_address: BOB, amount: "1", shares: null, is_claimed: true },
+      { id: 3, market_id: 1, user_address: "0xcccccccccccccccccccccccccccccccccccccccc", amount: "1", shares: null, is_claimed: false },
+    ];
+    mockOutcomeBalances({ [ALICE]: { YES: "10" }, [BOB]: { YES: "4" } });
+
+    const first = await infoFiPayoutService.settleMarketPayouts(MARKET, "YES");
+    expect(first).toMatchObject({ created: 0, updated: 1, removed: 1 });
+    expect(first.claimedMismatches).toEqual([
+      expect.objectContaining({ winningId: 2, user: BOB, expectedAmount: "4" }),
+    ]);
+    expect(tables.infofi_winnings.find((row) => row.id === 1)).toMatchObject({
+      amount: "10",
+      shares: parseEther("10").toString(),
+    });
+
+    const second = await infoFiPayoutService.settleMarketPayouts(MARKET, "YES");
+    expect(second).toMatchObject({ created: 0, updated: 0, unchanged: 1, removed: 0 });
+    expect(tables.infofi_winnings).toHaveLength(2);
+  });
+
+  it("keeps recorded winnings whose balance was redeemed", async () => {
+    tables.infofi_positions = [position(1, ALICE, "YES", "10")];
+    tables.infofi_winnings = [
+      { id: 1, market_id: 1, user_address: ALICE, amount: "10", shares: parseEther("10").toString(), is_claimed: false },
+    ];
+    mockOutcomeBalances({});
+
+    const summary = await infoFiPayoutService.settleMarketPayouts(MARKET, "YES");
+
+    expect(summary).toMatchObject({ removed: 0, payouts: [] });
+    expect(summary.zeroBalance).toEqual([
+      { winningId: 1, user: ALICE, recordedShares: parseEther("10").toString() },
+    ]);
+    expect(tables.infofi_winnings).toHaveLength(1);
+  });
+
+  it("backfills missing shares from the position's Trade log when reconciling", async () => {
+    tables.infofi_markets = [
+      { id: 1, season_id: 4, player_address: ALICE, contract_address: FPMM, is_settled: false, winning_outcome: null },
+    ];
+    tables.infofi_positions = [
+      position(1, ALICE, "YES", null),
+      position(2, BOB, "YES", null, { tx_hash: null }),
+    ];
+    mockGetReceipt.mockResolvedValue({
+      logs: [tradeLog(ALICE, true, parseEther("8"))],
+    });
+    mockOutcomeBalances({ [ALICE]: { YES: "8" } });
+
+    const report = await infoFiPayoutService.getSeasonReconciliation(4);
+
+    expect(mockGetReceipt).toHaveBeenCalledWith({ hash: "0xtx1" });
+    expect(tables.infofi_positions[0].shares).toBe(parseEther("8").toString());
+    expect(report.markets[0]).toMatchObject({
+      unresolvedPositions: [2],
+      mismatches: 0,
+    });
+  });
+
+  it("reports users whose on-chain outcome balances differ", async () => {
+    tables.infofi_markets = [
+      { id: 1, season_id: 4, player_address: ALICE, contract_address: FPMM, is_settled: true, winning_outcome: true },
+    ];
+    tables.infofi_positions = [
+      position(1, ALICE, "YES", "10"),
+      position(2, BOB, "NO", "3"),
+    ];
+    // Bob sold part of his NO shares
+    mockOutcomeBalances({ [ALICE]: { YES: "10" }, [BOB]: { NO: "1" } });
+
+    const report = await infoFiPayoutService.getSeasonReconciliation(4);
+
+    expect(report.mismatches).toBe(1);
+    expect(report.markets[0]).toMatchObject({ winningOutcome: "YES", mismatches: 1 });
+    expect(report.markets[0].users).toEqual([
+      expect.objectContaining({ user: ALICE, matches: true }),
+      expect.objectContaining({
+        user: BOB,
+        matches: false,
+        computed: { yes: "0", no: parseEther("3").toString() },
+        onchain: { yes: "0", no: parseEther("1").toString() },
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,215 @@
+// tests/backend/leaderElection.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createLeaderElection } from "../../src/lib/leaderElection.js";
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * In-memory stand-in for the Redis commands the election uses
+ * (SET NX PX and the renew / release scripts), with TTLs on the fake clock.
+ */
+function createFakeRedis() {
+  const store = new Map();
+  const read = (key) => {
+    const entry = store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    down: false,
+    async set(key, value, _px, ttl, _nx) {
+      if (this.down) throw new Error("ECONNREFUSED");
+      if (read(key) !== null) return null;
+      store.set(key, { value, expiresAt: Date.now() + ttl });
+      return "OK";
+    },
+    async eval(script, _numKeys, key, id, ttl) {
+      if (this.down) throw new Error("ECONNREFUSED");
+      if (read(key) !== id) return 0;
+      if (script.includes("PEXPIRE")) {
+        store.get(key).expiresAt = Date.now() + Number(ttl);
+      } else {
+        store.delete(key);
+      }
+      return 1;
+    },
+  };
+}
+
+function createReplica(client, instanceId) {
+  const onElected = vi.fn();
+  const onDemoted = vi.fn();
+  const election = createLeaderElection({
+    client,
+    instanceId,
+    leaseMs: 3_000,
+    renewIntervalMs: 1_000,
+    onElected,
+    onDemoted,
+    logger: silentLogger,
+  });
+  return { election, onElected, onDemoted };
+}
+
+describe("leaderElection", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("elects a single leader", async () => {
+    const redis = createFakeRedis();
+    const a = createReplica(redis, "a");
+    const b = createReplica(redis, "b");
+
+    await a.election.start();
+    await b.election.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(a.election.isLeader()).toBe(true);
+    expect(b.election.isLeader()).toBe(false);
+    expect(a.onElected).toHaveBeenCalledTimes(1);
+
+    // Leader keeps renewing, follower stays a follower
+    await vi.advanceTimersByTimeAsync(5_000);
+    expect(a.election.isLeader()).toBe(true);
+    expect(b.election.isLeader()).toBe(false);
+    expect(b.onElected).not.toHaveBeenCalled();
+  });
+
+  it("takes over within the lease once the leader stops renewing", async () => {
+    const redis = createFakeRedis();
+    const a = createReplica(redis, "a");
+    await a.election.start();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(a.election.isLeader()).toBe(true);
+
+    // A crashes: its renew loop never runs again
+    vi.clearAllTimers();
+
+    const b = createReplica(redis, "b");
+    await b.election.start();
+    expect(b.election.isLeader()).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(3_000);
+    expect(b.election.isLeader()).toBe(true);
+    expect(b.onElected).toHaveBeenCalledTimes(1);
+  });
+
+  it("hands over immediately when the leader releases its lease", async () => {
+    const redis = createFakeRedis();
+    const a = createReplica(redis, "a");
+    const b = createReplica(redis, "b");
+    await a.election.start();
+    await b.election.start();
+
+    await a.election.stop();
+    expect(a.onDemoted).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1_000);
+    expect(b.election.isLeader()).toBe(true);
+  });
+
+  it("steps down before its lease can expire when Redis is unreachable", async () => {
+    const redis = createFakeRedis();
+    const a = createReplica(redis, "a");
+    await a.election.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    redis.down = true;
+    await vi.advanceTimersByTimeAsync(1_000);
+    expect(a.election.isLeader()).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(1_000);
+    expect(a.election.isLeader()).toBe(false);
+    expect(a.onDemoted).toHaveBeenCalledTimes(1);
+  });
+
+  it("stays a follower while Redis is unreachable and keeps campaigning", async () => {
+    const redis = createFakeRedis();
+    let reachable = null;
+    const connect = vi.fn(async () => reachable);
+    const onElected = vi.fn();
+    const election = createLeaderElection({
+      connect,
+      instanceId: "a",
+      leaseMs: 3_000,
+      renewIntervalMs: 1_000,
+      onElected,
+      logger: silentLogger,
+    });
+
+    await election.start();
+    await vi.advanceTimersByTimeAsync(2_000);
+    expect(election.isLeader()).toBe(false);
+    expect(election.getStatus()).toMatchObject({ mode: "redis", connected: false });
+    expect(connect).toHaveBeenCalledTimes(3);
+
+    reachable = redis;
+    await vi.advanceTimersByTimeAsync(1_000);
+    expect(election.isLeader()).toBe(true);
+    expect(onElected).toHaveBeenCalledTimes(1);
+    await election.stop();
+  });
+
+  it("runs callbacks one at a time in the order they were triggered", async () => {
+    const redis = createFakeRedis();
+    const calls = [];
+    let finishDemote;
+    const election = createLeaderElection({
+      client: redis,
+      instanceId: "a",
+      leaseMs: 3_000,
+      renewIntervalMs: 1_000,
+      onElected: () => calls.push("elected"),
+      onDemoted: () =>
+        new Promise((resolve) => {
+          calls.push("demoting");
+          finishDemote = () => {
+            calls.push("demoted");
+            resolve();
+          };
+        }),
+      logger: silentLogger,
+    });
+
+    await election.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Lose the lease, then win it back while onDemoted is still running
+    redis.down = true;
+    await vi.advanceTimersByTimeAsync(2_000);
+    expect(election.isLeader()).toBe(false);
+    redis.down = false;
+    await vi.advanceTimersByTimeAsync(3_000);
+    expect(election.isLeader()).toBe(true);
+    expect(calls).toEqual(["elected", "demoting"]);
+
+    finishDemote();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(calls).toEqual(["elected", "demoting", "demoted", "elected"]);
+    vi.clearAllTimers();
+  });
+
+  it("runs as the only leader in single-instance mode", async () => {
+    const solo = createLeaderElection({
+      singleInstance: true,
+      instanceId: "solo",
+      logger: silentLogger,
+    });
+    await solo.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(solo.isLeader()).toBe(true);
+    expect(solo.getStatus().mode).toBe("single-instance");
+  });
+});
@@ -0,0 +1,163 @@
+// tests/backend/leaderboardService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { redis, getInfoFiMarketsBySeasonId, mockFrom, getBatchUsernames } =
+  vi.hoisted(() => ({
+    redis: { get: vi.fn(), set: vi.fn(), del: vi.fn() },
+    getInfoFiMarketsBySeasonId: vi.fn(),
+    mockFrom: vi.fn(),
+    getBatchUsernames: vi.fn(),
+  }));
+
+vi.mock("../../shared/redisClient.js", () => ({
+  redisClient: { getClient: () => redis },
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  db: {
+    client: { from: (...args) => mockFrom(...args) },
+    getInfoFiMarketsBySeasonId,
+  },
+}));
+
+vi.mock("../../shared/usernameService.js", () => ({
+  usernameService: { getBatchUsernames },
+}));
+
+const { buildLeaderboard, sortLeaderboard, leaderboardService } = await import(
+  "../../src/services/leaderboardService.js"
+);
+
+const NOW = Date.parse("2026-03-10T00:00:00Z");
+const ALICE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const BOB = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const CAROL = "0xcccccccccccccccccccccccccccccccccccccccc";
+
+function row(user, type, ticketsAfter, sofAmount, block, timestamp) {
+  return {
+    user_address: user,
+    transaction_type: type,
+    tickets_after: ticketsAfter,
+    sof_amount: sofAmount,
+    block_number: block,
+    block_timestamp: timestamp,
+  };
+}
+
+const ROWS = [
+  row(ALICE, "BUY", 30, 30, 1, "2026-03-01T00:00:00Z"),
+  row(BOB, "BUY", 20, 20, 2, "2026-03-02T00:00:00Z"),
+  // Within the last 24h: Bob overtakes Alice, Carol enters
+  row(BOB, "BUY", 50, 35, 3, "2026-03-09T12:00:00Z"),
+  row(ALICE, "SELL", 20, 9, 4, "2026-03-09T13:00:00Z"),
+  row(CAROL, "BUY", 30, 31, 5, "2026-03-09T14:00:00Z"),
+];
+
+describe("leaderboardService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("buildLeaderboard", () => {
+    it("ranks by tickets with probability, SOF totals and rank movement", () => {
+      const { entries, totalPlayers, totalTickets } = buildLeaderboard(
+        ROWS,
+        [{ player_address: BOB, contract_address: "0xmarket" }],
+        NOW,
+      );
+
+      expect(totalPlayers).toBe(3);
+      expect(totalTickets).toBe(100);
+      expect(entries.map((entry) => entry.address)).toEqual([BOB, CAROL, ALICE]);
+      expect(entries[0]).toMatchObject({
+        rank: 1,
+        previousRank: 2,
+        rankChange: 1,
+        tickets: 50,
+        winProbabilityBps: 5000,
+        sofSpent: 55,
+        transactions: 2,
+        infoFiMarketAddress: "0xmarket",
+      });
+      expect(entries[1]).toMatchObject({ rank: 2, previousRank: null, rankChange: null });
+      expect(entries[2]).toMatchObject({
+        rank: 3,
+        rankChange: -2,
+        sofSpent: 30,
+        sofReceived: 9,
+        infoFiMarketAddress: null,
+      });
+    });
+
+    it("leaves out players who sold everything", () => {
+      const { entries } = buildLeaderboard(
+        [...ROWS, row(CAROL, "SELL", 0, 29, 6, "2026-03-09T15:00:00Z")],
+        [],
+        NOW,
+      );
+
+      expect(entries.map((entry) => entry.address)).toEqual([BOB, ALICE]);
+    });
+  });
+
+  describe("sortLeaderboard", () => {
+    it("sorts by the requested field and puts missing values last", () => {
+      const { entries } = buildLeaderboard(ROWS, [], NOW);
+
+      expect(
+        sortLeaderboard(entries, "rankChange").map((entry) => entry.rank),
+      ).toEqual([1, 3, 2]);
+      expect(
+        sortLeaderboard(entries, "sofSpent", "asc").map((entry) => entry.rank),
+      ).toEqual([3, 2, 1]);
+    });
+  });
+
+  describe("getLeaderboard", () => {
+    it("serves a cached leaderboard page with usernames", async () => {
+      const { entries, totalPlayers, totalTickets } = buildLeaderboard(
+        ROWS,
+        [],
+        NOW,
+      );
+      redis.get.mockResolvedValue(
+        JSON.stringify({ entries, totalPlayers, totalTickets, generatedAt: "t" }),
+      );
+      getBatchUsernames.mockResolvedValue(new Map([[CAROL, "carol"]]));
+
+      const result = await leaderboardService.getLeaderboard(1, {
+        limit: 1,
+        offset: 1,
+      });
+
+      expect(mockFrom).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ totalPlayers: 3, sort: "rank", order: "asc" });
+      expect(result.players).toHaveLength(1);
+      expect(result.players[0]).toMatchObject({ address: CAROL, username: "carol" });
+    });
+
+    it("builds and caches the leaderboard on a cache miss", async () => {
+      redis.get.mockResolvedValue(null);
+      getInfoFiMarketsBySeasonId.mockResolvedValue([]);
+      getBatchUsernames.mockResolvedValue(new Map());
+      const query = {
+        select: () => query,
+        eq: () => query,
+        order: () => query,
+        range: async () => ({ data: ROWS, error: null }),
+      };
+      mockFrom.mockReturnValue(query);
+
+      const result = await leaderboardService.getLeaderboard(1);
+
+      expect(result.players).toHaveLength(3);
+      expect(redis.set).toHaveBeenCalledWith(
+        "leaderboard:season:1",
+        expect.any(String),
+        "EX",
+        300,
+      );
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// tests/backend/listenerControlService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { tables } = vi.hoisted(() => ({ tables: {} }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder
+ */
+function from(table) {
+  const filters = [];
+  let op = { type: "select" };
+  const rows = () => tables[table] || (tables[table] = []);
+  const matches = (row) => filters.every((filter) => filter(row));
+
+  const run = () => {
+    if (op.type === "upsert") {
+      const existing = rows().find(
+        (row) => row.listener_key === op.values.listener_key,
+      );
+      const row = existing
+        ? Object.assign(existing, op.values)
+        : {
+            paused: false,
+            reason: null,
+            restart_requested: false,
+            rewind_to: null,
+            ...op.values,
+          };
+      if (!existing) rows().push(row);
+      return { data: { ...row }, error: null };
+    }
+    if (op.type === "update") {
+      const updated = rows().filter(matches);
+      updated.forEach((row) => Object.assign(row, op.values));
+      return { data: updated, error: null };
+    }
+    return { data: rows().filter(matches).map((row) => ({ ...row })), error: null };
+  };
+
+  const builder = {
+    select: () => builder,
+    single: () => builder,
+    order: () => builder,
+    upsert: (values) => ((op = { type: "upsert", values }), builder),
+    update: (values) => ((op = { type: "update", values }), builder),
+    eq: (column, value) => (filters.push((row) => row[column] === value), builder),
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+  };
+  return builder;
+}
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  hasSupabase: true,
+  db: { client: { from: (table) => from(table) } },
+}));
+
+const { listenerControlService } = await import(
+  "../../src/services/listenerControlService.js"
+);
+
+const KEY = "0xcurve:PositionUpdate";
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * Engine stub exposing one listener
+ */
+function createEngine(key = KEY) {
+  const listener = { key, paused: false };
+  return {
+    listener,
+    getSubscriptions: () => [{ ...listener }],
+    pause: vi.fn(() => (listener.paused = true)),
+    resume: vi.fn(() => (listener.paused = false)),
+    restart: vi.fn(async () => (listener.paused = false)),
+    rewind: vi.fn(async () => {}),
+  };
+}
+
+describe("listenerControlService", () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    for (const table of Object.keys(tables)) delete tables[table];
+    engine = createEngine();
+    listenerControlService.logger = logger;
+    listenerControlService.getEngines = () => new Map([["shared", engine]]);
+  });
+
+  it("stores a pause from any replica and applies it once on the leader", async () => {
+    await listenerControlService.setPaused(KEY, true, { reason: "bad RPC" });
+
+    await listenerControlService.apply();
+    await listenerControlService.apply();
+
+    expect(engine.pause).toHaveBeenCalledTimes(1);
+    expect(engine.listener.paused).toBe(true);
+    expect(listenerControlService.isPaused(KEY)).toBe(true);
+
+    await listenerControlService.setPaused(KEY, false);
+    await listenerControlService.apply();
+
+    expect(engine.resume).toHaveBeenCalledTimes(1);
+    expect(listenerControlService.isPaused(KEY)).toBe(false);
+  });
+
+  it("applies a rewind once and clears it", async () => {
+    await listenerControlService.requestRewind(KEY, 1234n);
+
+    await listenerControlService.apply();
+    await listenerControlService.apply();
+
+    expect(engine.rewind).toHaveBeenCalledTimes(1);
+    expect(engine.rewind).toHaveBeenCalledWith(KEY, 1234n);
+    expect(tables.listener_controls[0]).toMatchObject({
+      rewind_to: null,
+      restart_requested: false,
+    });
+    expect(tables.listener_controls[0].applied_at).toEqual(expect.any(String));
+  });
+
+  it("keeps a command written while the previous one was being applied", async () => {
+    await listenerControlService.requestRewind(KEY, 100n);
+    const [row] = await listenerControlService.list();
+    await listenerControlService.requestRewind(KEY, 200n);
+
+    await listenerControlService.markApplied(row);
+
+    expect(tables.listener_controls[0].rewind_to).toBe("200");
+  });
+
+  it("leaves controls for listeners this instance does not run pending", async () => {
+    await listenerControlService.requestRestart("0xother:Trade");
+
+    await listenerControlService.apply();
+
+    expect(engine.restart).not.toHaveBeenCalled();
+    expect(tables.listener_controls[0].restart_requested).toBe(true);
+  });
+});
@@ -0,0 +1,493 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createLogSubscriptionEngine } from "../../src/lib/logSubscriptionEngine.js";
+
+const tradeAbi = [
+  {
+    type: "event",
+    name: "Trade",
+    inputs: [{ name: "trader", type: "address", indexed: true }],
+  },
+];
+
+const seasonAbi = [
+  {
+    type: "event",
+    name: "SeasonStarted",
+    inputs: [{ name: "seasonId", type: "uint256", indexed: true }],
+  },
+];
+
+function makeLog(address, eventName, blockNumber, extra = {}) {
+  return {
+    address,
+    eventName,
+    blockNumber,
+    blockHash: `0xhash${blockNumber}`,
+    transactionHash: `0xtx${address}${blockNumber}`,
+    args: {},
+    ...extra,
+  };
+}
+
+describe("createLogSubscriptionEngine", () => {
+  let client;
+  let engine;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    client = {
+      getBlockNumber: vi.fn().mockResolvedValue(100n),
+      getLogs: vi.fn().mockResolvedValue([]),
+      getBlock: vi.fn(async ({ blockNumber }) => ({
+        hash: `0xhash${blockNumber}`,
+      })),
+    };
+    engine = createLogSubscriptionEngine({ client, pollingIntervalMs: 1_000 });
+  });
+
+  afterEach(() => {
+    engine.stop();
+    vi.useRealTimers();
+  });
+
+  it("throws on missing required params", async () => {
+    expect(() => createLogSubscriptionEngine({})).toThrow("client is required");
+    await expect(
+      engine.subscribe({ abi: tradeAbi, eventName: "Trade", onLogs: vi.fn() }),
+    ).rejects.toThrow("address is required");
+    await expect(
+      engine.subscribe({
+        address: "0xA",
+        abi: tradeAbi,
+        eventName: "Missing",
+        onLogs: vi.fn(),
+      }),
+    ).rejects.toThrow("Event Missing not found in ABI");
+  });
+
+  it("fetches every subscription with one getLogs call and routes logs", async () => {
+    const onTradeA = vi.fn();
+    const onTradeB = vi.fn();
+    const onSeason = vi.fn();
+
+    const logA = makeLog("0xaaaa", "Trade", 95n);
+    const logB = makeLog("0xBBBB", "Trade", 96n);
+    const logSeason = makeLog("0xcccc", "SeasonStarted", 97n);
+    client.getLogs.mockResolvedValue([logA, logB, logSeason]);
+
+    await engine.subscribe({
+      address: "0xAAAA",
+      abi: tradeAbi,
+      eventName: "Trade",
+      startBlock: 90n,
+      onLogs: onTradeA,
+    });
+    await engine.subscribe({
+      address: "0xbbbb",
+      abi: tradeAbi,
+      eventName: "Trade",
+      startBlock: 90n,
+      onLogs: onTradeB,
+    });
+    await engine.subscribe({
+      address: "0xcccc",
+      abi: seasonAbi,
+      eventName: "SeasonStarted",
+      startBlock: 90n,
+      onLogs: onSeason,
+    });
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(client.getLogs).toHaveBeenCalledTimes(1);
+    const args = client.getLogs.mock.calls[0][0];
+    expect(args.address).toEqual(["0xaaaa", "0xbbbb", "0xcccc"]);
+    expect(args.events).toHaveLength(2);
+    expect(onTradeA).toHaveBeenCalledWith([logA]);
+    expect(onTradeB).toHaveBeenCalledWith([logB]);
+    expect(onSeason).toHaveBeenCalledWith([logSeason]);
+  });
+
+  it("keeps per-subscription windows and cursors", async () => {
+    const cursor = {
+      get: vi.fn().mockResolvedValue(null),
+      set: vi.fn().mockResolvedValue(undefined),
+    };
+    const onOld = vi.fn();
+    const onNew = vi.fn();
+
+    // Log at block 50 is only inside the older subscription's window
+    client.getLogs.mockResolvedValue([makeLog("0xaaaa", "Trade", 50n)]);
+
+    await engine.subscribe({
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      startBlock: 40n,
+      onLogs: onOld,
+    });
+    await engine.subscribe({
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      confirmations: 5n,
+      blockCursor: cursor,
+      onLogs: onNew,
+    });
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onOld).toHaveBeenCalledTimes(1);
+    expect(onNew).not.toHaveBeenCalled();
+    // New subscription started at confirmed head (95) + 1 and waits for more blocks
+    expect(engine.getSubscriptions()[1].nextBlock).toBe(96n);
+  });
+
+  it("does not advance a subscription whose handler failed", async () => {
+    const onError = vi.fn();
+    client.getLogs.mockResolvedValue([makeLog("0xaaaa", "Trade", 95n)]);
+
+    await engine.subscribe({
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      startBlock: 90n,
+      onLogs: vi.fn().mockRejectedValue(new Error("db down")),
+      onError,
+    });
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onError).toHaveBeenCalled();
+    expect(engine.getSubscriptions()[0].nextBlock).toBe(90n);
+  });
+
+  it("stops delivering after unsubscribe", async () => {
+    const onLogs = vi.fn();
+    client.getLogs.mockResolvedValue([makeLog("0xaaaa", "Trade", 95n)]);
+
+    const unsubscribe = await engine.subscribe({
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      startBlock: 101n,
+      onLogs,
+    });
+    unsubscribe();
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(engine.getSubscriptions()).toHaveLength(0);
+    expect(onLogs).not.toHaveBeenCalled();
+  });
+
+  it("pauses, resumes and reports per-subscription stats", async () => {
+    const onLogs = vi.fn();
+    client.getLogs.mockResolvedValue([makeLog("0xaaaa", "Trade", 95n)]);
+
+    await engine.subscribe({
+      key: "0xaaaa:Trade",
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      startBlock: 90n,
+      onLogs,
+    });
+    engine.pause("0xaaaa:Trade");
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onLogs).not.toHaveBeenCalled();
+    expect(engine.getSubscriptions()[0]).toMatchObject({
+      paused: true,
+      cursorBlock: 89n,
+    });
+
+    engine.resume("0xaaaa:Trade");
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onLogs).toHaveBeenCalledTimes(1);
+    expect(engine.getSubscriptions()[0]).toMatchObject({
+      paused: false,
+      cursorBlock: 100n,
+      headBlock: 100n,
+      lagBlocks: 0n,
+      processedLogs: 1,
+      lastError: null,
+    });
+    expect(engine.pause("unknown")).toBeNull();
+  });
+
+  it("starts a subscription paused when isPaused says so", async () => {
+    engine.stop();
+    engine = createLogSubscriptionEngine({
+      client,
+      pollingIntervalMs: 1_000,
+      isPaused: (key) => key === "0xaaaa:Trade",
+    });
+    const onLogs = vi.fn();
+    client.getLogs.mockResolvedValue([makeLog("0xaaaa", "Trade", 95n)]);
+
+    await engine.subscribe({
+      key: "0xaaaa:Trade",
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      startBlock: 90n,
+      onLogs,
+    });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onLogs).not.toHaveBeenCalled();
+    expect(engine.getSubscriptions()[0]).toMatchObject({ paused: true });
+  });
+
+  it("rewinds the cursor and re-delivers logs from the given block", async () => {
+    const cursor = {
+      get: vi.fn().mockResolvedValue(99n),
+      set: vi.fn().mockResolvedValue(undefined),
+      rewind: vi.fn().mockResolvedValue(undefined),
+    };
+    const onLogs = vi.fn();
+
+    await engine.subscribe({
+      key: "0xaaaa:Trade",
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      blockCursor: cursor,
+      onLogs,
+    });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(engine.getSubscriptions()[0].nextBlock).toBe(101n);
+
+    client.getLogs.mockResolvedValue([makeLog("0xaaaa", "Trade", 95n)]);
+    await engine.rewind("0xaaaa:Trade", 90n);
+    expect(cursor.rewind).toHaveBeenCalledWith(89n);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(client.getLogs).toHaveBeenLastCalledWith(
+      expect.objectContaining({ fromBlock: 90n, toBlock: 100n }),
+    );
+    expect(onLogs).toHaveBeenCalledTimes(1);
+    await expect(engine.rewind("0xaaaa:Trade", -1n)).rejects.toThrow(
+      "non-negative",
+    );
+  });
+
+  it("retracts orphaned logs and rewinds when a processed block is reorged", async () => {
+    const cursor = {
+      get: vi.fn().mockResolvedValue(99n),
+      set: vi.fn().mockResolvedValue(undefined),
+      rewind: vi.fn().mockResolvedValue(undefined),
+    };
+    const orphanedLog = makeLog("0xaaaa", "Trade", 100n);
+    const onReorg = vi.fn();
+    const onEngineReorg = vi.fn();
+    engine.stop();
+    engine = createLogSubscriptionEngine({
+      client,
+      pollingIntervalMs: 1_000,
+      onReorg: onEngineReorg,
+    });
+
+    client.getLogs.mockResolvedValueOnce([orphanedLog]);
+    await engine.subscribe({
+      key: "0xaaaa:Trade",
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      blockCursor: cursor,
+      onLogs: vi.fn(),
+      onReorg,
+    });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onReorg).not.toHaveBeenCalled();
+
+    // Block 100 is replaced by a sibling block
+    client.getBlock.mockImplementation(async ({ blockNumber }) => ({
+      hash: blockNumber === 100n ? "0xsibling100" : `0xhash${blockNumber}`,
+    }));
+    await vi.advanceTimersByTimeAsync(1_000);
+
+    expect(onReorg).toHaveBeenCalledWith([orphanedLog], {
+      rewindTo: 100n,
+      forkBlock: null,
+    });
+    expect(onEngineReorg).toHaveBeenCalledWith(["0xaaaa:Trade"], {
+      rewindTo: 100n,
+      forkBlock: null,
+    });
+    expect(cursor.rewind).toHaveBeenCalledWith(99n);
+    // Block 100 is scanned again after the rewind
+    expect(client.getLogs).toHaveBeenLastCalledWith(
+      expect.objectContaining({ fromBlock: 100n, toBlock: 100n }),
+    );
+  });
+
+  it("restarts a failing subscription from its persisted cursor", async () => {
+    const cursor = {
+      get: vi.fn().mockResolvedValue(89n),
+      set: vi.fn().mockResolvedValue(undefined),
+    };
+    const onLogs = vi.fn().mockRejectedValueOnce(new Error("db down"));
+    client.getLogs.mockResolvedValue([makeLog("0xaaaa", "Trade", 95n)]);
+
+    await engine.subscribe({
+      key: "0xaaaa:Trade",
+      address: "0xaaaa",
+      abi: tradeAbi,
+      eventName: "Trade",
+      blockCursor: cursor,
+      onLogs,
+      onError: vi.fn(),
+    });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(engine.getSubscriptions()[0].lastError).toBe("db down");
+
+    const restarted = await engine.restart("0xaaaa:Trade");
+    expect(restarted).toMatchObject({ nextBlock: 90n, lastError: null });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onLogs).toHaveBeenCalledTimes(2);
+    expect(engine.getSubscriptions()[0]).toMatchObject({
+      cursorBlock: 100n,
+      processedLogs: 1,
+    });
+  });
+
+  describe("WebSocket mode", () => {
+    let wsClient;
+    let heads;
+    let socketLogs;
+
+    beforeEach(() => {
+      heads = null;
+      socketLogs = null;
+      wsClient = {
+        watchBlockNumber: vi.fn((opts) => {
+          heads = opts;
+          return vi.fn();
+        }),
+        watchEvent: vi.fn((opts) => {
+          socketLogs = opts;
+          return vi.fn();
+        }),
+      };
+      engine.stop();
+      engine = createLogSubscriptionEngine({
+        client,
+        wsClient,
+        pollingIntervalMs: 1_000,
+      });
+    });
+
+    it("serves covered blocks from the socket buffer instead of getLogs", async () => {
+      const onLogs = vi.fn();
+      await engine.subscribe({
+        address: "0xaaaa",
+        abi: tradeAbi,
+        eventName: "Trade",
+        onLogs,
+      });
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(engine.transport).toBe("websocket");
+      expect(socketLogs.address).toEqual(["0xaaaa"]);
+
+      const log = makeLog("0xaaaa", "Trade", 101n);
+      socketLogs.onLogs([log]);
+      heads.onBlockNumber(101n);
+      heads.onBlockNumber(102n);
+      client.getLogs.mockClear();
+      await vi.advanceTimersByTimeAsync(0);
+
+      // Only the newest head is read over HTTP
+      expect(client.getLogs).toHaveBeenCalledTimes(1);
+      expect(client.getLogs).toHaveBeenCalledWith(
+        expect.objectContaining({ fromBlock: 102n, toBlock: 102n }),
+      );
+      expect(onLogs).toHaveBeenCalledWith([log]);
+    });
+
+    it("reads the newest head with getLogs when its logs arrive after newHeads", async () => {
+      const onLogs = vi.fn();
+      await engine.subscribe({
+        address: "0xaaaa",
+        abi: tradeAbi,
+        eventName: "Trade",
+        onLogs,
+      });
+      await vi.advanceTimersByTimeAsync(0);
+
+      const late = makeLog("0xaaaa", "Trade", 101n);
+      client.getLogs.mockClear();
+      client.getLogs.mockResolvedValue([late]);
+      heads.onBlockNumber(101n);
+      await vi.advanceTimersByTimeAsync(0);
+      socketLogs.onLogs([late]);
+
+      expect(client.getLogs).toHaveBeenCalledWith(
+        expect.objectContaining({ fromBlock: 101n, toBlock: 101n }),
+      );
+      expect(onLogs).toHaveBeenCalledTimes(1);
+      expect(onLogs).toHaveBeenCalledWith([late]);
+    });
+
+    it("re-reads pruned socket blocks with getLogs after a rewind", async () => {
+      const onLogs = vi.fn();
+      await engine.subscribe({
+        key: "0xaaaa:Trade",
+        address: "0xaaaa",
+        abi: tradeAbi,
+        eventName: "Trade",
+        onLogs,
+      });
+      await vi.advanceTimersByTimeAsync(0);
+
+      const pruned = makeLog("0xaaaa", "Trade", 101n);
+      socketLogs.onLogs([pruned]);
+      heads.onBlockNumber(102n);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(onLogs).toHaveBeenCalledWith([pruned]);
+
+      client.getLogs.mockClear();
+      client.getLogs.mockResolvedValue([pruned]);
+      await engine.rewind("0xaaaa:Trade", 101n);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(client.getLogs).toHaveBeenCalledWith(
+        expect.objectContaining({ fromBlock: 101n, toBlock: 102n }),
+      );
+      expect(onLogs).toHaveBeenCalledTimes(2);
+    });
+
+    it("falls back to polling on socket error and fills the gap with getLogs", async () => {
+      const onLogs = vi.fn();
+      await engine.subscribe({
+        address: "0xaaaa",
+        abi: tradeAbi,
+        eventName: "Trade",
+        onLogs,
+      });
+      await vi.advanceTimersByTimeAsync(0);
+
+      heads.onError(new Error("socket closed"));
+      expect(engine.transport).toBe("polling");
+
+      // Blocks mined while the socket was down are fetched over HTTP
+      const missed = makeLog("0xaaaa", "Trade", 103n);
+      client.getBlockNumber.mockResolvedValue(105n);
+      client.getLogs.mockResolvedValue([missed]);
+      await vi.advanceTimersByTimeAsync(1_000);
+
+      expect(client.getLogs).toHaveBeenCalledWith(
+        expect.objectContaining({ fromBlock: 101n, toBlock: 105n }),
+      );
+      expect(onLogs).toHaveBeenCalledWith([missed]);
+
+      // Reconnected after the first backoff step (1s)
+      expect(wsClient.watchBlockNumber).toHaveBeenCalledTimes(2);
+      expect(engine.transport).toBe("websocket");
+    });
+  });
+});
@@ -14,6 +14,7 @@ const viemMocks = vi.hoisted(() => {
 
   return {
     mockGetWalletClient: vi.fn(),
+    mockSend: vi.fn(),
     mockPublicClient: {
       readContract: vi.fn(),
       waitForTransactionReceipt: vi.fn(),
@@ -26,6 +27,19 @@ vi.mock("../../src/lib/viemClient.js", () => ({
   publicClient: viemMocks.mockPublicClient,
 }));
 
+vi.mock("../../src/services/transactionManagerService.js", () => ({
+  getTransactionManager: () => ({ send: viemMocks.mockSend }),
+}));
+
+const { mockSend } = viemMocks;
+const submitted = (hash, final = { success: true, status: "confirmed" }) => ({
+  success: false,
+  status: "submitted",
+  hash,
+  confirmation: Promise.resolve({ hash, ...final }),
+});
+const failed = (error) => ({ success: false, status: "failed", error });
+
 import { OracleCallService } from "../../src/services/oracleCallService.js";
 
 describe("OracleCallService", () => {
@@ -44,7 +58,6 @@ describe("OracleCallService", () => {
 
     // Mock wallet and public clients
     mockWalletClient = {
-      writeContract: vi.fn(),
       account: {
         address: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
       },
@@ -53,6 +66,7 @@ describe("OracleCallService", () => {
     viemMocks.mockPublicClient.readContract?.mockReset?.();
     viemMocks.mockPublicClient.waitForTransactionReceipt?.mockReset?.();
     viemMocks.mockGetWalletClient.mockReset();
+    mockSend.mockReset();
 
     // Mock environment variables
     vi.stubEnv("DEFAULT_NETWORK", "LOCAL");
@@ -74,10 +88,7 @@ describe("OracleCallService", () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const probability = 5000; // 50%
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash1"));
 
       const result = await service.updateRaffleProbability(
         fpmmAddress,
@@ -87,10 +98,11 @@ describe("OracleCallService", () => {
 
       expect(result.success).toBe(true);
       expect(result.hash).toBe("0xhash1");
-      expect(mockWalletClient.writeContract).toHaveBeenCalledWith(
+      expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           functionName: "updateRaffleProbability",
           args: [fpmmAddress, BigInt(probability)],
+          waitForReceipt: false,
         }),
       );
     });
@@ -104,7 +116,7 @@ describe("OracleCallService", () => {
 
       expect(result.success).toBe(false);
       expect(result.error).toBe("Invalid FPMM address");
-      expect(mockWalletClient.writeContract).not.toHaveBeenCalled();
+      expect(mockSend).not.toHaveBeenCalled();
     });
 
     it("should reject probability out of range", async () => {
@@ -132,13 +144,9 @@ describe("OracleCallService", () => {
       const probability = 5000;
 
       // First call fails, second succeeds
-      mockWalletClient.writeContract
-        .mockRejectedValueOnce(new Error("Network timeout"))
-        .mockResolvedValueOnce("0xhash1");
-
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend
+        .mockResolvedValueOnce(failed("Network timeout"))
+        .mockResolvedValueOnce(submitted("0xhash1"));
 
       const result = await service.updateRaffleProbability(
         fpmmAddress,
@@ -147,16 +155,14 @@ describe("OracleCallService", () => {
       );
 
       expect(result.success).toBe(true);
-      expect(mockWalletClient.writeContract).toHaveBeenCalledTimes(2);
+      expect(mockSend).toHaveBeenCalledTimes(2);
     });
 
     it("should fail after max retries exceeded", async () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const probability = 5000;
 
-      mockWalletClient.writeContract.mockRejectedValue(
-        new Error("Persistent failure"),
-      );
+      mockSend.mockResolvedValue(failed("Persistent failure"));
 
       const result = await service.updateRaffleProbability(
         fpmmAddress,
@@ -175,10 +181,7 @@ describe("OracleCallService", () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const sentiment = 6000; // 60% bullish
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash2");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash2"));
 
       const result = await service.updateMarketSentiment(
         fpmmAddress,
@@ -188,7 +191,7 @@ describe("OracleCallService", () => {
 
       expect(result.success).toBe(true);
       expect(result.hash).toBe("0xhash2");
-      expect(mockWalletClient.writeContract).toHaveBeenCalledWith(
+      expect(mockSend).toHaveBeenCalledWith(
         expect.objectContaining({
           functionName: "updateMarketSentiment",
           args: [fpmmAddress, BigInt(sentiment)],
@@ -218,10 +221,7 @@ describe("OracleCallService", () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const sentiment = 5000; // Neutral
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash3");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash3"));
 
       const result = await service.updateMarketSentiment(
         fpmmAddress,
@@ -310,10 +310,7 @@ describe("OracleCallService", () => {
     it("should handle missing logger gracefully", async () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash1"));
 
       const result = await service.updateRaffleProbability(
         fpmmAddress,
@@ -329,9 +326,7 @@ describe("OracleCallService", () => {
     it("should handle network errors gracefully", async () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
 
-      mockWalletClient.writeContract.mockRejectedValue(
-        new Error("Network error"),
-      );
+      mockSend.mockResolvedValue(failed("Network error"));
 
       const result = await service.updateRaffleProbability(
         fpmmAddress,
@@ -346,9 +341,7 @@ describe("OracleCallService", () => {
     it("should handle contract errors", async () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
 
-      mockWalletClient.writeContract.mockRejectedValue(
-        new Error("Contract revert: Invalid probability"),
-      );
+      mockSend.mockResolvedValue(failed("Contract revert: Invalid probability"));
 
       const result = await service.updateRaffleProbability(
         fpmmAddress,
@@ -363,10 +356,13 @@ describe("OracleCallService", () => {
     it("should handle transaction receipt failure", async () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "reverted",
-      });
+      mockSend.mockResolvedValue(
+        submitted("0xhash1", {
+          success: false,
+          status: "reverted",
+          error: "Transaction reverted on-chain",
+        }),
+      );
 
       const result = await service.updateRaffleProbability(
         fpmmAddress,
@@ -375,6 +371,25 @@ describe("OracleCallService", () => {
       );
 
       expect(result.success).toBe(true);
+      expect(mockSend).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not retry a reverting call", async () => {
+      const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+      mockSend.mockResolvedValue(
+        failed('The contract function "updateRaffleProbability" reverted.'),
+      );
+
+      const result = await service.updateRaffleProbability(
+        fpmmAddress,
+        5000,
+        mockLogger,
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.attempts).toBe(1);
+      expect(mockSend).toHaveBeenCalledTimes(1);
     });
   });
 });
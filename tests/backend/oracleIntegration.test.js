@@ -14,6 +14,7 @@ const viemMocks = vi.hoisted(() => {
 
   return {
     mockGetWalletClient: vi.fn(),
+    mockSend: vi.fn(),
     mockPublicClient: {
       readContract: vi.fn(),
       waitForTransactionReceipt: vi.fn(),
@@ -26,6 +27,19 @@ vi.mock("../../src/lib/viemClient.js", () => ({
   publicClient: viemMocks.mockPublicClient,
 }));
 
+vi.mock("../../src/services/transactionManagerService.js", () => ({
+  getTransactionManager: () => ({ send: viemMocks.mockSend }),
+}));
+
+const { mockSend } = viemMocks;
+const submitted = (hash) => ({
+  success: false,
+  status: "submitted",
+  hash,
+  confirmation: Promise.resolve({ success: true, status: "confirmed", hash }),
+});
+const failed = (error) => ({ success: false, status: "failed", error });
+
 import { OracleCallService } from "../../src/services/oracleCallService.js";
 import { AdminAlertService } from "../../src/services/adminAlertService.js";
 
@@ -44,7 +58,6 @@ describe("Oracle Integration Tests", () => {
     };
 
     mockWalletClient = {
-      writeContract: vi.fn(),
       account: {
         address: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
       },
@@ -53,6 +66,7 @@ describe("Oracle Integration Tests", () => {
     viemMocks.mockPublicClient.readContract?.mockReset?.();
     viemMocks.mockPublicClient.waitForTransactionReceipt?.mockReset?.();
     viemMocks.mockGetWalletClient.mockReset();
+    mockSend.mockReset();
 
     vi.stubEnv("DEFAULT_NETWORK", "LOCAL");
     vi.stubEnv(
@@ -79,10 +93,7 @@ describe("Oracle Integration Tests", () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const probability = 5000;
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash1"));
 
       const result = await oracleService.updateRaffleProbability(
         fpmmAddress,
@@ -102,10 +113,7 @@ describe("Oracle Integration Tests", () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const sentiment = 6000;
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash2");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash2"));
 
       const result = await oracleService.updateMarketSentiment(
         fpmmAddress,
@@ -126,9 +134,7 @@ describe("Oracle Integration Tests", () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const probability = 5000;
 
-      mockWalletClient.writeContract.mockRejectedValue(
-        new Error("Network error"),
-      );
+      mockSend.mockResolvedValue(failed("Network error"));
 
       // First failure
       const result1 = await oracleService.updateRaffleProbability(
@@ -175,7 +181,7 @@ describe("Oracle Integration Tests", () => {
       const probability = 5000;
 
       // Simulate failures
-      mockWalletClient.writeContract.mockRejectedValue(new Error("Error 1"));
+      mockSend.mockResolvedValue(failed("Error 1"));
       const result1 = await oracleService.updateRaffleProbability(
         fpmmAddress,
         probability,
@@ -189,7 +195,7 @@ describe("Oracle Integration Tests", () => {
         mockLogger,
       );
 
-      mockWalletClient.writeContract.mockRejectedValue(new Error("Error 2"));
+      mockSend.mockResolvedValue(failed("Error 2"));
       const result2 = await oracleService.updateRaffleProbability(
         fpmmAddress,
         probability,
@@ -206,10 +212,7 @@ describe("Oracle Integration Tests", () => {
       expect(alertService.getFailureCount(fpmmAddress)).toBe(2);
 
       // Now succeed
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash1"));
 
       const result3 = await oracleService.updateRaffleProbability(
         fpmmAddress,
@@ -233,14 +236,10 @@ describe("Oracle Integration Tests", () => {
       const probability = 5000;
 
       // First two attempts fail, third succeeds
-      mockWalletClient.writeContract
-        .mockRejectedValueOnce(new Error("Attempt 1 failed"))
-        .mockRejectedValueOnce(new Error("Attempt 2 failed"))
-        .mockResolvedValueOnce("0xhash1");
-
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend
+        .mockResolvedValueOnce(failed("Attempt 1 failed"))
+        .mockResolvedValueOnce(failed("Attempt 2 failed"))
+        .mockResolvedValueOnce(submitted("0xhash1"));
 
       const result = await oracleService.updateRaffleProbability(
         fpmmAddress,
@@ -260,9 +259,7 @@ describe("Oracle Integration Tests", () => {
       const fpmmAddress = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const probability = 5000;
 
-      mockWalletClient.writeContract.mockRejectedValue(
-        new Error("Persistent failure"),
-      );
+      mockSend.mockResolvedValue(failed("Persistent failure"));
 
       const result = await oracleService.updateRaffleProbability(
         fpmmAddress,
@@ -298,10 +295,7 @@ describe("Oracle Integration Tests", () => {
       const fpmm1 = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
       const fpmm2 = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash1"));
 
       // Update both markets
       const result1 = await oracleService.updateRaffleProbability(
@@ -331,9 +325,7 @@ describe("Oracle Integration Tests", () => {
       const fpmm2 = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
 
       // Market 1 fails
-      mockWalletClient.writeContract.mockRejectedValue(
-        new Error("Market 1 error"),
-      );
+      mockSend.mockResolvedValue(failed("Market 1 error"));
       const result1 = await oracleService.updateRaffleProbability(
         fpmm1,
         5000,
@@ -348,10 +340,7 @@ describe("Oracle Integration Tests", () => {
       );
 
       // Market 2 succeeds
-      mockWalletClient.writeContract.mockResolvedValue("0xhash2");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash2"));
       const result2 = await oracleService.updateRaffleProbability(
         fpmm2,
         6000,
@@ -370,10 +359,7 @@ describe("Oracle Integration Tests", () => {
       const probability = 5000;
 
       // Initial successful update
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash1"));
 
       let result = await oracleService.updateRaffleProbability(
         fpmmAddress,
@@ -384,9 +370,7 @@ describe("Oracle Integration Tests", () => {
       alertService.recordSuccess(fpmmAddress, mockLogger);
 
       // Failure 1
-      mockWalletClient.writeContract.mockRejectedValue(
-        new Error("Network timeout"),
-      );
+      mockSend.mockResolvedValue(failed("Network timeout"));
       result = await oracleService.updateRaffleProbability(
         fpmmAddress,
         probability,
@@ -421,10 +405,7 @@ describe("Oracle Integration Tests", () => {
       );
 
       // Recovery
-      mockWalletClient.writeContract.mockResolvedValue("0xhash2");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash2"));
 
       result = await oracleService.updateRaffleProbability(
         fpmmAddress,
@@ -449,10 +430,7 @@ describe("Oracle Integration Tests", () => {
         "0xcccccccccccccccccccccccccccccccccccccccc",
       ];
 
-      mockWalletClient.writeContract.mockResolvedValue("0xhash1");
-      viemMocks.mockPublicClient.waitForTransactionReceipt.mockResolvedValue({
-        status: "success",
-      });
+      mockSend.mockResolvedValue(submitted("0xhash1"));
 
       // Simulate concurrent updates
       const promises = addresses.map((addr, index) =>
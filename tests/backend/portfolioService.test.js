@@ -0,0 +1,142 @@
+// tests/backend/portfolioService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { parseEther } from "viem";
+
+const { readContract, mockFrom, getSeasonContracts, getRankedLeaderboard } =
+  vi.hoisted(() => ({
+    readContract: vi.fn(),
+    mockFrom: vi.fn(),
+    getSeasonContracts: vi.fn(),
+    getRankedLeaderboard: vi.fn(),
+  }));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: { readContract },
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  db: {
+    client: { from: (...args) => mockFrom(...args) },
+    getSeasonContracts,
+  },
+}));
+
+vi.mock("../../src/services/leaderboardService.js", () => ({
+  leaderboardService: { getRankedLeaderboard },
+}));
+
+vi.mock("../../src/services/bondingCurvePriceService.js", async () => {
+  const actual = await vi.importActual(
+    "../../src/services/bondingCurvePriceService.js",
+  );
+  return {
+    getStepPrice: actual.getStepPrice,
+    bondingCurvePriceService: {
+      getBondSteps: async () => [{ rangeTo: 1000n, price: parseEther("2") }],
+    },
+  };
+});
+
+const { portfolioService } = await import(
+  "../../src/services/portfolioService.js"
+);
+
+const USER = "0x1234567890123456789012345678901234567890";
+
+/**
+ * Chainable Supabase query that resolves to the rows for its table
+ */
+function tableQuery(rows) {
+  const query = {
+    select: () => query,
+    eq: () => query,
+    ilike: () => query,
+    order: () => query,
+    then: (resolve) => resolve({ data: rows, error: null }),
+  };
+  return query;
+}
+
+describe("portfolioService.getPortfolio", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("combines raffle, InfoFi and winnings into one PnL view", async () => {
+    const tables = {
+      user_raffle_positions: [
+        {
+          season_id: 1,
+          current_tickets: 10,
+          total_bought: 15,
+          total_sold: 5,
+          total_sof_spent: 15,
+          total_sof_received: 6,
+          total_fees_paid: 0.2,
+        },
+      ],
+      infofi_positions: [
+        // 10 SOF for 20 YES shares on an open market
+        {
+          market_id: 7,
+          outcome: "YES",
+          amount: 10,
+          price: 0.5,
+          infofi_markets: { id: 7, season_id: 1, contract_address: "0xfpmm" },
+        },
+        // 4 SOF for 5 NO shares on a market settled NO
+        {
+          market_id: 8,
+          outcome: "NO",
+          amount: 4,
+          price: 0.8,
+          infofi_markets: {
+            id: 8,
+            season_id: 1,
+            contract_address: "0xsettled",
+            is_settled: true,
+            winning_outcome: false,
+          },
+        },
+      ],
+      infofi_winnings: [{ id: 1, market_id: 8, amount: 5, created_at: "t" }],
+    };
+    mockFrom.mockImplementation((table) => tableQuery(tables[table]));
+    getSeasonContracts.mockResolvedValue({
+      is_active: true,
+      bonding_curve_address: "0xcurve",
+    });
+    getRankedLeaderboard.mockResolvedValue({ totalTickets: 40 });
+    readContract.mockResolvedValue([6000n, 4000n]);
+
+    const portfolio = await portfolioService.getPortfolio(USER);
+
+    expect(portfolio.raffle[0]).toMatchObject({
+      seasonId: 1,
+      tickets: 10,
+      winProbabilityBps: 2500,
+      ticketPrice: 2,
+      markValue: 20,
+      realizedPnl: 1,
+      unrealizedPnl: 10,
+    });
+
+    const [open, settled] = portfolio.infoFi;
+    expect(open).toMatchObject({
+      yesShares: 20,
+      prices: { yesBps: 6000, noBps: 4000 },
+      markValue: 12,
+      unrealizedPnl: 2,
+    });
+    expect(settled).toMatchObject({ markValue: 5, realizedPnl: 1 });
+    expect(readContract).toHaveBeenCalledTimes(1);
+
+    expect(portfolio.claimable.total).toBe(5);
+    expect(portfolio.totals).toMatchObject({
+      sofSpent: 29,
+      realizedPnl: 2,
+      unrealizedPnl: 12,
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// tests/backend/positionRefreshService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const { refreshUserPositions } = vi.hoisted(() => ({
+  refreshUserPositions: vi.fn(),
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({ hasSupabase: true }));
+
+vi.mock("../../src/services/raffleTransactionService.js", () => ({
+  raffleTransactionService: { refreshUserPositions },
+}));
+
+const { positionRefreshService } = await import(
+  "../../src/services/positionRefreshService.js"
+);
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+describe("positionRefreshService", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    refreshUserPositions.mockReset();
+    refreshUserPositions.mockResolvedValue({ success: true, error: null });
+    positionRefreshService.start(silentLogger, {
+      debounceMs: 1_000,
+      maxWaitMs: 3_000,
+      intervalMs: 60_000,
+    });
+  });
+
+  afterEach(() => {
+    positionRefreshService.stop();
+    vi.useRealTimers();
+  });
+
+  it("debounces bursts of updates into one refresh for the season", async () => {
+    positionRefreshService.schedule(4);
+    await vi.advanceTimersByTimeAsync(500);
+    positionRefreshService.schedule(4);
+    await vi.advanceTimersByTimeAsync(900);
+    expect(refreshUserPositions).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(refreshUserPositions).toHaveBeenCalledTimes(1);
+    expect(refreshUserPositions).toHaveBeenCalledWith(4);
+    expect(positionRefreshService.getStatus()).toMatchObject({
+      lastTrigger: "debounce",
+      pendingSeasons: [],
+      lastError: null,
+    });
+  });
+
+  it("refreshes all seasons by the max wait under a steady stream", async () => {
+    for (let i = 0; i < 6; i++) {
+      positionRefreshService.schedule(i % 2 === 0 ? 1 : 2);
+      await vi.advanceTimersByTimeAsync(600);
+    }
+
+    expect(refreshUserPositions).toHaveBeenCalledTimes(1);
+    expect(refreshUserPositions).toHaveBeenCalledWith(null);
+  });
+
+  it("queues one trailing refresh instead of sharing the in-flight one", async () => {
+    let finishFirst;
+    refreshUserPositions.mockImplementationOnce(
+      () => new Promise((resolve) => (finishFirst = resolve)),
+    );
+
+    const first = positionRefreshService.refresh({ seasonId: 1 });
+    const second = positionRefreshService.refresh({ seasonId: 2 });
+    const third = positionRefreshService.refresh({ seasonId: 2 });
+
+    expect(second).toBe(third);
+    expect(refreshUserPositions).toHaveBeenCalledTimes(1);
+    expect(positionRefreshService.getStatus().refreshQueued).toBe(true);
+
+    finishFirst({ success: true, error: null });
+    await expect(first).resolves.toMatchObject({ success: true });
+    await expect(second).resolves.toMatchObject({ success: true });
+
+    expect(refreshUserPositions).toHaveBeenCalledTimes(2);
+    expect(refreshUserPositions).toHaveBeenNthCalledWith(1, 1);
+    // Season 2 asked while season 1 was running: it gets its own refresh
+    expect(refreshUserPositions).toHaveBeenNthCalledWith(2, 2);
+    expect(positionRefreshService.getStatus()).toMatchObject({
+      refreshing: false,
+      refreshQueued: false,
+    });
+  });
+
+  it("widens the trailing refresh to all seasons when requests differ", async () => {
+    let finishFirst;
+    refreshUserPositions.mockImplementationOnce(
+      () => new Promise((resolve) => (finishFirst = resolve)),
+    );
+
+    positionRefreshService.refresh({ seasonId: 1 });
+    positionRefreshService.refresh({ seasonId: 2 });
+    const trailing = positionRefreshService.refresh({ seasonId: 3 });
+
+    finishFirst({ success: true, error: null });
+    await trailing;
+
+    expect(refreshUserPositions).toHaveBeenCalledTimes(2);
+    expect(refreshUserPositions).toHaveBeenNthCalledWith(2, null);
+  });
+
+  it("falls back to the fixed interval and records failures", async () => {
+    refreshUserPositions.mockResolvedValue({ success: false, error: "timeout" });
+
+    await vi.advanceTimersByTimeAsync(60_000);
+
+    expect(refreshUserPositions).toHaveBeenCalledWith(null);
+    expect(positionRefreshService.getStatus()).toMatchObject({
+      lastTrigger: "interval",
+      lastError: "timeout",
+    });
+    expect(positionRefreshService.getStatus().failureCount).toBeGreaterThan(0);
+  });
+});
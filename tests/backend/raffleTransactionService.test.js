@@ -0,0 +1,194 @@
+// tests/backend/raffleTransactionService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  encodeAbiParameters,
+  encodeEventTopics,
+  parseEther,
+} from "viem";
+import SOFBondingCurveAbi from "../../src/abis/SOFBondingCurveAbi.js";
+
+const { getTransactionReceipt, mockFrom } = vi.hoisted(() => ({
+  getTransactionReceipt: vi.fn(),
+  mockFrom: vi.fn(),
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: { getTransactionReceipt },
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  db: {
+    client: {
+      from: (...args) => mockFrom(...args),
+      rpc: vi.fn().mockResolvedValue({ error: null }),
+    },
+  },
+}));
+
+const { raffleTransactionService } = await import(
+  "../../src/services/raffleTransactionService.js"
+);
+
+const CURVE = "0x1111111111111111111111111111111111111111";
+const OTHER_CURVE = "0x2222222222222222222222222222222222222222";
+const PLAYER = "0x3333333333333333333333333333333333333333";
+
+function eventInputs(eventName) {
+  return SOFBondingCurveAbi.find(
+    (item) => item.type === "event" && item.name === eventName,
+  ).inputs;
+}
+
+function tradeLog(eventName, { address = CURVE, account = PLAYER, values, logIndex }) {
+  const inputs = eventInputs(eventName).filter((input) => !input.indexed);
+  return {
+    address,
+    logIndex,
+    blockNumber: 10n,
+    transactionHash: "0xtx",
+    topics: encodeEventTopics({
+      abi: SOFBondingCurveAbi,
+      eventName,
+      args: eventName === "TokensPurchased" ? { buyer: account } : { seller: account },
+    }),
+    data: encodeAbiParameters(inputs, values),
+  };
+}
+
+describe("raffleTransactionService", () => {
+  beforeEach(() => {
+    getTransactionReceipt.mockReset();
+    mockFrom.mockReset();
+  });
+
+  describe("getTradeAmounts", () => {
+    it("reads the SOF cost and fee from TokensPurchased", async () => {
+      getTransactionReceipt.mockResolvedValue({
+        logs: [
+          // Same buyer on another curve is ignored
+          tradeLog("TokensPurchased", {
+            address: OTHER_CURVE,
+            values: [parseEther("99"), 1n, parseEther("1")],
+            logIndex: 0,
+          }),
+          tradeLog("TokensPurchased", {
+            values: [parseEther("12.5"), 10n, parseEther("0.125")],
+            logIndex: 1,
+          }),
+        ],
+      });
+
+      const amounts = await raffleTransactionService.getTradeAmounts({
+        txHash: "0xtx",
+        bondingCurveAddress: CURVE,
+        trader: PLAYER,
+        logIndex: 2,
+      });
+
+      expect(amounts).toEqual({
+        sofAmount: 12.5,
+        feeAmount: 0.125,
+        tickets: 10,
+        eventName: "TokensPurchased",
+        logIndex: 1,
+      });
+    });
+
+    it("reads SOF received from TokensSold and picks the trade before the PositionUpdate", async () => {
+      getTransactionReceipt.mockResolvedValue({
+        logs: [
+          tradeLog("TokensSold", {
+            values: [5n, parseEther("4"), parseEther("0.04")],
+            logIndex: 0,
+          }),
+          tradeLog("TokensSold", {
+            values: [3n, parseEther("2"), parseEther("0.02")],
+            logIndex: 2,
+          }),
+        ],
+      });
+
+      const amounts = await raffleTransactionService.getTradeAmounts({
+        txHash: "0xtx",
+        bondingCurveAddress: CURVE,
+        trader: PLAYER,
+        logIndex: 3,
+      });
+
+      expect(amounts).toMatchObject({ sofAmount: 2, feeAmount: 0.02 });
+    });
+
+    it("returns null when the transaction has no trade for the player", async () => {
+      getTransactionReceipt.mockResolvedValue({ logs: [] });
+
+      await expect(
+        raffleTransactionService.getTradeAmounts({
+          txHash: "0xtx",
+          bondingCurveAddress: CURVE,
+          trader: PLAYER,
+        }),
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe("recordTransaction", () => {
+    const params = {
+      seasonId: 1,
+      userAddress: PLAYER,
+      transactionType: "BUY",
+      ticketAmount: 10,
+      sofAmount: 12.5,
+      feeAmount: 0.125,
+      txHash: "0xtx",
+      blockNumber: 10,
+      blockTimestamp: "2026-01-01T00:00:00.000Z",
+      ticketsBefore: 0,
+      ticketsAfter: 10,
+    };
+
+    it("stores the SOF amount, fee and price per ticket", async () => {
+      const insert = vi.fn(() => ({
+        select: () => ({
+          single: async () => ({ data: { id: 1 }, error: null }),
+        }),
+      }));
+      mockFrom.mockReturnValue({ insert });
+
+      await raffleTransactionService.recordTransaction(params);
+
+      expect(insert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sof_amount: 12.5,
+          fee_amount: 0.125,
+          price_per_ticket: 1.25,
+        }),
+      );
+    });
+
+    it("fills in the amount of a row recorded without one", async () => {
+      const eq = vi.fn(function () {
+        return this;
+      });
+      const update = vi.fn(() => ({ eq, error: null }));
+      mockFrom.mockReturnValue({
+        insert: () => ({
+          select: () => ({
+            single: async () => ({ data: null, error: { code: "23505" } }),
+          }),
+        }),
+        update,
+      });
+
+      const result = await raffleTransactionService.recordTransaction(params);
+
+      expect(result).toEqual({ alreadyRecorded: true, txHash: "0xtx" });
+      expect(update).toHaveBeenCalledWith({
+        sof_amount: 12.5,
+        fee_amount: 0.125,
+        price_per_ticket: 1.25,
+      });
+      expect(eq).toHaveBeenCalledWith("sof_amount", 0);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from "vitest";
+import { createReorgTracker } from "../../src/lib/reorgTracker.js";
+
+function makeClient(hashes) {
+  return {
+    getBlock: vi.fn(async ({ blockNumber }) => ({ hash: hashes[blockNumber] })),
+  };
+}
+
+describe("createReorgTracker", () => {
+  it("returns null when recorded blocks are still canonical", async () => {
+    const client = makeClient({ 10n: "0xa", 12n: "0xb" });
+    const tracker = createReorgTracker({ client });
+
+    tracker.record(10n, "0xa");
+    tracker.record(12n, "0xb");
+
+    expect(await tracker.detect()).toBeNull();
+    // Only the newest block needs to be checked
+    expect(client.getBlock).toHaveBeenCalledTimes(1);
+  });
+
+  it("walks back to the fork point and collects orphaned logs", async () => {
+    const hashes = { 10n: "0xa", 11n: "0xb", 12n: "0xc" };
+    const client = makeClient(hashes);
+    const tracker = createReorgTracker({ client });
+
+    const log11 = { blockNumber: 11n, blockHash: "0xb", transactionHash: "0x1" };
+    const log12 = { blockNumber: 12n, blockHash: "0xc", transactionHash: "0x2" };
+    tracker.record(10n, "0xa");
+    tracker.recordLogs([log11, log12]);
+
+    hashes[11n] = "0xb2";
+    hashes[12n] = "0xc2";
+
+    const reorg = await tracker.detect();
+    expect(reorg).toEqual({
+      forkBlock: 10n,
+      rewindTo: 11n,
+      orphanedLogs: [log11, log12],
+    });
+
+    tracker.discardFrom(reorg.rewindTo);
+    expect(tracker.size).toBe(1);
+  });
+
+  it("prunes blocks outside the window", () => {
+    const tracker = createReorgTracker({
+      client: makeClient({}),
+      windowSize: 5n,
+    });
+
+    tracker.record(1n, "0x1");
+    tracker.record(8n, "0x8");
+    tracker.prune(10n);
+
+    expect(tracker.size).toBe(1);
+  });
+});
@@ -0,0 +1,128 @@
+// tests/backend/rpcPool.test.js
+// @vitest-environment node
+import { describe, it, expect, vi } from "vitest";
+import { createRpcPool, isEndpointFailure } from "../../src/lib/rpcPool.js";
+
+const silentLogger = { info: vi.fn(), warn: vi.fn() };
+
+function httpError(status) {
+  const error = new Error(`HTTP request failed. Status: ${status}`);
+  error.name = "HttpRequestError";
+  error.status = status;
+  return error;
+}
+
+/**
+ * Build a pool whose endpoints are backed by per-URL request mocks.
+ * @param {Record<string, import('vitest').Mock>} handlers
+ */
+function buildPool(handlers, options = {}) {
+  let clock = 0;
+  const pool = createRpcPool({
+    urls: Object.keys(handlers),
+    createEndpointTransport: (url) => () => ({ request: handlers[url] }),
+    now: () => clock,
+    logger: silentLogger,
+    ...options,
+  });
+  const transport = pool.transport({ retryCount: 0 });
+  return {
+    pool,
+    request: (method = "eth_blockNumber") =>
+      transport.request({ method, params: [] }),
+    advance: (ms) => {
+      clock += ms;
+    },
+  };
+}
+
+describe("rpcPool", () => {
+  it("fails over to the next endpoint on rate limiting", async () => {
+    const primary = vi.fn().mockRejectedValue(httpError(429));
+    const fallback = vi.fn().mockResolvedValue("0x10");
+    const { pool, request } = buildPool({
+      "https://primary.example/key": primary,
+      "https://fallback.example": fallback,
+    });
+
+    await expect(request()).resolves.toBe("0x10");
+    expect(primary).toHaveBeenCalledTimes(1);
+    expect(fallback).toHaveBeenCalledTimes(1);
+
+    const [primaryStatus, fallbackStatus] = pool.getStatus();
+    expect(primaryStatus.url).toBe("https://primary.example");
+    expect(primaryStatus.totalFailures).toBe(1);
+    expect(primaryStatus.errorRate).toBeGreaterThan(0);
+    expect(fallbackStatus.healthy).toBe(true);
+  });
+
+  it("keeps a measured endpoint ahead of fallbacks that were never tried", async () => {
+    let advance;
+    const primary = vi.fn(async () => {
+      advance(250);
+      return "0x1";
+    });
+    const fallback = vi.fn().mockResolvedValue("0x2");
+    const built = buildPool({
+      "https://primary.example": primary,
+      "https://fallback.example": fallback,
+    });
+    advance = built.advance;
+
+    await built.request();
+    await built.request();
+
+    expect(primary).toHaveBeenCalledTimes(2);
+    expect(fallback).not.toHaveBeenCalled();
+  });
+
+  it("opens the circuit after repeated failures and half-opens after cooldown", async () => {
+    const primary = vi.fn().mockRejectedValue(httpError(503));
+    const fallback = vi.fn().mockResolvedValue("0x10");
+    const { pool, request, advance } = buildPool(
+      {
+        "https://primary.example": primary,
+        "https://fallback.example": fallback,
+      },
+      { failureThreshold: 1, cooldownMs: 1_000 },
+    );
+
+    await request();
+    expect(pool.getStatus()[0].state).toBe("open");
+
+    // Open breaker: primary is skipped entirely
+    await request();
+    expect(primary).toHaveBeenCalledTimes(1);
+
+    // After cooldown the primary gets a trial request and recovers
+    advance(1_000);
+    primary.mockResolvedValueOnce("0x11");
+    await expect(request()).resolves.toBe("0x11");
+    expect(pool.getStatus()[0].state).toBe("closed");
+  });
+
+  it("does not fail over on deterministic RPC errors", async () => {
+    const revert = Object.assign(new Error("execution reverted"), {
+      code: 3,
+    });
+    const primary = vi.fn().mockRejectedValue(revert);
+    const fallback = vi.fn().mockResolvedValue("0x10");
+    const { pool, request } = buildPool({
+      "https://primary.example": primary,
+      "https://fallback.example": fallback,
+    });
+
+    await expect(request("eth_call")).rejects.toThrow(/execution reverted/);
+    expect(fallback).not.toHaveBeenCalled();
+    expect(pool.getStatus()[0].healthy).toBe(true);
+  });
+
+  it("classifies endpoint failures", () => {
+    expect(isEndpointFailure(httpError(500))).toBe(true);
+    expect(isEndpointFailure({ name: "TimeoutError" })).toBe(true);
+    expect(isEndpointFailure({ code: -32005, message: "limit" })).toBe(true);
+    expect(isEndpointFailure({ code: -32602, message: "bad params" })).toBe(
+      false,
+    );
+  });
+});
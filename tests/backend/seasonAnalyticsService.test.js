@@ -0,0 +1,292 @@
+// tests/backend/seasonAnalyticsService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const {
+  readContract,
+  mockFrom,
+  getSeasonContracts,
+  getInfoFiMarketsBySeasonId,
+  isLeader,
+  cursorGet,
+} = vi.hoisted(() => ({
+  readContract: vi.fn(),
+  mockFrom: vi.fn(),
+  getSeasonContracts: vi.fn(),
+  getInfoFiMarketsBySeasonId: vi.fn(),
+  isLeader: vi.fn(),
+  cursorGet: vi.fn(),
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: { readContract },
+}));
+
+vi.mock("../../src/config/chain.js", () => ({
+  getChainByKey: () => ({ raffle: "0xraffle" }),
+}));
+
+vi.mock("../../src/services/leaderElectionService.js", () => ({ isLeader }));
+
+vi.mock("../../src/lib/blockCursor.js", () => ({
+  getCursorStore: async () => ({ get: cursorGet }),
+}));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  db: {
+    client: { from: (...args) => mockFrom(...args) },
+    getSeasonContracts,
+    getInfoFiMarketsBySeasonId,
+  },
+}));
+
+const { giniCoefficient, seasonAnalyticsService } = await import(
+  "../../src/services/seasonAnalyticsService.js"
+);
+
+function tx(id, user, type, tickets, ticketsAfter, sof, timestamp) {
+  return {
+    updated_at: new Date(timestamp).toISOString(),
+    id,
+    user_address: user,
+    transaction_type: type,
+    ticket_amount: tickets,
+    sof_amount: sof,
+    fee_amount: sof / 100,
+    tickets_after: ticketsAfter,
+    block_number: id,
+    block_timestamp: timestamp,
+  };
+}
+
+/**
+ * Serves rows with updated_at >= the query's gte() filter, recording the
+ * watermark used (null for a full read)
+ */
+function tableQuery(rows, watermarks) {
+  let since = null;
+  const query = {
+    select: () => query,
+    eq: () => query,
+    in: () => query,
+    gte: (_column, value) => {
+      since = value;
+      return query;
+    },
+    order: () => query,
+    range: async (from, to) => {
+      watermarks.push(since);
+      const changed = rows.filter((row) => !since || row.updated_at >= since);
+      return { data: changed.slice(from, to + 1), error: null };
+    },
+  };
+  return query;
+}
+
+describe("seasonAnalyticsService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    seasonAnalyticsService.reset();
+    isLeader.mockReturnValue(true);
+  });
+
+  it("computes the Gini coefficient of a distribution", () => {
+    expect(giniCoefficient([5, 5, 5, 5])).toBe(0);
+    expect(giniCoefficient([0, 0, 0, 10])).toBe(0);
+    expect(giniCoefficient([1, 3])).toBeCloseTo(0.25);
+    expect(giniCoefficient([])).toBe(0);
+  });
+
+  it("advances active season aggregates incrementally", async () => {
+    const transactions = [
+      tx(1, "0xA", "BUY", 30, 30, 30, "2026-01-01T00:00:00Z"),
+      tx(2, "0xB", "BUY", 10, 10, 11, "2026-01-01T01:00:00Z"),
+    ];
+    const positions = [{ id: 1, user_address: "0xC", amount: 4 }];
+    const cursors = { raffle_transactions: [], infofi_positions: [] };
+    mockFrom.mockImplementation((table) =>
+      tableQuery(
+        table === "raffle_transactions" ? transactions : positions,
+        cursors[table],
+      ),
+    );
+    getSeasonContracts.mockResolvedValue({ season_id: 1, is_active: true });
+    getInfoFiMarketsBySeasonId.mockResolvedValue([
+      { id: 9, created_at: "2026-01-01T00:30:00Z" },
+    ]);
+
+    const first = await seasonAnalyticsService.getAnalytics(1);
+
+    expect(first).toMatchObject({
+      isFinal: false,
+      participants: { unique: 2, holding: 2 },
+      transactions: { buys: 2, sells: 0, ticketsBought: 40 },
+      volume: { sofSpent: 41, sofVolume: 41 },
+      distribution: { totalTickets: 40, top10Share: 1, gini: 0.25 },
+      infoFi: {
+        marketsCreated: 1,
+        traders: 1,
+        volume: 4,
+        timeToThresholdSeconds: { min: 1800, median: 1800, max: 1800 },
+      },
+      winner: null,
+    });
+
+    transactions.push(tx(3, "0xA", "SELL", 30, 0, 27, "2026-01-01T02:00:00Z"));
+    const second = await seasonAnalyticsService.getAnalytics(1);
+
+    // Re-reads from a minute before the latest updated_at seen
+    expect(cursors.raffle_transactions).toEqual([
+      null,
+      "2026-01-01T00:59:00.000Z",
+    ]);
+    expect(second).toMatchObject({
+      participants: { unique: 2, holding: 1 },
+      transactions: { buys: 2, sells: 1, ticketsSold: 30 },
+      volume: { sofSpent: 41, sofReceived: 27, sofVolume: 68 },
+      distribution: { totalTickets: 10, gini: 0 },
+    });
+  });
+
+  it("replaces a transaction's contribution when the row is updated", async () => {
+    const transactions = [
+      tx(1, "0xA", "BUY", 30, 30, 0, "2026-01-01T00:00:00Z"),
+      tx(2, "0xB", "BUY", 10, 10, 11, "2026-01-01T01:00:00Z"),
+    ];
+    mockFrom.mockImplementation(() => tableQuery(transactions, []));
+    getSeasonContracts.mockResolvedValue({ season_id: 1, is_active: true });
+    getInfoFiMarketsBySeasonId.mockResolvedValue([]);
+
+    await seasonAnalyticsService.getAnalytics(1);
+
+    // Amount backfilled in place on a row recorded before amounts were captured
+    transactions[0] = {
+      ...transactions[0],
+      sof_amount: 30,
+      fee_amount: 0.3,
+      updated_at: "2026-01-02T00:00:00.000Z",
+    };
+    const second = await seasonAnalyticsService.getAnalytics(1);
+
+    expect(second).toMatchObject({
+      transactions: { buys: 2, ticketsBought: 40 },
+      volume: { sofSpent: 41 },
+      distribution: { totalTickets: 40 },
+    });
+  });
+
+  it("recomputes from scratch on followers instead of caching aggregates", async () => {
+    isLeader.mockReturnValue(false);
+    const cursors = [];
+    mockFrom.mockImplementation(() =>
+      tableQuery([tx(1, "0xA", "BUY", 5, 5, 5, "2026-01-01T00:00:00Z")], cursors),
+    );
+    getSeasonContracts.mockResolvedValue({ season_id: 1, is_active: true });
+    getInfoFiMarketsBySeasonId.mockResolvedValue([]);
+
+    await seasonAnalyticsService.getAnalytics(1);
+    const second = await seasonAnalyticsService.getAnalytics(1);
+
+    expect(cursors).toEqual([null, null]);
+    expect(second).toMatchObject({ isFinal: false, transactions: { buys: 1 } });
+  });
+
+  describe("completed seasons", () => {
+    const SEASON = {
+      season_id: 1,
+      is_active: false,
+      bonding_curve_address: "0xcurve",
+    };
+    let upsert;
+    let stored;
+    let deadLetters;
+
+    beforeEach(() => {
+      upsert = vi.fn().mockResolvedValue({ error: null });
+      stored = null;
+      deadLetters = 0;
+      mockFrom.mockImplementation((table) => {
+        if (table === "season_analytics") {
+          const query = {
+            select: () => query,
+            eq: () => query,
+            maybeSingle: async () => ({ data: stored, error: null }),
+            upsert: async (row) => {
+              stored = row;
+              return upsert(row);
+            },
+          };
+          return query;
+        }
+        if (table === "event_dead_letters") {
+          const query = {
+            select: () => query,
+            eq: () => query,
+            in: () => query,
+            lte: async () => ({ count: deadLetters, error: null }),
+          };
+          return query;
+        }
+        return tableQuery(
+          table === "raffle_transactions"
+            ? [tx(1, "0xA", "BUY", 5, 5, 5, "2026-01-01T00:00:00Z")]
+            : [],
+          [],
+        );
+      });
+      getSeasonContracts.mockResolvedValue(SEASON);
+      getInfoFiMarketsBySeasonId.mockResolvedValue([]);
+      readContract.mockResolvedValue(["0xAAAA"]);
+    });
+
+    it("serves a computed, non-final summary until the season is materialized", async () => {
+      const result = await seasonAnalyticsService.getAnalytics(1);
+
+      expect(result).toMatchObject({ isFinal: false, transactions: { buys: 1 } });
+      expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it("refuses to materialize while PositionUpdate ingestion is behind", async () => {
+      cursorGet.mockResolvedValue(99n);
+      await expect(
+        seasonAnalyticsService.materialize(1, { throughBlock: 100n }),
+      ).rejects.toThrow("has not caught up to block 100");
+
+      cursorGet.mockResolvedValue(100n);
+      deadLetters = 1;
+      await expect(
+        seasonAnalyticsService.materialize(1, { throughBlock: 100n }),
+      ).rejects.toThrow("has not caught up");
+
+      expect(cursorGet).toHaveBeenCalledWith("0xcurve:PositionUpdate");
+      expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it("materializes a season whose curve never had a PositionUpdate cursor", async () => {
+      cursorGet.mockResolvedValue(null);
+
+      await expect(
+        seasonAnalyticsService.materialize(1, { throughBlock: 100n }),
+      ).resolves.toMatchObject({ isFinal: true });
+      expect(upsert).toHaveBeenCalled();
+    });
+
+    it("materializes with the winner and then serves the snapshot", async () => {
+      cursorGet.mockResolvedValue(120n);
+
+      const result = await seasonAnalyticsService.materialize(1, {
+        throughBlock: 100n,
+      });
+
+      expect(result).toMatchObject({ isFinal: true, winner: "0xaaaa" });
+      expect(upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ season_id: 1, is_final: true }),
+      );
+
+      mockFrom.mockClear();
+      const cached = await seasonAnalyticsService.getAnalytics(1);
+      expect(cached).toMatchObject({ isFinal: true, winner: "0xaaaa" });
+      expect(mockFrom).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+// tests/backend/seasonLifecycleAdmin.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const {
+  mockReadContract,
+  mockGetOverrides,
+  mockSendAdminAlert,
+  mockClaimNextAction,
+  mockCompleteAction,
+  mockSaveSchedule,
+  mockSettleSeason,
+  mockGetSettlementStatus,
+} = vi.hoisted(() => ({
+  mockReadContract: vi.fn(),
+  mockGetOverrides: vi.fn(),
+  mockSendAdminAlert: vi.fn(),
+  mockClaimNextAction: vi.fn(),
+  mockCompleteAction: vi.fn(),
+  mockSaveSchedule: vi.fn(),
+  mockSettleSeason: vi.fn(),
+  mockGetSettlementStatus: vi.fn(),
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: { readContract: mockReadContract },
+  getWalletClient: vi.fn(),
+}));
+
+vi.mock("../../src/services/adminAlertService.js", () => ({
+  adminAlertService: { sendAdminAlert: mockSendAdminAlert },
+}));
+
+vi.mock("../../src/services/txIntentService.js", () => ({
+  txIntentService: {},
+}));
+
+vi.mock("../../src/services/seasonAutomationService.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  seasonAutomationService: {
+    getOverrides: mockGetOverrides,
+    failStaleActions: vi.fn().mockResolvedValue(0),
+    claimNextAction: mockClaimNextAction,
+    completeAction: mockCompleteAction,
+    saveSchedule: mockSaveSchedule,
+  },
+}));
+
+vi.mock("../../src/services/seasonSettlementService.js", () => ({
+  seasonSettlementService: {
+    settleSeason: mockSettleSeason,
+    getStatus: mockGetSettlementStatus,
+  },
+}));
+
+vi.mock("../../src/services/seasonTimelineService.js", () => ({
+  WATCHDOG_EVENTS: {},
+  seasonTimelineService: {},
+}));
+
+const { SeasonLifecycleService, planSeasonAction } = await import(
+  "../../src/services/seasonLifecycleService.js"
+);
+
+const NOT_STARTED = 0;
+const ACTIVE = 1;
+const VRF_PENDING = 3;
+const NOW = 1_000_000n;
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/**
+ * Serve getSeasonDetails / currentSeasonId from a list of seasons
+ * @param {Array<{ status: number, startTime: bigint, endTime: bigint }>} seasons
+ */
+function mockSeasons(seasons) {
+  mockReadContract.mockImplementation(async ({ functionName, args }) => {
+    if (functionName === "currentSeasonId") return BigInt(seasons.length);
+    const season = seasons[Number(args[0]) - 1];
+    return [
+      { name: `S${args[0]}`, startTime: season.startTime, endTime: season.endTime },
+      season.status,
+    ];
+  });
+}
+
+function createService() {
+  const service = new SeasonLifecycleService(logger);
+  service.raffleAddress = "0x2222222222222222222222222222222222222222";
+  service.submitWithRetry = vi.fn();
+  service.watchSeasonStatus = vi.fn();
+  return service;
+}
+
+describe("planSeasonAction", () => {
+  it("starts a season between its start and end time", () => {
+    expect(
+      planSeasonAction({ status: NOT_STARTED, startTime: NOW - 1n, endTime: NOW + 10n }, NOW),
+    ).toMatchObject({ action: "startSeason", due: true, at: NOW - 1n });
+    expect(
+      planSeasonAction({ status: NOT_STARTED, startTime: NOW + 5n, endTime: NOW + 10n }, NOW),
+    ).toMatchObject({ action: "startSeason", due: false, at: NOW + 5n });
+    expect(
+      planSeasonAction({ status: NOT_STARTED, startTime: NOW - 10n, endTime: NOW }, NOW),
+    ).toMatchObject({ action: null, due: false });
+  });
+
+  it("requests the end of an active season once its end time passes", () => {
+    expect(
+      planSeasonAction({ status: ACTIVE, startTime: 0n, endTime: NOW }, NOW),
+    ).toMatchObject({ action: "requestSeasonEnd", due: true });
+    expect(
+      planSeasonAction({ status: VRF_PENDING, startTime: 0n, endTime: NOW }, NOW),
+    ).toMatchObject({ action: null, due: false });
+  });
+});
+
+describe("SeasonLifecycleService admin controls", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetOverrides.mockResolvedValue(new Map());
+    mockSendAdminAlert.mockResolvedValue(true);
+  });
+
+  it("does not start or end seasons with automation paused", async () => {
+    mockSeasons([{ status: ACTIVE, startTime: 0n, endTime: NOW - 1n }]);
+    const service = createService();
+    service.requestSeasonEnd = vi.fn();
+    service.pausedSeasonIds = new Set([1]);
+
+    await service.processSeasonIfNeeded(1n, NOW);
+    expect(service.requestSeasonEnd).not.toHaveBeenCalled();
+
+    service.pausedSeasonIds = new Set();
+    await service.processSeasonIfNeeded(1n, NOW);
+    expect(service.requestSeasonEnd).toHaveBeenCalledWith(1n, "S1");
+  });
+
+  it("previews each season's schedule and next action", async () => {
+    mockSeasons([
+      { status: ACTIVE, startTime: 0n, endTime: 2_000_000_000n },
+      { status: NOT_STARTED, startTime: 1_000n, endTime: 2_000_000_000n },
+    ]);
+    mockGetOverrides.mockResolvedValue(
+      new Map([[2, { paused: true, reason: "maintenance", updatedAt: "t1" }]]),
+    );
+    const service = createService();
+
+    const schedule = await service.getSchedule(Date.parse("2026-01-01T00:00:00Z"));
+
+    expect(schedule.seasons).toEqual([
+      expect.objectContaining({
+        seasonId: 1,
+        status: "Active",
+        endTime: "2033-05-18T03:33:20.000Z",
+        automation: { paused: false, reason: null, updatedAt: null },
+        nextAction: {
+          action: "requestSeasonEnd",
+          due: false,
+          at: "2033-05-18T03:33:20.000Z",
+          reason: "Waiting for end time",
+        },
+      }),
+      expect.objectContaining({
+        seasonId: 2,
+        status: "NotStarted",
+        automation: { paused: true, reason: "maintenance", updatedAt: "t1" },
+        nextAction: expect.objectContaining({
+          action: "startSeason",
+          due: false,
+          reason: "Automation paused (Start time reached)",
+        }),
+      }),
+    ]);
+  });
+
+  it("stores the schedule without overrides for other replicas to serve", async () => {
+    mockSeasons([{ status: NOT_STARTED, startTime: 1_000n, endTime: 2_000_000_000n }]);
+    mockGetOverrides.mockResolvedValue(new Map([[1, { paused: true }]]));
+    const service = createService();
+
+    await service.publishSchedule();
+
+    const [raffleAddress, schedule] = mockSaveSchedule.mock.calls[0];
+    expect(raffleAddress).toBe(service.raffleAddress);
+    expect(schedule.seasons[0]).not.toHaveProperty("automation");
+    expect(schedule.seasons[0].nextAction).toMatchObject({
+      action: "startSeason",
+      due: true,
+    });
+  });
+
+  it("runs queued admin actions and records each outcome", async () => {
+    mockSeasons([{ status: ACTIVE, startTime: 0n, endTime: 2_000_000_000n }]);
+    mockClaimNextAction
+      .mockResolvedValueOnce({ id: 7, action: "force_end", season_id: 1 })
+      .mockResolvedValueOnce({ id: 8, action: "force_start", season_id: 1 })
+      .mockResolvedValueOnce(null);
+    const service = createService();
+    service.submitWithRetry.mockResolvedValue({ hash: "0xend" });
+
+    await service.processQueuedActions();
+
+    expect(mockCompleteAction).toHaveBeenCalledWith(7, {
+      success: true,
+      result: { hash: "0xend" },
+      error: null,
+    });
+    expect(mockCompleteAction).toHaveBeenCalledWith(8, {
+      success: false,
+      result: { reason: "invalid_status" },
+      error: expect.stringContaining("requires NotStarted"),
+    });
+    expect(service.submitWithRetry).toHaveBeenCalledTimes(1);
+    expect(service.processingActions).toBe(false);
+  });
+
+  it("runs queued settlements and records where one stopped", async () => {
+    mockClaimNextAction
+      .mockResolvedValueOnce({
+        id: 9,
+        action: "settle",
+        season_id: 2,
+        params: { winnerAddress: "0xaaaa", resolveOnchain: true },
+      })
+      .mockResolvedValueOnce({
+        id: 10,
+        action: "settle",
+        season_id: 3,
+        params: { winnerAddress: "0xbbbb", resolveOnchain: false },
+      })
+      .mockResolvedValueOnce(null);
+    mockSettleSeason
+      .mockResolvedValueOnce({ status: "winnings_computed", completed: true })
+      .mockRejectedValueOnce(new Error("Payouts failed for market(s) 4"));
+    mockGetSettlementStatus.mockResolvedValueOnce({ status: "db_settled", completed: false });
+    const service = createService();
+
+    await service.processQueuedActions();
+
+    expect(mockSettleSeason).toHaveBeenCalledWith(2, {
+      winnerAddress: "0xaaaa",
+      resolveOnchain: true,
+      logger,
+    });
+    expect(mockSettleSeason).toHaveBeenCalledWith(3, expect.objectContaining({
+      resolveOnchain: false,
+    }));
+    expect(mockCompleteAction).toHaveBeenCalledWith(9, {
+      success: true,
+      result: { settlement: { status: "winnings_computed", completed: true } },
+      error: null,
+    });
+    expect(mockCompleteAction).toHaveBeenCalledWith(10, {
+      success: false,
+      result: { settlement: { status: "db_settled", completed: false } },
+      error: "Payouts failed for market(s) 4",
+    });
+  });
+
+  it("forces a transition only from the status it requires", async () => {
+    mockSeasons([{ status: ACTIVE, startTime: 0n, endTime: 2_000_000_000n }]);
+    const service = createService();
+    service.submitWithRetry.mockResolvedValue({ hash: "0xend" });
+
+    const rejected = await service.forceSeasonTransition(1n, "start");
+    expect(rejected).toMatchObject({ success: false, reason: "invalid_status" });
+    expect(service.submitWithRetry).not.toHaveBeenCalled();
+
+    const forced = await service.forceSeasonTransition(1n, "end");
+    expect(forced).toEqual({ success: true, hash: "0xend" });
+    expect(service.submitWithRetry).toHaveBeenCalledWith(
+      "requestSeasonEnd",
+      [1n],
+      expect.any(String),
+    );
+    expect(service.pendingSeasons.size).toBe(0);
+  });
+
+  it("reports a forced transition that could not be confirmed", async () => {
+    mockSeasons([{ status: NOT_STARTED, startTime: 0n, endTime: 2_000_000_000n }]);
+    const service = createService();
+    service.submitWithRetry.mockRejectedValue(new Error("execution reverted"));
+
+    const result = await service.forceSeasonTransition(1n, "start");
+
+    expect(result).toEqual({
+      success: false,
+      reason: "failed",
+      error: "execution reverted",
+    });
+  });
+});
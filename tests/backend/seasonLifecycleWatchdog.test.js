@@ -0,0 +1,192 @@
+// tests/backend/seasonLifecycleWatchdog.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { mockGetTimeline, mockRecordAction, mockSendAdminAlert } = vi.hoisted(
+  () => ({
+    mockGetTimeline: vi.fn(),
+    mockRecordAction: vi.fn(),
+    mockSendAdminAlert: vi.fn(),
+  }),
+);
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: {},
+  getWalletClient: vi.fn(),
+}));
+
+vi.mock("../../src/services/adminAlertService.js", () => ({
+  adminAlertService: { sendAdminAlert: mockSendAdminAlert },
+}));
+
+vi.mock("../../src/services/txIntentService.js", () => ({
+  txIntentService: {},
+}));
+
+vi.mock("../../src/services/seasonAutomationService.js", () => ({
+  seasonAutomationService: {},
+}));
+
+vi.mock("../../src/services/seasonTimelineService.js", () => ({
+  WATCHDOG_EVENTS: {
+    SLA_EXCEEDED: "WatchdogSlaExceeded",
+    FINALIZE_RETRIED: "WatchdogFinalizeRetried",
+  },
+  seasonTimelineService: {
+    getTimeline: mockGetTimeline,
+    recordAction: mockRecordAction,
+  },
+}));
+
+const { SeasonLifecycleService } = await import(
+  "../../src/services/seasonLifecycleService.js"
+);
+
+const VRF_PENDING = 3;
+const DISTRIBUTING = 4;
+const COMPLETED = 5;
+const MINUTE = 60_000;
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+function createService() {
+  const service = new SeasonLifecycleService(logger);
+  service.slaMs = {
+    EndRequested: 30 * MINUTE,
+    VRFPending: 60 * MINUTE,
+    Distributing: 30 * MINUTE,
+  };
+  service.finalizeMaxAttempts = 2;
+  service.submitWithRetry = vi.fn();
+  return service;
+}
+
+describe("SeasonLifecycleService watchdog", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetTimeline.mockResolvedValue({ events: [] });
+    mockRecordAction.mockResolvedValue(undefined);
+    mockSendAdminAlert.mockResolvedValue(true);
+  });
+
+  it("alerts and records once when a status exceeds its SLA", async () => {
+    const service = createService();
+
+    await service.watchSeasonStatus(1n, "S1", VRF_PENDING, T0);
+    await service.watchSeasonStatus(1n, "S1", VRF_PENDING, T0 + 59 * MINUTE);
+    expect(mockSendAdminAlert).not.toHaveBeenCalled();
+
+    await service.watchSeasonStatus(1n, "S1", VRF_PENDING, T0 + 61 * MINUTE);
+    await service.watchSeasonStatus(1n, "S1", VRF_PENDING, T0 + 90 * MINUTE);
+
+    expect(mockRecordAction).toHaveBeenCalledTimes(1);
+    expect(mockRecordAction).toHaveBeenCalledWith(1, "WatchdogSlaExceeded", {
+      status: "VRFPending",
+      since: new Date(T0).toISOString(),
+      elapsedMs: 61 * MINUTE,
+      slaMs: 60 * MINUTE,
+    });
+    expect(mockSendAdminAlert).toHaveBeenCalledTimes(1);
+    expect(mockSendAdminAlert.mock.calls[0][0]).toMatchObject({
+      key: "season-sla-1-VRFPending",
+      severity: "WARNING",
+    });
+    // VRF can't be retried from the backend
+    expect(service.submitWithRetry).not.toHaveBeenCalled();
+  });
+
+  it("measures time in status from the season timeline", async () => {
+    mockGetTimeline.mockResolvedValue({
+      events: [
+        { eventName: "SeasonEndRequested", timestamp: "2026-01-01T00:00:00Z" },
+        { eventName: "WatchdogSlaExceeded", timestamp: "2026-01-01T00:40:00Z" },
+      ],
+    });
+    const service = createService();
+
+    await service.watchSeasonStatus(2n, "S2", VRF_PENDING, T0 + 65 * MINUTE);
+
+    expect(mockGetTimeline).toHaveBeenCalledWith(2);
+    expect(mockRecordAction).toHaveBeenCalledWith(
+      2,
+      "WatchdogSlaExceeded",
+      expect.objectContaining({ elapsedMs: 65 * MINUTE }),
+    );
+  });
+
+  it("retries finalization for seasons stuck in Distributing", async () => {
+    const service = createService();
+    service.submitWithRetry
+      .mockRejectedValueOnce(new Error("execution reverted"))
+      .mockResolvedValueOnce({ hash: "0xabc" });
+
+    await service.watchSeasonStatus(3n, "S3", DISTRIBUTING, T0);
+    await service.watchSeasonStatus(3n, "S3", DISTRIBUTING, T0 + 31 * MINUTE);
+    // Within the retry window: no second attempt yet
+    await service.watchSeasonStatus(3n, "S3", DISTRIBUTING, T0 + 40 * MINUTE);
+    expect(service.submitWithRetry).toHaveBeenCalledTimes(1);
+    expect(service.submitWithRetry).toHaveBeenCalledWith(
+      "finalizeSeason",
+      [3n],
+      expect.any(String),
+    );
+
+    await service.watchSeasonStatus(3n, "S3", DISTRIBUTING, T0 + 62 * MINUTE);
+    expect(service.submitWithRetry).toHaveBeenCalledTimes(2);
+
+    const retries = mockRecordAction.mock.calls.filter(
+      ([, name]) => name === "WatchdogFinalizeRetried",
+    );
+    expect(retries.map(([, , data]) => data)).toEqual([
+      { attempt: 1, success: false, error: "execution reverted" },
+      { attempt: 2, success: true, txHash: "0xabc" },
+    ]);
+  });
+
+  it("stops retrying and escalates after the max attempts", async () => {
+    const service = createService();
+    service.submitWithRetry.mockRejectedValue(new Error("reverted"));
+
+    await service.watchSeasonStatus(4n, "S4", DISTRIBUTING, T0);
+    for (const minutes of [31, 62, 93, 124]) {
+      await service.watchSeasonStatus(4n, "S4", DISTRIBUTING, T0 + minutes * MINUTE);
+    }
+
+    expect(service.submitWithRetry).toHaveBeenCalledTimes(2);
+    expect(
+      mockSendAdminAlert.mock.calls.filter(([alert]) => alert.severity === "CRITICAL"),
+    ).toHaveLength(1);
+  });
+
+  it("alerts but does not retry finalization while automation is paused", async () => {
+    const service = createService();
+    service.pausedSeasonIds = new Set([7]);
+
+    await service.watchSeasonStatus(7n, "S7", DISTRIBUTING, T0);
+    await service.watchSeasonStatus(7n, "S7", DISTRIBUTING, T0 + 31 * MINUTE);
+
+    expect(mockSendAdminAlert).toHaveBeenCalledTimes(1);
+    expect(service.submitWithRetry).not.toHaveBeenCalled();
+  });
+
+  it("stops tracking once the season completes", async () => {
+    const service = createService();
+
+    await service.watchSeasonStatus(5n, "S5", DISTRIBUTING, T0);
+    expect(service.getWatchdogStatus()).toHaveLength(1);
+
+    await service.watchSeasonStatus(5n, "S5", COMPLETED, T0 + 5 * MINUTE);
+    expect(service.getWatchdogStatus()).toEqual([]);
+  });
+
+  it("keeps watching when the timeline write fails", async () => {
+    mockRecordAction.mockRejectedValue(new Error("db down"));
+    const service = createService();
+
+    await service.watchSeasonStatus(6n, "S6", VRF_PENDING, T0);
+    await service.watchSeasonStatus(6n, "S6", VRF_PENDING, T0 + 61 * MINUTE);
+
+    expect(mockSendAdminAlert).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,312 @@
+// tests/backend/seasonSettlementService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { tables, mockSend, mockSettleMarketPayouts, mockGetMarkets } =
+  vi.hoisted(() => ({
+    tables: {},
+    mockSend: vi.fn(),
+    mockSettleMarketPayouts: vi.fn(),
+    mockGetMarkets: vi.fn(),
+  }));
+
+/**
+ * Minimal in-memory stand-in for the Supabase query builder
+ */
+function from(table) {
+  const filters = [];
+  let op = { type: "select" };
+  let shape = "many";
+  const rows = () => tables[table] || (tables[table] = []);
+  const matches = (row) => filters.every((filter) => filter(row));
+
+  const run = () => {
+    let data;
+    if (op.type === "insert") {
+      if (rows().some((row) => row.season_id === op.values.season_id)) {
+        return { data: null, error: { code: "23505", message: "duplicate" } };
+      }
+      const row = {
+        status: "pending",
+        onchain_tx_hash: null,
+        onchain_skipped: false,
+        markets_settled: 0,
+        winnings: [],
+        attempts: 0,
+        last_error: null,
+        completed_at: null,
+        ...op.values,
+      };
+      rows().push(row);
+      data = [row];
+    } else if (op.type === "delete") {
+      data = rows().filter(matches);
+      tables[table] = rows().filter((row) => !matches(row));
+    } else if (op.type === "update") {
+      data = rows().filter(matches);
+      data.forEach((row) => Object.assign(row, op.values));
+    } else {
+      data = rows().filter(matches);
+    }
+    data = data.map((row) => ({ ...row }));
+    return { data: shape === "many" ? data : data[0] ?? null, error: null };
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (values) => ((op = { type: "insert", values }), builder),
+    update: (values) => ((op = { type: "update", values }), builder),
+    delete: () => ((op = { type: "delete" }), builder),
+    eq: (column, value) => (filters.push((row) => row[column] === value), builder),
+    in: (column, values) => (filters.push((row) => values.includes(row[column])), builder),
+    single: () => ((shape = "one"), builder),
+    maybeSingle: () => ((shape = "one"), builder),
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+  };
+  return builder;
+}
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  hasSupabase: true,
+  db: {
+    client: { from: (table) => from(table) },
+    getInfoFiMarketsBySeasonId: mockGetMarkets,
+  },
+}));
+
+vi.mock("../../src/lib/viemClient.js", () => ({
+  publicClient: {},
+  getWalletClient: () => ({ account: { address: "0xbackend" } }),
+}));
+
+vi.mock("../../src/config/chain.js", () => ({
+  getChainByKey: () => ({ infofiFactory: "0xfactory" }),
+}));
+
+vi.mock("../../src/services/transactionManagerService.js", () => ({
+  getTransactionManager: () => ({ send: mockSend }),
+}));
+
+vi.mock("../../src/services/infoFiPayoutService.js", () => ({
+  getWinningOutcome: (isWinner) => (isWinner ? "YES" : "NO"),
+  infoFiPayoutService: { settleMarketPayouts: mockSettleMarketPayouts },
+}));
+
+const { seasonSettlementService } = await import(
+  "../../src/services/seasonSettlementService.js"
+);
+
+const WINNER = "0xAAAAaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+function payoutSummary(marketId, winningOutcome) {
+  return {
+    marketId,
+    winningOutcome,
+    payouts: [{ user: "0xuser", shares: "1", amount: "1" }],
+    created: 1,
+    updated: 0,
+    unchanged: 0,
+    removed: 0,
+    claimedMismatches: [],
+    zeroBalance: [],
+  };
+}
+
+describe("seasonSettlementService", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    for (const table of Object.keys(tables)) delete tables[table];
+    tables.infofi_markets = [
+      { id: 1, player_address: WINNER.toLowerCase(), is_settled: false },
+      { id: 2, player_address: "0xbbbb", is_settled: false },
+    ];
+    mockGetMarkets.mockImplementation(async () =>
+      tables.infofi_markets.map((market) => ({ ...market })),
+    );
+    mockSend.mockResolvedValue({ success: true, status: "confirmed", hash: "0xresolve", blockNumber: 5n });
+    mockSettleMarketPayouts.mockImplementation(async (market, outcome) =>
+      payoutSummary(market.id, outcome),
+    );
+  });
+
+  it("runs every step once and treats a completed season as done", async () => {
+    const status = await seasonSettlementService.settleSeason(3, {
+      winnerAddress: WINNER,
+      logger,
+    });
+
+    expect(status).toMatchObject({
+      seasonId: 3,
+      status: "winnings_computed",
+      completed: true,
+      nextStep: null,
+      onchain: { txHash: "0xresolve", skipped: false },
+      marketsSettled: 2,
+      lastError: null,
+    });
+    expect(status.winnings.map((w) => w.winningOutcome)).toEqual(["YES", "NO"]);
+    expect(tables.infofi_markets).toEqual([
+      expect.objectContaining({ id: 1, is_settled: true, winning_outcome: true }),
+      expect.objectContaining({ id: 2, is_settled: true, winning_outcome: false }),
+    ]);
+
+    await seasonSettlementService.settleSeason(3, { winnerAddress: WINNER, logger });
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSettleMarketPayouts).toHaveBeenCalledTimes(2);
+  });
+
+  it("stays pending when onchain resolution fails and resumes later", async () => {
+    mockSend.mockResolvedValueOnce({ success: false, status: "reverted", error: "Transaction reverted on-chain" });
+
+    await expect(
+      seasonSettlementService.settleSeason(4, { winnerAddress: WINNER, logger }),
+    ).rejects.toThrow("Onchain resolution reverted");
+    expect(await seasonSettlementService.getStatus(4)).toMatchObject({
+      status: "pending",
+      completed: false,
+      lastError: "Onchain resolution reverted: Transaction reverted on-chain",
+    });
+    expect(mockGetMarkets).not.toHaveBeenCalled();
+
+    const resumed = await seasonSettlementService.settleSeason(4, {
+      winnerAddress: WINNER,
+      logger,
+    });
+    expect(resumed).toMatchObject({ status: "winnings_computed", attempts: 2, lastError: null });
+  });
+
+  it("resumes at the winnings step without resolving onchain again", async () => {
+    mockSettleMarketPayouts.mockRejectedValueOnce(new Error("db timeout"));
+
+    await expect(
+      seasonSettlementService.settleSeason(5, { winnerAddress: WINNER, logger }),
+    ).rejects.toThrow("Payouts failed");
+    const partial = await seasonSettlementService.getStatus(5);
+    expect(partial).toMatchObject({
+      status: "db_settled",
+      lastError: "Payouts failed for market(s) 1",
+    });
+    expect(partial.winnings[0]).toEqual({ marketId: 1, error: "db timeout" });
+
+    const resumed = await seasonSettlementService.settleSeason(5, {
+      winnerAddress: WINNER,
+      logger,
+    });
+    expect(resumed.status).toBe("winnings_computed");
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it("can skip the onchain step", async () => {
+    const status = await seasonSettlementService.settleSeason(6, {
+      winnerAddress: WINNER,
+      resolveOnchain: false,
+      logger,
+    });
+
+    expect(status).toMatchObject({ completed: true, onchain: { txHash: null, skipped: true } });
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  it("refuses to settle a season for a different winner", async () => {
+    await seasonSettlementService.settleSeason(7, { winnerAddress: WINNER, logger });
+
+    await expect(
+      seasonSettlementService.settleSeason(7, { winnerAddress: "0xbbbb", logger }),
+    ).rejects.toThrow(/already started for winner/);
+  });
+
+  it("takes the onchain step from a SeasonMarketsResolved log", async () => {
+    await seasonSettlementService.recordOnchainResolution(9, {
+      winnerAddress: WINNER,
+      txHash: "0xexternal",
+    });
+
+    const status = await seasonSettlementService.settleSeason(9, {
+      winnerAddress: WINNER,
+      logger,
+    });
+    expect(status).toMatchObject({
+      completed: true,
+      onchain: { txHash: "0xexternal", skipped: false },
+    });
+    expect(mockSend).not.toHaveBeenCalled();
+
+    // A reorg only reopens seasons still waiting on the onchain step
+    await expect(
+      seasonSettlementService.retractOnchainResolution(["0xexternal"]),
+    ).resolves.toBe(0);
+  });
+
+  it("resets a settlement pinned to the wrong winner unless resolved onchain", async () => {
+    await seasonSettlementService.settleSeason(10, {
+      winnerAddress: "0xbbbb",
+      resolveOnchain: false,
+      logger,
+    });
+
+    const result = await seasonSettlementService.resetSettlement(10);
+    expect(result).toMatchObject({ reset: true, previous: { winnerAddress: "0xbbbb" } });
+
+    const status = await seasonSettlementService.settleSeason(10, {
+      winnerAddress: WINNER,
+      logger,
+    });
+    expect(status).toMatchObject({ completed: true, winnerAddress: WINNER.toLowerCase() });
+    expect(tables.infofi_markets[0]).toMatchObject({ winning_outcome: true });
+
+    await expect(seasonSettlementService.resetSettlement(10)).resolves.toEqual({
+      reset: false,
+      reason: "resolved_onchain",
+    });
+    await expect(seasonSettlementService.resetSettlement(99)).resolves.toEqual({
+      reset: false,
+      reason: "not_found",
+    });
+  });
+
+  it("leaves a season claimed by another instance alone until the claim expires", async () => {
+    tables.season_settlements = [
+      {
+        season_id: 11,
+        winner_address: WINNER.toLowerCase(),
+        status: "pending",
+        onchain_tx_hash: null,
+        attempts: 1,
+        claimed_by: "other-host:42",
+        claimed_until: new Date(Date.now() + 60_000).toISOString(),
+      },
+    ];
+
+    await expect(
+      seasonSettlementService.settleSeason(11, { winnerAddress: WINNER, logger }),
+    ).rejects.toThrow("another instance");
+    expect(mockSend).not.toHaveBeenCalled();
+    await expect(seasonSettlementService.resetSettlement(11)).resolves.toEqual({
+      reset: false,
+      reason: "in_progress",
+    });
+
+    tables.season_settlements[0].claimed_until = new Date(Date.now() - 1).toISOString();
+    const status = await seasonSettlementService.settleSeason(11, {
+      winnerAddress: WINNER,
+      logger,
+    });
+    expect(status).toMatchObject({ completed: true, attempts: 2, claimedBy: null });
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it("shares one run between concurrent callers", async () => {
+    const [first, second] = await Promise.all([
+      seasonSettlementService.settleSeason(8, { winnerAddress: WINNER, logger }),
+      seasonSettlementService.settleSeason(8, { winnerAddress: WINNER, logger }),
+    ]);
+
+    expect(first).toBe(second);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    await expect(seasonSettlementService.getStatus(8)).resolves.toMatchObject({
+      completed: true,
+    });
+    await expect(seasonSettlementService.getStatus(99)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+// tests/backend/seasonTimelineService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { mockFrom } = vi.hoisted(() => ({ mockFrom: vi.fn() }));
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  hasSupabase: true,
+  db: { client: { from: (...args) => mockFrom(...args) } },
+}));
+
+const { deriveSeasonStatus, seasonTimelineService } = await import(
+  "../../src/services/seasonTimelineService.js"
+);
+
+function event(eventName, at, data = {}) {
+  return { event_name: eventName, block_timestamp: at, data };
+}
+
+describe("seasonTimelineService", () => {
+  beforeEach(() => {
+    mockFrom.mockReset();
+  });
+
+  describe("deriveSeasonStatus", () => {
+    it("reports the furthest stage and the failures after it", () => {
+      const status = deriveSeasonStatus([
+        event("SeasonStarted", "t1"),
+        event("AutoFinalizeAttempted", "t2", { success: false }),
+        event("SeasonEndRequested", "t3"),
+        event("SeasonLocked", "t4"),
+        event("VRFFulfilled", "t5"),
+        event("WinnersSelected", "t6"),
+        event("PrizeDistributionFailed", "t7", { reason: "no merkle root" }),
+        event("AutoFinalizeAttempted", "t8", { success: false }),
+      ]);
+
+      expect(status).toEqual({
+        stage: "winners_selected",
+        stageReachedAt: "t6",
+        nextStage: "distribution_setup",
+        failuresSinceStage: [
+          {
+            eventName: "PrizeDistributionFailed",
+            at: "t7",
+            data: { reason: "no merkle root" },
+          },
+          {
+            eventName: "AutoFinalizeAttempted",
+            at: "t8",
+            data: { success: false },
+          },
+        ],
+      });
+    });
+
+    it("has no stage before any lifecycle event", () => {
+      expect(deriveSeasonStatus([])).toMatchObject({
+        stage: null,
+        nextStage: "created",
+        failuresSinceStage: [],
+      });
+    });
+
+    it("counts watchdog breaches and failed retries but not as stages", () => {
+      const status = deriveSeasonStatus([
+        event("WinnersSelected", "t1"),
+        event("WatchdogSlaExceeded", "t2", { status: "Distributing" }),
+        event("WatchdogFinalizeRetried", "t3", { success: false }),
+        event("WatchdogFinalizeRetried", "t4", { success: true }),
+      ]);
+
+      expect(status.stage).toBe("winners_selected");
+      expect(status.failuresSinceStage.map((f) => f.at)).toEqual(["t2", "t3"]);
+    });
+  });
+
+  describe("recordEvent", () => {
+    it("stores decoded args as JSON and reports duplicates", async () => {
+      const upsert = vi.fn(() => ({
+        select: async () => ({ data: [], error: null }),
+      }));
+      mockFrom.mockReturnValue({ upsert });
+
+      const result = await seasonTimelineService.recordEvent(
+        {
+          eventName: "SeasonEndRequested",
+          args: { seasonId: 3n, vrfRequestId: 12345678901234567890n },
+          blockNumber: 99n,
+          transactionHash: "0xtx",
+          logIndex: 2,
+        },
+        "2026-01-01T00:00:00.000Z",
+      );
+
+      expect(result).toEqual({ alreadyRecorded: true });
+      expect(upsert).toHaveBeenCalledWith(
+        {
+          season_id: 3,
+          event_name: "SeasonEndRequested",
+          block_number: 99,
+          block_timestamp: "2026-01-01T00:00:00.000Z",
+          tx_hash: "0xtx",
+          log_index: 2,
+          data: { seasonId: "3", vrfRequestId: "12345678901234567890" },
+        },
+        { onConflict: "tx_hash,log_index", ignoreDuplicates: true },
+      );
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// tests/backend/sponsorHatListener.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { mockSend } = vi.hoisted(() => ({ mockSend: vi.fn() }));
+
+vi.mock("../../src/services/transactionManagerService.js", () => ({
+  getTransactionManager: () => ({ send: mockSend }),
+}));
+
+vi.mock("../../src/services/logIngestionService.js", () => ({
+  registerLogEngine: vi.fn(),
+  unregisterLogEngine: vi.fn(),
+}));
+
+vi.mock("../../src/services/listenerControlService.js", () => ({
+  listenerControlService: { isPaused: () => false },
+}));
+
+vi.mock("../../src/services/deadLetterService.js", () => ({
+  deadLetterService: { registerHandler: vi.fn(), processLogs: vi.fn() },
+}));
+
+const { createSponsorHatMintHandler } = await import(
+  "../../src/listeners/sponsorHatListener.js"
+);
+
+const STAKER = "0xAAAAaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+function stakedLog() {
+  return {
+    eventName: "StakingEligibility_Staked",
+    args: { staker: STAKER, amount: 1000n },
+    blockNumber: 100n,
+    transactionHash: "0xtx1",
+    logIndex: 0,
+  };
+}
+
+describe("createSponsorHatMintHandler", () => {
+  let reads;
+  let handle;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    reads = { isWearerOfHat: false, isEligible: true };
+    handle = createSponsorHatMintHandler({
+      publicClient: {
+        readContract: vi.fn(async ({ functionName }) => reads[functionName]),
+      },
+      walletClient: {},
+      hatsAddress: "0xHATS",
+      sponsorHatId: "42",
+    });
+  });
+
+  it("mints the Sponsor hat to an eligible staker", async () => {
+    mockSend.mockResolvedValue({ success: true, hash: "0xmint", blockNumber: 101n });
+
+    await expect(handle(stakedLog())).resolves.toEqual({ skipped: false });
+    expect(mockSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "0xHATS",
+        functionName: "mintHat",
+        args: [42n, STAKER],
+      }),
+    );
+  });
+
+  it("skips stakers already wearing the hat", async () => {
+    reads.isWearerOfHat = true;
+
+    await expect(handle(stakedLog())).resolves.toEqual({ skipped: true });
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  it("throws when the mint fails so the log is dead-lettered", async () => {
+    mockSend.mockResolvedValue({ success: false, status: "reverted", error: "NotAdmin" });
+
+    await expect(handle(stakedLog())).rejects.toThrow(
+      `Sponsor hat mint for ${STAKER} failed: NotAdmin`,
+    );
+  });
+});
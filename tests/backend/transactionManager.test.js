@@ -0,0 +1,227 @@
+// tests/backend/transactionManager.test.js
+// @vitest-environment node
+import { describe, it, expect, vi } from "vitest";
+import { keccak256 } from "viem";
+import {
+  createTransactionManager,
+  bumpFee,
+  isNonceError,
+} from "../../src/lib/transactionManager.js";
+
+const SIGNER = "0x1111111111111111111111111111111111111111";
+const TARGET = "0x2222222222222222222222222222222222222222";
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+function timeoutError() {
+  const error = new Error("Timed out while waiting for transaction");
+  error.name = "WaitForTransactionReceiptTimeoutError";
+  return error;
+}
+
+function buildClients({ pendingNonce = 5 } = {}) {
+  let signed = 0;
+  const walletClient = {
+    chain: { id: 31337 },
+    account: { address: SIGNER },
+    prepareTransactionRequest: vi.fn(async (request) => ({
+      maxFeePerGas: 100n,
+      maxPriorityFeePerGas: 10n,
+      ...Object.fromEntries(
+        Object.entries(request).filter(([, value]) => value !== undefined),
+      ),
+    })),
+    // Distinct raw bytes per signature so every broadcast has its own hash
+    signTransaction: vi.fn(async () => `0x02${(++signed).toString(16).padStart(4, "0")}`),
+    sendRawTransaction: vi.fn(async () => undefined),
+  };
+  const publicClient = {
+    getTransactionCount: vi.fn(async () => pendingNonce),
+    estimateFeesPerGas: vi.fn(async () => ({
+      maxFeePerGas: 100n,
+      maxPriorityFeePerGas: 10n,
+    })),
+    getTransactionReceipt: vi.fn(async () => {
+      throw new Error("not found");
+    }),
+    waitForTransactionReceipt: vi.fn(async ({ hash }) => ({
+      status: "success",
+      transactionHash: hash,
+      blockNumber: 12n,
+      gasUsed: 21000n,
+    })),
+  };
+  return { walletClient, publicClient };
+}
+
+function request(clients, overrides = {}) {
+  return { ...clients, to: TARGET, data: "0xdeadbeef", ...overrides };
+}
+
+describe("transactionManager", () => {
+  it("assigns consecutive nonces per signer, highest priority first", async () => {
+    const manager = createTransactionManager({ logger: silentLogger });
+    const clients = buildClients();
+    const order = [];
+    let releaseFirst;
+    const firstSent = new Promise((resolve) => {
+      releaseFirst = resolve;
+    });
+    clients.walletClient.sendRawTransaction.mockImplementationOnce(
+      () => firstSent,
+    );
+
+    const label = (name) => ({
+      label: name,
+      onSigned: async ({ nonce }) => order.push(`${name}:${nonce}`),
+    });
+    const first = manager.send(request(clients, label("first")));
+    const low = manager.send(request(clients, { priority: "low", ...label("low") }));
+    const high = manager.send(request(clients, { priority: "high", ...label("high") }));
+    releaseFirst();
+
+    const results = await Promise.all([first, low, high]);
+
+    expect(order).toEqual(["first:5", "high:6", "low:7"]);
+    expect(results.map((result) => result.status)).toEqual([
+      "confirmed",
+      "confirmed",
+      "confirmed",
+    ]);
+    expect(clients.publicClient.getTransactionCount).toHaveBeenCalledTimes(1);
+    expect(manager.getStatus().signers).toEqual([
+      { signer: `31337:${SIGNER}`, nextNonce: 8, queued: 0, inFlight: 0 },
+    ]);
+  });
+
+  it("resyncs the nonce from the chain after a nonce error", async () => {
+    const manager = createTransactionManager({ logger: silentLogger });
+    const clients = buildClients();
+    clients.publicClient.getTransactionCount
+      .mockResolvedValueOnce(5)
+      .mockResolvedValueOnce(9);
+    clients.walletClient.sendRawTransaction.mockRejectedValueOnce(
+      new Error("nonce too low"),
+    );
+
+    const result = await manager.send(request(clients));
+
+    expect(result).toMatchObject({ success: true, nonce: 9 });
+    expect(clients.walletClient.sendRawTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  it("replaces a stuck transaction with the same nonce and bumped fees", async () => {
+    const manager = createTransactionManager({ logger: silentLogger });
+    const clients = buildClients();
+    clients.publicClient.waitForTransactionReceipt
+      .mockRejectedValueOnce(timeoutError());
+    const events = [];
+    manager.subscribe((event) => events.push(event));
+
+    const result = await manager.send(request(clients));
+
+    expect(result).toMatchObject({
+      status: "confirmed",
+      nonce: 5,
+      replacements: 1,
+      hash: keccak256("0x020002"),
+      hashes: [keccak256("0x020001"), keccak256("0x020002")],
+    });
+    expect(clients.walletClient.prepareTransactionRequest).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        nonce: 5,
+        maxFeePerGas: 125n,
+        maxPriorityFeePerGas: 12n,
+      }),
+    );
+    expect(events).toEqual(["submitted", "replaced", "confirmed"]);
+  });
+
+  it("reports a transaction still unmined after every replacement as pending", async () => {
+    const manager = createTransactionManager({
+      maxReplacements: 1,
+      logger: silentLogger,
+    });
+    const clients = buildClients();
+    clients.publicClient.waitForTransactionReceipt.mockRejectedValue(
+      timeoutError(),
+    );
+
+    const result = await manager.send(request(clients));
+
+    expect(result).toMatchObject({ success: false, status: "pending", replacements: 1 });
+    expect(result.hashes).toHaveLength(2);
+  });
+
+  it("settles on an earlier broadcast that was mined", async () => {
+    const manager = createTransactionManager({ logger: silentLogger });
+    const clients = buildClients();
+    clients.publicClient.waitForTransactionReceipt.mockRejectedValueOnce(
+      timeoutError(),
+    );
+    clients.publicClient.getTransactionReceipt.mockImplementation(
+      async ({ hash }) => ({ status: "success", transactionHash: hash, blockNumber: 3n }),
+    );
+
+    const result = await manager.send(request(clients));
+
+    expect(result).toMatchObject({ status: "confirmed", replacements: 0, blockNumber: 3n });
+    expect(clients.walletClient.sendRawTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it("resolves reverted and unsent writes without throwing", async () => {
+    const manager = createTransactionManager({ logger: silentLogger });
+    const clients = buildClients();
+    clients.publicClient.waitForTransactionReceipt.mockResolvedValueOnce({
+      status: "reverted",
+      transactionHash: "0xreverted",
+      blockNumber: 4n,
+    });
+
+    const reverted = await manager.send(request(clients));
+    expect(reverted).toMatchObject({
+      success: false,
+      status: "reverted",
+      error: "Transaction reverted on-chain",
+    });
+
+    clients.walletClient.sendRawTransaction.mockRejectedValueOnce(
+      new Error("insufficient funds"),
+    );
+    const failed = await manager.send(request(clients));
+    expect(failed).toMatchObject({
+      success: false,
+      status: "failed",
+      hash: null,
+      error: "insufficient funds",
+    });
+    expect(manager.getStatus().stats).toMatchObject({ reverted: 1, failed: 1 });
+  });
+
+  it("returns once broadcast when not waiting for the receipt", async () => {
+    const manager = createTransactionManager({ logger: silentLogger });
+    const clients = buildClients();
+
+    const submitted = await manager.send(
+      request(clients, { waitForReceipt: false }),
+    );
+
+    expect(submitted.status).toBe("submitted");
+    await expect(submitted.confirmation).resolves.toMatchObject({
+      status: "confirmed",
+      hash: submitted.hash,
+    });
+  });
+
+  it("bumps fees but never below the current estimate", () => {
+    expect(bumpFee("100", 90n)).toBe(125n);
+    expect(bumpFee("100", 300n)).toBe(300n);
+    expect(bumpFee(null, 90n)).toBe(90n);
+    expect(bumpFee(100n, undefined, 110)).toBe(110n);
+  });
+
+  it("recognizes nonce errors", () => {
+    expect(isNonceError(new Error("nonce too low"))).toBe(true);
+    expect(isNonceError(new Error("already known"))).toBe(true);
+    expect(isNonceError(new Error("execution reverted"))).toBe(false);
+  });
+});
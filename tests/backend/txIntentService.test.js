@@ -0,0 +1,292 @@
+// tests/backend/txIntentService.test.js
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { keccak256 } from "viem";
+
+const mockFrom = vi.fn();
+
+vi.mock("../../shared/supabaseClient.js", () => ({
+  hasSupabase: true,
+  db: {
+    client: {
+      from: (...args) => mockFrom(...args),
+    },
+  },
+}));
+
+const { txIntentService } = await import(
+  "../../src/services/txIntentService.js"
+);
+
+const SIGNER = "0x1111111111111111111111111111111111111111";
+const RAFFLE = "0x2222222222222222222222222222222222222222";
+const SIGNED = "0x02f8aa";
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+function buildIntent(overrides = {}) {
+  return {
+    id: 7,
+    intent_key: `${RAFFLE}:startSeason:1`,
+    contract_address: RAFFLE,
+    calldata: "0xdeadbeef",
+    signer: SIGNER,
+    nonce: null,
+    tx_hash: null,
+    replaced_tx_hashes: [],
+    max_fee_per_gas: null,
+    max_priority_fee_per_gas: null,
+    attempts: 0,
+    status: "pending",
+    ...overrides,
+  };
+}
+
+function buildClients() {
+  const walletClient = {
+    account: { address: SIGNER },
+    prepareTransactionRequest: vi.fn(async (request) => ({
+      maxFeePerGas: 100n,
+      maxPriorityFeePerGas: 10n,
+      ...Object.fromEntries(
+        Object.entries(request).filter(([, value]) => value !== undefined),
+      ),
+    })),
+    signTransaction: vi.fn(async () => SIGNED),
+    sendRawTransaction: vi.fn(async () => undefined),
+  };
+  const publicClient = {
+    getTransactionCount: vi.fn(async () => 5),
+    estimateFeesPerGas: vi.fn(async () => ({
+      maxFeePerGas: 100n,
+      maxPriorityFeePerGas: 10n,
+    })),
+    getTransactionReceipt: vi.fn(async () => {
+      throw new Error("not found");
+    }),
+    getTransaction: vi.fn(async () => {
+      throw new Error("not found");
+    }),
+    waitForTransactionReceipt: vi.fn(async ({ hash }) => ({
+      status: "success",
+      transactionHash: hash,
+      blockNumber: 12n,
+    })),
+  };
+  return { walletClient, publicClient };
+}
+
+describe("txIntentService", () => {
+  let updateSpy;
+  let calls;
+
+  beforeEach(() => {
+    mockFrom.mockReset();
+    calls = [];
+    updateSpy = vi
+      .spyOn(txIntentService, "update")
+      .mockImplementation(async (id, fields) => {
+        calls.push(`update:${fields.status}`);
+        return { ...buildIntent({ id }), ...fields };
+      });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("returns null when another active intent holds the key", async () => {
+    const single = vi.fn().mockResolvedValue({
+      data: null,
+      error: { code: "23505", message: "duplicate key" },
+    });
+    mockFrom.mockReturnValue({
+      insert: () => ({ select: () => ({ single }) }),
+    });
+
+    const claimed = await txIntentService.claim({
+      intentKey: `${RAFFLE}:startSeason:1`,
+      contractAddress: RAFFLE,
+      functionName: "startSeason",
+      args: [1n],
+      calldata: "0xdeadbeef",
+      signer: SIGNER,
+    });
+
+    expect(claimed).toBeNull();
+  });
+
+  it("records nonce and hash before broadcasting, then the receipt", async () => {
+    const clients = buildClients();
+    clients.walletClient.sendRawTransaction.mockImplementation(async () => {
+      calls.push("send");
+    });
+
+    const { result, intent } = await txIntentService.submit(buildIntent(), {
+      ...clients,
+      logger: silentLogger,
+    });
+
+    expect(calls).toEqual(["update:submitted", "send", "update:confirmed"]);
+    expect(updateSpy).toHaveBeenCalledWith(
+      7,
+      expect.objectContaining({
+        status: "submitted",
+        nonce: 5,
+        tx_hash: keccak256(SIGNED),
+        max_fee_per_gas: "100",
+        attempts: 1,
+      }),
+    );
+    expect(result.success).toBe(true);
+    expect(intent).toMatchObject({ status: "confirmed", block_number: 12 });
+  });
+
+  it("replaces with the same nonce and bumped fees", async () => {
+    const clients = buildClients();
+    const intent = buildIntent({
+      status: "submitted",
+      nonce: 3,
+      tx_hash: "0xold",
+      max_fee_per_gas: "200",
+      max_priority_fee_per_gas: "20",
+      attempts: 1,
+    });
+
+    await txIntentService.submit(intent, {
+      ...clients,
+      replace: true,
+      logger: silentLogger,
+    });
+
+    expect(clients.publicClient.getTransactionCount).not.toHaveBeenCalled();
+    expect(clients.walletClient.prepareTransactionRequest).toHaveBeenCalledWith(
+      expect.objectContaining({
+        nonce: 3,
+        maxFeePerGas: 250n,
+        maxPriorityFeePerGas: 25n,
+      }),
+    );
+    expect(updateSpy.mock.calls[0][1].replaced_tx_hashes).toEqual(["0xold"]);
+  });
+
+  it("marks an intent that could not be broadcast as failed", async () => {
+    const clients = buildClients();
+    clients.walletClient.sendRawTransaction.mockRejectedValue(
+      new Error("insufficient funds"),
+    );
+
+    const { result } = await txIntentService.submit(buildIntent(), {
+      ...clients,
+      logger: silentLogger,
+    });
+
+    expect(result.status).toBe("failed");
+    expect(updateSpy).toHaveBeenLastCalledWith(7, {
+      status: "failed",
+      error_message: "insufficient funds",
+    });
+  });
+
+  describe("reconcile", () => {
+    async function reconcileOne(intent, clients) {
+      vi.spyOn(txIntentService, "listActive").mockResolvedValue([intent]);
+      return txIntentService.reconcile({ ...clients, logger: silentLogger });
+    }
+
+    it("confirms an intent whose replacement was mined", async () => {
+      const clients = buildClients();
+      clients.publicClient.getTransactionReceipt.mockImplementation(
+        async ({ hash }) => {
+          if (hash !== "0xfirst") throw new Error("not found");
+          return { status: "success", transactionHash: "0xfirst", blockNumber: 9n };
+        },
+      );
+
+      const summary = await reconcileOne(
+        buildIntent({
+          status: "submitted",
+          nonce: 3,
+          tx_hash: "0xsecond",
+          replaced_tx_hashes: ["0xfirst"],
+        }),
+        clients,
+      );
+
+      expect(summary.confirmed).toBe(1);
+      expect(updateSpy).toHaveBeenCalledWith(
+        7,
+        expect.objectContaining({ status: "confirmed", tx_hash: "0xfirst" }),
+      );
+    });
+
+    it("speeds up a transaction still in the mempool", async () => {
+      const clients = buildClients();
+      clients.publicClient.getTransaction.mockResolvedValue({ hash: "0xstuck" });
+
+      const summary = await reconcileOne(
+        buildIntent({ status: "submitted", nonce: 3, tx_hash: "0xstuck", max_fee_per_gas: "100" }),
+        clients,
+      );
+
+      expect(summary.spedUp).toBe(1);
+      expect(clients.walletClient.sendRawTransaction).toHaveBeenCalled();
+    });
+
+    it("resubmits a dropped transaction whose nonce is unused", async () => {
+      const clients = buildClients();
+      clients.publicClient.getTransactionCount.mockResolvedValue(3);
+
+      const summary = await reconcileOne(
+        buildIntent({ status: "submitted", nonce: 3, tx_hash: "0xgone" }),
+        clients,
+      );
+
+      expect(summary.resubmitted).toBe(1);
+      expect(clients.walletClient.prepareTransactionRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ nonce: 3 }),
+      );
+    });
+
+    it("drops an intent whose nonce was used by another transaction", async () => {
+      const clients = buildClients();
+      clients.publicClient.getTransactionCount.mockResolvedValue(4);
+
+      const summary = await reconcileOne(
+        buildIntent({ status: "submitted", nonce: 3, tx_hash: "0xgone" }),
+        clients,
+      );
+
+      expect(summary.dropped).toBe(1);
+      expect(clients.walletClient.sendRawTransaction).not.toHaveBeenCalled();
+    });
+
+    it("drops an intent that was never broadcast", async () => {
+      const clients = buildClients();
+
+      const summary = await reconcileOne(
+        buildIntent({
+          updated_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        }),
+        clients,
+      );
+
+      expect(summary.dropped).toBe(1);
+      expect(updateSpy).toHaveBeenCalledWith(
+        7,
+        expect.objectContaining({ status: "dropped" }),
+      );
+    });
+
+    it("skips a recently claimed intent that may still be signing", async () => {
+      const clients = buildClients();
+
+      const summary = await reconcileOne(
+        buildIntent({ updated_at: new Date().toISOString() }),
+        clients,
+      );
+
+      expect(summary.skipped).toBe(1);
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+  });
+});